@@ -0,0 +1,125 @@
+// Brush presets and the ink of textured strokes
+//
+// The same math as server/brush.ts, so a stroke looks the same here, on
+// every other screen and in the export. Keep the two in sync.
+//
+// Marker and highlighter strokes are one smoothed path at the stroke's
+// lineWidth, painted with its opacity and blend mode as a whole. Pencil and
+// spray strokes are dots scattered along the line; where they fall comes
+// from the stroke's seed and the number of the section, so drawing a stroke
+// point by point and drawing it whole give the same dots.
+class Brush {
+    // Settings new strokes of each preset get; the brush itself has none
+    static PRESETS = {
+        marker: { opacity: 0.85, blendMode: 'normal' },
+        highlighter: { opacity: 0.35, blendMode: 'multiply' },
+        pencil: { opacity: 0.8, blendMode: 'normal' },
+        spray: { opacity: 1, blendMode: 'normal' }
+    };
+
+    static PENCIL_COVERAGE = 0.8;
+    static PENCIL_DOT_SIZE = 0.18;
+    static MIN_PENCIL_DOT_RADIUS = 0.35;
+    static SPRAY_SPREAD = 1.5;
+    static SPRAY_DOTS = 8;
+    static SPRAY_DOT_SIZE = 0.05;
+    static MIN_SPRAY_DOT_RADIUS = 0.5;
+    static MAX_SECTION_DOTS = 400;
+
+    static isTextured(tool) {
+        return tool === 'pencil' || tool === 'spray';
+    }
+
+    static isWholePath(tool) {
+        return tool === 'marker' || tool === 'highlighter';
+    }
+
+    /**
+     * Brush settings for a new stroke of this tool (undefined for the brush).
+     * Textured strokes get a seed of their own.
+     */
+    static settingsFor(tool) {
+        const preset = Brush.PRESETS[tool];
+        if (!preset) return undefined;
+        const settings = { ...preset };
+        if (Brush.isTextured(tool)) {
+            settings.seed = crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return settings;
+    }
+
+    static opacity(stroke) {
+        return stroke.brush ? stroke.brush.opacity : 1;
+    }
+
+    // Canvas composite operation for a stroke's blend mode
+    static compositeOperation(stroke) {
+        return stroke.brush && stroke.brush.blendMode === 'multiply' ? 'multiply' : 'source-over';
+    }
+
+    /**
+     * How far the ink of a freehand stroke reaches from its points at most
+     */
+    static inkReach(stroke) {
+        const width = stroke.lineWidth;
+        if (stroke.tool === 'spray') return width * Brush.SPRAY_SPREAD + Math.max(Brush.MIN_SPRAY_DOT_RADIUS, width * Brush.SPRAY_DOT_SIZE);
+        if (stroke.tool === 'pencil') return width / 2 + Math.max(Brush.MIN_PENCIL_DOT_RADIUS, width * Brush.PENCIL_DOT_SIZE);
+        return width / 2;
+    }
+
+    /**
+     * Numbers in [0, 1) for one section of a textured stroke (mulberry32)
+     */
+    static sectionRandom(seed, section) {
+        let state = (seed ^ Math.imul(section + 1, 0x9e3779b1)) >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = Math.imul(state ^ (state >>> 15), state | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Dots ({ x, y, radius, alpha }) of section i of a pencil or spray
+     * stroke: the line from point i - 1 to point i (section 0 is the first
+     * point on its own). alpha comes before the stroke's opacity.
+     */
+    static getSectionDots(stroke, i) {
+        const from = stroke.points[Math.max(0, i - 1)];
+        const to = stroke.points[i];
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        const width = (CanvasManager.getPointWidth(stroke, from) + CanvasManager.getPointWidth(stroke, to)) / 2;
+        const random = Brush.sectionRandom(stroke.brush && stroke.brush.seed !== undefined ? stroke.brush.seed : 0, i);
+
+        let count;
+        let spread;
+        let radius;
+        if (stroke.tool === 'spray') {
+            spread = width * Brush.SPRAY_SPREAD;
+            radius = Math.max(Brush.MIN_SPRAY_DOT_RADIUS, width * Brush.SPRAY_DOT_SIZE);
+            count = Math.ceil(Brush.SPRAY_DOTS * (1 + length / spread));
+        } else {
+            spread = width / 2;
+            radius = Math.max(Brush.MIN_PENCIL_DOT_RADIUS, width * Brush.PENCIL_DOT_SIZE);
+            // The first point is a dot as wide as the stroke
+            const area = i === 0 ? Math.PI * spread * spread : length * width;
+            count = Math.ceil(Brush.PENCIL_COVERAGE * area / (Math.PI * radius * radius));
+        }
+
+        const dots = [];
+        for (let k = 0; k < Math.min(count, Brush.MAX_SECTION_DOTS); k++) {
+            // Uniform over a disk around a point along the section
+            const along = random();
+            const angle = random() * Math.PI * 2;
+            const distance = Math.sqrt(random()) * spread;
+            dots.push({
+                x: from.x + (to.x - from.x) * along + Math.cos(angle) * distance,
+                y: from.y + (to.y - from.y) * along + Math.sin(angle) * distance,
+                radius,
+                alpha: stroke.tool === 'spray' ? 1 : 0.25 + random() * 0.5
+            });
+        }
+        return dots;
+    }
+}
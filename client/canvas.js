@@ -6,6 +6,19 @@
  * - Remote drawing synchronization
  * - Stroke management and redrawing
  * - Cursor position tracking
+ * - View transform (zoom/pan) between screen and world coordinates
+ * - Selecting, moving, scaling and deleting finished strokes
+ * - Erasing whole strokes or parts of freehand strokes (the geometry is in Eraser)
+ * - Brush presets (the ink is worked out in Brush) and filling closed areas (FloodFill)
+ * - Layers: strokes are drawn layer by layer (the list lives in LayersPanel)
+ * - Comment pins on the cursor layer (the threads live in DiscussionPanel)
+ * - Time-lapse replay on a separate layer above the live board
+ * - Cached raster tiles of finished strokes (TileCache), so redraws only render what changed
+ * 
+ * Coordinate Model:
+ * - Strokes, cursors and network messages use world coordinates, shared by all clients
+ * - Each client has its own view: screen = world * scale + offset
+ * - The board is unbounded apart from WORLD_BOUND, which the server also enforces
  * 
  * Conflict Resolution Strategy:
  * - Each stroke has a unique ID (strokeId) to prevent conflicts
@@ -14,12 +27,59 @@
  * - Server maintains authoritative state to prevent desynchronization
  */
 class CanvasManager {
+    static WORLD_BOUND = 1000000;
+    static MIN_SCALE = 0.1;
+    static MAX_SCALE = 10;
+    static SHAPE_TOOLS = ['line', 'rectangle', 'ellipse', 'arrow'];
+    static ERASER_MODES = { 'object-eraser': 'object', 'precise-eraser': 'precise' }; // Tool -> erase mode
+
+    static TEXT_LINE_HEIGHT = 1.2;
+    
+    // Scale limits for the select tool; keep in sync with the server
+    static MIN_TRANSFORM_SCALE = 0.01;
+    static MAX_TRANSFORM_SCALE = 100;
+    
+    // Freehand strokes longer than this continue as a new stroke; keep in sync with the server
+    static MAX_STROKE_POINTS = 5000;
+    
+    // Width of a pen stroke at no pressure, as a fraction of its lineWidth; keep in sync with server/brush.ts
+    static MIN_PRESSURE_WIDTH = 0.25;
+    
+    // Comment pins: on-screen radius and how far from it a click still hits it (px)
+    static COMMENT_PIN_RADIUS = 11;
+    static COMMENT_PIN_HIT_RADIUS = 14;
+
+    static isShapeTool(tool) {
+        return CanvasManager.SHAPE_TOOLS.includes(tool);
+    }
+
+    /**
+     * Width of a freehand stroke at one of its points. Pen strokes are as wide
+     * as their lineWidth at full pressure and MIN_PRESSURE_WIDTH of it at none;
+     * everything else, markers and highlighters included, is lineWidth
+     * throughout. The export matches this.
+     */
+    static getPointWidth(stroke, point) {
+        if (point.pressure === undefined || Brush.isWholePath(stroke.tool)) return stroke.lineWidth;
+        const min = CanvasManager.MIN_PRESSURE_WIDTH;
+        return stroke.lineWidth * (min + (1 - min) * point.pressure);
+    }
+
+    static midpoint(a, b) {
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+
+    static isEraserTool(tool) {
+        return Object.prototype.hasOwnProperty.call(CanvasManager.ERASER_MODES, tool);
+    }
+
     /**
      * Initialize canvas manager
      * @param {string} canvasId - ID of the main drawing canvas element
      * @param {string} cursorLayerId - ID of the cursor overlay canvas element
+     * @param {string} replayLayerId - ID of the replay canvas element (covers the board during replay)
      */
-    constructor(canvasId, cursorLayerId) {
+    constructor(canvasId, cursorLayerId, replayLayerId) {
         // Get canvas elements and contexts
         this.canvas = document.getElementById(canvasId);
         if (!this.canvas) {
@@ -41,10 +101,31 @@ class CanvasManager {
             throw new Error('Failed to get cursor layer 2D rendering context');
         }
         
+        this.replayLayer = document.getElementById(replayLayerId);
+        if (!this.replayLayer) {
+            throw new Error(`Replay layer element with id "${replayLayerId}" not found`);
+        }
+        
+        this.replayCtx = this.replayLayer.getContext('2d');
+        if (!this.replayCtx) {
+            throw new Error('Failed to get replay layer 2D rendering context');
+        }
+        
         // Drawing state
         this.isDrawing = false;
         this.currentStroke = null;
         
+        // Freehand strokes being drawn (IDs), here or by others. They stay out of the tiles until
+        // they end and are drawn over them. Marker and highlighter strokes, whose translucent ink
+        // is painted as one path, are shown on the cursor layer meanwhile.
+        this.openStrokes = new Set();
+        
+        // Rendered tiles of the finished strokes, and the ink bounds each stroke had when it was
+        // last drawn on a tile (strokeId -> bounds), which say where its tiles are
+        this.tiles = new TileCache();
+        this.inkBounds = new Map();
+        this.renderedLayers = ''; // Order and visibility of the layers the tiles show
+        
         // Stroke storage: Map for O(1) lookup by strokeId
         // This allows efficient updates and conflict resolution
         this.strokes = new Map(); // strokeId -> stroke data
@@ -52,10 +133,58 @@ class CanvasManager {
         // Remote cursor positions: userId -> cursor data
         this.remoteCursors = new Map();
         
+        // Shape being dragged locally, and remote users' shape/text previews (strokeId -> stroke)
+        this.currentShape = null;
+        this.remotePreviews = new Map();
+        
+        // Text box being edited locally: { stroke, element }
+        this.textEditor = null;
+        
+        // Loaded image elements (imageId -> HTMLImageElement) and the image being moved/resized
+        this.images = new Map();
+        this.imageDrag = null; // { stroke, mode: 'move' | 'resize', start, original }
+        
+        // Eraser path being dragged: { id, mode, lineWidth, points }. It is erased on release.
+        this.erasing = null;
+        
+        // Selected stroke IDs (select tool) and the lasso or move/scale gesture in progress
+        this.selection = new Set();
+        this.selectionDrag = null; // { mode: 'lasso' | 'move' | 'scale', start, points, bounds, originals, transform }
+        
+        // Layers, bottom first ({ id, name, visible, locked }), and the one new strokes go on
+        this.layers = [];
+        this.activeLayerId = null;
+        
+        // Comment pins ({ id, anchor, resolved, replyCount }) and the one whose thread is open
+        this.commentPins = [];
+        this.activeCommentId = null;
+        this.onCommentPlace = null; // Callback(anchor) when the comment tool clicks the board
+        this.onCommentSelect = null; // Callback(commentId) when a pin is clicked
+        
+        // Strokes shown on the replay layer (null while showing the live board) and their layers
+        this.replayFrame = null;
+        this.replayLayers = [];
+        
+        // Viewers can pan, zoom and watch but not draw (the server enforces this too)
+        this.readOnly = false;
+        
         // Drawing tool settings
         this.tool = 'brush';
         this.color = '#000000';
         this.lineWidth = 5;
+        this.fontFamily = 'sans-serif';
+        this.fontSize = 24;
+        
+        // Per-client view transform (world -> screen)
+        this.view = { scale: 1, offsetX: 0, offsetY: 0 };
+        this.onViewChange = null; // Callback(view) for UI such as the zoom indicator
+        
+        // Pan/zoom gesture state
+        this.spacePressed = false;
+        this.panStart = null; // { x, y, offsetX, offsetY } while dragging the view
+        this.pinchStart = null; // { distance, midX, midY, view } during a two-finger gesture
+        this.touchPoints = new Map(); // pointerId -> { clientX, clientY } of fingers on the canvas
+        this.activePointerId = null; // The pointer drawing or panning
         
         // Initialize canvas and event listeners
         this.setupCanvas();
@@ -73,9 +202,12 @@ class CanvasManager {
             this.canvas.height = height;
             this.cursorLayer.width = width;
             this.cursorLayer.height = height;
+            this.replayLayer.width = width;
+            this.replayLayer.height = height;
             
-            // Redraw all strokes after resize
+            // Redraw all strokes after resize (resizing resets the context transform)
             this.redraw();
+            this.drawCursors();
         };
         
         resize();
@@ -83,85 +215,446 @@ class CanvasManager {
     }
 
     setupEventListeners() {
-        // Mouse events
-        this.canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
-        this.canvas.addEventListener('mousemove', (e) => this.draw(e));
-        this.canvas.addEventListener('mouseup', () => this.stopDrawing());
-        this.canvas.addEventListener('mouseleave', () => this.stopDrawing());
-        
-        // Touch events for mobile support
-        this.canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            const touch = e.touches[0];
-            const mouseEvent = new MouseEvent('mousedown', {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
-            this.canvas.dispatchEvent(mouseEvent);
+        // Pointer events cover mouse, pen and touch alike. The pointer that
+        // goes down first drives the interaction (space-drag or the middle
+        // button pans instead of drawing); a second finger turns it into a
+        // two-finger pan and pinch-zoom.
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'touch') {
+                this.touchPoints.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+                if (this.touchPoints.size === 2) {
+                    this.activePointerId = null;
+                    this.stopInteraction();
+                    this.startPinch(Array.from(this.touchPoints.values()));
+                    return;
+                }
+                if (this.pinchStart) return;
+            }
+            if (this.activePointerId !== null) return;
+            
+            if (this.spacePressed || e.button === 1) {
+                this.startPan(e);
+            } else {
+                this.startDrawing(e);
+            }
+            // Keep getting the pointer's events if it leaves the canvas mid-stroke
+            if (this.isDrawing || this.panStart) {
+                this.activePointerId = e.pointerId;
+                this.canvas.setPointerCapture(e.pointerId);
+            }
         });
-        
-        this.canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            const touch = e.touches[0];
-            const mouseEvent = new MouseEvent('mousemove', {
-                clientX: touch.clientX,
-                clientY: touch.clientY
-            });
-            this.canvas.dispatchEvent(mouseEvent);
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.touchPoints.has(e.pointerId)) {
+                this.touchPoints.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY });
+            }
+            if (this.pinchStart) {
+                if (this.touchPoints.size >= 2) {
+                    this.pinch(Array.from(this.touchPoints.values()));
+                }
+                return;
+            }
+            if (e.pointerId !== this.activePointerId) return;
+            
+            if (this.panStart) {
+                this.pan(e);
+            } else if (this.currentStroke && e.getCoalescedEvents) {
+                // Freehand strokes take every sample the browser merged into this event
+                const samples = e.getCoalescedEvents();
+                (samples.length > 0 ? samples : [e]).forEach(sample => this.draw(sample));
+            } else {
+                this.draw(e);
+            }
         });
+        const release = (e) => {
+            this.touchPoints.delete(e.pointerId);
+            if (this.pinchStart) {
+                // Carry on with the fingers left; wait until all are lifted before drawing again
+                if (this.touchPoints.size >= 2) {
+                    this.startPinch(Array.from(this.touchPoints.values()));
+                } else if (this.touchPoints.size === 0) {
+                    this.pinchStart = null;
+                }
+                return;
+            }
+            if (e.pointerId === this.activePointerId) {
+                this.activePointerId = null;
+                this.stopInteraction();
+            }
+        };
+        this.canvas.addEventListener('pointerup', release);
+        this.canvas.addEventListener('pointercancel', release);
         
-        this.canvas.addEventListener('touchend', (e) => {
+        // Mouse wheel zooms around the cursor
+        this.canvas.addEventListener('wheel', (e) => {
             e.preventDefault();
-            const mouseEvent = new MouseEvent('mouseup', {});
-            this.canvas.dispatchEvent(mouseEvent);
+            const rect = this.canvas.getBoundingClientRect();
+            const factor = Math.exp(-e.deltaY * 0.001);
+            this.zoomAt(e.clientX - rect.left, e.clientY - rect.top, this.view.scale * factor);
+        }, { passive: false });
+        
+        // Hold space to pan with the mouse
+        window.addEventListener('keydown', (e) => {
+            if (e.code === 'Space' && !this.isEditableTarget(e.target)) {
+                e.preventDefault();
+                this.spacePressed = true;
+                this.canvas.style.cursor = 'grab';
+            }
+        });
+        window.addEventListener('keyup', (e) => {
+            if (e.code === 'Space') {
+                this.spacePressed = false;
+                this.canvas.style.cursor = '';
+            }
         });
     }
 
+    isEditableTarget(target) {
+        return target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+    }
+
+    /**
+     * Convert a pointer event to world coordinates
+     */
     getCanvasCoordinates(e) {
         const rect = this.canvas.getBoundingClientRect();
+        return this.screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
+    }
+
+    /**
+     * A freehand stroke point for a pointer event: world coordinates, plus the
+     * pressure and tilt for a pen. Mouse and touch strokes keep one width.
+     */
+    getStrokePoint(e) {
+        const point = this.getCanvasCoordinates(e);
+        if (e.pointerType === 'pen') {
+            point.pressure = e.pressure;
+            point.tiltX = e.tiltX || 0;
+            point.tiltY = e.tiltY || 0;
+        }
+        return point;
+    }
+
+    screenToWorld(x, y) {
+        return {
+            x: (x - this.view.offsetX) / this.view.scale,
+            y: (y - this.view.offsetY) / this.view.scale
+        };
+    }
+
+    worldToScreen(x, y) {
+        return {
+            x: x * this.view.scale + this.view.offsetX,
+            y: y * this.view.scale + this.view.offsetY
+        };
+    }
+
+    // View transform (zoom/pan)
+    applyViewTransform() {
+        const { scale, offsetX, offsetY } = this.view;
+        this.ctx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+    }
+
+    setView(scale, offsetX, offsetY) {
+        this.view = {
+            scale: Math.min(CanvasManager.MAX_SCALE, Math.max(CanvasManager.MIN_SCALE, scale)),
+            offsetX,
+            offsetY
+        };
+        this.redraw();
+        this.drawCursors();
+        this.positionTextEditor();
+        if (this.onViewChange) {
+            this.onViewChange({ ...this.view });
+        }
+    }
+
+    /**
+     * Zoom so that the world point under (screenX, screenY) stays in place
+     */
+    zoomAt(screenX, screenY, newScale) {
+        const scale = Math.min(CanvasManager.MAX_SCALE, Math.max(CanvasManager.MIN_SCALE, newScale));
+        const world = this.screenToWorld(screenX, screenY);
+        this.setView(scale, screenX - world.x * scale, screenY - world.y * scale);
+    }
+
+    zoomBy(factor) {
+        this.zoomAt(this.canvas.width / 2, this.canvas.height / 2, this.view.scale * factor);
+    }
+
+    resetView() {
+        this.setView(1, 0, 0);
+    }
+
+    startPan(e) {
+        e.preventDefault();
+        this.panStart = {
+            x: e.clientX,
+            y: e.clientY,
+            offsetX: this.view.offsetX,
+            offsetY: this.view.offsetY
+        };
+        this.canvas.style.cursor = 'grabbing';
+    }
+
+    pan(e) {
+        this.setView(
+            this.view.scale,
+            this.panStart.offsetX + (e.clientX - this.panStart.x),
+            this.panStart.offsetY + (e.clientY - this.panStart.y)
+        );
+    }
+
+    stopInteraction() {
+        if (this.panStart) {
+            this.panStart = null;
+            this.canvas.style.cursor = this.spacePressed ? 'grab' : '';
+            return;
+        }
+        this.stopDrawing();
+    }
+
+    // touches: the two fingers' { clientX, clientY }
+    getTouchGesture(touches) {
+        const rect = this.canvas.getBoundingClientRect();
+        const [a, b] = [touches[0], touches[1]];
         return {
-            x: e.clientX - rect.left,
-            y: e.clientY - rect.top
+            distance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+            midX: (a.clientX + b.clientX) / 2 - rect.left,
+            midY: (a.clientY + b.clientY) / 2 - rect.top
         };
     }
 
+    startPinch(touches) {
+        this.pinchStart = { ...this.getTouchGesture(touches), view: { ...this.view } };
+    }
+
+    pinch(touches) {
+        const gesture = this.getTouchGesture(touches);
+        const start = this.pinchStart;
+        const scale = Math.min(CanvasManager.MAX_SCALE, Math.max(CanvasManager.MIN_SCALE,
+            start.view.scale * (gesture.distance / Math.max(start.distance, 1))));
+        
+        // Keep the world point under the starting midpoint under the current midpoint
+        const worldX = (start.midX - start.view.offsetX) / start.view.scale;
+        const worldY = (start.midY - start.view.offsetY) / start.view.scale;
+        this.setView(scale, gesture.midX - worldX * scale, gesture.midY - worldY * scale);
+    }
+
+    /**
+     * Allow or block local edits (set from the user's role in the room)
+     */
+    setReadOnly(readOnly) {
+        this.readOnly = readOnly;
+        if (readOnly) {
+            this.clearSelection();
+        }
+    }
+    
+    /**
+     * Use these layers (bottom first) and put new strokes on activeLayerId
+     */
+    setLayers(layers, activeLayerId) {
+        this.layers = layers;
+        this.activeLayerId = activeLayerId;
+        
+        // Tiles show the layers in order and leave hidden ones out; renaming, locking or picking a layer keeps them
+        const rendered = layers.map(layer => `${layer.id}:${layer.visible}`).join(',');
+        if (rendered !== this.renderedLayers) {
+            this.renderedLayers = rendered;
+            this.tiles.clear();
+        }
+        
+        // Strokes on layers that were just hidden or locked cannot stay selected
+        this.selection.forEach(strokeId => {
+            const stroke = this.strokes.get(strokeId);
+            if (!stroke || !this.isSelectable(stroke)) {
+                this.selection.delete(strokeId);
+            }
+        });
+        this.redraw();
+        this.drawCursors();
+    }
+    
+    /**
+     * The layer a stroke is on. Strokes on a layer we do not know (yet) count
+     * as on the bottom one, as on the server; null before any layers arrive.
+     */
+    getStrokeLayer(stroke, layers = this.layers) {
+        return layers.find(layer => layer.id === stroke.layerId) || layers[0] || null;
+    }
+    
+    isLayerShown(stroke) {
+        const layer = this.getStrokeLayer(stroke);
+        return !layer || layer.visible;
+    }
+    
+    // A stroke can be painted straight onto the board only if no shown layer is above its own
+    isOnTopLayer(stroke) {
+        const layer = this.getStrokeLayer(stroke);
+        if (!layer) return true;
+        return layer.visible && this.layers.slice(this.layers.indexOf(layer) + 1).every(above => !above.visible);
+    }
+    
+    /**
+     * Whether new strokes can go on the active layer; tells the user if not
+     */
+    checkActiveLayer() {
+        const layer = this.layers.find(l => l.id === this.activeLayerId);
+        if (layer && layer.locked) {
+            alert(`"${layer.name}" is locked. Unlock it or choose another layer to draw on.`);
+            return false;
+        }
+        if (layer && !layer.visible) {
+            alert(`"${layer.name}" is hidden. Show it or choose another layer to draw on.`);
+            return false;
+        }
+        return true;
+    }
+    
     startDrawing(e) {
-        this.isDrawing = true;
+        // Pins open their thread with the comment tool, and for viewers, who cannot draw anyway
+        if (!this.replayFrame && (this.tool === 'comment' || this.readOnly)) {
+            const commentId = this.hitTestCommentPin(e);
+            if (commentId) {
+                e.preventDefault();
+                if (this.onCommentSelect) {
+                    this.onCommentSelect(commentId);
+                }
+                return;
+            }
+        }
+        
+        // The board is read-only while a replay covers it, and for viewers
+        if (this.replayFrame || this.readOnly) return;
+        
         const coords = this.getCanvasCoordinates(e);
         
+        if (this.tool === 'comment') {
+            // Comments are placed with a click, on the stroke under it if there is one
+            // (strokes on locked layers can be commented on too)
+            e.preventDefault();
+            const stroke = this.hitTestStroke(coords, true);
+            const anchor = stroke
+                ? { x: coords.x, y: coords.y, strokeId: stroke.id }
+                : { x: coords.x, y: coords.y };
+            if (this.onCommentPlace) {
+                this.onCommentPlace(anchor);
+            }
+            return;
+        }
+        
+        // Everything but moving, selecting and erasing adds a stroke to the active layer
+        if (this.tool !== 'move' && this.tool !== 'select' && !CanvasManager.isEraserTool(this.tool) && !this.checkActiveLayer()) return;
+        
+        this.isDrawing = true;
+        
+        if (CanvasManager.isShapeTool(this.tool)) {
+            this.startShape(coords);
+            return;
+        }
+        
+        if (CanvasManager.isEraserTool(this.tool)) {
+            this.startErase(coords);
+            return;
+        }
+        
+        if (this.tool === 'move') {
+            this.isDrawing = this.startImageDrag(coords);
+            return;
+        }
+        
+        if (this.tool === 'select') {
+            this.isDrawing = this.startSelection(coords, e.shiftKey);
+            return;
+        }
+        
+        if (this.tool === 'text') {
+            // Text is placed with a click, not dragged
+            this.isDrawing = false;
+            e.preventDefault();
+            this.openTextEditor(coords);
+            return;
+        }
+        
+        if (this.tool === 'fill') {
+            this.isDrawing = false;
+            e.preventDefault();
+            this.fillAt(coords);
+            return;
+        }
+        
         // Create new stroke
         const strokeId = `local-${Date.now()}-${Math.random()}`;
+        const point = this.getStrokePoint(e);
         this.currentStroke = {
             id: strokeId,
-            points: [coords],
-            color: this.tool === 'eraser' ? '#FFFFFF' : this.color,
+            points: [point],
+            color: this.color,
             lineWidth: this.lineWidth,
-            tool: this.tool
+            tool: this.tool,
+            layerId: this.activeLayerId
         };
+        const brush = Brush.settingsFor(this.tool);
+        if (brush) {
+            this.currentStroke.brush = brush;
+        }
         
         this.strokes.set(strokeId, this.currentStroke);
         
         // Notify WebSocket manager
         if (window.wsManager) {
-            window.wsManager.startDrawing(coords, strokeId);
+            window.wsManager.startDrawing(point, strokeId, brush);
         }
         
-        this.drawPoint(coords, this.currentStroke);
+        this.openStrokes.add(strokeId);
+        if (Brush.isWholePath(this.tool)) {
+            this.drawCursors();
+        } else {
+            this.drawPoint(point, this.currentStroke);
+        }
     }
 
     draw(e) {
-        if (!this.isDrawing || !this.currentStroke) return;
+        if (!this.isDrawing) return;
         
-        const coords = this.getCanvasCoordinates(e);
-        this.currentStroke.points.push(coords);
+        if (this.currentShape) {
+            this.updateShape(this.getCanvasCoordinates(e));
+            return;
+        }
+        
+        if (this.imageDrag) {
+            this.updateImageDrag(this.getCanvasCoordinates(e));
+            return;
+        }
         
-        // Draw line segment
-        const lastPoint = this.currentStroke.points[this.currentStroke.points.length - 2];
-        this.drawLine(lastPoint, coords, this.currentStroke);
+        if (this.selectionDrag) {
+            this.updateSelectionDrag(this.getCanvasCoordinates(e));
+            return;
+        }
+        
+        if (this.erasing) {
+            this.updateErase(this.getCanvasCoordinates(e));
+            return;
+        }
+        
+        if (!this.currentStroke) return;
+        
+        const point = this.getStrokePoint(e);
+        this.currentStroke.points.push(point);
+        if (Brush.isWholePath(this.currentStroke.tool)) {
+            this.drawCursors();
+        } else {
+            this.drawStrokeSegment(this.currentStroke, this.currentStroke.points.length - 1);
+        }
         
         // Notify WebSocket manager
         if (window.wsManager) {
-            window.wsManager.drawMove(coords, this.currentStroke.id);
+            window.wsManager.drawMove(point, this.currentStroke.id);
+        }
+        
+        if (this.currentStroke.points.length >= CanvasManager.MAX_STROKE_POINTS) {
+            this.stopDrawing();
+            this.startDrawing(e);
         }
     }
 
@@ -170,169 +663,1661 @@ class CanvasManager {
         
         this.isDrawing = false;
         
+        if (this.currentShape) {
+            this.finishShape();
+            return;
+        }
+        
+        if (this.imageDrag) {
+            this.finishImageDrag();
+            return;
+        }
+        
+        if (this.selectionDrag) {
+            this.finishSelectionDrag();
+            return;
+        }
+        
+        if (this.erasing) {
+            this.finishErase();
+            return;
+        }
+        
         if (this.currentStroke && window.wsManager) {
-            window.wsManager.endDrawing(this.currentStroke.id);
+            window.wsManager.endDrawing(this.currentStroke);
         }
         
+        if (this.currentStroke) {
+            this.finishOpenStroke(this.currentStroke);
+        }
         this.currentStroke = null;
     }
 
-    drawPoint(point, stroke) {
-        this.ctx.beginPath();
-        this.ctx.arc(point.x, point.y, stroke.lineWidth / 2, 0, Math.PI * 2);
-        this.ctx.fillStyle = stroke.color;
-        this.ctx.fill();
-    }
-
-    drawLine(from, to, stroke) {
-        this.ctx.beginPath();
-        this.ctx.moveTo(from.x, from.y);
-        this.ctx.lineTo(to.x, to.y);
-        this.ctx.strokeStyle = stroke.color;
-        this.ctx.lineWidth = stroke.lineWidth;
-        this.ctx.lineCap = 'round';
-        this.ctx.lineJoin = 'round';
+    /**
+     * A freehand stroke has ended: it joins the tiles. It was drawn on top
+     * while in progress; on a lower layer it goes beneath the layers above
+     * now. Marker and highlighter strokes move from the cursor layer onto the board.
+     */
+    finishOpenStroke(stroke) {
+        this.openStrokes.delete(stroke.id);
+        if (Brush.isWholePath(stroke.tool)) {
+            if (this.isLayerShown(stroke)) {
+                this.paintAddedStroke(stroke);
+            } else {
+                this.invalidateStrokes([stroke.id]);
+            }
+            this.drawCursors();
+            return;
+        }
         
-        if (stroke.tool === 'eraser') {
-            this.ctx.globalCompositeOperation = 'destination-out';
+        this.invalidateStrokes([stroke.id]);
+        if (!this.isLayerShown(stroke)) return;
+        if (this.isOnTopLayer(stroke)) {
+            this.drawStrokeEnd(stroke);
         } else {
-            this.ctx.globalCompositeOperation = 'source-over';
+            this.redraw();
         }
-        
-        this.ctx.stroke();
-        this.ctx.globalCompositeOperation = 'source-over';
     }
 
-    // Remote drawing methods
-    remoteDrawStart(data) {
+    /**
+     * Fill tool: fill the closed area around a click with the current color.
+     * The ink of every shown layer bounds it.
+     */
+    fillAt(coords) {
+        const result = FloodFill.compute(coords, this.getDrawingOrder(this.strokes));
+        if (result.error) {
+            alert(result.error);
+            return;
+        }
+        
         const stroke = {
-            id: data.strokeId,
-            points: [{ x: data.x, y: data.y }],
-            color: data.tool === 'eraser' ? '#FFFFFF' : data.color,
-            lineWidth: data.lineWidth,
-            tool: data.tool,
-            userId: data.userId
+            id: `local-${Date.now()}-${Math.random()}`,
+            points: [],
+            color: this.color,
+            lineWidth: 1,
+            tool: 'fill',
+            layerId: this.activeLayerId,
+            fill: result.fill
         };
+        this.strokes.set(stroke.id, stroke);
+        this.paintAddedStroke(stroke);
         
-        this.strokes.set(data.strokeId, stroke);
-        this.drawPoint({ x: data.x, y: data.y }, stroke);
+        if (window.wsManager) {
+            window.wsManager.commitFill(stroke);
+        }
     }
 
-    remoteDrawMove(data) {
-        const stroke = this.strokes.get(data.strokeId);
-        if (!stroke) return;
-        
-        const newPoint = { x: data.x, y: data.y };
-        stroke.points.push(newPoint);
-        
-        if (stroke.points.length >= 2) {
-            const lastPoint = stroke.points[stroke.points.length - 2];
-            this.drawLine(lastPoint, newPoint, stroke);
-        }
+    // Shape tools: rubber-band preview on the overlay, committed as one stroke on release
+    startShape(coords) {
+        this.currentShape = {
+            id: `local-${Date.now()}-${Math.random()}`,
+            points: [],
+            color: this.color,
+            lineWidth: this.lineWidth,
+            tool: this.tool,
+            layerId: this.activeLayerId,
+            shape: { x1: coords.x, y1: coords.y, x2: coords.x, y2: coords.y }
+        };
+        this.drawCursors();
     }
 
-    remoteDrawEnd(data) {
-        // Stroke is already complete, no action needed
+    updateShape(coords) {
+        this.currentShape.shape.x2 = coords.x;
+        this.currentShape.shape.y2 = coords.y;
+        this.drawCursors();
+        
+        if (window.wsManager) {
+            window.wsManager.shapePreview(this.currentShape);
+        }
     }
 
-    // Update remote cursor position
-    updateRemoteCursor(userId, x, y, color) {
-        this.remoteCursors.set(userId, { x, y, color });
+    finishShape() {
+        const stroke = this.currentShape;
+        this.currentShape = null;
+        
+        // Ignore clicks without a drag
+        const { x1, y1, x2, y2 } = stroke.shape;
+        if (Math.hypot(x2 - x1, y2 - y1) * this.view.scale < 2) {
+            this.drawCursors();
+            return;
+        }
+        
+        this.strokes.set(stroke.id, stroke);
+        this.paintAddedStroke(stroke);
         this.drawCursors();
+        
+        if (window.wsManager) {
+            window.wsManager.commitShape(stroke);
+        }
     }
 
-    drawCursors() {
-        // Clear cursor layer
-        this.cursorCtx.clearRect(0, 0, this.cursorLayer.width, this.cursorLayer.height);
+    /**
+     * Render a shape stroke on the given context (main canvas or overlay)
+     */
+    drawShape(ctx, stroke) {
+        const { x1, y1, x2, y2 } = stroke.shape;
         
-        // Draw all remote cursors
-        this.remoteCursors.forEach((cursor, userId) => {
-            this.cursorCtx.beginPath();
-            this.cursorCtx.arc(cursor.x, cursor.y, 10, 0, Math.PI * 2);
-            this.cursorCtx.strokeStyle = cursor.color;
-            this.cursorCtx.lineWidth = 2;
-            this.cursorCtx.stroke();
-            
-            this.cursorCtx.beginPath();
-            this.cursorCtx.arc(cursor.x, cursor.y, 3, 0, Math.PI * 2);
-            this.cursorCtx.fillStyle = cursor.color;
-            this.cursorCtx.fill();
-        });
+        ctx.beginPath();
+        switch (stroke.tool) {
+            case 'rectangle':
+                ctx.rect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+                break;
+            case 'ellipse':
+                ctx.ellipse((x1 + x2) / 2, (y1 + y2) / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2, 0, 0, Math.PI * 2);
+                break;
+            case 'arrow': {
+                const angle = Math.atan2(y2 - y1, x2 - x1);
+                const headLength = Math.max(10, stroke.lineWidth * 3);
+                ctx.moveTo(x1, y1);
+                ctx.lineTo(x2, y2);
+                ctx.moveTo(x2 - headLength * Math.cos(angle - Math.PI / 6), y2 - headLength * Math.sin(angle - Math.PI / 6));
+                ctx.lineTo(x2, y2);
+                ctx.lineTo(x2 - headLength * Math.cos(angle + Math.PI / 6), y2 - headLength * Math.sin(angle + Math.PI / 6));
+                break;
+            }
+            default: // line
+                ctx.moveTo(x1, y1);
+                ctx.lineTo(x2, y2);
+        }
+        
+        ctx.strokeStyle = stroke.color;
+        ctx.lineWidth = stroke.lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.stroke();
     }
 
-    // Undo/Redo operations
-    undoStroke(strokeId) {
-        const stroke = this.strokes.get(strokeId);
-        if (stroke) {
-            this.strokes.delete(strokeId);
-            this.redraw();
+    // Images: drawn beneath strokes, moved/resized with the move tool
+    getImageElement(imageId) {
+        let img = this.images.get(imageId);
+        if (!img) {
+            img = new Image();
+            img.onload = () => {
+                // Tiles drawn before it loaded have a gap where it goes
+                this.invalidateStrokes(Array.from(this.strokes.values())
+                    .filter(stroke => stroke.image && stroke.image.imageId === imageId)
+                    .map(stroke => stroke.id));
+                this.redraw();
+            };
+            img.src = `/api/images/${encodeURIComponent(imageId)}`;
+            this.images.set(imageId, img);
         }
+        return img;
+    }
+
+    drawImageStroke(stroke, ctx = this.ctx) {
+        const img = this.getImageElement(stroke.image.imageId);
+        if (!img.complete || img.naturalWidth === 0) return; // Redrawn once loaded
+        
+        const { x, y, width, height } = stroke.image;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.drawImage(img, x, y, width, height);
     }
 
-    redoStroke(strokeData) {
-        // Convert server stroke format to client format
+    /**
+     * Place a freshly uploaded image centred on a world position
+     */
+    addImage(imageId, naturalSize, center) {
+        // Fit within 60% of the visible area, never upscale
+        const maxWidth = (this.canvas.width * 0.6) / this.view.scale;
+        const maxHeight = (this.canvas.height * 0.6) / this.view.scale;
+        const fit = Math.min(1, maxWidth / naturalSize.width, maxHeight / naturalSize.height);
+        const width = naturalSize.width * fit;
+        const height = naturalSize.height * fit;
+        
         const stroke = {
-            id: strokeData.id,
-            points: strokeData.points || [],
-            color: strokeData.color,
-            lineWidth: strokeData.lineWidth,
-            tool: strokeData.tool,
-            userId: strokeData.userId
+            id: `local-${Date.now()}-${Math.random()}`,
+            points: [],
+            color: '#000000',
+            lineWidth: 1,
+            tool: 'image',
+            layerId: this.activeLayerId,
+            image: { imageId, x: center.x - width / 2, y: center.y - height / 2, width, height }
         };
+        
         this.strokes.set(stroke.id, stroke);
-        this.redrawStroke(stroke);
+        this.paintAddedStroke(stroke);
+        
+        if (window.wsManager) {
+            window.wsManager.addImage(stroke);
+        }
     }
 
-    // Redraw entire canvas
-    redraw() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        // Redraw all strokes in order
-        this.strokes.forEach(stroke => {
-            this.redrawStroke(stroke);
-        });
+    getViewCenter() {
+        return this.screenToWorld(this.canvas.width / 2, this.canvas.height / 2);
     }
 
-    redrawStroke(stroke) {
-        if (stroke.points.length === 0) return;
-        
-        // Draw first point
-        this.drawPoint(stroke.points[0], stroke);
+    /**
+     * Topmost movable image under a world position, with whether the resize handle was hit
+     */
+    hitTestImage(coords) {
+        const handleSize = 12 / this.view.scale;
+        const images = this.getDrawingOrder(this.strokes).filter(stroke => stroke.image && this.isSelectable(stroke)).reverse();
         
-        // Draw lines between points
-        for (let i = 1; i < stroke.points.length; i++) {
-            this.drawLine(stroke.points[i - 1], stroke.points[i], stroke);
+        for (const stroke of images) {
+            const { x, y, width, height } = stroke.image;
+            const onHandle = Math.abs(coords.x - (x + width)) <= handleSize && Math.abs(coords.y - (y + height)) <= handleSize;
+            const inside = coords.x >= x && coords.x <= x + width && coords.y >= y && coords.y <= y + height;
+            if (onHandle || inside) {
+                return { stroke, mode: onHandle ? 'resize' : 'move' };
+            }
         }
+        return null;
     }
 
-    // Load canvas state from server
-    loadState(history, currentState) {
-        this.strokes.clear();
+    startImageDrag(coords) {
+        const hit = this.hitTestImage(coords);
+        if (!hit) return false;
         
-        // Add all strokes from history
-        history.forEach(strokeData => {
-            const stroke = {
-                id: strokeData.id,
-                points: strokeData.points,
-                color: strokeData.color,
-                lineWidth: strokeData.lineWidth,
-                tool: strokeData.tool,
-                userId: strokeData.userId
+        this.imageDrag = { ...hit, start: coords, original: { ...hit.stroke.image } };
+        this.drawCursors();
+        return true;
+    }
+
+    updateImageDrag(coords) {
+        const { stroke, mode, start, original } = this.imageDrag;
+        const dx = coords.x - start.x;
+        const dy = coords.y - start.y;
+        
+        if (mode === 'move') {
+            stroke.image.x = original.x + dx;
+            stroke.image.y = original.y + dy;
+        } else {
+            // Resize from the bottom-right corner, keeping the aspect ratio
+            const scale = Math.max(0.05, Math.max((original.width + dx) / original.width, (original.height + dy) / original.height));
+            stroke.image.width = original.width * scale;
+            stroke.image.height = original.height * scale;
+        }
+        
+        this.invalidateStrokes([stroke.id]);
+        this.redraw();
+        this.drawCursors();
+    }
+
+    finishImageDrag() {
+        const { stroke, original } = this.imageDrag;
+        this.imageDrag = null;
+        this.drawCursors();
+        
+        const { x, y, width, height } = stroke.image;
+        if (x === original.x && y === original.y && width === original.width && height === original.height) return;
+        
+        if (window.wsManager) {
+            window.wsManager.updateImage(stroke);
+        }
+    }
+
+    remoteImageUpdate(data) {
+        const stroke = this.strokes.get(data.strokeId);
+        if (!stroke || !stroke.image) return;
+        
+        // Position and size; the image itself never changes
+        stroke.image = { ...stroke.image, ...data.image };
+        this.invalidateStrokes([stroke.id]);
+        this.redraw();
+    }
+
+    drawImageSelection(ctx) {
+        const { x, y, width, height } = this.imageDrag.stroke.image;
+        this.drawSelectionBox(ctx, { minX: x, minY: y, maxX: x + width, maxY: y + height });
+    }
+
+    /**
+     * Dashed outline with a resize handle at the bottom-right corner
+     */
+    drawSelectionBox(ctx, bounds) {
+        const { minX, minY, maxX, maxY } = bounds;
+        const handleSize = 8 / this.view.scale;
+        
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 1 / this.view.scale;
+        ctx.setLineDash([4 / this.view.scale, 4 / this.view.scale]);
+        ctx.strokeRect(minX, minY, maxX - minX, maxY - minY);
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#667eea';
+        ctx.fillRect(maxX - handleSize / 2, maxY - handleSize / 2, handleSize, handleSize);
+    }
+
+    // Select tool: click or lasso strokes, drag to move, drag the corner handle to scale
+    startSelection(coords, additive) {
+        const bounds = this.getSelectionBounds();
+        const handleSize = 12 / this.view.scale;
+        if (bounds && Math.abs(coords.x - bounds.maxX) <= handleSize && Math.abs(coords.y - bounds.maxY) <= handleSize) {
+            this.beginSelectionTransform('scale', coords);
+            return true;
+        }
+        
+        const hit = this.hitTestStroke(coords);
+        if (hit && additive && this.selection.has(hit.id)) {
+            // Shift-click toggles a stroke out of the selection
+            this.selection.delete(hit.id);
+            this.drawCursors();
+            return false;
+        }
+        if (hit) {
+            if (!additive && !this.selection.has(hit.id)) {
+                this.selection.clear();
+            }
+            this.selection.add(hit.id);
+            this.beginSelectionTransform('move', coords);
+            return true;
+        }
+        
+        if (bounds && !additive && coords.x >= bounds.minX && coords.x <= bounds.maxX &&
+            coords.y >= bounds.minY && coords.y <= bounds.maxY) {
+            this.beginSelectionTransform('move', coords);
+            return true;
+        }
+        
+        if (!additive) {
+            this.selection.clear();
+        }
+        this.selectionDrag = { mode: 'lasso', points: [coords] };
+        this.drawCursors();
+        return true;
+    }
+
+    beginSelectionTransform(mode, coords) {
+        const originals = new Map();
+        this.selection.forEach(strokeId => {
+            const stroke = this.strokes.get(strokeId);
+            if (stroke) {
+                originals.set(strokeId, this.captureGeometry(stroke));
+            }
+        });
+        
+        this.selectionDrag = { mode, start: coords, bounds: this.getSelectionBounds(), originals, transform: null };
+        this.drawCursors();
+    }
+
+    updateSelectionDrag(coords) {
+        const drag = this.selectionDrag;
+        if (drag.mode === 'lasso') {
+            drag.points.push(coords);
+            this.drawCursors();
+            return;
+        }
+        
+        const dx = coords.x - drag.start.x;
+        const dy = coords.y - drag.start.y;
+        
+        if (drag.mode === 'move') {
+            drag.transform = { dx, dy, scale: 1, originX: 0, originY: 0 };
+        } else {
+            // Scale about the top-left corner, following the larger drag direction
+            const { minX, minY, maxX, maxY } = drag.bounds;
+            const width = Math.max(maxX - minX, 1);
+            const height = Math.max(maxY - minY, 1);
+            const scale = Math.min(CanvasManager.MAX_TRANSFORM_SCALE, Math.max(CanvasManager.MIN_TRANSFORM_SCALE,
+                Math.max((width + dx) / width, (height + dy) / height)));
+            drag.transform = { dx: 0, dy: 0, scale, originX: minX, originY: minY };
+        }
+        
+        drag.originals.forEach((original, strokeId) => {
+            const stroke = this.strokes.get(strokeId);
+            if (stroke) {
+                this.transformStroke(stroke, original, drag.transform);
+            }
+        });
+        this.invalidateStrokes(Array.from(drag.originals.keys()));
+        this.redraw();
+        this.drawCursors();
+    }
+
+    finishSelectionDrag() {
+        const drag = this.selectionDrag;
+        this.selectionDrag = null;
+        
+        if (drag.mode === 'lasso') {
+            this.selectInLasso(drag.points);
+            this.drawCursors();
+            return;
+        }
+        
+        this.drawCursors();
+        if (!drag.transform) return;
+        
+        const { dx, dy, scale } = drag.transform;
+        if (dx === 0 && dy === 0 && scale === 1) return;
+        
+        if (window.wsManager) {
+            window.wsManager.transformStrokes(Array.from(drag.originals.keys()), drag.transform);
+        }
+    }
+
+    /**
+     * Select every stroke that lies entirely inside the lasso polygon
+     */
+    selectInLasso(polygon) {
+        if (polygon.length < 3) return;
+        
+        this.strokes.forEach(stroke => {
+            if (!this.isSelectable(stroke)) return;
+            const samples = this.getStrokeSamplePoints(stroke);
+            if (samples.length > 0 && samples.every(point => this.isPointInPolygon(point, polygon))) {
+                this.selection.add(stroke.id);
+            }
+        });
+    }
+
+    isPointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // Paint-over eraser strokes of older boards only make sense where they were drawn, so they cannot be selected;
+    // neither can strokes on hidden layers, nor on locked ones unless allowLocked
+    isSelectable(stroke, allowLocked = false) {
+        if (stroke.tool === 'eraser' || stroke === this.currentStroke) return false;
+        const layer = this.getStrokeLayer(stroke);
+        return !layer || (layer.visible && (allowLocked || !layer.locked));
+    }
+
+    /**
+     * Topmost selectable stroke under a world position
+     */
+    hitTestStroke(coords, allowLocked = false) {
+        const tolerance = 6 / this.view.scale;
+        const strokes = this.getDrawingOrder(this.strokes).reverse();
+        
+        for (const stroke of strokes) {
+            if (!this.isSelectable(stroke, allowLocked)) continue;
+            
+            if (stroke.fill) {
+                if (FloodFill.contains(stroke.fill, coords)) {
+                    return stroke;
+                }
+                continue;
+            }
+            
+            if (stroke.image || stroke.text || stroke.tool === 'rectangle' || stroke.tool === 'ellipse') {
+                const bounds = this.getStrokeBounds(stroke);
+                if (bounds && coords.x >= bounds.minX - tolerance && coords.x <= bounds.maxX + tolerance &&
+                    coords.y >= bounds.minY - tolerance && coords.y <= bounds.maxY + tolerance) {
+                    return stroke;
+                }
+                continue;
+            }
+            
+            const points = stroke.shape
+                ? [{ x: stroke.shape.x1, y: stroke.shape.y1 }, { x: stroke.shape.x2, y: stroke.shape.y2 }]
+                : stroke.points;
+            const reach = (stroke.shape ? stroke.lineWidth / 2 : Brush.inkReach(stroke)) + tolerance;
+            for (let i = 0; i < points.length; i++) {
+                const from = points[Math.max(0, i - 1)];
+                if (this.distanceToSegment(coords, from, points[i]) <= reach) {
+                    return stroke;
+                }
+            }
+        }
+        return null;
+    }
+
+    distanceToSegment(point, a, b) {
+        const lengthSquared = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+        const t = lengthSquared === 0 ? 0
+            : Math.max(0, Math.min(1, ((point.x - a.x) * (b.x - a.x) + (point.y - a.y) * (b.y - a.y)) / lengthSquared));
+        return Math.hypot(point.x - (a.x + t * (b.x - a.x)), point.y - (a.y + t * (b.y - a.y)));
+    }
+
+    /**
+     * World-space bounding box of a stroke, or null if it has no extent
+     */
+    getStrokeBounds(stroke) {
+        if (stroke.image) {
+            const { x, y, width, height } = stroke.image;
+            return { minX: x, minY: y, maxX: x + width, maxY: y + height };
+        }
+        
+        if (stroke.text) {
+            const { x, y, content, fontFamily, fontSize } = stroke.text;
+            const lines = content.split('\n');
+            this.ctx.font = `${fontSize}px ${fontFamily}`;
+            const width = Math.max(...lines.map(line => this.ctx.measureText(line).width));
+            return { minX: x, minY: y, maxX: x + width, maxY: y + lines.length * fontSize * CanvasManager.TEXT_LINE_HEIGHT };
+        }
+        
+        if (stroke.fill) {
+            return FloodFill.getBounds(stroke.fill);
+        }
+        
+        const points = stroke.shape
+            ? [{ x: stroke.shape.x1, y: stroke.shape.y1 }, { x: stroke.shape.x2, y: stroke.shape.y2 }]
+            : stroke.points;
+        if (points.length === 0) return null;
+        
+        const padding = stroke.shape ? stroke.lineWidth / 2 : Brush.inkReach(stroke);
+        return {
+            minX: Math.min(...points.map(p => p.x)) - padding,
+            minY: Math.min(...points.map(p => p.y)) - padding,
+            maxX: Math.max(...points.map(p => p.x)) + padding,
+            maxY: Math.max(...points.map(p => p.y)) + padding
+        };
+    }
+
+    getStrokeSamplePoints(stroke) {
+        if (!stroke.image && !stroke.text && !stroke.shape && !stroke.fill) {
+            return stroke.points;
+        }
+        const bounds = this.getStrokeBounds(stroke);
+        return [
+            { x: bounds.minX, y: bounds.minY },
+            { x: bounds.maxX, y: bounds.minY },
+            { x: bounds.minX, y: bounds.maxY },
+            { x: bounds.maxX, y: bounds.maxY }
+        ];
+    }
+
+    getSelectionBounds() {
+        let bounds = null;
+        this.selection.forEach(strokeId => {
+            const stroke = this.strokes.get(strokeId);
+            const strokeBounds = stroke && this.getStrokeBounds(stroke);
+            if (!strokeBounds) return;
+            bounds = bounds ? {
+                minX: Math.min(bounds.minX, strokeBounds.minX),
+                minY: Math.min(bounds.minY, strokeBounds.minY),
+                maxX: Math.max(bounds.maxX, strokeBounds.maxX),
+                maxY: Math.max(bounds.maxY, strokeBounds.maxY)
+            } : strokeBounds;
+        });
+        return bounds;
+    }
+
+    drawSelection(ctx) {
+        if (this.selectionDrag && this.selectionDrag.mode === 'lasso') {
+            const points = this.selectionDrag.points;
+            ctx.beginPath();
+            ctx.moveTo(points[0].x, points[0].y);
+            points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.strokeStyle = '#667eea';
+            ctx.lineWidth = 1 / this.view.scale;
+            ctx.setLineDash([4 / this.view.scale, 4 / this.view.scale]);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        
+        const bounds = this.getSelectionBounds();
+        if (bounds) {
+            this.drawSelectionBox(ctx, bounds);
+        }
+    }
+
+    /**
+     * Copy of the parts of a stroke that a transform changes
+     */
+    captureGeometry(stroke) {
+        const geometry = { points: stroke.points.map(point => ({ ...point })), lineWidth: stroke.lineWidth };
+        if (stroke.shape) geometry.shape = { ...stroke.shape };
+        if (stroke.text) geometry.text = { ...stroke.text };
+        if (stroke.image) geometry.image = { ...stroke.image };
+        if (stroke.fill) geometry.fill = { ...stroke.fill }; // Rows are never changed in place
+        return geometry;
+    }
+
+    /**
+     * Apply a transform to a stroke's original geometry
+     * (same math as applyTransform in server/drawing-state.ts)
+     */
+    transformStroke(stroke, original, transform) {
+        const { dx, dy, scale, originX, originY } = transform;
+        const mapX = (x) => originX + (x - originX) * scale + dx;
+        const mapY = (y) => originY + (y - originY) * scale + dy;
+        
+        stroke.points = original.points.map(point => ({ ...point, x: mapX(point.x), y: mapY(point.y) }));
+        if (original.shape) {
+            const { x1, y1, x2, y2 } = original.shape;
+            stroke.shape = { x1: mapX(x1), y1: mapY(y1), x2: mapX(x2), y2: mapY(y2) };
+        }
+        if (original.text) {
+            stroke.text = { ...original.text, x: mapX(original.text.x), y: mapY(original.text.y), fontSize: original.text.fontSize * scale };
+        }
+        if (original.image) {
+            stroke.image = {
+                ...original.image,
+                x: mapX(original.image.x),
+                y: mapY(original.image.y),
+                width: original.image.width * scale,
+                height: original.image.height * scale
             };
+        }
+        if (original.fill) {
+            stroke.fill = { ...original.fill, x: mapX(original.fill.x), y: mapY(original.fill.y), cellSize: original.fill.cellSize * scale };
+        }
+        stroke.lineWidth = original.text || original.image || original.fill ? original.lineWidth : original.lineWidth * scale;
+    }
+
+    /**
+     * Apply a transform to strokes as they are now (our own pending change, shown again after a resync)
+     */
+    applyTransform(strokeIds, transform) {
+        strokeIds.forEach(strokeId => {
+            const stroke = this.strokes.get(strokeId);
+            if (stroke) {
+                this.transformStroke(stroke, this.captureGeometry(stroke), transform);
+            }
+        });
+        this.invalidateStrokes(strokeIds);
+        this.redraw();
+        this.drawCursors();
+    }
+
+    /**
+     * Delete the selected strokes (undoable). Returns false if nothing was selected.
+     */
+    deleteSelection() {
+        const strokeIds = Array.from(this.selection).filter(strokeId => this.strokes.has(strokeId));
+        this.selection.clear();
+        this.drawCursors();
+        if (strokeIds.length === 0) return false;
+        
+        strokeIds.forEach(strokeId => this.strokes.delete(strokeId));
+        this.invalidateStrokes(strokeIds);
+        this.redraw();
+        
+        if (window.wsManager) {
+            window.wsManager.deleteStrokes(strokeIds);
+        }
+        return true;
+    }
+
+    clearSelection() {
+        this.selection.clear();
+        this.selectionDrag = null;
+        this.drawCursors();
+    }
+
+    /**
+     * Put the selected strokes on a layer (undoable). Returns false if nothing was selected.
+     */
+    moveSelectionToLayer(layerId) {
+        const strokeIds = Array.from(this.selection).filter(strokeId => this.strokes.has(strokeId));
+        if (strokeIds.length === 0) return false;
+        
+        this.setStrokeLayer(strokeIds, layerId);
+        if (window.wsManager) {
+            window.wsManager.setStrokeLayer(strokeIds, layerId);
+        }
+        return true;
+    }
+
+    // Strokes put on another layer, by us or by other users
+    setStrokeLayer(strokeIds, layerId) {
+        strokeIds.forEach(strokeId => {
+            const stroke = this.strokes.get(strokeId);
+            if (!stroke) return;
+            stroke.layerId = layerId;
+            // As on the server, they go on top of their new layer
+            this.strokes.delete(strokeId);
+            this.strokes.set(strokeId, stroke);
+            if (!this.isSelectable(stroke)) {
+                this.selection.delete(strokeId);
+            }
+        });
+        this.invalidateStrokes(strokeIds);
+        this.redraw();
+        this.drawCursors();
+    }
+
+    // Strokes moved, scaled or deleted by other users
+    remoteTransform(strokes) {
+        strokes.forEach(strokeData => {
+            if (this.strokes.has(strokeData.id)) {
+                this.strokes.set(strokeData.id, this.toClientStroke(strokeData));
+            }
+        });
+        this.invalidateStrokes(strokes.map(strokeData => strokeData.id));
+        this.redraw();
+        this.drawCursors();
+    }
+
+    remoteDelete(strokeIds) {
+        strokeIds.forEach(strokeId => {
+            this.strokes.delete(strokeId);
+            this.selection.delete(strokeId);
+        });
+        this.invalidateStrokes(strokeIds);
+        this.redraw();
+        this.drawCursors();
+    }
+
+    // Erasers: the path is shown on the overlay while dragging, and erased on release
+    startErase(coords) {
+        this.erasing = {
+            id: `erase-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+            mode: CanvasManager.ERASER_MODES[this.tool],
+            lineWidth: this.lineWidth,
+            points: [coords]
+        };
+        this.drawCursors();
+    }
+
+    updateErase(coords) {
+        this.erasing.points.push(coords);
+        this.drawCursors();
+        
+        // Long paths are erased in parts, like long strokes
+        if (this.erasing.points.length >= CanvasManager.MAX_STROKE_POINTS) {
+            this.finishErase();
+            this.startErase(coords);
+        }
+    }
+
+    finishErase() {
+        const { id, mode, lineWidth, points } = this.erasing;
+        this.erasing = null;
+        this.drawCursors();
+        
+        if (this.eraseStrokes(id, mode, lineWidth, points) && window.wsManager) {
+            window.wsManager.erase(id, mode, lineWidth, points);
+        }
+    }
+
+    drawErasePath(ctx) {
+        const { lineWidth, points } = this.erasing;
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        points.forEach(point => ctx.lineTo(point.x, point.y));
+        ctx.strokeStyle = 'rgba(102, 126, 234, 0.3)';
+        ctx.lineWidth = lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.stroke();
+    }
+
+    /**
+     * Erase along a path on this screen: our own erase, or one of ours shown
+     * again after a resync. Returns false if the eraser reached nothing.
+     */
+    eraseStrokes(eraseId, mode, lineWidth, points) {
+        if (points.length === 0) return false;
+        const changes = this.getEraseChanges(eraseId, mode, { points, lineWidth });
+        if (changes.removed.length === 0) return false;
+        
+        this.applyStrokeChanges(changes);
+        return true;
+    }
+
+    /**
+     * What an erase changes, worked out as DrawingState.erase does: the
+     * strokes it removes and the pieces (IDs `${eraseId}-<n>`, numbered in
+     * stroke ID order) that take their place
+     */
+    getEraseChanges(eraseId, mode, path) {
+        const erased = [];
+        this.strokes.forEach(stroke => {
+            if (!this.isSelectable(stroke)) return;
+            
+            if (mode === 'object') {
+                if (Eraser.touches(stroke, path)) {
+                    erased.push({ stroke, parts: [] });
+                }
+                return;
+            }
+            
+            // Shapes, text, images and fills cannot be cut
+            if (stroke.shape || stroke.text || stroke.image || stroke.fill) return;
+            const parts = Eraser.splitStroke(stroke.points, stroke.lineWidth, path);
+            if (parts) {
+                erased.push({ stroke, parts });
+            }
+        });
+        
+        const pieces = new Map();
+        let pieceCount = 0;
+        erased
+            .slice()
+            .sort((a, b) => (a.stroke.id < b.stroke.id ? -1 : 1))
+            .forEach(({ stroke, parts }) => {
+                pieces.set(stroke.id, parts.map(points => ({ ...stroke, id: `${eraseId}-${pieceCount++}`, points })));
+            });
+        
+        // Pieces go where their stroke was, each before the stroke that will follow it
+        const order = [];
+        this.strokes.forEach(stroke => {
+            order.push(...(pieces.has(stroke.id) ? pieces.get(stroke.id).map(piece => ({ piece })) : [{ stroke }]));
+        });
+        const restored = [];
+        for (let i = order.length - 1; i >= 0; i--) {
+            if (order[i].piece) {
+                const next = order[i + 1];
+                restored.push({ stroke: order[i].piece, beforeId: next ? (next.piece || next.stroke).id : null });
+            }
+        }
+        
+        return { removed: erased.map(({ stroke }) => stroke.id), updated: [], restored };
+    }
+
+    // Text tool: an on-canvas textarea, previewed to peers while typing
+    openTextEditor(coords) {
+        this.commitTextEditor();
+        
+        const stroke = {
+            id: `local-${Date.now()}-${Math.random()}`,
+            points: [],
+            color: this.color,
+            lineWidth: 1,
+            tool: 'text',
+            layerId: this.activeLayerId,
+            text: {
+                x: coords.x,
+                y: coords.y,
+                content: '',
+                fontFamily: this.fontFamily,
+                fontSize: this.fontSize
+            }
+        };
+        
+        const element = document.createElement('textarea');
+        element.className = 'text-editor';
+        element.rows = 1;
+        this.textEditor = { stroke, element };
+        this.positionTextEditor();
+        
+        element.addEventListener('input', () => {
+            stroke.text.content = element.value;
+            this.resizeTextEditor();
+            if (window.wsManager) {
+                window.wsManager.textPreview(stroke);
+            }
+        });
+        element.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.commitTextEditor();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancelTextEditor();
+            }
+        });
+        element.addEventListener('blur', () => this.commitTextEditor());
+        
+        this.canvas.parentElement.appendChild(element);
+        // Focus after the current pointerdown so it does not immediately blur
+        setTimeout(() => element.focus(), 0);
+    }
+
+    positionTextEditor() {
+        if (!this.textEditor) return;
+        const { stroke, element } = this.textEditor;
+        const screen = this.worldToScreen(stroke.text.x, stroke.text.y);
+        
+        element.style.left = `${screen.x}px`;
+        element.style.top = `${screen.y}px`;
+        element.style.fontFamily = stroke.text.fontFamily;
+        element.style.fontSize = `${stroke.text.fontSize * this.view.scale}px`;
+        element.style.lineHeight = CanvasManager.TEXT_LINE_HEIGHT;
+        element.style.color = stroke.color;
+        this.resizeTextEditor();
+    }
+
+    resizeTextEditor() {
+        const { element } = this.textEditor;
+        element.style.height = 'auto';
+        element.style.height = `${element.scrollHeight}px`;
+    }
+
+    commitTextEditor() {
+        if (!this.textEditor) return;
+        const { stroke } = this.textEditor;
+        this.closeTextEditor();
+        
+        if (stroke.text.content.trim() === '') {
+            this.cancelTextPreview(stroke);
+            return;
+        }
+        
+        this.strokes.set(stroke.id, stroke);
+        this.paintAddedStroke(stroke);
+        
+        if (window.wsManager) {
+            window.wsManager.commitText(stroke);
+        }
+    }
+
+    cancelTextEditor() {
+        if (!this.textEditor) return;
+        const { stroke } = this.textEditor;
+        this.closeTextEditor();
+        this.cancelTextPreview(stroke);
+    }
+
+    closeTextEditor() {
+        const { element } = this.textEditor;
+        this.textEditor = null;
+        element.remove();
+    }
+
+    cancelTextPreview(stroke) {
+        // Empty content tells peers to drop the preview
+        if (window.wsManager && stroke.text.content !== '') {
+            window.wsManager.textPreview({ ...stroke, text: { ...stroke.text, content: '' } });
+        }
+    }
+
+    /**
+     * Render a text stroke on the given context (main canvas or overlay)
+     */
+    drawText(ctx, stroke) {
+        const { x, y, content, fontFamily, fontSize } = stroke.text;
+        
+        ctx.font = `${fontSize}px ${fontFamily}`;
+        ctx.fillStyle = stroke.color;
+        ctx.textBaseline = 'top';
+        ctx.globalCompositeOperation = 'source-over';
+        content.split('\n').forEach((line, i) => {
+            ctx.fillText(line, x, y + i * fontSize * CanvasManager.TEXT_LINE_HEIGHT);
+        });
+    }
+
+    drawPoint(point, stroke, ctx = this.ctx) {
+        if (Brush.isTextured(stroke.tool)) {
+            this.drawDots(ctx, stroke, 0);
+            return;
+        }
+        
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, CanvasManager.getPointWidth(stroke, point) / 2, 0, Math.PI * 2);
+        ctx.fillStyle = stroke.color;
+        ctx.fill();
+    }
+
+    /**
+     * Draw the part of a freehand stroke that its point i settles. Strokes
+     * are smoothed into quadratic curves from the middle of one segment to
+     * the middle of the next, bent through the point between them: point i
+     * settles the curve through point i - 1 (a straight half segment for the
+     * first point). Each part is as wide as the stroke at that point.
+     * drawStrokeEnd adds the last half segment once the stroke is finished.
+     * Pencil and spray strokes get the dots of section i instead.
+     */
+    drawStrokeSegment(stroke, i, ctx = this.ctx) {
+        if (Brush.isTextured(stroke.tool)) {
+            this.drawDots(ctx, stroke, i);
+            return;
+        }
+        
+        const points = stroke.points;
+        const control = points[i - 1];
+        const end = CanvasManager.midpoint(control, points[i]);
+        
+        ctx.beginPath();
+        if (i === 1) {
+            ctx.moveTo(control.x, control.y);
+            ctx.lineTo(end.x, end.y);
+        } else {
+            const start = CanvasManager.midpoint(points[i - 2], control);
+            ctx.moveTo(start.x, start.y);
+            ctx.quadraticCurveTo(control.x, control.y, end.x, end.y);
+        }
+        this.strokeFreehandPath(ctx, stroke, CanvasManager.getPointWidth(stroke, control));
+    }
+
+    // The last half segment of a freehand stroke, straight to its last point
+    drawStrokeEnd(stroke, ctx = this.ctx) {
+        const points = stroke.points;
+        if (points.length < 2 || Brush.isTextured(stroke.tool)) return;
+        
+        const last = points[points.length - 1];
+        const start = CanvasManager.midpoint(points[points.length - 2], last);
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(last.x, last.y);
+        this.strokeFreehandPath(ctx, stroke, CanvasManager.getPointWidth(stroke, last));
+    }
+
+    strokeFreehandPath(ctx, stroke, width) {
+        ctx.strokeStyle = stroke.color;
+        ctx.lineWidth = width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        
+        // Older boards still have strokes of the paint-over eraser
+        if (stroke.tool === 'eraser') {
+            ctx.globalCompositeOperation = 'destination-out';
+        } else {
+            ctx.globalCompositeOperation = 'source-over';
+        }
+        
+        ctx.stroke();
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    // The dots of one section of a pencil or spray stroke
+    drawDots(ctx, stroke, i) {
+        const opacity = Brush.opacity(stroke);
+        ctx.fillStyle = stroke.color;
+        ctx.globalCompositeOperation = Brush.compositeOperation(stroke);
+        Brush.getSectionDots(stroke, i).forEach(dot => {
+            ctx.globalAlpha = opacity * dot.alpha;
+            ctx.beginPath();
+            ctx.arc(dot.x, dot.y, dot.radius, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    /**
+     * A marker or highlighter stroke: the same smoothed line as
+     * drawStrokeSegment draws part by part, as one path, so its translucent
+     * ink does not build up where the parts meet or the stroke crosses itself
+     */
+    drawBrushPath(ctx, stroke) {
+        const points = stroke.points;
+        ctx.globalAlpha = Brush.opacity(stroke);
+        ctx.globalCompositeOperation = Brush.compositeOperation(stroke);
+        ctx.beginPath();
+        if (points.length === 1) {
+            ctx.arc(points[0].x, points[0].y, stroke.lineWidth / 2, 0, Math.PI * 2);
+            ctx.fillStyle = stroke.color;
+            ctx.fill();
+        } else {
+            ctx.moveTo(points[0].x, points[0].y);
+            for (let i = 1; i < points.length; i++) {
+                const end = CanvasManager.midpoint(points[i - 1], points[i]);
+                if (i === 1) {
+                    ctx.lineTo(end.x, end.y);
+                } else {
+                    ctx.quadraticCurveTo(points[i - 1].x, points[i - 1].y, end.x, end.y);
+                }
+            }
+            const last = points[points.length - 1];
+            ctx.lineTo(last.x, last.y);
+            ctx.strokeStyle = stroke.color;
+            ctx.lineWidth = stroke.lineWidth;
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    // A filled area: its runs of cells as one path
+    drawFill(ctx, stroke) {
+        ctx.beginPath();
+        FloodFill.getBoxes(stroke.fill).forEach(box => {
+            ctx.rect(box.minX, box.minY, box.maxX - box.minX, box.maxY - box.minY);
+        });
+        ctx.fillStyle = stroke.color;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.fill();
+    }
+
+    // Remote drawing methods (start: the first point, with any pen input)
+    remoteDrawStart(data, start) {
+        const stroke = {
+            id: data.strokeId,
+            points: [start],
+            color: data.color,
+            lineWidth: data.lineWidth,
+            tool: data.tool,
+            layerId: data.layerId,
+            userId: data.userId
+        };
+        if (data.brush) {
+            stroke.brush = { ...data.brush };
+        }
+        
+        this.strokes.set(data.strokeId, stroke);
+        this.openStrokes.add(stroke.id);
+        if (Brush.isWholePath(stroke.tool)) {
+            this.drawCursors();
+        } else if (this.isLayerShown(stroke)) {
+            this.drawPoint(start, stroke);
+        }
+    }
+
+    // A batch of points for a remote stroke (one draw-points message)
+    remoteDrawPoints(strokeId, points) {
+        const stroke = this.strokes.get(strokeId);
+        if (!stroke) return;
+        
+        const live = Brush.isWholePath(stroke.tool);
+        const shown = this.isLayerShown(stroke);
+        points.forEach(newPoint => {
+            stroke.points.push(newPoint);
+            if (shown && !live) {
+                this.drawStrokeSegment(stroke, stroke.points.length - 1);
+            }
+        });
+        if (live) {
+            this.drawCursors();
+        }
+    }
+
+    remoteDrawEnd(data) {
+        const stroke = this.strokes.get(data.strokeId);
+        if (stroke) {
+            this.finishOpenStroke(stroke);
+        }
+    }
+
+    remoteShapePreview(data) {
+        this.remotePreviews.set(data.strokeId, {
+            id: data.strokeId,
+            points: [],
+            color: data.color,
+            lineWidth: data.lineWidth,
+            tool: data.tool,
+            shape: data.shape,
+            userId: data.userId
+        });
+        this.drawCursors();
+    }
+
+    remoteTextPreview(data) {
+        if (data.text.content === '') {
+            this.remotePreviews.delete(data.strokeId);
+        } else {
+            this.remotePreviews.set(data.strokeId, {
+                id: data.strokeId,
+                points: [],
+                color: data.color,
+                lineWidth: 1,
+                tool: 'text',
+                text: data.text,
+                userId: data.userId
+            });
+        }
+        this.drawCursors();
+    }
+
+    // Finished shape, text or image from another user
+    remoteCommit(strokeData) {
+        this.remotePreviews.delete(strokeData.id);
+        const stroke = this.toClientStroke(strokeData);
+        this.strokes.set(stroke.id, stroke);
+        // It may finish a stroke whose live drawing was cut off
+        this.openStrokes.delete(stroke.id);
+        this.paintAddedStroke(stroke);
+        this.drawCursors();
+    }
+
+    /**
+     * Show a stroke just added to the board: painted on top if nothing is
+     * drawn over it, otherwise by repainting everything
+     */
+    paintAddedStroke(stroke) {
+        this.invalidateStrokes([stroke.id]);
+        // Images and fills go beneath the other strokes of their layer
+        if (stroke.image || stroke.fill || !this.isOnTopLayer(stroke)) {
+            this.redraw();
+        } else {
+            this.redrawStroke(stroke);
+        }
+    }
+
+    // Update remote cursor position
+    updateRemoteCursor(userId, x, y, color) {
+        this.remoteCursors.set(userId, { x, y, color });
+        this.drawCursors();
+    }
+
+    drawCursors() {
+        // Clear cursor layer
+        this.cursorCtx.setTransform(1, 0, 0, 1, 0, 0);
+        this.cursorCtx.clearRect(0, 0, this.cursorLayer.width, this.cursorLayer.height);
+        
+        // Shape and text previews (local and remote) in world space
+        const { scale, offsetX, offsetY } = this.view;
+        this.cursorCtx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+        this.remotePreviews.forEach(preview => {
+            if (preview.text) {
+                this.drawText(this.cursorCtx, preview);
+            } else {
+                this.drawShape(this.cursorCtx, preview);
+            }
+        });
+        this.openStrokes.forEach(strokeId => {
+            const stroke = this.strokes.get(strokeId);
+            if (stroke && Brush.isWholePath(stroke.tool) && this.isLayerShown(stroke)) {
+                this.drawBrushPath(this.cursorCtx, stroke);
+            }
+        });
+        if (this.currentShape) {
+            this.drawShape(this.cursorCtx, this.currentShape);
+        }
+        if (this.imageDrag) {
+            this.drawImageSelection(this.cursorCtx);
+        }
+        this.drawSelection(this.cursorCtx);
+        if (this.erasing) {
+            this.drawErasePath(this.cursorCtx);
+        }
+        this.cursorCtx.setTransform(1, 0, 0, 1, 0, 0);
+        
+        // Draw all remote cursors (world position, constant on-screen size)
+        this.remoteCursors.forEach(cursor => {
+            const { x, y } = this.worldToScreen(cursor.x, cursor.y);
+            
+            this.cursorCtx.beginPath();
+            this.cursorCtx.arc(x, y, 10, 0, Math.PI * 2);
+            this.cursorCtx.strokeStyle = cursor.color;
+            this.cursorCtx.lineWidth = 2;
+            this.cursorCtx.stroke();
+            
+            this.cursorCtx.beginPath();
+            this.cursorCtx.arc(x, y, 3, 0, Math.PI * 2);
+            this.cursorCtx.fillStyle = cursor.color;
+            this.cursorCtx.fill();
+        });
+        
+        this.drawCommentPins();
+    }
+
+    /**
+     * Show these comment pins, the active one (thread open) highlighted
+     */
+    setCommentPins(pins, activeCommentId) {
+        this.commentPins = pins;
+        this.activeCommentId = activeCommentId || null;
+        this.drawCursors();
+    }
+    
+    /**
+     * World position of a comment pin: the top-right corner of its stroke
+     * while the stroke is on the board, otherwise where it was placed
+     */
+    getCommentPosition(anchor) {
+        const stroke = anchor.strokeId ? this.strokes.get(anchor.strokeId) : null;
+        const bounds = stroke ? this.getStrokeBounds(stroke) : null;
+        return bounds ? { x: bounds.maxX, y: bounds.minY } : { x: anchor.x, y: anchor.y };
+    }
+    
+    // Pins keep their on-screen size at any zoom, like cursors
+    drawCommentPins() {
+        const ctx = this.cursorCtx;
+        const radius = CanvasManager.COMMENT_PIN_RADIUS;
+        
+        this.commentPins.forEach(pin => {
+            const world = this.getCommentPosition(pin.anchor);
+            const { x, y } = this.worldToScreen(world.x, world.y);
+            const active = pin.id === this.activeCommentId;
+            
+            // A round bubble with its tail on the anchor point
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.arc(x + radius, y - radius, radius, Math.PI * 0.9, Math.PI * 2.6);
+            ctx.closePath();
+            ctx.fillStyle = pin.resolved ? '#9ca3af' : '#f59e0b';
+            ctx.fill();
+            ctx.lineWidth = active ? 3 : 1.5;
+            ctx.strokeStyle = active ? '#667eea' : 'white';
+            ctx.stroke();
+            
+            ctx.fillStyle = 'white';
+            ctx.font = 'bold 11px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(pin.resolved ? '✓' : String(pin.replyCount + 1), x + radius, y - radius);
+        });
+        ctx.textAlign = 'start';
+        ctx.textBaseline = 'alphabetic';
+    }
+    
+    /**
+     * The topmost comment pin under a pointer event, or null
+     */
+    hitTestCommentPin(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const screenX = e.clientX - rect.left;
+        const screenY = e.clientY - rect.top;
+        const radius = CanvasManager.COMMENT_PIN_RADIUS;
+        
+        for (let i = this.commentPins.length - 1; i >= 0; i--) {
+            const pin = this.commentPins[i];
+            const world = this.getCommentPosition(pin.anchor);
+            const { x, y } = this.worldToScreen(world.x, world.y);
+            if (Math.hypot(screenX - (x + radius), screenY - (y - radius)) <= CanvasManager.COMMENT_PIN_HIT_RADIUS) {
+                return pin.id;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Center the view on a world position, keeping the zoom
+     */
+    panTo(x, y) {
+        const { scale } = this.view;
+        this.setView(scale, this.canvas.width / 2 - x * scale, this.canvas.height / 2 - y * scale);
+    }
+
+    /**
+     * Apply the result of an undo or redo from the server: removed strokes,
+     * strokes with new geometry, and strokes restored at their position
+     */
+    applyStrokeChanges(changes) {
+        changes.removed.forEach(strokeId => {
+            this.strokes.delete(strokeId);
+            this.selection.delete(strokeId);
+            this.openStrokes.delete(strokeId);
+        });
+        changes.updated.forEach(strokeData => {
+            if (this.strokes.has(strokeData.id)) {
+                this.strokes.set(strokeData.id, this.toClientStroke(strokeData));
+            }
+        });
+        changes.restored.forEach(({ stroke, beforeId }) => {
+            this.insertStroke(this.toClientStroke(stroke), beforeId);
+        });
+        
+        this.invalidateStrokes([
+            ...changes.removed,
+            ...changes.updated.map(strokeData => strokeData.id),
+            ...changes.restored.map(({ stroke }) => stroke.id)
+        ]);
+        this.redraw();
+        this.drawCursors();
+    }
+
+    /**
+     * Drop a stroke the server refused, ending it first if it is still being drawn
+     */
+    discardStroke(strokeId) {
+        if (this.currentStroke && this.currentStroke.id === strokeId) {
+            this.isDrawing = false;
+            this.currentStroke = null;
+        }
+        this.applyStrokeChanges({ removed: [strokeId], updated: [], restored: [] });
+    }
+
+    /**
+     * Insert a stroke before another one in drawing order (on top if beforeId is null or unknown)
+     */
+    insertStroke(stroke, beforeId) {
+        this.strokes.delete(stroke.id);
+        if (!beforeId || !this.strokes.has(beforeId)) {
+            this.strokes.set(stroke.id, stroke);
+            return;
+        }
+        
+        const entries = Array.from(this.strokes.entries());
+        this.strokes.clear();
+        entries.forEach(([strokeId, existing]) => {
+            if (strokeId === beforeId) {
+                this.strokes.set(stroke.id, stroke);
+            }
+            this.strokes.set(strokeId, existing);
+        });
+    }
+
+    /**
+     * Redraw the canvas: the visible tiles of the finished strokes (rendering
+     * those not cached), then the strokes still being drawn on top, as they
+     * are while drawing. The time it takes goes to the PerformanceMonitor.
+     */
+    redraw() {
+        const started = performance.now();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        // The drawing order is only needed if a tile has to be rendered
+        let finished = null;
+        const tiles = this.tiles.draw(this.ctx, this.view, this.canvas.width, this.canvas.height, (ctx, area) => {
+            if (!finished) {
+                finished = this.getDrawingOrder(this.strokes).filter(stroke => !this.openStrokes.has(stroke.id));
+            }
+            finished.forEach(stroke => {
+                const bounds = this.getInkBounds(stroke);
+                if (bounds && TileCache.meets(bounds, area)) {
+                    this.redrawStroke(stroke, ctx);
+                }
+            });
+        });
+        
+        this.applyViewTransform();
+        // Marker and highlighter strokes being drawn are on the cursor layer
+        const open = Array.from(this.openStrokes, strokeId => this.strokes.get(strokeId))
+            .filter(stroke => stroke && !Brush.isWholePath(stroke.tool));
+        this.drawStrokes(this.ctx, open);
+        
+        if (this.replayFrame) {
+            this.drawReplayFrame();
+        }
+        
+        if (window.performanceMonitor) {
+            window.performanceMonitor.recordRedraw(performance.now() - started, tiles.shown, tiles.rendered);
+        }
+    }
+
+    /**
+     * World box of everything a stroke paints, kept from the time it is
+     * first drawn on a tile until invalidateStrokes. Arrow heads can reach
+     * past the box of the line.
+     */
+    getInkBounds(stroke) {
+        if (this.inkBounds.has(stroke.id)) return this.inkBounds.get(stroke.id);
+        
+        let bounds = this.getStrokeBounds(stroke);
+        if (bounds && stroke.tool === 'arrow') {
+            const head = Math.max(10, stroke.lineWidth * 3);
+            bounds = { minX: bounds.minX - head, minY: bounds.minY - head, maxX: bounds.maxX + head, maxY: bounds.maxY + head };
+        }
+        this.inkBounds.set(stroke.id, bounds);
+        return bounds;
+    }
+
+    /**
+     * Drop the tiles under strokes that were added, changed, moved in the
+     * drawing order or removed: where they were drawn before and where they
+     * are now. Call it after every such change, before the next redraw.
+     */
+    invalidateStrokes(strokeIds) {
+        strokeIds.forEach(strokeId => {
+            const before = this.inkBounds.get(strokeId);
+            if (before) {
+                this.tiles.invalidate(before);
+            }
+            this.inkBounds.delete(strokeId);
+            
+            const stroke = this.strokes.get(strokeId);
+            if (stroke && !this.openStrokes.has(strokeId)) {
+                const after = this.getInkBounds(stroke);
+                if (after) {
+                    this.tiles.invalidate(after);
+                }
+            }
+        });
+    }
+
+    // Start over with no tiles (the whole board changed)
+    resetTiles() {
+        this.tiles.clear();
+        this.inkBounds.clear();
+    }
+
+    /**
+     * Draw strokes (a Map or array) in drawing order on the given context
+     */
+    drawStrokes(ctx, strokes, layers = this.layers) {
+        this.getDrawingOrder(strokes, layers).forEach(stroke => this.redrawStroke(stroke, ctx));
+    }
+
+    /**
+     * Strokes (a Map or array) in the order they are drawn: layer by layer,
+     * bottom first, each layer's images beneath its fills and its fills
+     * beneath its other strokes. Strokes on hidden layers are left out.
+     */
+    getDrawingOrder(strokes, layers = this.layers) {
+        let groups;
+        if (layers.length === 0) {
+            groups = [Array.from(strokes.values())];
+        } else {
+            const byLayer = new Map(layers.map(layer => [layer.id, []]));
+            strokes.forEach(stroke => byLayer.get(this.getStrokeLayer(stroke, layers).id).push(stroke));
+            groups = layers.filter(layer => layer.visible).map(layer => byLayer.get(layer.id));
+        }
+        return groups.flatMap(group => [
+            ...group.filter(stroke => stroke.image),
+            ...group.filter(stroke => stroke.fill),
+            ...group.filter(stroke => !stroke.image && !stroke.fill)
+        ]);
+    }
+
+    redrawStroke(stroke, ctx = this.ctx) {
+        if (stroke.image) {
+            this.drawImageStroke(stroke, ctx);
+            return;
+        }
+        
+        if (stroke.shape) {
+            this.drawShape(ctx, stroke);
+            return;
+        }
+        
+        if (stroke.text) {
+            this.drawText(ctx, stroke);
+            return;
+        }
+        
+        if (stroke.fill) {
+            this.drawFill(ctx, stroke);
+            return;
+        }
+        
+        if (stroke.points.length === 0) return;
+        
+        if (Brush.isWholePath(stroke.tool)) {
+            this.drawBrushPath(ctx, stroke);
+            return;
+        }
+        
+        // Draw first point, then the smoothed line through the rest
+        this.drawPoint(stroke.points[0], stroke, ctx);
+        for (let i = 1; i < stroke.points.length; i++) {
+            this.drawStrokeSegment(stroke, i, ctx);
+        }
+        this.drawStrokeEnd(stroke, ctx);
+    }
+
+    // Replay: drawn on its own layer so live updates keep arriving on the board underneath
+    startReplay(layers) {
+        this.stopInteraction();
+        this.commitTextEditor();
+        this.clearSelection();
+        this.replayFrame = [];
+        this.replayLayers = layers || [];
+        this.replayLayer.style.display = 'block';
+        this.drawReplayFrame();
+    }
+
+    /**
+     * Show the given (possibly partial) strokes on the replay layer
+     */
+    setReplayFrame(strokes) {
+        this.replayFrame = strokes;
+        this.drawReplayFrame();
+    }
+
+    drawReplayFrame() {
+        this.replayCtx.setTransform(1, 0, 0, 1, 0, 0);
+        this.replayCtx.clearRect(0, 0, this.replayLayer.width, this.replayLayer.height);
+        const { scale, offsetX, offsetY } = this.view;
+        this.replayCtx.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+        this.drawStrokes(this.replayCtx, this.replayFrame, this.replayLayers);
+    }
+
+    stopReplay() {
+        this.replayFrame = null;
+        this.replayLayer.style.display = 'none';
+    }
+
+    // Convert server stroke format to client format
+    toClientStroke(strokeData) {
+        const stroke = {
+            id: strokeData.id,
+            points: strokeData.points || [],
+            color: strokeData.color,
+            lineWidth: strokeData.lineWidth,
+            tool: strokeData.tool,
+            layerId: strokeData.layerId,
+            userId: strokeData.userId
+        };
+        if (strokeData.shape) {
+            stroke.shape = { ...strokeData.shape };
+        }
+        if (strokeData.text) {
+            stroke.text = { ...strokeData.text };
+        }
+        if (strokeData.image) {
+            stroke.image = { ...strokeData.image };
+        }
+        if (strokeData.fill) {
+            stroke.fill = { ...strokeData.fill };
+        }
+        if (strokeData.brush) {
+            stroke.brush = { ...strokeData.brush };
+        }
+        return stroke;
+    }
+
+    // Load canvas state from server (the first chunk of it for large boards)
+    loadState(history) {
+        this.strokes.clear();
+        this.resetTiles();
+        this.clearSelection();
+        
+        // Add all strokes from history
+        history.forEach(strokeData => {
+            const stroke = this.toClientStroke(strokeData);
             this.strokes.set(stroke.id, stroke);
         });
         
         this.redraw();
     }
 
-    // Clear canvas
-    clear() {
+    // Add a further chunk of the canvas state. Chunks are drawn as they arrive
+    // and the board is redrawn once complete, so images end up beneath everything.
+    appendState(history, complete) {
+        const strokes = history.map(strokeData => this.toClientStroke(strokeData));
+        strokes.forEach(stroke => this.strokes.set(stroke.id, stroke));
+        this.invalidateStrokes(strokes.map(stroke => stroke.id));
+        
+        if (complete) {
+            this.redraw();
+            // Pins on strokes of later chunks can move to them now
+            this.drawCursors();
+        } else {
+            this.drawStrokes(this.ctx, strokes);
+        }
+    }
+
+    // Clear canvas, except the given strokes (those on locked layers)
+    clear(keptStrokeIds = []) {
+        const kept = keptStrokeIds.filter(strokeId => this.strokes.has(strokeId)).map(strokeId => this.strokes.get(strokeId));
         this.strokes.clear();
+        kept.forEach(stroke => this.strokes.set(stroke.id, stroke));
+        this.resetTiles();
+        this.clearSelection();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.applyViewTransform();
+        if (kept.length > 0) {
+            this.redraw();
+        }
     }
 
     // Set tool
     setTool(tool) {
+        if (tool !== 'text') {
+            this.commitTextEditor();
+        }
+        if (tool !== 'select') {
+            this.clearSelection();
+        }
         this.tool = tool;
     }
 
@@ -345,5 +2330,11 @@ class CanvasManager {
     setLineWidth(width) {
         this.lineWidth = width;
     }
+
+    // Set text font family and size (world units)
+    setFont(fontFamily, fontSize) {
+        this.fontFamily = fontFamily;
+        this.fontSize = fontSize;
+    }
 }
 
@@ -0,0 +1,444 @@
+// Room chat and comment threads
+//
+// Chat is a plain message list everyone in the room reads and owners and
+// editors write. Comments are
+// pinned to a board position or a stroke (drawn by CanvasManager on the cursor
+// layer) and carry a thread of replies and a resolved state. Changes to
+// comments go through the outbox like board changes and are shown right away;
+// chat messages are shown when the server echoes them back.
+class DiscussionPanel {
+    static MAX_CHAT_MESSAGES = 500; // Matches the history the server keeps
+
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.chat = [];
+        this.comments = new Map(); // commentId -> { id, userId, name, anchor, text, timestamp, resolved, resolvedBy, replies }
+        this.activeCommentId = null;
+        this.showResolved = false;
+        this.activeTab = 'chat';
+        this.unreadChat = 0;
+    }
+
+    /**
+     * Replace everything with the room's state (on join and resync)
+     */
+    loadState(comments, chat) {
+        this.comments.clear();
+        comments.forEach(comment => this.comments.set(comment.id, comment));
+        this.chat = chat.slice(-DiscussionPanel.MAX_CHAT_MESSAGES);
+        if (this.activeCommentId && !this.comments.has(this.activeCommentId)) {
+            this.activeCommentId = null;
+        }
+        this.renderChat();
+        this.renderComments();
+    }
+
+    addChatMessage(message) {
+        this.chat.push(message);
+        if (this.chat.length > DiscussionPanel.MAX_CHAT_MESSAGES) {
+            this.chat.shift();
+        }
+        if (this.activeTab !== 'chat' && message.userId !== window.wsManager.userId) {
+            this.unreadChat++;
+        }
+        this.renderChat();
+    }
+
+    addComment(comment) {
+        this.comments.set(comment.id, comment);
+        this.renderComments();
+    }
+
+    addReply(commentId, reply) {
+        const comment = this.comments.get(commentId);
+        if (!comment || comment.replies.some(existing => existing.id === reply.id)) return;
+        comment.replies.push(reply);
+        this.renderComments();
+    }
+
+    setResolved(commentId, resolved, userId) {
+        const comment = this.comments.get(commentId);
+        if (!comment) return;
+        comment.resolved = resolved;
+        comment.resolvedBy = resolved ? userId : undefined;
+        this.renderComments();
+    }
+
+    removeComment(commentId) {
+        if (!this.comments.delete(commentId)) return;
+        if (this.activeCommentId === commentId) {
+            this.activeCommentId = null;
+        }
+        this.renderComments();
+    }
+
+    removeReply(commentId, replyId) {
+        const comment = this.comments.get(commentId);
+        if (!comment) return;
+        comment.replies = comment.replies.filter(reply => reply.id !== replyId);
+        this.renderComments();
+    }
+
+    // Comments are pinned to the board and are cleared with it
+    clearComments() {
+        this.comments.clear();
+        this.activeCommentId = null;
+        this.renderComments();
+    }
+
+    /**
+     * Show a change of ours the server has not confirmed yet again after a
+     * resync replaced the local state
+     */
+    applyPendingOperation(type, data, userId) {
+        switch (type) {
+            case 'comment-add':
+                if (!this.comments.has(data.commentId)) {
+                    this.addComment(this.buildComment(data.commentId, data.anchor, data.text, userId));
+                }
+                break;
+            case 'comment-reply':
+                this.addReply(data.commentId, this.buildReply(data.replyId, data.text, userId));
+                break;
+            case 'comment-resolve':
+                this.setResolved(data.commentId, data.resolved, userId);
+                break;
+            case 'comment-delete':
+                this.removeComment(data.commentId);
+                break;
+        }
+    }
+
+    // ---- Actions ----
+
+    sendChatMessage(text) {
+        text = text.trim();
+        if (!text) return false;
+        if (!window.wsManager.sendChatMessage(text)) {
+            alert('Chat needs a connection. Please try again when you are back online.');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Ask for the text of a new comment at anchor ({ x, y, strokeId? }) and post it
+     */
+    createComment(anchor) {
+        const text = prompt('Comment:');
+        if (!text || !text.trim()) return;
+
+        const commentId = this.generateId('comment');
+        this.addComment(this.buildComment(commentId, anchor, text.trim(), window.wsManager.userId));
+        this.selectComment(commentId);
+        window.wsManager.addComment(commentId, anchor, text.trim());
+    }
+
+    reply(commentId, text) {
+        text = text.trim();
+        if (!text || !this.comments.has(commentId)) return;
+
+        const replyId = this.generateId('reply');
+        this.addReply(commentId, this.buildReply(replyId, text, window.wsManager.userId));
+        window.wsManager.replyToComment(commentId, replyId, text);
+    }
+
+    toggleResolved(commentId) {
+        const comment = this.comments.get(commentId);
+        if (!comment) return;
+        const resolved = !comment.resolved;
+        this.setResolved(commentId, resolved, window.wsManager.userId);
+        window.wsManager.resolveComment(commentId, resolved);
+    }
+
+    deleteComment(commentId) {
+        if (!this.comments.has(commentId)) return;
+        this.removeComment(commentId);
+        window.wsManager.deleteComment(commentId);
+    }
+
+    /**
+     * Open a comment's thread (null closes it), in the list and on the board
+     */
+    selectComment(commentId) {
+        this.activeCommentId = commentId && this.comments.has(commentId) ? commentId : null;
+        if (this.activeCommentId) {
+            this.setTab('comments');
+        }
+        this.renderComments();
+    }
+
+    showOnBoard(commentId) {
+        const comment = this.comments.get(commentId);
+        if (!comment) return;
+        const position = this.canvasManager.getCommentPosition(comment.anchor);
+        this.canvasManager.panTo(position.x, position.y);
+        this.selectComment(commentId);
+    }
+
+    setShowResolved(showResolved) {
+        this.showResolved = showResolved;
+        this.renderComments();
+    }
+
+    setTab(tab) {
+        this.activeTab = tab;
+        if (tab === 'chat') {
+            this.unreadChat = 0;
+        }
+        document.querySelectorAll('.discussion-tab').forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-tab') === tab);
+        });
+        document.querySelectorAll('.discussion-view').forEach(view => {
+            view.style.display = view.getAttribute('data-tab') === tab ? 'flex' : 'none';
+        });
+        this.updateBadges();
+    }
+
+    // ---- Helpers ----
+
+    buildComment(commentId, anchor, text, userId) {
+        return {
+            id: commentId,
+            userId,
+            name: this.getUserName(userId),
+            anchor: { ...anchor },
+            text,
+            timestamp: Date.now(),
+            resolved: false,
+            replies: []
+        };
+    }
+
+    buildReply(replyId, text, userId) {
+        return { id: replyId, userId, name: this.getUserName(userId), text, timestamp: Date.now() };
+    }
+
+    getUserName(userId) {
+        const user = window.wsManager.users.get(userId);
+        return user ? user.name : 'You';
+    }
+
+    generateId(kind) {
+        return `${kind}-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    canDelete(comment) {
+        return comment.userId === window.wsManager.userId || window.wsManager.role === 'owner';
+    }
+
+    getSortedComments() {
+        return Array.from(this.comments.values()).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    // ---- Rendering ----
+
+    renderChat() {
+        const container = document.getElementById('chat-messages');
+        if (!container) return;
+
+        // Keep following new messages unless the user scrolled up to read
+        const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+        container.innerHTML = '';
+
+        if (this.chat.length === 0) {
+            container.innerHTML = '<p class="discussion-empty">No messages yet</p>';
+        }
+
+        // Messages are user input: rendered as text, never HTML
+        this.chat.forEach(message => {
+            const item = document.createElement('div');
+            item.className = 'chat-message';
+            if (message.userId === window.wsManager.userId) {
+                item.classList.add('own');
+            }
+            item.appendChild(this.createMeta(message.name, message.timestamp));
+            const text = document.createElement('div');
+            text.className = 'discussion-text';
+            text.textContent = message.text;
+            item.appendChild(text);
+            container.appendChild(item);
+        });
+
+        if (atBottom) {
+            container.scrollTop = container.scrollHeight;
+        }
+        this.updateBadges();
+    }
+
+    renderComments() {
+        this.updatePins();
+
+        const container = document.getElementById('comments-list');
+        if (!container) return;
+
+        // Keep a half-typed reply when someone else's change redraws the list
+        const replyInput = container.querySelector('.comment-reply-form input');
+        const draft = replyInput ? { commentId: this.activeCommentId, text: replyInput.value, focused: document.activeElement === replyInput } : null;
+        container.innerHTML = '';
+
+        const comments = this.getSortedComments()
+            .filter(comment => !comment.resolved || this.showResolved || comment.id === this.activeCommentId);
+        if (comments.length === 0) {
+            container.innerHTML = `<p class="discussion-empty">${this.comments.size === 0 ? 'No comments yet. Use 💬 Comment to pin one to the board.' : 'All comments are resolved'}</p>`;
+        }
+
+        comments.forEach(comment => {
+            container.appendChild(this.createCommentCard(comment));
+        });
+
+        const newReplyInput = container.querySelector('.comment-reply-form input');
+        if (draft && newReplyInput && draft.commentId === this.activeCommentId) {
+            newReplyInput.value = draft.text;
+            if (draft.focused) {
+                newReplyInput.focus();
+            }
+        }
+        this.updateBadges();
+    }
+
+    createCommentCard(comment) {
+        const active = comment.id === this.activeCommentId;
+        const card = document.createElement('div');
+        card.className = 'comment-card';
+        card.classList.toggle('active', active);
+        card.classList.toggle('resolved', comment.resolved);
+
+        card.appendChild(this.createMeta(comment.name, comment.timestamp));
+        const text = document.createElement('div');
+        text.className = 'discussion-text';
+        text.textContent = comment.text;
+        card.appendChild(text);
+
+        const summary = document.createElement('div');
+        summary.className = 'comment-summary';
+        const replyCount = comment.replies.length;
+        summary.textContent = (comment.resolved ? '✓ Resolved · ' : '') +
+            (replyCount === 1 ? '1 reply' : `${replyCount} replies`) +
+            (comment.anchor.strokeId ? ' · on a stroke' : '');
+        card.appendChild(summary);
+
+        card.addEventListener('click', () => {
+            this.selectComment(active ? null : comment.id);
+        });
+
+        if (active) {
+            card.appendChild(this.createThread(comment));
+        }
+        return card;
+    }
+
+    createThread(comment) {
+        const thread = document.createElement('div');
+        thread.className = 'comment-thread';
+        // Clicks inside the open thread must not close it
+        thread.addEventListener('click', (e) => e.stopPropagation());
+
+        comment.replies.forEach(reply => {
+            const item = document.createElement('div');
+            item.className = 'comment-reply';
+            item.appendChild(this.createMeta(reply.name, reply.timestamp));
+            const text = document.createElement('div');
+            text.className = 'discussion-text';
+            text.textContent = reply.text;
+            item.appendChild(text);
+            thread.appendChild(item);
+        });
+
+        const canEdit = window.wsManager.canEdit();
+        if (canEdit) {
+            const form = document.createElement('form');
+            form.className = 'comment-reply-form';
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = 'Reply…';
+            input.maxLength = 2000;
+            const send = document.createElement('button');
+            send.type = 'submit';
+            send.textContent = 'Reply';
+            form.appendChild(input);
+            form.appendChild(send);
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const text = input.value;
+                input.value = '';
+                this.reply(comment.id, text);
+            });
+            thread.appendChild(form);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'comment-actions';
+        actions.appendChild(this.createActionButton('📍 Show', 'Show on the board', () => this.showOnBoard(comment.id)));
+        if (canEdit) {
+            actions.appendChild(this.createActionButton(comment.resolved ? '↺ Reopen' : '✓ Resolve', comment.resolved ? 'Reopen this comment' : 'Mark as resolved', () => {
+                this.toggleResolved(comment.id);
+            }));
+            if (this.canDelete(comment)) {
+                actions.appendChild(this.createActionButton('🗑', 'Delete comment and replies', () => {
+                    if (confirm('Delete this comment and its replies?')) {
+                        this.deleteComment(comment.id);
+                    }
+                }));
+            }
+        }
+        thread.appendChild(actions);
+        return thread;
+    }
+
+    createMeta(name, timestamp) {
+        const meta = document.createElement('div');
+        meta.className = 'discussion-meta';
+        const author = document.createElement('span');
+        author.className = 'discussion-author';
+        author.textContent = name;
+        const time = document.createElement('span');
+        time.className = 'discussion-time';
+        time.textContent = this.formatTime(timestamp);
+        meta.appendChild(author);
+        meta.appendChild(time);
+        return meta;
+    }
+
+    createActionButton(label, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'comment-action';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    updatePins() {
+        const pins = this.getSortedComments()
+            .filter(comment => !comment.resolved || this.showResolved || comment.id === this.activeCommentId)
+            .map(comment => ({
+                id: comment.id,
+                anchor: comment.anchor,
+                resolved: comment.resolved,
+                replyCount: comment.replies.length
+            }));
+        this.canvasManager.setCommentPins(pins, this.activeCommentId);
+    }
+
+    updateBadges() {
+        const chatBadge = document.getElementById('chat-unread');
+        if (chatBadge) {
+            chatBadge.textContent = this.unreadChat;
+            chatBadge.style.display = this.unreadChat > 0 ? 'inline-block' : 'none';
+        }
+        const commentCount = document.getElementById('comment-count');
+        if (commentCount) {
+            const open = Array.from(this.comments.values()).filter(comment => !comment.resolved).length;
+            commentCount.textContent = open;
+            commentCount.style.display = open > 0 ? 'inline-block' : 'none';
+        }
+    }
+}
@@ -0,0 +1,259 @@
+// Eraser geometry
+//
+// The same math as server/erase.ts, so an erase shows on this screen right
+// away and the server, which applies it for everyone, ends up with the same
+// strokes and pieces. Keep the two in sync.
+//
+// The eraser sweeps a round tip lineWidth wide along a path ({ points,
+// lineWidth }); it reaches a stroke where the swept area meets the stroke's
+// ink, so the stroke's own width counts too.
+class Eraser {
+    static MIN_KEPT_FRACTION = 1e-6; // Kept parts of a segment shorter than this are dropped
+    static ELLIPSE_SEGMENTS = 64;
+    static TEXT_CHAR_WIDTH = 0.6; // Text boxes are estimated as on the server, not measured
+
+    /**
+     * Whether the eraser reaches a stroke: anywhere on an image or text box,
+     * on the cells of a fill, along the outline of a shape, along the line
+     * of a freehand stroke
+     */
+    static touches(stroke, path) {
+        const segments = Eraser.pathSegments(path);
+        const radius = path.lineWidth / 2;
+        
+        if (stroke.fill) return Eraser.touchesFill(stroke.fill, segments, radius);
+
+        const box = Eraser.contentBox(stroke);
+        if (box) {
+            const { minX, minY, maxX, maxY } = box;
+            const inside = path.points.some(point =>
+                point.x >= minX && point.x <= maxX && point.y >= minY && point.y <= maxY);
+            return inside || Eraser.touchesPolyline(
+                [{ x: minX, y: minY }, { x: maxX, y: minY }, { x: maxX, y: maxY }, { x: minX, y: maxY }, { x: minX, y: minY }],
+                segments,
+                radius
+            );
+        }
+
+        const reach = radius + stroke.lineWidth / 2;
+        if (stroke.shape) {
+            return Eraser.shapeOutlines(stroke).some(outline => Eraser.touchesPolyline(outline, segments, reach));
+        }
+        return stroke.points.length > 0 && Eraser.touchesPolyline(stroke.points, segments, reach);
+    }
+
+    /**
+     * Cut the parts the eraser reaches out of a freehand stroke. Returns the
+     * point lists of the pieces left, in drawing order (none if it was erased
+     * entirely), or null if the eraser does not reach the stroke.
+     */
+    static splitStroke(points, lineWidth, path) {
+        const segments = Eraser.pathSegments(path);
+        const reach = path.lineWidth / 2 + lineWidth / 2;
+
+        if (points.length === 1) {
+            return Eraser.erasedIntervals(points[0], points[0], segments, reach).length > 0 ? [] : null;
+        }
+
+        const pieces = [];
+        let piece = null; // Open piece, ending at the start of the current segment
+        let touched = false;
+
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const erased = Eraser.erasedIntervals(a, b, segments, reach);
+            if (erased.length > 0) touched = true;
+
+            // What is left of the segment between the erased parts
+            let from = 0;
+            const kept = [];
+            [...erased, { start: 1, end: 1 }].forEach(interval => {
+                if (interval.start - from > Eraser.MIN_KEPT_FRACTION) kept.push({ start: from, end: interval.start });
+                from = Math.max(from, interval.end);
+            });
+
+            kept.forEach(interval => {
+                if (!piece || interval.start > 0) {
+                    piece = [Eraser.pointAt(a, b, interval.start)];
+                    pieces.push(piece);
+                }
+                piece.push(Eraser.pointAt(a, b, interval.end));
+            });
+            // A piece only goes on into the next segment if it reaches the end of this one
+            if (kept.length === 0 || kept[kept.length - 1].end < 1) piece = null;
+        }
+
+        return touched ? pieces : null;
+    }
+
+    // ---- Helpers ----
+
+    static pointAt(a, b, t) {
+        if (t <= 0) return { ...a };
+        if (t >= 1) return { ...b };
+        const point = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+        // Cut ends of pen strokes keep the pressure and tilt the pen had there
+        ['pressure', 'tiltX', 'tiltY'].forEach(field => {
+            if (a[field] !== undefined && b[field] !== undefined) {
+                point[field] = a[field] + (b[field] - a[field]) * t;
+            }
+        });
+        return point;
+    }
+
+    // Eraser path as segments (a single click is a segment of length zero)
+    static pathSegments(path) {
+        const points = path.points;
+        if (points.length === 1) return [[points[0], points[0]]];
+        return points.slice(1).map((point, i) => [points[i], point]);
+    }
+
+    static touchesPolyline(points, segments, reach) {
+        const line = points.length === 1 ? [points[0], points[0]] : points;
+        for (let i = 1; i < line.length; i++) {
+            if (Eraser.erasedIntervals(line[i - 1], line[i], segments, reach).length > 0) return true;
+        }
+        return false;
+    }
+
+    // Whether a segment passes within reach of a box of filled cells (the boxes are widened by reach)
+    static touchesFill(fill, segments, reach) {
+        return FloodFill.getBoxes(fill).some(box => segments.some(([a, b]) => {
+            const across = Eraser.linearInterval(a.x, b.x - a.x, box.minX - reach, box.maxX + reach);
+            const down = Eraser.linearInterval(a.y, b.y - a.y, box.minY - reach, box.maxY + reach);
+            return !!across && !!down && Math.max(0, across.start, down.start) <= Math.min(1, across.end, down.end);
+        }));
+    }
+
+    /**
+     * Parts of a to b the eraser removes, as sorted, merged intervals of t
+     */
+    static erasedIntervals(a, b, segments, reach) {
+        const intervals = segments
+            .filter(([c, d]) => Eraser.boxesMeet(a, b, c, d, reach))
+            .map(([c, d]) => Eraser.reachInterval(a, b, c, d, reach))
+            .filter(interval => interval !== null)
+            .sort((x, y) => x.start - y.start);
+
+        const merged = [];
+        intervals.forEach(interval => {
+            const last = merged[merged.length - 1];
+            if (last && interval.start <= last.end) {
+                last.end = Math.max(last.end, interval.end);
+            } else {
+                merged.push({ ...interval });
+            }
+        });
+        return merged;
+    }
+
+    static boxesMeet(a, b, c, d, margin) {
+        return Math.min(a.x, b.x) - margin <= Math.max(c.x, d.x) && Math.max(a.x, b.x) + margin >= Math.min(c.x, d.x) &&
+            Math.min(a.y, b.y) - margin <= Math.max(c.y, d.y) && Math.max(a.y, b.y) + margin >= Math.min(c.y, d.y);
+    }
+
+    /**
+     * Positions t in [0, 1] along a to b within reach of the segment c-d, or
+     * null: the hull of the intervals of the capsule's disks and rectangle
+     */
+    static reachInterval(a, b, c, d, reach) {
+        const parts = [Eraser.diskInterval(a, b, c, reach), Eraser.diskInterval(a, b, d, reach), Eraser.bandInterval(a, b, c, d, reach)]
+            .filter(part => part !== null);
+        if (parts.length === 0) return null;
+
+        const start = Math.max(0, Math.min(...parts.map(part => part.start)));
+        const end = Math.min(1, Math.max(...parts.map(part => part.end)));
+        return start < end ? { start, end } : null;
+    }
+
+    static diskInterval(a, b, center, radius) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const fx = a.x - center.x;
+        const fy = a.y - center.y;
+        const qa = dx * dx + dy * dy;
+        const qb = 2 * (fx * dx + fy * dy);
+        const qc = fx * fx + fy * fy - radius * radius;
+
+        if (qa === 0) return qc < 0 ? { start: 0, end: 1 } : null;
+        const discriminant = qb * qb - 4 * qa * qc;
+        if (discriminant <= 0) return null;
+        const root = Math.sqrt(discriminant);
+        return { start: (-qb - root) / (2 * qa), end: (-qb + root) / (2 * qa) };
+    }
+
+    // The rectangle part of the capsule: along c-d, and less than radius to either side of it
+    static bandInterval(a, b, c, d, radius) {
+        const length = Math.hypot(d.x - c.x, d.y - c.y);
+        if (length === 0) return null;
+        const ux = (d.x - c.x) / length;
+        const uy = (d.y - c.y) / length;
+
+        const along = Eraser.linearInterval((a.x - c.x) * ux + (a.y - c.y) * uy, (b.x - a.x) * ux + (b.y - a.y) * uy, 0, length);
+        const across = Eraser.linearInterval((a.y - c.y) * ux - (a.x - c.x) * uy, (b.y - a.y) * ux - (b.x - a.x) * uy, -radius, radius);
+        if (!along || !across) return null;
+
+        const start = Math.max(along.start, across.start);
+        const end = Math.min(along.end, across.end);
+        return start < end ? { start, end } : null;
+    }
+
+    // Values of t for which min <= offset + t * slope <= max
+    static linearInterval(offset, slope, min, max) {
+        if (slope === 0) {
+            return offset >= min && offset <= max ? { start: -Infinity, end: Infinity } : null;
+        }
+        const first = (min - offset) / slope;
+        const second = (max - offset) / slope;
+        return { start: Math.min(first, second), end: Math.max(first, second) };
+    }
+
+    // Outlines of a shape as polylines, matching CanvasManager.drawShape
+    static shapeOutlines(stroke) {
+        const { x1, y1, x2, y2 } = stroke.shape;
+        switch (stroke.tool) {
+            case 'rectangle':
+                return [[{ x: x1, y: y1 }, { x: x2, y: y1 }, { x: x2, y: y2 }, { x: x1, y: y2 }, { x: x1, y: y1 }]];
+            case 'ellipse': {
+                const cx = (x1 + x2) / 2;
+                const cy = (y1 + y2) / 2;
+                const outline = [];
+                for (let i = 0; i <= Eraser.ELLIPSE_SEGMENTS; i++) {
+                    const angle = (i / Eraser.ELLIPSE_SEGMENTS) * Math.PI * 2;
+                    outline.push({ x: cx + Math.abs(x2 - x1) / 2 * Math.cos(angle), y: cy + Math.abs(y2 - y1) / 2 * Math.sin(angle) });
+                }
+                return [outline];
+            }
+            case 'arrow': {
+                const angle = Math.atan2(y2 - y1, x2 - x1);
+                const headLength = Math.max(10, stroke.lineWidth * 3);
+                return [
+                    [{ x: x1, y: y1 }, { x: x2, y: y2 }],
+                    [
+                        { x: x2 - headLength * Math.cos(angle - Math.PI / 6), y: y2 - headLength * Math.sin(angle - Math.PI / 6) },
+                        { x: x2, y: y2 },
+                        { x: x2 - headLength * Math.cos(angle + Math.PI / 6), y: y2 - headLength * Math.sin(angle + Math.PI / 6) }
+                    ]
+                ];
+            }
+            default: // line
+                return [[{ x: x1, y: y1 }, { x: x2, y: y2 }]];
+        }
+    }
+
+    // Box covered by an image or a text annotation
+    static contentBox(stroke) {
+        if (stroke.image) {
+            const { x, y, width, height } = stroke.image;
+            return { minX: x, minY: y, maxX: x + width, maxY: y + height };
+        }
+        if (stroke.text) {
+            const { x, y, content, fontSize } = stroke.text;
+            const lines = content.split('\n');
+            const width = Math.max(...lines.map(line => line.length)) * fontSize * Eraser.TEXT_CHAR_WIDTH;
+            return { minX: x, minY: y, maxX: x + width, maxY: y + lines.length * fontSize * CanvasManager.TEXT_LINE_HEIGHT };
+        }
+        return null;
+    }
+}
@@ -0,0 +1,217 @@
+// Fill tool: the closed area around a click, as a region of grid cells
+//
+// The board around the click is laid out as a GRID_SIZE x GRID_SIZE grid.
+// Cells the ink of a stroke reaches are walls; the fill spreads from the
+// clicked cell to its neighbours until it meets them. If it runs off the grid
+// the area is not closed at that scale, and the grid is tried again with
+// cells twice as large, up to MAX_CELL_SIZE. The fill then takes in the wall
+// cells it touches, so it tucks under the strokes around it with no gap.
+//
+// The result ({ x, y, cellSize, rows }) is what the server stores: each row
+// lists runs of filled cells as pairs of first column and length.
+class FloodFill {
+    static GRID_SIZE = 1024;
+    // Cell sizes in world units; keep in sync with the server's limits
+    static MIN_CELL_SIZE = 1;
+    static MAX_CELL_SIZE = 8;
+    static MAX_RUNS = 32768;
+
+    /**
+     * Fill the closed area around a world point, bounded by the given
+     * strokes. Returns { fill } or { error } with a message for the user.
+     */
+    static compute(point, strokes) {
+        const walls = FloodFill.getWalls(strokes);
+        for (let cellSize = FloodFill.MIN_CELL_SIZE; cellSize <= FloodFill.MAX_CELL_SIZE; cellSize *= 2) {
+            const result = FloodFill.fillGrid(point, walls, cellSize);
+            if (result !== 'open') return result;
+        }
+        return { error: 'This area is not closed. Draw around it first, or click inside a shape.' };
+    }
+
+    /**
+     * Ink that stops a fill, as capsules { a, b, radius }: the lines of
+     * freehand strokes and the outlines of shapes. Spray is too sparse to
+     * hold a fill in; fills, text and images do not stop one either.
+     */
+    static getWalls(strokes) {
+        const walls = [];
+        strokes.forEach(stroke => {
+            if (stroke.fill || stroke.text || stroke.image || stroke.tool === 'spray' || stroke.tool === 'eraser') return;
+            if (stroke.shape) {
+                Eraser.shapeOutlines(stroke).forEach(outline => {
+                    for (let i = 1; i < outline.length; i++) {
+                        walls.push({ a: outline[i - 1], b: outline[i], radius: stroke.lineWidth / 2 });
+                    }
+                });
+                return;
+            }
+            stroke.points.forEach((point, i) => {
+                const from = stroke.points[Math.max(0, i - 1)];
+                const width = Math.max(CanvasManager.getPointWidth(stroke, from), CanvasManager.getPointWidth(stroke, point));
+                walls.push({ a: from, b: point, radius: width / 2 });
+            });
+        });
+        return walls;
+    }
+
+    /**
+     * Fill at one cell size: { fill }, { error }, or 'open' if the fill runs off the grid
+     */
+    static fillGrid(point, walls, cellSize) {
+        const size = FloodFill.GRID_SIZE;
+        // Cells line up with multiples of their size, so nearby fills share a grid
+        const originX = (Math.floor(point.x / cellSize) - size / 2) * cellSize;
+        const originY = (Math.floor(point.y / cellSize) - size / 2) * cellSize;
+
+        const blocked = FloodFill.rasterizeWalls(walls, originX, originY, cellSize);
+        const start = (size / 2) * size + size / 2;
+        if (blocked[start]) {
+            return { error: 'Click inside an area, not on a line.' };
+        }
+
+        // Spread from the clicked cell to its four neighbours
+        const filled = new Uint8Array(size * size);
+        const queue = new Int32Array(size * size);
+        let head = 0;
+        let tail = 0;
+        filled[start] = 1;
+        queue[tail++] = start;
+        while (head < tail) {
+            const cell = queue[head++];
+            const column = cell % size;
+            const row = (cell - column) / size;
+            if (column === 0 || row === 0 || column === size - 1 || row === size - 1) return 'open';
+            [cell - 1, cell + 1, cell - size, cell + size].forEach(next => {
+                if (!filled[next] && !blocked[next]) {
+                    filled[next] = 1;
+                    queue[tail++] = next;
+                }
+            });
+        }
+
+        // Take in the wall cells around the fill, corners included
+        for (let i = 0; i < tail; i++) {
+            const cell = queue[i];
+            [-size - 1, -size, -size + 1, -1, 1, size - 1, size, size + 1].forEach(offset => {
+                if (blocked[cell + offset]) filled[cell + offset] = 1;
+            });
+        }
+
+        return FloodFill.encode(filled, originX, originY, cellSize);
+    }
+
+    /**
+     * Cells any wall's ink reaches into: those whose centre is within the
+     * wall's radius plus half a cell diagonal of it
+     */
+    static rasterizeWalls(walls, originX, originY, cellSize) {
+        const size = FloodFill.GRID_SIZE;
+        const blocked = new Uint8Array(size * size);
+        const margin = cellSize * Math.SQRT2 / 2;
+
+        walls.forEach(({ a, b, radius }) => {
+            const reach = radius + margin;
+            const minColumn = Math.max(0, Math.floor((Math.min(a.x, b.x) - reach - originX) / cellSize));
+            const maxColumn = Math.min(size - 1, Math.floor((Math.max(a.x, b.x) + reach - originX) / cellSize));
+            const minRow = Math.max(0, Math.floor((Math.min(a.y, b.y) - reach - originY) / cellSize));
+            const maxRow = Math.min(size - 1, Math.floor((Math.max(a.y, b.y) + reach - originY) / cellSize));
+
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let column = minColumn; column <= maxColumn; column++) {
+                    const center = { x: originX + (column + 0.5) * cellSize, y: originY + (row + 0.5) * cellSize };
+                    if (FloodFill.distanceToSegment(center, a, b) <= reach) {
+                        blocked[row * size + column] = 1;
+                    }
+                }
+            }
+        });
+        return blocked;
+    }
+
+    static distanceToSegment(point, a, b) {
+        const lengthSquared = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+        const t = lengthSquared === 0 ? 0
+            : Math.max(0, Math.min(1, ((point.x - a.x) * (b.x - a.x) + (point.y - a.y) * (b.y - a.y)) / lengthSquared));
+        return Math.hypot(point.x - (a.x + t * (b.x - a.x)), point.y - (a.y + t * (b.y - a.y)));
+    }
+
+    // Filled cells as a region cropped to their bounds, each row as runs
+    static encode(filled, originX, originY, cellSize) {
+        const size = FloodFill.GRID_SIZE;
+        let minRow = size;
+        let maxRow = -1;
+        let minColumn = size;
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < size; column++) {
+                if (filled[row * size + column]) {
+                    minRow = Math.min(minRow, row);
+                    maxRow = row;
+                    minColumn = Math.min(minColumn, column);
+                    break;
+                }
+            }
+        }
+
+        const rows = [];
+        let runCount = 0;
+        for (let row = minRow; row <= maxRow; row++) {
+            const runs = [];
+            let column = minColumn;
+            while (column < size) {
+                if (!filled[row * size + column]) {
+                    column++;
+                    continue;
+                }
+                const first = column;
+                while (column < size && filled[row * size + column]) column++;
+                runs.push(first - minColumn, column - first);
+            }
+            runCount += runs.length / 2;
+            rows.push(runs);
+        }
+
+        if (runCount > FloodFill.MAX_RUNS) {
+            return { error: 'This area is too intricate to fill.' };
+        }
+        return {
+            fill: { x: originX + minColumn * cellSize, y: originY + minRow * cellSize, cellSize, rows }
+        };
+    }
+
+    /**
+     * The filled cells of a region as boxes, one per run
+     */
+    static getBoxes(fill) {
+        const { x, y, cellSize, rows } = fill;
+        const boxes = [];
+        rows.forEach((runs, row) => {
+            for (let i = 0; i < runs.length; i += 2) {
+                boxes.push({
+                    minX: x + runs[i] * cellSize,
+                    minY: y + row * cellSize,
+                    maxX: x + (runs[i] + runs[i + 1]) * cellSize,
+                    maxY: y + (row + 1) * cellSize
+                });
+            }
+        });
+        return boxes;
+    }
+
+    static getBounds(fill) {
+        const { x, y, cellSize, rows } = fill;
+        const columns = Math.max(...rows.map(runs => (runs.length > 0 ? runs[runs.length - 2] + runs[runs.length - 1] : 0)));
+        return { minX: x, minY: y, maxX: x + columns * cellSize, maxY: y + rows.length * cellSize };
+    }
+
+    static contains(fill, point) {
+        const { x, y, cellSize, rows } = fill;
+        const runs = rows[Math.floor((point.y - y) / cellSize)];
+        if (!runs) return false;
+        const column = (point.x - x) / cellSize;
+        for (let i = 0; i < runs.length; i += 2) {
+            if (column >= runs[i] && column < runs[i] + runs[i + 1]) return true;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,62 @@
+// Image upload for placing screenshots and mockups on the board
+class ImageUploader {
+    static SUPPORTED_TYPES = ['image/png', 'image/jpeg'];
+    
+    isSupported(file) {
+        return file && ImageUploader.SUPPORTED_TYPES.includes(file.type);
+    }
+    
+    /**
+     * Upload an image file to the server
+     * @returns {Promise<string|null>} Stored image ID, or null on failure
+     */
+    async upload(file) {
+        if (!this.isSupported(file)) {
+            alert('Only PNG and JPEG images are supported');
+            return null;
+        }
+        
+        try {
+            const response = await fetch('/api/images', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': file.type
+                },
+                body: file
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok) {
+                return data.imageId;
+            } else {
+                alert(`Error uploading image: ${data.error}`);
+                return null;
+            }
+        } catch (error) {
+            console.error('Error uploading image:', error);
+            alert('Failed to upload image. Please try again.');
+            return null;
+        }
+    }
+    
+    /**
+     * Read the natural size of a local image file
+     * @returns {Promise<{width: number, height: number}>}
+     */
+    getImageSize(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve({ width: img.naturalWidth, height: img.naturalHeight });
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not read image'));
+            };
+            img.src = url;
+        });
+    }
+}
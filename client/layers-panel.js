@@ -0,0 +1,276 @@
+// Board layers
+//
+// Layers belong to the room: everyone sees the same stack, names and hidden
+// or locked layers. Which layer new strokes go on is chosen by each client.
+// Changes go through the outbox like board changes and are shown right away;
+// CanvasManager draws the strokes layer by layer.
+class LayersPanel {
+    static MAX_LAYERS = 20; // Matches the server's limit
+    static MAX_NAME_LENGTH = 50;
+
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.layers = []; // Bottom first: { id, name, visible, locked }
+        this.activeLayerId = null;
+    }
+
+    /**
+     * Replace the layers with the room's (on join and resync)
+     */
+    loadState(layers) {
+        this.layers = layers.map(layer => ({ ...layer }));
+        this.update();
+    }
+
+    addLayer(layer) {
+        if (this.getLayer(layer.id)) return;
+        this.layers.push({ ...layer });
+        this.update();
+    }
+
+    updateLayer(layerId, changes) {
+        const layer = this.getLayer(layerId);
+        if (!layer) return;
+        ['name', 'visible', 'locked'].forEach(key => {
+            if (changes[key] !== undefined) {
+                layer[key] = changes[key];
+            }
+        });
+        this.update();
+    }
+
+    moveLayer(layerId, index) {
+        const from = this.layers.findIndex(layer => layer.id === layerId);
+        if (from < 0) return;
+        const [layer] = this.layers.splice(from, 1);
+        this.layers.splice(Math.max(0, Math.min(index, this.layers.length)), 0, layer);
+        this.update();
+    }
+
+    removeLayer(layerId) {
+        this.layers = this.layers.filter(layer => layer.id !== layerId);
+        this.update();
+    }
+
+    /**
+     * Put back a layer whose deletion the server refused (someone drew on it meanwhile)
+     */
+    restoreLayer(layer, index) {
+        if (this.getLayer(layer.id)) return;
+        this.layers.splice(Math.max(0, Math.min(index, this.layers.length)), 0, { ...layer });
+        this.update();
+    }
+
+    /**
+     * Show a change of ours the server has not confirmed yet again after a
+     * resync replaced the local state
+     */
+    applyPendingOperation(type, data) {
+        switch (type) {
+            case 'layer-add':
+                this.addLayer({ id: data.layerId, name: data.name, visible: true, locked: false });
+                break;
+            case 'layer-update':
+                this.updateLayer(data.layerId, data);
+                break;
+            case 'layer-move':
+                this.moveLayer(data.layerId, data.index);
+                break;
+            case 'layer-delete':
+                this.removeLayer(data.layerId);
+                break;
+        }
+    }
+
+    // ---- Actions ----
+
+    createLayer() {
+        if (this.layers.length >= LayersPanel.MAX_LAYERS) {
+            alert(`A board can have at most ${LayersPanel.MAX_LAYERS} layers`);
+            return;
+        }
+
+        const layer = { id: this.generateId(), name: this.getNextName(), visible: true, locked: false };
+        this.layers.push(layer);
+        this.activeLayerId = layer.id;
+        this.update();
+        window.wsManager.addLayer(layer.id, layer.name);
+    }
+
+    setActive(layerId) {
+        if (!this.getLayer(layerId)) return;
+        this.activeLayerId = layerId;
+        this.update();
+    }
+
+    toggleVisible(layerId) {
+        const layer = this.getLayer(layerId);
+        if (layer) {
+            this.changeLayer(layerId, { visible: !layer.visible });
+        }
+    }
+
+    toggleLocked(layerId) {
+        const layer = this.getLayer(layerId);
+        if (layer) {
+            this.changeLayer(layerId, { locked: !layer.locked });
+        }
+    }
+
+    rename(layerId) {
+        const layer = this.getLayer(layerId);
+        if (!layer) return;
+
+        const name = prompt('Layer name:', layer.name);
+        if (!name || !name.trim() || name.trim() === layer.name) return;
+        if (name.trim().length > LayersPanel.MAX_NAME_LENGTH) {
+            alert(`Layer names can be at most ${LayersPanel.MAX_NAME_LENGTH} characters`);
+            return;
+        }
+        this.changeLayer(layerId, { name: name.trim() });
+    }
+
+    changeLayer(layerId, changes) {
+        this.updateLayer(layerId, changes);
+        window.wsManager.updateLayer(layerId, changes);
+    }
+
+    /**
+     * Move a layer up (offset 1) or down (offset -1) the stack
+     */
+    move(layerId, offset) {
+        const index = this.layers.findIndex(layer => layer.id === layerId) + offset;
+        if (index < 0 || index >= this.layers.length) return;
+        this.moveLayer(layerId, index);
+        window.wsManager.moveLayer(layerId, index);
+    }
+
+    deleteLayer(layerId) {
+        if (this.layers.length <= 1 || !this.getLayer(layerId)) return;
+        if (this.countStrokes(layerId) > 0) {
+            alert('Only empty layers can be deleted. Move or delete its strokes first.');
+            return;
+        }
+        this.removeLayer(layerId);
+        window.wsManager.deleteLayer(layerId);
+    }
+
+    /**
+     * Put the strokes selected with the select tool on the active layer
+     */
+    moveSelectionHere() {
+        const layer = this.getLayer(this.activeLayerId);
+        if (!layer) return;
+        if (layer.locked) {
+            alert(`"${layer.name}" is locked`);
+            return;
+        }
+        if (!this.canvasManager.moveSelectionToLayer(layer.id)) {
+            alert('Select strokes with the Select tool first');
+        }
+    }
+
+    // ---- Helpers ----
+
+    getLayer(layerId) {
+        return this.layers.find(layer => layer.id === layerId);
+    }
+
+    // Strokes on the board on a layer; only empty layers can be deleted
+    countStrokes(layerId) {
+        let count = 0;
+        this.canvasManager.strokes.forEach(stroke => {
+            const layer = this.canvasManager.getStrokeLayer(stroke);
+            if (layer && layer.id === layerId) {
+                count++;
+            }
+        });
+        return count;
+    }
+
+    getNextName() {
+        let number = this.layers.length + 1;
+        while (this.layers.some(layer => layer.name === `Layer ${number}`)) {
+            number++;
+        }
+        return `Layer ${number}`;
+    }
+
+    generateId() {
+        return `layer-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // ---- Rendering ----
+
+    /**
+     * Keep the active layer valid (the top one if ours went away), then show
+     * the layers here and on the canvas
+     */
+    update() {
+        if (!this.getLayer(this.activeLayerId) && this.layers.length > 0) {
+            this.activeLayerId = this.layers[this.layers.length - 1].id;
+        }
+        this.canvasManager.setLayers(this.layers, this.activeLayerId);
+        this.render();
+    }
+
+    render() {
+        const container = document.getElementById('layers-list');
+        if (!container) return;
+        container.innerHTML = '';
+
+        // Top of the stack first, as in drawing programs
+        const top = this.layers.length - 1;
+        this.layers.slice().reverse().forEach((layer, i) => {
+            const index = top - i;
+            const row = document.createElement('div');
+            row.className = 'layer-row';
+            row.classList.toggle('active', layer.id === this.activeLayerId);
+            row.classList.toggle('hidden-layer', !layer.visible);
+
+            row.appendChild(this.createButton(layer.visible ? '👁' : '◌', layer.visible ? 'Hide layer' : 'Show layer', () => {
+                this.toggleVisible(layer.id);
+            }));
+            row.appendChild(this.createButton(layer.locked ? '🔒' : '🔓', layer.locked ? 'Unlock layer' : 'Lock layer', () => {
+                this.toggleLocked(layer.id);
+            }));
+
+            // Names are user input: rendered as text, never HTML
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = layer.name;
+            name.title = 'Click to draw on this layer, double-click to rename';
+            name.addEventListener('click', () => this.setActive(layer.id));
+            name.addEventListener('dblclick', () => {
+                if (window.wsManager.canEdit()) {
+                    this.rename(layer.id);
+                }
+            });
+            row.appendChild(name);
+
+            const up = this.createButton('▲', 'Move layer up', () => this.move(layer.id, 1));
+            up.disabled = index === top;
+            row.appendChild(up);
+            const down = this.createButton('▼', 'Move layer down', () => this.move(layer.id, -1));
+            down.disabled = index === 0;
+            row.appendChild(down);
+            const remove = this.createButton('🗑', 'Delete layer (only empty layers)', () => this.deleteLayer(layer.id));
+            remove.disabled = this.layers.length <= 1;
+            row.appendChild(remove);
+
+            container.appendChild(row);
+        });
+    }
+
+    createButton(label, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'layer-button requires-edit';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+}
@@ -3,16 +3,118 @@
     // Initialize performance monitor first (needed for WebSocket latency tracking)
     window.performanceMonitor = new PerformanceMonitor();
     
+    // Resolve the room from the URL (/r/<roomId>)
+    window.roomDirectory = new RoomDirectory();
+    const roomId = window.roomDirectory.roomId;
+    document.getElementById('room-name').textContent = roomId;
+    document.title = `Collaborative Canvas – ${roomId}`;
+    
     // Initialize session manager
-    window.sessionManager = new SessionManager('default');
+    window.sessionManager = new SessionManager(roomId);
     
     // Initialize canvas manager
-    window.canvasManager = new CanvasManager('drawing-canvas', 'cursor-layer');
+    window.canvasManager = new CanvasManager('drawing-canvas', 'cursor-layer', 'replay-layer');
+    
+    // Initialize replay player (time-lapse of the room or a saved session)
+    window.replayPlayer = new ReplayPlayer(window.canvasManager);
+    
+    // Room chat and comment threads (pins are drawn by the canvas manager)
+    window.discussionPanel = new DiscussionPanel(window.canvasManager);
+    window.canvasManager.onCommentPlace = (anchor) => window.discussionPanel.createComment(anchor);
+    window.canvasManager.onCommentSelect = (commentId) => window.discussionPanel.selectComment(commentId);
+    
+    // Board layers (shared by the room; the active layer is ours)
+    window.layersPanel = new LayersPanel(window.canvasManager);
     
-    // Initialize WebSocket manager
-    window.wsManager = new WebSocketManager();
+    // Stable identity (token, name, color) from local storage
+    window.userIdentity = new UserIdentity();
+    
+    // Initialize WebSocket manager (invite links carry their token in the URL)
+    const invite = RoomDirectory.getInviteFromUrl();
+    window.wsManager = new WebSocketManager(roomId, window.userIdentity, invite ? { invite } : {}, window.roomDirectory.spectating);
     window.wsManager.connect();
     
+    // Role badge, read-only mode (drawing tools hidden) and the owner's access settings
+    const roomRole = document.getElementById('room-role');
+    const accessControls = document.getElementById('access-controls');
+    const passwordStatus = document.getElementById('password-status');
+    const inviteOnlyCheckbox = document.getElementById('invite-only');
+    
+    window.wsManager.onAccessChange = (role, access) => {
+        document.body.classList.toggle('read-only', !window.wsManager.canEdit());
+        roomRole.style.display = role === 'editor' || !role ? 'none' : 'inline';
+        roomRole.textContent = role === 'owner' ? '★ Owner' : window.wsManager.spectate ? '👁 Spectating' : '👁 View only';
+        
+        accessControls.style.display = role === 'owner' ? 'block' : 'none';
+        // Only the owner picks the room's undo scope
+        document.getElementById('undo-mode').disabled = role !== 'owner';
+        passwordStatus.textContent = access.hasPassword ? 'Password is set' : 'No password';
+        inviteOnlyCheckbox.checked = access.inviteOnly;
+    };
+    
+    document.getElementById('set-password-btn').addEventListener('click', () => {
+        const passwordInput = document.getElementById('room-password');
+        if (!passwordInput.value) return;
+        window.wsManager.setRoomAccess({ password: passwordInput.value });
+        passwordInput.value = '';
+    });
+    
+    document.getElementById('remove-password-btn').addEventListener('click', () => {
+        window.wsManager.setRoomAccess({ password: null });
+    });
+    
+    inviteOnlyCheckbox.addEventListener('change', () => {
+        window.wsManager.setRoomAccess({ inviteOnly: inviteOnlyCheckbox.checked });
+    });
+    
+    document.getElementById('create-invite-btn').addEventListener('click', () => {
+        const role = document.getElementById('invite-role').value;
+        const expiresIn = Number(document.getElementById('invite-expiry').value);
+        window.wsManager.createInvite(role, expiresIn);
+    });
+    
+    window.wsManager.onInviteCreated = async (invitation) => {
+        const url = `${window.location.origin}${invitation.url}`;
+        const expires = new Date(invitation.expiresAt).toLocaleString();
+        try {
+            await navigator.clipboard.writeText(url);
+            alert(`Invite link copied to clipboard (valid until ${expires})`);
+        } catch (error) {
+            prompt(`Copy this invite link (valid until ${expires}):`, url);
+        }
+    };
+    
+    // Display name and avatar color (persisted locally, shared with the room)
+    const displayNameInput = document.getElementById('display-name');
+    const avatarColorInput = document.getElementById('avatar-color');
+    displayNameInput.value = window.userIdentity.name;
+    if (window.userIdentity.color) {
+        avatarColorInput.value = window.userIdentity.color;
+    }
+    
+    displayNameInput.addEventListener('change', () => {
+        const name = displayNameInput.value.trim();
+        if (!name) return;
+        window.userIdentity.setProfile({ name });
+        window.wsManager.updateProfile({ name });
+    });
+    
+    avatarColorInput.addEventListener('change', () => {
+        window.userIdentity.setProfile({ color: avatarColorInput.value });
+        window.wsManager.updateProfile({ color: avatarColorInput.value });
+    });
+    
+    // Until a name/color is chosen, show the defaults the server assigned
+    window.wsManager.onUsersChange = (users, currentUser) => {
+        if (!currentUser) return;
+        if (!window.userIdentity.name && document.activeElement !== displayNameInput) {
+            displayNameInput.placeholder = currentUser.name;
+        }
+        if (!window.userIdentity.color) {
+            avatarColorInput.value = currentUser.color.toLowerCase();
+        }
+    };
+    
     // Tool selection
     const toolButtons = document.querySelectorAll('.tool-btn');
     toolButtons.forEach(btn => {
@@ -24,6 +126,87 @@
         });
     });
     
+    // Chat and comments panel
+    document.querySelectorAll('.discussion-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            window.discussionPanel.setTab(tab.getAttribute('data-tab'));
+        });
+    });
+    
+    const chatInput = document.getElementById('chat-input');
+    document.getElementById('chat-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (window.discussionPanel.sendChatMessage(chatInput.value)) {
+            chatInput.value = '';
+        }
+    });
+    
+    document.getElementById('show-resolved').addEventListener('change', (e) => {
+        window.discussionPanel.setShowResolved(e.target.checked);
+    });
+    
+    // Layers panel
+    document.getElementById('add-layer-btn').addEventListener('click', () => {
+        window.layersPanel.createLayer();
+    });
+    document.getElementById('move-to-layer-btn').addEventListener('click', () => {
+        window.layersPanel.moveSelectionHere();
+    });
+    
+    // Image import: file picker places at the view centre, drag-and-drop at the drop point
+    window.imageUploader = new ImageUploader();
+    
+    const placeImage = async (file, center) => {
+        if (!window.imageUploader.isSupported(file)) {
+            alert('Only PNG and JPEG images are supported');
+            return;
+        }
+        if (!window.canvasManager.checkActiveLayer()) return;
+        try {
+            const size = await window.imageUploader.getImageSize(file);
+            const imageId = await window.imageUploader.upload(file);
+            if (imageId) {
+                window.canvasManager.addImage(imageId, size, center);
+            }
+        } catch (error) {
+            console.error('Error placing image:', error);
+            alert('Could not read that image.');
+        }
+    };
+    
+    const imageInput = document.getElementById('image-input');
+    document.getElementById('insert-image-btn').addEventListener('click', () => {
+        imageInput.click();
+    });
+    imageInput.addEventListener('change', () => {
+        const file = imageInput.files[0];
+        imageInput.value = '';
+        if (file) {
+            placeImage(file, window.canvasManager.getViewCenter());
+        }
+    });
+    
+    const canvasContainer = document.querySelector('.canvas-container');
+    canvasContainer.addEventListener('dragover', (e) => {
+        if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+            e.preventDefault();
+            canvasContainer.classList.add('drag-over');
+        }
+    });
+    canvasContainer.addEventListener('dragleave', (e) => {
+        if (!canvasContainer.contains(e.relatedTarget)) {
+            canvasContainer.classList.remove('drag-over');
+        }
+    });
+    canvasContainer.addEventListener('drop', (e) => {
+        e.preventDefault();
+        canvasContainer.classList.remove('drag-over');
+        const file = e.dataTransfer.files[0];
+        if (file) {
+            placeImage(file, window.canvasManager.getCanvasCoordinates(e));
+        }
+    });
+    
     // Color picker
     const colorInput = document.getElementById('color-input');
     colorInput.addEventListener('change', (e) => {
@@ -49,6 +232,18 @@
         brushSizeValue.textContent = size + 'px';
     });
     
+    // Text font
+    const fontFamily = document.getElementById('font-family');
+    const fontSize = document.getElementById('font-size');
+    const fontSizeValue = document.getElementById('font-size-value');
+    const updateFont = () => {
+        const size = parseInt(fontSize.value);
+        window.canvasManager.setFont(fontFamily.value, size);
+        fontSizeValue.textContent = size + 'px';
+    };
+    fontFamily.addEventListener('change', updateFont);
+    fontSize.addEventListener('input', updateFont);
+    
     // Undo/Redo buttons
     const undoBtn = document.getElementById('undo-btn');
     const redoBtn = document.getElementById('redo-btn');
@@ -61,6 +256,18 @@
         window.wsManager.redo();
     });
     
+    // Delete the strokes selected with the select tool
+    const deleteSelectionBtn = document.getElementById('delete-selection-btn');
+    deleteSelectionBtn.addEventListener('click', () => {
+        window.canvasManager.deleteSelection();
+    });
+    
+    // Undo scope (room-wide setting for facilitators)
+    const undoModeSelect = document.getElementById('undo-mode');
+    undoModeSelect.addEventListener('change', (e) => {
+        window.wsManager.setUndoMode(e.target.value);
+    });
+    
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
         // Ctrl+Z or Cmd+Z for undo
@@ -73,6 +280,16 @@
             e.preventDefault();
             window.wsManager.redo();
         }
+        // Delete/Backspace removes the selection, Escape drops it
+        if ((e.key === 'Delete' || e.key === 'Backspace') && !window.canvasManager.isEditableTarget(e.target)) {
+            if (window.canvasManager.deleteSelection()) {
+                e.preventDefault();
+            }
+        }
+        if (e.key === 'Escape') {
+            window.canvasManager.clearSelection();
+            window.replayPlayer.close();
+        }
     });
     
     // Clear button
@@ -89,22 +306,93 @@
     
     // Track cursor movement for remote cursor display
     const canvas = document.getElementById('drawing-canvas');
-    canvas.addEventListener('mousemove', (e) => {
+    canvas.addEventListener('pointermove', (e) => {
         if (window.wsManager && window.wsManager.connected) {
-            const rect = canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
+            // Cursor positions are shared in world coordinates
+            const { x, y } = window.canvasManager.getCanvasCoordinates(e);
             window.wsManager.socket.emit('cursor-move', { x, y });
         }
     });
     
+    // Zoom controls
+    const zoomLevel = document.getElementById('zoom-level');
+    window.canvasManager.onViewChange = (view) => {
+        zoomLevel.textContent = Math.round(view.scale * 100) + '%';
+    };
+    
+    document.getElementById('zoom-in-btn').addEventListener('click', () => {
+        window.canvasManager.zoomBy(1.25);
+    });
+    
+    document.getElementById('zoom-out-btn').addEventListener('click', () => {
+        window.canvasManager.zoomBy(0.8);
+    });
+    
+    document.getElementById('zoom-reset-btn').addEventListener('click', () => {
+        window.canvasManager.resetView();
+    });
+    
+    // Room buttons
+    const copyRoomLinkBtn = document.getElementById('copy-room-link-btn');
+    copyRoomLinkBtn.addEventListener('click', () => {
+        window.roomDirectory.copyRoomLink();
+    });
+    
+    document.getElementById('copy-spectator-link-btn').addEventListener('click', () => {
+        window.roomDirectory.copySpectatorLink();
+    });
+    
+    const createRoomBtn = document.getElementById('create-room-btn');
+    createRoomBtn.addEventListener('click', async () => {
+        const requestedId = prompt('Room name (leave empty for a random one):');
+        if (requestedId === null) return;
+        const newRoomId = await window.roomDirectory.createRoom(requestedId || null, window.userIdentity);
+        if (newRoomId) {
+            window.roomDirectory.goToRoom(newRoomId);
+        }
+    });
+    
+    const browseRoomsBtn = document.getElementById('browse-rooms-btn');
+    const roomList = document.getElementById('room-list');
+    const closeRoomList = document.getElementById('close-room-list');
+    
+    browseRoomsBtn.addEventListener('click', async () => {
+        const rooms = await window.roomDirectory.listRooms();
+        window.roomDirectory.displayRooms(rooms);
+        roomList.style.display = 'block';
+    });
+    
+    closeRoomList.addEventListener('click', () => {
+        roomList.style.display = 'none';
+    });
+    
     // Save session button
     const saveBtn = document.getElementById('save-btn');
     saveBtn.addEventListener('click', async () => {
         const sessionName = prompt('Enter a name for this session:');
         if (sessionName) {
-            await window.sessionManager.saveSession(sessionName);
+            const saved = await window.sessionManager.saveSession(sessionName);
+            if (saved && sessionList.style.display !== 'none') {
+                window.sessionManager.refreshSessions();
+            }
+        }
+    });
+    
+    // Export button (rendered server-side from the room's stroke history)
+    const exportBtn = document.getElementById('export-btn');
+    const exportFormat = document.getElementById('export-format');
+    exportBtn.addEventListener('click', () => {
+        // Download links cannot send headers, so the access token goes in the query
+        let url = `/api/rooms/${encodeURIComponent(roomId)}/export?format=${exportFormat.value}`;
+        if (window.wsManager.accessToken) {
+            url += `&access=${encodeURIComponent(window.wsManager.accessToken)}`;
         }
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${roomId}.${exportFormat.value}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
     });
     
     // Load session button
@@ -113,8 +401,7 @@
     const closeSessionList = document.getElementById('close-session-list');
     
     loadBtn.addEventListener('click', async () => {
-        const sessions = await window.sessionManager.listSessions();
-        window.sessionManager.displaySessions(sessions);
+        await window.sessionManager.goToPage(1);
         sessionList.style.display = 'block';
     });
     
@@ -122,6 +409,63 @@
         sessionList.style.display = 'none';
     });
     
+    // Session search (debounced) and paging
+    const sessionSearch = document.getElementById('session-search');
+    let sessionSearchTimer = null;
+    sessionSearch.addEventListener('input', () => {
+        clearTimeout(sessionSearchTimer);
+        sessionSearchTimer = setTimeout(() => {
+            window.sessionManager.setSearch(sessionSearch.value);
+        }, 300);
+    });
+    
+    document.getElementById('session-prev-btn').addEventListener('click', () => {
+        window.sessionManager.goToPage(window.sessionManager.page - 1);
+    });
+    
+    document.getElementById('session-next-btn').addEventListener('click', () => {
+        window.sessionManager.goToPage(window.sessionManager.page + 1);
+    });
+    
+    // Replay controls
+    const replayControls = document.getElementById('replay-controls');
+    const replayPlayBtn = document.getElementById('replay-play-btn');
+    const replayScrubber = document.getElementById('replay-scrubber');
+    const replayTime = document.getElementById('replay-time');
+    const replaySpeed = document.getElementById('replay-speed');
+    const replayTitle = document.getElementById('replay-title');
+    
+    window.replayPlayer.onChange = (state) => {
+        replayControls.style.display = state.active ? 'flex' : 'none';
+        replayPlayBtn.textContent = state.playing ? '⏸' : '▶';
+        replayScrubber.max = Math.ceil(state.duration);
+        replayScrubber.value = Math.floor(state.position);
+        replayTime.textContent = `${ReplayPlayer.formatTime(state.position)} / ${ReplayPlayer.formatTime(state.duration)}`;
+        replaySpeed.value = String(state.speed);
+        replayTitle.textContent = state.title;
+    };
+    
+    document.getElementById('replay-room-btn').addEventListener('click', () => {
+        window.replayPlayer.loadRoom(roomId);
+    });
+    
+    replayPlayBtn.addEventListener('click', () => {
+        window.replayPlayer.togglePlay();
+    });
+    
+    replayScrubber.addEventListener('input', () => {
+        window.replayPlayer.pause();
+        window.replayPlayer.seek(Number(replayScrubber.value));
+    });
+    
+    replaySpeed.addEventListener('change', () => {
+        window.replayPlayer.setSpeed(Number(replaySpeed.value));
+    });
+    
+    document.getElementById('replay-close-btn').addEventListener('click', () => {
+        window.replayPlayer.close();
+    });
+    
     console.log('Collaborative Canvas initialized');
 })();
 
@@ -0,0 +1,143 @@
+// Board changes waiting for the server's acknowledgement, kept in IndexedDB
+// so they survive reloads and going offline
+//
+// Each page load is a separate client with its own ID and sequence numbers.
+// Entries left by earlier page loads of the same room are picked up and sent
+// with their original client ID and sequence number, so the server can tell
+// whether it already applied them.
+class Outbox {
+    static DB_NAME = 'collaborative-canvas';
+    static DB_VERSION = 1;
+    static STORE_NAME = 'outbox';
+
+    constructor(roomId) {
+        this.roomId = roomId;
+        this.clientId = Outbox.generateClientId();
+        this.nextSeq = 1;
+        this.entries = []; // In the order they were made
+        this.db = null;
+    }
+
+    static generateClientId() {
+        const bytes = new Uint8Array(12);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    static openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(Outbox.DB_NAME, Outbox.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(Outbox.STORE_NAME, { keyPath: 'key' });
+                store.createIndex('roomId', 'roomId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Load the entries earlier page loads left for this room. Never rejects:
+     * without IndexedDB (private browsing) the outbox lasts for this page only.
+     */
+    async open() {
+        try {
+            this.db = await Outbox.openDatabase();
+
+            const stored = await new Promise((resolve, reject) => {
+                const request = this.db.transaction(Outbox.STORE_NAME)
+                    .objectStore(Outbox.STORE_NAME)
+                    .index('roomId')
+                    .getAll(this.roomId);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            stored.sort((a, b) => a.createdAt - b.createdAt || a.seq - b.seq);
+
+            // Entries made while loading were not written yet
+            this.entries.forEach(entry => this.write(store => store.put(this.toRecord(entry))));
+            this.entries = stored.concat(this.entries);
+
+            if (stored.length > 0) {
+                console.log(`Outbox: ${stored.length} pending changes from an earlier visit`);
+            }
+        } catch (error) {
+            console.warn('Could not open the offline outbox; pending changes are kept for this page only:', error);
+            this.db = null;
+        }
+    }
+
+    /**
+     * Add a change made on the given board generation; returns the entry
+     */
+    add(type, data, generation) {
+        const seq = this.nextSeq++;
+        const entry = {
+            key: `${this.clientId}:${seq}`,
+            roomId: this.roomId,
+            clientId: this.clientId,
+            seq,
+            generation,
+            type,
+            data,
+            createdAt: Date.now()
+        };
+        this.entries.push(entry);
+        this.write(store => store.put(this.toRecord(entry)));
+        return entry;
+    }
+
+    remove(entry) {
+        const index = this.entries.indexOf(entry);
+        if (index === -1) return;
+
+        this.entries.splice(index, 1);
+        this.write(store => store.delete(entry.key));
+    }
+
+    // Store changes made to an entry's stored fields
+    update(entry) {
+        if (this.has(entry)) {
+            this.write(store => store.put(this.toRecord(entry)));
+        }
+    }
+
+    has(entry) {
+        return this.entries.includes(entry);
+    }
+
+    getEntries() {
+        return this.entries.slice();
+    }
+
+    /**
+     * Client IDs with pending entries, so the server can say which of them it already applied
+     */
+    getClientIds() {
+        return Array.from(new Set(this.entries.map(entry => entry.clientId)));
+    }
+
+    // Only these fields are stored; WebSocketManager keeps send state on the entries too
+    toRecord(entry) {
+        const { key, roomId, clientId, seq, generation, type, data, createdAt } = entry;
+        return { key, roomId, clientId, seq, generation, type, data, createdAt };
+    }
+
+    // Transactions on one store run in the order they were created, so writes land in order
+    write(operation) {
+        if (!this.db) return;
+
+        try {
+            const transaction = this.db.transaction(Outbox.STORE_NAME, 'readwrite');
+            transaction.onerror = () => console.warn('Could not update the offline outbox:', transaction.error);
+            operation(transaction.objectStore(Outbox.STORE_NAME));
+        } catch (error) {
+            console.warn('Could not update the offline outbox:', error);
+        }
+    }
+}
@@ -1,4 +1,4 @@
-// Performance metrics tracking (FPS and latency)
+// Performance metrics tracking (FPS, latency, socket traffic and board redraws)
 class PerformanceMonitor {
     constructor() {
         this.fps = 0;
@@ -11,8 +11,21 @@ class PerformanceMonitor {
         this.pingInterval = null;
         this.pingIntervalMs = 1000; // Ping every second
         
+        // Socket.IO messages and their payload sizes (before compression),
+        // per direction and per event; see getTrafficStats()
+        this.traffic = { sent: this.createTrafficCounter(), received: this.createTrafficCounter() };
+        this.lastTrafficTotals = { sent: { messages: 0, bytes: 0 }, received: { messages: 0, bytes: 0 } };
+        this.monitoredEngine = null;
+        
+        // Board redraws (CanvasManager.redraw): time spent and tiles shown and rendered; see getRenderStats()
+        this.render = this.createRenderCounter();
+        this.lastRenderTotals = this.createRenderCounter();
+        
         this.fpsElement = document.getElementById('fps-counter');
         this.latencyElement = document.getElementById('latency-display');
+        this.trafficSentElement = document.getElementById('traffic-sent');
+        this.trafficReceivedElement = document.getElementById('traffic-received');
+        this.renderElement = document.getElementById('render-time');
         
         this.startFPSMonitoring();
     }
@@ -39,6 +52,9 @@ class PerformanceMonitor {
                         this.fpsElement.style.color = '#f44336';
                     }
                 }
+                
+                this.updateTrafficDisplay(elapsed);
+                this.updateRenderDisplay(elapsed);
             }
             
             this.lastTime = currentTime;
@@ -77,6 +93,143 @@ class PerformanceMonitor {
         }, this.pingIntervalMs);
     }
     
+    /**
+     * Count every Socket.IO message going through the socket's connection.
+     * The underlying Engine.IO socket is replaced on every reconnect, so it
+     * is hooked again each time the manager opens.
+     */
+    startTrafficMonitoring(socket) {
+        if (!socket || !socket.io) return;
+        
+        const manager = socket.io;
+        const hookEngine = () => {
+            const engine = manager.engine;
+            if (!engine || engine === this.monitoredEngine) return;
+            this.monitoredEngine = engine;
+            
+            engine.on('packetCreate', packet => this.countPacket('sent', packet));
+            engine.on('packet', packet => this.countPacket('received', packet));
+        };
+        
+        manager.on('open', hookEngine);
+        hookEngine();
+    }
+    
+    createTrafficCounter() {
+        return { messages: 0, bytes: 0, events: {} };
+    }
+    
+    countPacket(direction, packet) {
+        // Other Engine.IO packets (ping, pong, upgrade) are transport overhead
+        if (packet.type !== 'message' || packet.data === undefined) return;
+        
+        const data = packet.data;
+        const bytes = typeof data === 'string' ? data.length : (data.byteLength || 0);
+        
+        // Socket.IO encodes events as <type>[<namespace>,][<ack id>]["<event>",...]
+        let event = 'other';
+        if (typeof data === 'string') {
+            const match = /^\d+(?:\/[^,]*,)?\d*\["([^"]+)"/.exec(data);
+            if (match) {
+                event = match[1];
+            }
+        }
+        
+        const counter = this.traffic[direction];
+        counter.messages++;
+        counter.bytes += bytes;
+        
+        const eventCounter = counter.events[event] || (counter.events[event] = { messages: 0, bytes: 0 });
+        eventCounter.messages++;
+        eventCounter.bytes += bytes;
+    }
+    
+    /**
+     * Totals since the page loaded, e.g. for comparing wire formats from the
+     * console: performanceMonitor.getTrafficStats().sent.events['draw-points']
+     */
+    getTrafficStats() {
+        return JSON.parse(JSON.stringify(this.traffic));
+    }
+    
+    resetTrafficStats() {
+        this.traffic = { sent: this.createTrafficCounter(), received: this.createTrafficCounter() };
+        this.lastTrafficTotals = { sent: { messages: 0, bytes: 0 }, received: { messages: 0, bytes: 0 } };
+    }
+    
+    // Show messages and bytes per second since the last update
+    updateTrafficDisplay(elapsed) {
+        const show = (element, direction) => {
+            const counter = this.traffic[direction];
+            const last = this.lastTrafficTotals[direction];
+            const messagesPerSecond = Math.round((counter.messages - last.messages) * 1000 / elapsed);
+            const bytesPerSecond = (counter.bytes - last.bytes) * 1000 / elapsed;
+            this.lastTrafficTotals[direction] = { messages: counter.messages, bytes: counter.bytes };
+            
+            if (element) {
+                element.textContent = `${messagesPerSecond}/s · ${this.formatBytes(bytesPerSecond)}/s`;
+            }
+        };
+        
+        show(this.trafficSentElement, 'sent');
+        show(this.trafficReceivedElement, 'received');
+    }
+    
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${Math.round(bytes)} B`;
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    
+    createRenderCounter() {
+        return { redraws: 0, time: 0, maxTime: 0, tilesShown: 0, tilesRendered: 0 };
+    }
+    
+    /**
+     * Count one board redraw: how long it took (ms), how many tiles it
+     * showed and how many of them were not cached and had to be rendered
+     */
+    recordRedraw(duration, tilesShown, tilesRendered) {
+        const counter = this.render;
+        counter.redraws++;
+        counter.time += duration;
+        counter.maxTime = Math.max(counter.maxTime, duration);
+        counter.tilesShown += tilesShown;
+        counter.tilesRendered += tilesRendered;
+    }
+    
+    /**
+     * Totals since the page loaded (or the last reset), e.g. to see what
+     * the tile cache saves: performanceMonitor.getRenderStats().tilesRendered
+     */
+    getRenderStats() {
+        return { ...this.render };
+    }
+    
+    resetRenderStats() {
+        this.render = this.createRenderCounter();
+        this.lastRenderTotals = this.createRenderCounter();
+    }
+    
+    // Share of the last interval spent redrawing the board (time that frames could not use), and tiles rendered
+    updateRenderDisplay(elapsed) {
+        const counter = this.render;
+        const last = this.lastRenderTotals;
+        const busy = (counter.time - last.time) / elapsed;
+        const tilesRendered = counter.tilesRendered - last.tilesRendered;
+        this.lastRenderTotals = { ...counter };
+        
+        if (this.renderElement) {
+            this.renderElement.textContent = `${Math.round(busy * 100)}% · ${tilesRendered} tiles`;
+            if (busy < 0.1) {
+                this.renderElement.style.color = '#4caf50';
+            } else if (busy < 0.3) {
+                this.renderElement.style.color = '#ff9800';
+            } else {
+                this.renderElement.style.color = '#f44336';
+            }
+        }
+    }
+    
     stop() {
         if (this.pingInterval) {
             clearInterval(this.pingInterval);
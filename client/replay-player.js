@@ -0,0 +1,245 @@
+// Time-lapse replay of a room or saved session
+//
+// Strokes are fetched with their timestamps and shown on CanvasManager's replay
+// layer in the order they were drawn: freehand strokes point by point, shapes,
+// text, images and fills once they were finished. Idle gaps are shortened so long
+// workshops stay watchable.
+class ReplayPlayer {
+    static MAX_IDLE_GAP = 2000; // Longest pause kept between two events (ms)
+    static SPEEDS = [1, 2, 5, 10, 20];
+
+    constructor(canvasManager) {
+        this.canvasManager = canvasManager;
+        this.active = false;
+        this.title = '';
+
+        // Strokes with their times on the replay clock (ms from the first event)
+        this.timeline = []; // [{ stroke, start, end, pointTimes }]
+        this.duration = 0;
+
+        // Playback state
+        this.position = 0;
+        this.speed = 1;
+        this.playing = false;
+        this.animationFrame = null;
+        this.lastTick = null;
+
+        this.onChange = null; // Callback({ active, playing, position, duration, speed, title }) for the controls
+    }
+
+    /**
+     * Replay the current board of a room
+     */
+    loadRoom(roomId) {
+        return this.load(`/api/rooms/${encodeURIComponent(roomId)}/replay`, `Room ${roomId}`);
+    }
+
+    /**
+     * Replay a saved session file without loading it into the room
+     */
+    loadSession(filename) {
+        return this.load(`/api/sessions/${encodeURIComponent(filename)}/replay`, filename);
+    }
+
+    async load(url, defaultTitle) {
+        try {
+            const response = await fetch(url, { headers: window.wsManager.getAuthHeaders() });
+            const data = await response.json();
+
+            if (!response.ok) {
+                alert(`Error loading replay: ${data.error}`);
+                return false;
+            }
+
+            if (data.strokes.length === 0) {
+                alert('Nothing to replay yet');
+                return false;
+            }
+
+            this.open(data.strokes, data.layers || [], data.sessionName || defaultTitle);
+            return true;
+        } catch (error) {
+            console.error('Error loading replay:', error);
+            alert('Failed to load replay. Please try again.');
+            return false;
+        }
+    }
+
+    open(strokes, layers, title) {
+        this.close();
+
+        this.buildTimeline(strokes.map(stroke => ({
+            ...this.canvasManager.toClientStroke(stroke),
+            startTime: stroke.startTime,
+            endTime: stroke.endTime
+        })));
+        this.title = title;
+        this.active = true;
+        this.position = 0;
+
+        this.canvasManager.startReplay(layers);
+        this.play();
+    }
+
+    close() {
+        if (!this.active) return;
+
+        this.pause();
+        this.active = false;
+        this.timeline = [];
+        this.canvasManager.stopReplay();
+        this.notify();
+    }
+
+    /**
+     * Map board timestamps onto the replay clock, shortening idle gaps
+     */
+    buildTimeline(strokes) {
+        const times = new Set();
+        strokes.forEach(stroke => {
+            times.add(stroke.startTime);
+            times.add(stroke.endTime || stroke.startTime);
+            stroke.points.forEach(point => {
+                if (point.timestamp) {
+                    times.add(point.timestamp);
+                }
+            });
+        });
+
+        const sorted = Array.from(times).sort((a, b) => a - b);
+        const replayTimes = new Map();
+        let elapsed = 0;
+        sorted.forEach((time, i) => {
+            if (i > 0) {
+                elapsed += Math.min(time - sorted[i - 1], ReplayPlayer.MAX_IDLE_GAP);
+            }
+            replayTimes.set(time, elapsed);
+        });
+
+        // Strokes arrive sorted by start time, which getFrame relies on
+        this.timeline = strokes.map(stroke => {
+            const start = replayTimes.get(stroke.startTime);
+            return {
+                stroke,
+                start,
+                end: replayTimes.get(stroke.endTime || stroke.startTime),
+                pointTimes: stroke.points.map(point => point.timestamp ? replayTimes.get(point.timestamp) : start)
+            };
+        });
+        this.duration = elapsed;
+    }
+
+    /**
+     * Strokes as they looked at a position on the replay clock
+     */
+    getFrame(position) {
+        const frame = [];
+
+        for (const { stroke, start, end, pointTimes } of this.timeline) {
+            if (start > position) break;
+
+            if (stroke.points.length === 0) {
+                // Shapes, text, images and fills appear once finished
+                if (end <= position) {
+                    frame.push(stroke);
+                }
+                continue;
+            }
+
+            let count = 0;
+            while (count < pointTimes.length && pointTimes[count] <= position) {
+                count++;
+            }
+            frame.push(count === stroke.points.length ? stroke : { ...stroke, points: stroke.points.slice(0, count) });
+        }
+
+        return frame;
+    }
+
+    play() {
+        if (!this.active || this.playing) return;
+
+        // Start over when play is pressed at the end
+        if (this.position >= this.duration) {
+            this.position = 0;
+        }
+        this.playing = true;
+        this.lastTick = null;
+        this.render();
+        this.animationFrame = requestAnimationFrame(timestamp => this.tick(timestamp));
+    }
+
+    pause() {
+        this.playing = false;
+        if (this.animationFrame !== null) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        this.notify();
+    }
+
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    tick(timestamp) {
+        if (!this.playing) return;
+
+        if (this.lastTick !== null) {
+            this.position = Math.min(this.duration, this.position + (timestamp - this.lastTick) * this.speed);
+        }
+        this.lastTick = timestamp;
+        this.render();
+
+        if (this.position >= this.duration) {
+            this.pause();
+            return;
+        }
+        this.animationFrame = requestAnimationFrame(next => this.tick(next));
+    }
+
+    /**
+     * Jump to a position on the replay clock (scrubber)
+     */
+    seek(position) {
+        if (!this.active) return;
+        this.position = Math.max(0, Math.min(this.duration, position));
+        this.render();
+    }
+
+    setSpeed(speed) {
+        if (ReplayPlayer.SPEEDS.includes(speed)) {
+            this.speed = speed;
+            this.notify();
+        }
+    }
+
+    render() {
+        this.canvasManager.setReplayFrame(this.getFrame(this.position));
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange({
+                active: this.active,
+                playing: this.playing,
+                position: this.position,
+                duration: this.duration,
+                speed: this.speed,
+                title: this.title
+            });
+        }
+    }
+
+    static formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+}
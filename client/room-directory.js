@@ -0,0 +1,149 @@
+// Room addressing and directory (shareable /r/<roomId> URLs)
+class RoomDirectory {
+    constructor() {
+        this.roomId = RoomDirectory.getRoomIdFromUrl();
+        this.spectating = RoomDirectory.isSpectatorUrl();
+    }
+    
+    /**
+     * Read the room ID from the current URL (/r/<roomId> or /r/<roomId>/watch), falling back to 'default'
+     */
+    static getRoomIdFromUrl() {
+        const match = window.location.pathname.match(/^\/r\/([A-Za-z0-9_-]{1,64})(\/watch)?\/?$/);
+        return match ? match[1] : 'default';
+    }
+    
+    /**
+     * Spectator links (/r/<roomId>/watch) open the room read-only
+     */
+    static isSpectatorUrl() {
+        return /^\/r\/[A-Za-z0-9_-]{1,64}\/watch\/?$/.test(window.location.pathname);
+    }
+    
+    /**
+     * Invite token from an invite link (/r/<roomId>?invite=<token>), if any
+     */
+    static getInviteFromUrl() {
+        return new URLSearchParams(window.location.search).get('invite');
+    }
+    
+    getRoomUrl(roomId) {
+        return `${window.location.origin}/r/${encodeURIComponent(roomId || this.roomId)}`;
+    }
+    
+    getSpectatorUrl(roomId) {
+        return `${this.getRoomUrl(roomId)}/watch`;
+    }
+    
+    /**
+     * Create a room; sending the identity token makes us its owner
+     */
+    async createRoom(roomId, identity) {
+        try {
+            const body = roomId ? { roomId: roomId.trim() } : {};
+            if (identity) {
+                body.token = identity.token;
+            }
+            const response = await fetch('/api/rooms', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok) {
+                return data.roomId;
+            } else {
+                alert(`Error creating room: ${data.error}`);
+                return null;
+            }
+        } catch (error) {
+            console.error('Error creating room:', error);
+            alert('Failed to create room. Please try again.');
+            return null;
+        }
+    }
+    
+    async listRooms() {
+        try {
+            const response = await fetch('/api/rooms');
+            const data = await response.json();
+            
+            if (response.ok) {
+                return data.rooms || [];
+            } else {
+                console.error('Error listing rooms:', data.error);
+                return [];
+            }
+        } catch (error) {
+            console.error('Error listing rooms:', error);
+            return [];
+        }
+    }
+    
+    goToRoom(roomId) {
+        window.location.href = `/r/${encodeURIComponent(roomId)}`;
+    }
+    
+    async copyRoomLink() {
+        const url = this.getRoomUrl();
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('Room link copied to clipboard!');
+        } catch (error) {
+            prompt('Copy this room link:', url);
+        }
+    }
+    
+    async copySpectatorLink() {
+        const url = this.getSpectatorUrl();
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('Spectator link copied to clipboard! People who open it can watch but not draw.');
+        } catch (error) {
+            prompt('Copy this spectator link:', url);
+        }
+    }
+    
+    displayRooms(rooms) {
+        const container = document.getElementById('rooms-container');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        if (rooms.length === 0) {
+            container.innerHTML = '<p style="text-align: center; color: #666; padding: 20px;">No active rooms</p>';
+            return;
+        }
+        
+        rooms.forEach(room => {
+            const item = document.createElement('div');
+            item.className = 'session-item' + (room.roomId === this.roomId ? ' current' : '');
+            
+            const name = document.createElement('div');
+            name.className = 'session-item-name';
+            name.textContent = room.roomId;
+            
+            const count = document.createElement('div');
+            count.className = 'session-item-date';
+            count.textContent = `${room.userCount} online`;
+            if (room.access && (room.access.hasPassword || room.access.inviteOnly)) {
+                count.textContent += room.access.inviteOnly ? ' · 🔒 invite only' : ' · 🔒 password';
+            }
+            
+            item.appendChild(name);
+            item.appendChild(count);
+            
+            item.addEventListener('click', () => {
+                if (room.roomId !== this.roomId) {
+                    this.goToRoom(room.roomId);
+                }
+            });
+            
+            container.appendChild(item);
+        });
+    }
+}
@@ -1,7 +1,14 @@
-// Session management (save/load functionality)
+// Session management (save, load, rename, overwrite, delete and the session list)
 class SessionManager {
+    static PAGE_SIZE = 10;
+    
     constructor(roomId) {
         this.roomId = roomId || 'default';
+        
+        // Session list state: only this room's sessions are listed
+        this.search = '';
+        this.page = 1;
+        this.total = 0;
     }
     
     async saveSession(sessionName) {
@@ -14,7 +21,8 @@ class SessionManager {
             const response = await fetch('/api/save-session', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...window.wsManager.getAuthHeaders()
                 },
                 body: JSON.stringify({
                     roomId: this.roomId,
@@ -43,7 +51,8 @@ class SessionManager {
             const response = await fetch('/api/load-session', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    ...window.wsManager.getAuthHeaders()
                 },
                 body: JSON.stringify({
                     roomId: this.roomId,
@@ -67,23 +76,119 @@ class SessionManager {
         }
     }
     
+    /**
+     * One page of this room's saved sessions, filtered by the current search.
+     * Resolves to { sessions, total, page, pageSize }.
+     */
     async listSessions() {
+        const params = new URLSearchParams({
+            roomId: this.roomId,
+            page: String(this.page),
+            pageSize: String(SessionManager.PAGE_SIZE)
+        });
+        if (this.search) {
+            params.set('search', this.search);
+        }
+        
         try {
-            const response = await fetch('/api/sessions');
+            const response = await fetch(`/api/sessions?${params}`, {
+                headers: window.wsManager.getAuthHeaders()
+            });
             const data = await response.json();
             
             if (response.ok) {
-                return data.sessions || [];
+                return data;
             } else {
                 console.error('Error listing sessions:', data.error);
-                return [];
+                return { sessions: [], total: 0, page: this.page, pageSize: SessionManager.PAGE_SIZE };
             }
         } catch (error) {
             console.error('Error listing sessions:', error);
-            return [];
+            return { sessions: [], total: 0, page: this.page, pageSize: SessionManager.PAGE_SIZE };
         }
     }
     
+    /**
+     * Fetch and show the current page of the session list
+     */
+    async refreshSessions() {
+        const data = await this.listSessions();
+        
+        // Deleting the last session of a page leaves it empty; show the one before
+        if (data.sessions.length === 0 && data.total > 0 && this.page > 1) {
+            this.page = Math.ceil(data.total / SessionManager.PAGE_SIZE);
+            return this.refreshSessions();
+        }
+        
+        this.total = data.total;
+        this.displaySessions(data.sessions);
+    }
+    
+    setSearch(search) {
+        this.search = search.trim();
+        this.page = 1;
+        return this.refreshSessions();
+    }
+    
+    goToPage(page) {
+        const pageCount = Math.max(1, Math.ceil(this.total / SessionManager.PAGE_SIZE));
+        this.page = Math.max(1, Math.min(pageCount, page));
+        return this.refreshSessions();
+    }
+    
+    async renameSession(filename, sessionName) {
+        if (!sessionName || sessionName.trim() === '') return false;
+        return this.sendSessionRequest(filename, 'PATCH', { sessionName: sessionName.trim() }, 'renaming');
+    }
+    
+    /**
+     * Replace a saved session with the current board
+     */
+    async overwriteSession(filename) {
+        return this.sendSessionRequest(filename, 'PUT', { roomId: this.roomId }, 'overwriting');
+    }
+    
+    async deleteSession(filename) {
+        return this.sendSessionRequest(filename, 'DELETE', null, 'deleting');
+    }
+    
+    async sendSessionRequest(filename, method, body, action) {
+        try {
+            const headers = { ...window.wsManager.getAuthHeaders() };
+            if (body) {
+                headers['Content-Type'] = 'application/json';
+            }
+            const response = await fetch(`/api/sessions/${encodeURIComponent(filename)}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                alert(`Error ${action} session: ${data.error}`);
+                return false;
+            }
+            await this.refreshSessions();
+            return true;
+        } catch (error) {
+            console.error(`Error ${action} session:`, error);
+            alert(`Failed ${action} session. Please try again.`);
+            return false;
+        }
+    }
+    
+    /**
+     * Thumbnail image URL; <img> cannot send headers, so the access token goes in the query
+     */
+    getThumbnailUrl(session) {
+        let url = `/api/sessions/${encodeURIComponent(session.filename)}/thumbnail?t=${session.timestamp}`;
+        if (window.wsManager.accessToken) {
+            url += `&access=${encodeURIComponent(window.wsManager.accessToken)}`;
+        }
+        return url;
+    }
+    
     displaySessions(sessions) {
         const container = document.getElementById('sessions-container');
         const sessionList = document.getElementById('session-list');
@@ -91,6 +196,7 @@ class SessionManager {
         if (!container || !sessionList) return;
         
         container.innerHTML = '';
+        this.updatePager();
         
         if (sessions.length === 0) {
             container.innerHTML = '<p style="text-align: center; color: #666; padding: 20px;">No saved sessions</p>';
@@ -104,10 +210,55 @@ class SessionManager {
             const date = new Date(session.timestamp);
             const dateStr = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
             
-            item.innerHTML = `
-                <div class="session-item-name">${session.sessionName}</div>
-                <div class="session-item-date">${dateStr}</div>
-            `;
+            if (session.hasThumbnail) {
+                const thumbnail = document.createElement('img');
+                thumbnail.className = 'session-item-thumbnail';
+                thumbnail.src = this.getThumbnailUrl(session);
+                thumbnail.alt = '';
+                item.appendChild(thumbnail);
+            }
+            
+            // Names are user input: rendered as text, never HTML
+            const details = document.createElement('div');
+            details.className = 'session-item-details';
+            
+            const name = document.createElement('div');
+            name.className = 'session-item-name';
+            name.textContent = session.sessionName;
+            
+            const dateLabel = document.createElement('div');
+            dateLabel.className = 'session-item-date';
+            dateLabel.textContent = dateStr;
+            
+            const actions = document.createElement('div');
+            actions.className = 'session-item-actions';
+            actions.appendChild(this.createActionButton('▶', 'Replay without loading', () => {
+                if (window.replayPlayer) {
+                    window.replayPlayer.loadSession(session.filename);
+                }
+                sessionList.style.display = 'none';
+            }));
+            actions.appendChild(this.createActionButton('✏️', 'Rename', () => {
+                const sessionName = prompt('New name for this session:', session.sessionName);
+                if (sessionName) {
+                    this.renameSession(session.filename, sessionName);
+                }
+            }));
+            actions.appendChild(this.createActionButton('💾', 'Overwrite with the current board', () => {
+                if (confirm(`Replace "${session.sessionName}" with the current board?`)) {
+                    this.overwriteSession(session.filename);
+                }
+            }));
+            actions.appendChild(this.createActionButton('🗑', 'Delete', () => {
+                if (confirm(`Delete "${session.sessionName}"? This cannot be undone.`)) {
+                    this.deleteSession(session.filename);
+                }
+            }));
+            
+            details.appendChild(name);
+            details.appendChild(dateLabel);
+            details.appendChild(actions);
+            item.appendChild(details);
             
             item.addEventListener('click', () => {
                 this.loadSession(session.filename);
@@ -117,5 +268,28 @@ class SessionManager {
             container.appendChild(item);
         });
     }
+    
+    createActionButton(label, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'session-item-action';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+    
+    updatePager() {
+        const pageInfo = document.getElementById('session-page-info');
+        const prevBtn = document.getElementById('session-prev-btn');
+        const nextBtn = document.getElementById('session-next-btn');
+        if (!pageInfo || !prevBtn || !nextBtn) return;
+        
+        const pageCount = Math.max(1, Math.ceil(this.total / SessionManager.PAGE_SIZE));
+        pageInfo.textContent = `Page ${this.page} of ${pageCount} (${this.total} saved)`;
+        prevBtn.disabled = this.page <= 1;
+        nextBtn.disabled = this.page >= pageCount;
+    }
 }
-
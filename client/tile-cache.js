@@ -0,0 +1,137 @@
+// Raster tiles of the finished strokes on the board
+//
+// The board is cut into square tiles TILE_SIZE pixels across, at zoom levels
+// that each have twice the resolution of the one below (2^level pixels per
+// world unit). A tile is rendered when it first comes into view and kept
+// until a stroke on it changes, so redrawing the board mostly copies the
+// visible tiles onto the canvas. CanvasManager drops the tiles under the
+// strokes it changes (CanvasManager.invalidateStrokes); undo, redo and
+// erasing then re-render only what they touched, and only once it is in view.
+class TileCache {
+    static TILE_SIZE = 256; // Pixels across
+    static MAX_TILES = 256; // Kept at most (about 64 MB), least recently used dropped first
+    static MAX_SPARE = 32; // Canvases of dropped tiles kept for new ones
+    static BLEED = 2; // Strokes this many pixels off a tile are drawn on it too, for their anti-aliased edges
+
+    constructor() {
+        this.tiles = new Map(); // `${level}:${column}:${row}` -> { level, column, row, canvas }, least recently used first
+        this.spare = [];
+    }
+
+    /**
+     * Zoom level for a view scale: the lowest whose tiles are at least as sharp as the screen
+     */
+    static levelFor(scale) {
+        return Math.ceil(Math.log2(scale) - 1e-9);
+    }
+
+    /**
+     * World area whose strokes a tile shows, bleed included
+     */
+    static getArea(level, column, row) {
+        const density = 2 ** level;
+        const size = TileCache.TILE_SIZE / density;
+        const bleed = TileCache.BLEED / density;
+        return {
+            minX: column * size - bleed,
+            minY: row * size - bleed,
+            maxX: (column + 1) * size + bleed,
+            maxY: (row + 1) * size + bleed
+        };
+    }
+
+    static meets(a, b) {
+        return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+    }
+
+    /**
+     * Copy the tiles covering a width x height view onto ctx, in screen
+     * pixels, rendering those not cached with renderTile(tileCtx, area):
+     * tileCtx is set up for world coordinates, and area is the world box of
+     * the strokes the tile shows. Returns the number of tiles shown and of
+     * those that had to be rendered.
+     */
+    draw(ctx, view, width, height, renderTile) {
+        const { scale, offsetX, offsetY } = view;
+        const level = TileCache.levelFor(scale);
+        const size = TileCache.TILE_SIZE / 2 ** level;
+        const minColumn = Math.floor(-offsetX / scale / size);
+        const maxColumn = Math.floor((width - offsetX) / scale / size);
+        const minRow = Math.floor(-offsetY / scale / size);
+        const maxRow = Math.floor((height - offsetY) / scale / size);
+
+        let shown = 0;
+        let rendered = 0;
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let column = minColumn; column <= maxColumn; column++) {
+                const key = `${level}:${column}:${row}`;
+                let tile = this.tiles.get(key);
+                if (tile) {
+                    this.tiles.delete(key);
+                } else {
+                    tile = this.renderTile(level, column, row, renderTile);
+                    rendered++;
+                }
+                this.tiles.set(key, tile);
+                shown++;
+
+                // Edges rounded to whole pixels, so neighbouring tiles meet without a seam
+                const left = Math.round(column * size * scale + offsetX);
+                const top = Math.round(row * size * scale + offsetY);
+                const right = Math.round((column + 1) * size * scale + offsetX);
+                const bottom = Math.round((row + 1) * size * scale + offsetY);
+                ctx.drawImage(tile.canvas, left, top, right - left, bottom - top);
+            }
+        }
+
+        // The tiles in view were just moved to the end, so they are dropped last
+        for (const key of this.tiles.keys()) {
+            if (this.tiles.size <= Math.max(TileCache.MAX_TILES, shown)) break;
+            this.drop(key);
+        }
+        return { shown, rendered };
+    }
+
+    renderTile(level, column, row, renderTile) {
+        const canvas = this.spare.pop() || TileCache.createCanvas();
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        const density = 2 ** level;
+        ctx.setTransform(density, 0, 0, density, -column * TileCache.TILE_SIZE, -row * TileCache.TILE_SIZE);
+        renderTile(ctx, TileCache.getArea(level, column, row));
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        return { level, column, row, canvas };
+    }
+
+    static createCanvas() {
+        const canvas = document.createElement('canvas');
+        canvas.width = TileCache.TILE_SIZE;
+        canvas.height = TileCache.TILE_SIZE;
+        return canvas;
+    }
+
+    /**
+     * Drop the tiles, at every level, that show anything of a world box
+     */
+    invalidate(bounds) {
+        for (const [key, tile] of this.tiles) {
+            if (TileCache.meets(TileCache.getArea(tile.level, tile.column, tile.row), bounds)) {
+                this.drop(key);
+            }
+        }
+    }
+
+    drop(key) {
+        const tile = this.tiles.get(key);
+        this.tiles.delete(key);
+        if (this.spare.length < TileCache.MAX_SPARE) {
+            this.spare.push(tile.canvas);
+        }
+    }
+
+    clear() {
+        Array.from(this.tiles.keys()).forEach(key => this.drop(key));
+    }
+}
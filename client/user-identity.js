@@ -0,0 +1,66 @@
+// Client-held user identity (token, display name, avatar color) kept in local storage
+class UserIdentity {
+    static STORAGE_KEY = 'collaborative-canvas-identity';
+
+    constructor() {
+        const stored = this.load();
+
+        // The token is secret: the server only shares a hash of it as the user ID
+        this.token = stored.token || UserIdentity.generateToken();
+        this.name = stored.name || '';
+        this.color = stored.color || '';
+        this.save();
+    }
+
+    static generateToken() {
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(UserIdentity.STORAGE_KEY));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            console.warn('Could not read stored identity:', error);
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(UserIdentity.STORAGE_KEY, JSON.stringify({
+                token: this.token,
+                name: this.name,
+                color: this.color
+            }));
+        } catch (error) {
+            // Private browsing or storage disabled: the identity lasts for this page only
+            console.warn('Could not store identity:', error);
+        }
+    }
+
+    /**
+     * Update the display name and/or avatar color (empty values are ignored)
+     */
+    setProfile({ name, color }) {
+        if (name) {
+            this.name = name.trim();
+        }
+        if (color) {
+            this.color = color;
+        }
+        this.save();
+    }
+
+    /**
+     * Profile fields that have been chosen, as sent to the server
+     */
+    getProfile() {
+        const profile = {};
+        if (this.name) profile.name = this.name;
+        if (this.color) profile.color = this.color;
+        return profile;
+    }
+}
@@ -4,12 +4,40 @@
  * Implements reconnection logic with exponential backoff
  */
 class WebSocketManager {
-    constructor() {
+    // Wire format of drawn points (see server/wire.ts)
+    static POINT_PRECISION = 10; // Points are sent in 1/10 world units
+    static PRESSURE_PRECISION = 100; // Pen pressure is sent in 1/100 steps, tilt in whole degrees
+    static MAX_POINTS_PER_BATCH = 256; // Keep in sync with the server's MAX_POINTS_PER_BATCH
+    
+    // Acknowledged board changes (see submit)
+    static ACK_TIMEOUT = 10000; // Resend a change not acknowledged within this time (ms)
+    static RETRY_DELAY = 2000; // Wait before resending after a timeout (ms)
+    static STROKE_OPERATIONS = ['stroke-commit', 'shape-commit', 'text-commit', 'image-add', 'fill-commit'];
+    
+    /**
+     * @param {string} roomId - Room to join on connect (from the /r/<roomId> URL)
+     * @param {UserIdentity} [identity] - Identity sent on join so reconnects keep the same user
+     * @param {{ invite?: string, password?: string }} [credentials] - For password-protected or invite-only rooms
+     * @param {boolean} [spectate] - Join read-only from a spectator link (/r/<roomId>/watch)
+     */
+    constructor(roomId, identity, credentials, spectate) {
         this.socket = null;
         this.connected = false;
-        this.userId = null;
-        this.currentRoom = 'default';
+        this.identity = identity || null;
+        this.credentials = { ...credentials };
+        this.spectate = !!spectate;
+        this.userId = null; // Assigned by the server on room-joined
+        this.currentRoom = roomId || 'default';
         this.users = new Map();
+        this.onUsersChange = null; // Callback(users, currentUser) for profile UI
+        this.roomSettings = { undoMode: 'per-user' };
+        
+        // Our role in the room ('owner' | 'editor' | 'viewer') and the token for the HTTP API
+        this.role = null;
+        this.accessToken = null;
+        this.roomAccess = { ownerId: null, hasPassword: false, inviteOnly: false };
+        this.onAccessChange = null; // Callback(role, roomAccess) for access UI
+        this.onInviteCreated = null; // Callback({ url, role, expiresAt }) for the owner
         
         // Reconnection settings
         this.reconnectAttempts = 0;
@@ -18,9 +46,25 @@ class WebSocketManager {
         this.maxReconnectDelay = 30000; // Max 30 seconds
         this.reconnectTimer = null;
         
-        // Offline queue for drawing events during disconnection
-        this.offlineQueue = [];
-        this.maxQueueSize = 100;
+        // Board changes wait in a persisted outbox until the server acknowledges
+        // them, so nothing drawn offline is lost when the page is reloaded
+        this.outbox = new Outbox(this.currentRoom);
+        this.outboxReady = this.outbox.open();
+        this.generation = null; // Board generation from canvas-state; changes when the board is cleared or replaced
+        this.synced = false; // Canvas state of this connection is in and pending changes are merged
+        this.appliedSequences = {}; // clientId -> last seq the server applied, from room-joined
+        this.sendAttempt = 0;
+        this.sending = null; // Change waiting for its ack; sending one at a time keeps them in order
+        this.retryTimer = null;
+        
+        // Drawn points are buffered and sent as one draw-points batch per animation frame.
+        // Strokes are named by short numeric handles in batches: ours are numbered per
+        // connection, peers' are numbered by the server for the room.
+        this.nextStrokeHandle = 0;
+        this.strokeHandles = new Map(); // strokeId -> handle, for our open strokes
+        this.pendingPoints = new Map(); // strokeId -> points not sent yet
+        this.flushFrame = null;
+        this.remoteStrokeHandles = new Map(); // handle -> strokeId, for peers' open strokes
     }
 
     /**
@@ -37,6 +81,10 @@ class WebSocketManager {
             });
             
             this.setupEventHandlers();
+            
+            if (window.performanceMonitor) {
+                window.performanceMonitor.startTrafficMonitoring(this.socket);
+            }
         } catch (error) {
             console.error('Failed to initialize WebSocket:', error);
             this.handleConnectionError(error);
@@ -71,11 +119,77 @@ class WebSocketManager {
             this.handleReconnectFailed();
         });
 
-        // Canvas state synchronization
+        // Our user ID in this room (stable across reconnects when an identity is sent)
+        // and the role we were given. Also sent without a reconnect when the room
+        // moves to another server process: like after a disconnect, live strokes
+        // and the change awaiting its ack are sent again after the canvas state.
+        this.socket.on('room-joined', (data) => {
+            if (data && data.user) {
+                this.synced = false;
+                if (this.sending) {
+                    this.sending.attempt = null;
+                    this.sending = null;
+                }
+                this.strokeHandles.clear();
+                this.pendingPoints.clear();
+                this.userId = data.user.id;
+                this.appliedSequences = data.appliedSequences || {};
+                this.accessToken = data.accessToken || null;
+                this.updateAccess(data.role, data.access);
+                this.updateUsersList(Array.from(this.users.values()));
+            }
+        });
+
+        // Join refused: ask for the password, or explain why the room is closed
+        this.socket.on('access-denied', (data) => {
+            this.handleAccessDenied(data || {});
+        });
+
+        // The owner changed our role or the room's access settings
+        this.socket.on('role-changed', (data) => {
+            if (data && data.role) {
+                this.accessToken = data.accessToken || this.accessToken;
+                this.updateAccess(data.role, this.roomAccess);
+            }
+        });
+
+        this.socket.on('room-access', (access) => {
+            this.updateAccess(this.role, access);
+        });
+
+        this.socket.on('invite-created', (data) => {
+            if (data && data.url && this.onInviteCreated) {
+                this.onInviteCreated(data);
+            }
+        });
+
+        // Requests the server refused or failed: { event, code, message, ... }
+        this.socket.on('error', (data) => {
+            this.handleServerError(data || {});
+        });
+
+        // Canvas state synchronization: large boards arrive as canvas-state
+        // followed by canvas-state-chunk messages until `total` strokes are in
         this.socket.on('canvas-state', (data) => {
             try {
-                if (window.canvasManager && data && data.history && data.currentState) {
-                    window.canvasManager.loadState(data.history, data.currentState);
+                if (window.canvasManager && data && Array.isArray(data.history)) {
+                    this.remoteStrokeHandles.clear();
+                    this.synced = false;
+                    this.stateGeneration = data.generation;
+                    this.stateStrokesPending = data.total - data.history.length;
+                    if (window.layersPanel) {
+                        window.layersPanel.loadState(data.layers || []);
+                    }
+                    window.canvasManager.loadState(data.history.map(stroke => this.fromWireStroke(stroke)));
+                    if (data.settings) {
+                        this.updateRoomSettings(data.settings);
+                    }
+                    if (window.discussionPanel) {
+                        window.discussionPanel.loadState(data.comments || [], data.chat || []);
+                    }
+                    if (this.stateStrokesPending <= 0) {
+                        this.resync(this.stateGeneration);
+                    }
                 } else {
                     console.warn('Invalid canvas state data received');
                 }
@@ -84,30 +198,52 @@ class WebSocketManager {
             }
         });
 
+        this.socket.on('canvas-state-chunk', (data) => {
+            try {
+                if (window.canvasManager && data && Array.isArray(data.history)) {
+                    this.stateStrokesPending -= data.history.length;
+                    window.canvasManager.appendState(
+                        data.history.map(stroke => this.fromWireStroke(stroke)),
+                        this.stateStrokesPending <= 0
+                    );
+                    if (this.stateStrokesPending <= 0) {
+                        this.resync(this.stateGeneration);
+                    }
+                }
+            } catch (error) {
+                console.error('Error loading canvas state chunk:', error);
+            }
+        });
+
         // Drawing events from other users with validation
         this.socket.on('draw-start', (data) => {
             try {
-                if (this.validateDrawingData(data) && window.canvasManager && data.userId !== this.userId) {
-                    window.canvasManager.remoteDrawStart(data);
+                if (this.validateDrawingData(data) && window.canvasManager) {
+                    this.remoteStrokeHandles.set(data.handle, data.strokeId);
+                    const [start] = WebSocketManager.withPen([{ x: data.x, y: data.y }], data.pen);
+                    window.canvasManager.remoteDrawStart(data, start);
                 }
             } catch (error) {
                 console.error('Error handling draw-start:', error);
             }
         });
 
-        this.socket.on('draw-move', (data) => {
+        this.socket.on('draw-points', (data) => {
             try {
-                if (this.validateDrawingData(data) && window.canvasManager && data.userId !== this.userId) {
-                    window.canvasManager.remoteDrawMove(data);
+                const strokeId = data ? this.remoteStrokeHandles.get(data.handle) : undefined;
+                const points = strokeId ? WebSocketManager.decodePoints(data.points) : null;
+                if (points && points.every(point => this.validatePoint(point)) && window.canvasManager) {
+                    window.canvasManager.remoteDrawPoints(strokeId, WebSocketManager.withPen(points, data.pen));
                 }
             } catch (error) {
-                console.error('Error handling draw-move:', error);
+                console.error('Error handling draw-points:', error);
             }
         });
 
         this.socket.on('draw-end', (data) => {
             try {
-                if (data && data.strokeId && window.canvasManager && data.userId !== this.userId) {
+                if (data && data.strokeId && window.canvasManager) {
+                    this.remoteStrokeHandles.delete(data.handle);
                     window.canvasManager.remoteDrawEnd(data);
                 }
             } catch (error) {
@@ -115,9 +251,94 @@ class WebSocketManager {
             }
         });
 
+        // Shape tools: live previews and committed shapes from other users
+        this.socket.on('shape-preview', (data) => {
+            try {
+                if (data && data.strokeId && data.shape && window.canvasManager) {
+                    window.canvasManager.remoteShapePreview(data);
+                }
+            } catch (error) {
+                console.error('Error handling shape-preview:', error);
+            }
+        });
+
+        // Whole strokes drawn offline by other users (or the rest of one cut off by a disconnect)
+        this.socket.on('stroke-commit', (data) => {
+            try {
+                if (data && data.stroke && window.canvasManager) {
+                    window.canvasManager.remoteCommit(this.fromWireStroke(data.stroke));
+                }
+            } catch (error) {
+                console.error('Error handling stroke-commit:', error);
+            }
+        });
+
+        this.socket.on('shape-commit', (data) => {
+            try {
+                if (data && data.stroke && data.stroke.shape && window.canvasManager) {
+                    window.canvasManager.remoteCommit(data.stroke);
+                }
+            } catch (error) {
+                console.error('Error handling shape-commit:', error);
+            }
+        });
+
+        // Areas filled by other users
+        this.socket.on('fill-commit', (data) => {
+            try {
+                if (data && data.stroke && data.stroke.fill && window.canvasManager) {
+                    window.canvasManager.remoteCommit(data.stroke);
+                }
+            } catch (error) {
+                console.error('Error handling fill-commit:', error);
+            }
+        });
+
+        // Text tool: live typing previews and committed text from other users
+        this.socket.on('text-preview', (data) => {
+            try {
+                if (data && data.strokeId && data.text && window.canvasManager) {
+                    window.canvasManager.remoteTextPreview(data);
+                }
+            } catch (error) {
+                console.error('Error handling text-preview:', error);
+            }
+        });
+
+        this.socket.on('text-commit', (data) => {
+            try {
+                if (data && data.stroke && data.stroke.text && window.canvasManager) {
+                    window.canvasManager.remoteCommit(data.stroke);
+                }
+            } catch (error) {
+                console.error('Error handling text-commit:', error);
+            }
+        });
+
+        // Images placed, moved or resized by other users
+        this.socket.on('image-add', (data) => {
+            try {
+                if (data && data.stroke && data.stroke.image && window.canvasManager) {
+                    window.canvasManager.remoteCommit(data.stroke);
+                }
+            } catch (error) {
+                console.error('Error handling image-add:', error);
+            }
+        });
+
+        this.socket.on('image-update', (data) => {
+            try {
+                if (data && data.strokeId && data.image && window.canvasManager) {
+                    window.canvasManager.remoteImageUpdate(data);
+                }
+            } catch (error) {
+                console.error('Error handling image-update:', error);
+            }
+        });
+
         // Cursor position updates
         this.socket.on('cursor-move', (data) => {
-            if (data.userId !== this.userId && window.canvasManager) {
+            if (window.canvasManager) {
                 const user = this.users.get(data.userId);
                 if (user) {
                     window.canvasManager.updateRemoteCursor(
@@ -131,18 +352,131 @@ class WebSocketManager {
         });
 
         // Undo/Redo events
+        // Strokes moved, scaled or deleted with the select tool
+        this.socket.on('strokes-transform', (data) => {
+            try {
+                if (data && Array.isArray(data.strokes) && window.canvasManager) {
+                    window.canvasManager.remoteTransform(data.strokes);
+                }
+            } catch (error) {
+                console.error('Error handling strokes-transform:', error);
+            }
+        });
+
+        this.socket.on('strokes-delete', (data) => {
+            try {
+                if (data && Array.isArray(data.strokeIds) && window.canvasManager) {
+                    window.canvasManager.remoteDelete(data.strokeIds);
+                }
+            } catch (error) {
+                console.error('Error handling strokes-delete:', error);
+            }
+        });
+
+        // Strokes erased by other users, and the pieces the precise eraser left of them
+        this.socket.on('erase', (data) => {
+            try {
+                if (data && data.changes && Array.isArray(data.changes.removed) && window.canvasManager) {
+                    window.canvasManager.applyStrokeChanges(data.changes);
+                }
+            } catch (error) {
+                console.error('Error handling erase:', error);
+            }
+        });
+
+        this.socket.on('strokes-set-layer', (data) => {
+            try {
+                if (data && Array.isArray(data.strokeIds) && data.layerId && window.canvasManager) {
+                    window.canvasManager.setStrokeLayer(data.strokeIds, data.layerId);
+                }
+            } catch (error) {
+                console.error('Error handling strokes-set-layer:', error);
+            }
+        });
+
+        // Layers added, changed, reordered or deleted by other users
+        this.socket.on('layer-add', (data) => {
+            if (data && data.layer && data.layer.id && window.layersPanel) {
+                window.layersPanel.addLayer(data.layer);
+            }
+        });
+
+        this.socket.on('layer-update', (data) => {
+            if (data && data.layer && data.layer.id && window.layersPanel) {
+                window.layersPanel.updateLayer(data.layer.id, data.layer);
+            }
+        });
+
+        this.socket.on('layer-move', (data) => {
+            if (data && data.layerId && typeof data.index === 'number' && window.layersPanel) {
+                window.layersPanel.moveLayer(data.layerId, data.index);
+            }
+        });
+
+        this.socket.on('layer-delete', (data) => {
+            if (data && data.layerId && window.layersPanel) {
+                window.layersPanel.removeLayer(data.layerId);
+            }
+        });
+
+        // Undo/redo results apply to everyone, including the sender
         this.socket.on('undo', (data) => {
-            if (window.canvasManager) {
-                window.canvasManager.undoStroke(data.strokeId);
+            if (window.canvasManager && data && data.changes) {
+                window.canvasManager.applyStrokeChanges(data.changes);
             }
         });
 
         this.socket.on('redo', (data) => {
-            if (window.canvasManager && data.stroke) {
-                window.canvasManager.redoStroke(data.stroke);
+            if (window.canvasManager && data && data.changes) {
+                window.canvasManager.applyStrokeChanges(data.changes);
+            }
+        });
+
+        this.socket.on('undo-failed', (data) => {
+            console.warn('Undo failed:', data && data.message);
+        });
+
+        this.socket.on('redo-failed', (data) => {
+            console.warn('Redo failed:', data && data.message);
+        });
+
+        // Chat messages, ours included (the server gives them their ID and time)
+        this.socket.on('chat-message', (message) => {
+            if (message && message.id && typeof message.text === 'string' && window.discussionPanel) {
+                window.discussionPanel.addChatMessage(message);
             }
         });
 
+        // Comments and replies from other users
+        this.socket.on('comment-add', (data) => {
+            if (data && data.comment && data.comment.anchor && window.discussionPanel) {
+                window.discussionPanel.addComment(data.comment);
+            }
+        });
+
+        this.socket.on('comment-reply', (data) => {
+            if (data && data.commentId && data.reply && window.discussionPanel) {
+                window.discussionPanel.addReply(data.commentId, data.reply);
+            }
+        });
+
+        this.socket.on('comment-resolve', (data) => {
+            if (data && data.commentId && window.discussionPanel) {
+                window.discussionPanel.setResolved(data.commentId, !!data.resolved, data.userId);
+            }
+        });
+
+        this.socket.on('comment-delete', (data) => {
+            if (data && data.commentId && window.discussionPanel) {
+                window.discussionPanel.removeComment(data.commentId);
+            }
+        });
+
+        // Room settings (undo scope) changed by a facilitator
+        this.socket.on('room-settings', (settings) => {
+            this.updateRoomSettings(settings);
+        });
+
         // User management
         this.socket.on('users-updated', (users) => {
             this.updateUsersList(users);
@@ -151,8 +485,15 @@ class WebSocketManager {
         // Clear canvas event
         this.socket.on('clear', (data) => {
             try {
+                if (data && typeof data.generation === 'number') {
+                    this.dropStaleOperations(data.generation);
+                }
                 if (window.canvasManager) {
-                    window.canvasManager.clear();
+                    window.canvasManager.clear((data && data.keptStrokeIds) || []);
+                }
+                // Comments are pinned to the board and go with it
+                if (window.discussionPanel) {
+                    window.discussionPanel.clearComments();
                 }
             } catch (error) {
                 console.error('Error handling clear:', error);
@@ -165,13 +506,12 @@ class WebSocketManager {
      */
     handleConnect() {
         this.connected = true;
-        this.userId = this.socket.id;
         this.reconnectAttempts = 0;
         this.reconnectDelay = 1000;
         this.updateConnectionStatus(true);
         console.log('Connected to server:', this.socket.id);
         
-        // Join default room
+        // Join (or rejoin after reconnect) the room from the URL
         this.joinRoom(this.currentRoom);
         
         // Start latency monitoring if performance monitor is available
@@ -179,8 +519,7 @@ class WebSocketManager {
             window.performanceMonitor.startLatencyMonitoring(this.socket);
         }
         
-        // Process offline queue
-        this.processOfflineQueue();
+        // Pending changes are sent once the canvas state is in (see resync)
     }
 
     /**
@@ -188,9 +527,19 @@ class WebSocketManager {
      */
     handleDisconnect(reason) {
         this.connected = false;
+        this.synced = false;
         this.updateConnectionStatus(false);
         console.log('Disconnected from server. Reason:', reason);
         
+        // Acks of this connection will not arrive; live strokes are sent whole later
+        if (this.sending) {
+            this.sending.attempt = null;
+            this.sending = null;
+        }
+        this.strokeHandles.clear();
+        this.pendingPoints.clear();
+        this.remoteStrokeHandles.clear();
+        
         // Stop latency monitoring
         if (window.performanceMonitor) {
             window.performanceMonitor.stop();
@@ -231,12 +580,7 @@ class WebSocketManager {
      * Validate drawing data to prevent invalid operations
      */
     validateDrawingData(data) {
-        if (!data) return false;
-        
-        // Validate coordinates are numbers and within reasonable bounds
-        if (typeof data.x !== 'number' || typeof data.y !== 'number') return false;
-        if (isNaN(data.x) || isNaN(data.y)) return false;
-        if (data.x < 0 || data.y < 0 || data.x > 10000 || data.y > 10000) return false;
+        if (!data || !this.validatePoint(data)) return false;
         
         // Validate strokeId exists
         if (!data.strokeId || typeof data.strokeId !== 'string') return false;
@@ -245,186 +589,914 @@ class WebSocketManager {
     }
 
     /**
-     * Queue drawing event when offline
+     * Validate coordinates are numbers and within the world bounds
+     */
+    validatePoint(point) {
+        if (typeof point.x !== 'number' || typeof point.y !== 'number') return false;
+        if (!Number.isFinite(point.x) || !Number.isFinite(point.y)) return false;
+        const bound = CanvasManager.WORLD_BOUND;
+        return Math.abs(point.x) <= bound && Math.abs(point.y) <= bound;
+    }
+
+    /**
+     * Pack points as [x0, y0, dx1, dy1, ...]: integers in 1/POINT_PRECISION
+     * world units, each point relative to the one before
      */
-    queueEvent(eventType, data) {
-        if (this.offlineQueue.length >= this.maxQueueSize) {
-            // Remove oldest events if queue is full
-            this.offlineQueue.shift();
+    static encodePoints(points) {
+        const packed = [];
+        let lastX = 0;
+        let lastY = 0;
+        points.forEach(point => {
+            const x = Math.round(point.x * WebSocketManager.POINT_PRECISION);
+            const y = Math.round(point.y * WebSocketManager.POINT_PRECISION);
+            packed.push(x - lastX, y - lastY);
+            lastX = x;
+            lastY = y;
+        });
+        return packed;
+    }
+
+    /**
+     * Unpack a list made by encodePoints; returns null if it is malformed
+     */
+    static decodePoints(packed) {
+        if (!Array.isArray(packed) || packed.length % 2 !== 0) return null;
+        
+        const points = [];
+        let x = 0;
+        let y = 0;
+        for (let i = 0; i < packed.length; i += 2) {
+            if (!Number.isInteger(packed[i]) || !Number.isInteger(packed[i + 1])) return null;
+            x += packed[i];
+            y += packed[i + 1];
+            points.push({ x: x / WebSocketManager.POINT_PRECISION, y: y / WebSocketManager.POINT_PRECISION });
         }
-        this.offlineQueue.push({ type: eventType, data, timestamp: Date.now() });
+        return points;
     }
 
     /**
-     * Process queued events when connection is restored
+     * Pack the pen input of points as [pressure0, tiltX0, tiltY0, ...]
+     * (pressure in 1/PRESSURE_PRECISION steps, tilt in degrees), or return
+     * null if they have none (mouse and touch strokes)
      */
-    processOfflineQueue() {
-        if (this.offlineQueue.length === 0) return;
+    static encodePen(points) {
+        if (!points.some(point => point.pressure !== undefined)) return null;
+        const packed = [];
+        points.forEach(point => {
+            packed.push(
+                Math.round((point.pressure === undefined ? 0.5 : point.pressure) * WebSocketManager.PRESSURE_PRECISION),
+                Math.round(point.tiltX || 0),
+                Math.round(point.tiltY || 0)
+            );
+        });
+        return packed;
+    }
+
+    /**
+     * Add pen input packed by encodePen to the points it was sent with. Points
+     * are returned as they are if there is none or it does not fit them.
+     */
+    static withPen(points, packed) {
+        if (!Array.isArray(packed) || packed.length !== points.length * 3 || !packed.every(Number.isInteger)) return points;
+        return points.map((point, i) => ({
+            ...point,
+            pressure: packed[i * 3] / WebSocketManager.PRESSURE_PRECISION,
+            tiltX: packed[i * 3 + 1],
+            tiltY: packed[i * 3 + 2]
+        }));
+    }
+
+    /**
+     * Add the pen input of points to a message that carries them packed
+     */
+    withPackedPen(points, data) {
+        const pen = WebSocketManager.encodePen(points);
+        if (pen) {
+            data.pen = pen;
+        }
+        return data;
+    }
+
+    /**
+     * Strokes in canvas-state carry packed points (and pen input) and no timestamps
+     */
+    fromWireStroke(wireStroke) {
+        const { packedPoints, packedPen, ...stroke } = wireStroke;
+        stroke.points = WebSocketManager.withPen(WebSocketManager.decodePoints(packedPoints) || [], packedPen);
+        return stroke;
+    }
+
+    /**
+     * Record a board change in the outbox and send it when we can. It stays in
+     * the outbox (across reloads) until the server acknowledges it.
+     */
+    submit(type, data) {
+        const entry = this.outbox.add(type, data, this.generation);
+        this.flushOutbox();
+        return entry;
+    }
+
+    /**
+     * Send the oldest pending change unless one is waiting for its ack. The
+     * server applies each client's changes in sequence order only, so a change
+     * is not sent before the one before it has been settled.
+     */
+    flushOutbox() {
+        if (!this.socket || !this.connected || !this.synced || this.sending) return;
         
-        console.log(`Processing ${this.offlineQueue.length} queued events`);
+        const entry = this.outbox.getEntries()[0];
+        if (entry) {
+            this.sendOperation(entry);
+        }
+    }
+
+    sendOperation(entry) {
+        const attempt = ++this.sendAttempt;
+        entry.attempt = attempt;
+        this.sending = entry;
         
-        // Process events in order
-        this.offlineQueue.forEach(event => {
-            try {
-                switch (event.type) {
-                    case 'draw-start':
-                        this.startDrawing(event.data.coords, event.data.strokeId);
-                        break;
-                    case 'draw-move':
-                        this.drawMove(event.data.coords, event.data.strokeId);
-                        break;
-                    case 'draw-end':
-                        this.endDrawing(event.data.strokeId);
-                        break;
-                }
-            } catch (error) {
-                console.error('Error processing queued event:', error);
+        // A stroke drawn live on this connection only needs its draw-end;
+        // handles are dropped on disconnect, so after one it is sent whole
+        const live = entry.type === 'stroke-commit' && this.strokeHandles.has(entry.data.strokeId);
+        const event = live ? 'draw-end' : entry.type;
+        const data = live ? { strokeId: entry.data.strokeId } : entry.data;
+        if (live) {
+            this.strokeHandles.delete(entry.data.strokeId);
+        }
+        
+        try {
+            this.socket.timeout(WebSocketManager.ACK_TIMEOUT).emit(event, {
+                ...data,
+                clientId: entry.clientId,
+                seq: entry.seq,
+                generation: entry.generation
+            }, (error, result) => this.handleAck(entry, attempt, error, result));
+        } catch (error) {
+            console.error(`Error sending ${event}:`, error);
+            this.handleAck(entry, attempt, error, null);
+        }
+    }
+
+    /**
+     * Settle a change the server answered: applied and duplicate changes are
+     * done; refused ones and ones made on a board that is gone are undone here
+     */
+    handleAck(entry, attempt, error, result) {
+        // Superseded by a resend after reconnecting, or dropped meanwhile
+        if (entry.attempt !== attempt || this.sending !== entry) return;
+        
+        entry.attempt = null;
+        this.sending = null;
+        
+        if (error || !result || result.status === 'retry') {
+            this.scheduleRetry(result && result.retryAfter);
+            return;
+        }
+        
+        this.outbox.remove(entry);
+        if (result.status === 'rejected' || result.status === 'stale') {
+            this.discardOperation(entry);
+        }
+        this.flushOutbox();
+    }
+
+    /**
+     * Take back what a change the server would not apply added on this screen
+     */
+    discardOperation(entry) {
+        if (WebSocketManager.STROKE_OPERATIONS.includes(entry.type) && window.canvasManager) {
+            window.canvasManager.discardStroke(entry.data.strokeId);
+        }
+        if (!window.discussionPanel) return;
+        if (entry.type === 'comment-add') {
+            window.discussionPanel.removeComment(entry.data.commentId);
+        } else if (entry.type === 'comment-reply') {
+            window.discussionPanel.removeReply(entry.data.commentId, entry.data.replyId);
+        }
+        if (entry.type === 'layer-add' && window.layersPanel) {
+            window.layersPanel.removeLayer(entry.data.layerId);
+        }
+    }
+
+    scheduleRetry(delay) {
+        if (this.retryTimer) return;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flushOutbox();
+        }, delay || WebSocketManager.RETRY_DELAY);
+    }
+
+    /**
+     * Merge our pending changes into a freshly loaded canvas state, then send
+     * them. Changes the server already applied (their ack was lost) are
+     * dropped, and so are changes made on a board that has since been cleared
+     * or replaced by a loaded session.
+     */
+    resync(generation) {
+        this.generation = generation;
+        
+        let discarded = 0;
+        this.outbox.getEntries().forEach(entry => {
+            if (entry.seq <= (this.appliedSequences[entry.clientId] || 0)) {
+                this.dropOperation(entry);
+                return;
+            }
+            // Made before this page ever saw the board
+            if (entry.generation === null) {
+                entry.generation = generation;
+                this.outbox.update(entry);
             }
+            if (entry.generation !== generation) {
+                this.dropOperation(entry);
+                discarded++;
+                return;
+            }
+            this.reapplyOperation(entry);
         });
+        this.appliedSequences = {};
         
-        // Clear queue after processing
-        this.offlineQueue = [];
+        if (discarded > 0) {
+            alert(`${discarded} change(s) made offline were dropped because the board was cleared or replaced meanwhile`);
+        }
+        
+        this.synced = true;
+        this.flushOutbox();
+    }
+
+    /**
+     * The board was cleared: pending changes made before are void
+     */
+    dropStaleOperations(generation) {
+        this.generation = generation;
+        this.outbox.getEntries().forEach(entry => {
+            if (entry.generation !== null && entry.generation !== generation) {
+                this.dropOperation(entry);
+            }
+        });
+        this.flushOutbox();
+    }
+
+    dropOperation(entry) {
+        if (this.sending === entry) {
+            entry.attempt = null;
+            this.sending = null;
+        }
+        this.outbox.remove(entry);
+    }
+
+    /**
+     * Show a pending change on a canvas state that does not have it yet
+     */
+    reapplyOperation(entry) {
+        const canvasManager = window.canvasManager;
+        if (!canvasManager) return;
+        
+        const data = entry.data;
+        switch (entry.type) {
+            case 'stroke-commit':
+            case 'shape-commit':
+            case 'text-commit':
+            case 'image-add':
+            case 'fill-commit':
+                canvasManager.remoteCommit(this.toPendingStroke(entry));
+                break;
+            case 'image-update':
+                canvasManager.remoteImageUpdate({
+                    strokeId: data.strokeId,
+                    image: { x: data.x, y: data.y, width: data.width, height: data.height }
+                });
+                break;
+            case 'strokes-transform':
+                canvasManager.applyTransform(data.strokeIds, data.transform);
+                break;
+            case 'strokes-delete':
+                canvasManager.remoteDelete(data.strokeIds);
+                break;
+            case 'erase':
+                canvasManager.eraseStrokes(data.eraseId, data.mode, data.lineWidth, WebSocketManager.decodePoints(data.points) || []);
+                break;
+            case 'strokes-set-layer':
+                canvasManager.setStrokeLayer(data.strokeIds, data.layerId);
+                break;
+            case 'layer-add':
+            case 'layer-update':
+            case 'layer-move':
+            case 'layer-delete':
+                if (window.layersPanel) {
+                    window.layersPanel.applyPendingOperation(entry.type, data);
+                }
+                break;
+            case 'comment-add':
+            case 'comment-reply':
+            case 'comment-resolve':
+            case 'comment-delete':
+                if (window.discussionPanel) {
+                    window.discussionPanel.applyPendingOperation(entry.type, data, this.userId);
+                }
+                break;
+        }
+    }
+
+    /**
+     * The stroke a pending stroke-creating change will add, as the server would store it
+     */
+    toPendingStroke(entry) {
+        const data = entry.data;
+        const stroke = {
+            id: data.strokeId,
+            userId: this.userId,
+            points: [],
+            color: data.color,
+            lineWidth: data.lineWidth,
+            tool: data.tool,
+            layerId: data.layerId
+        };
+        
+        switch (entry.type) {
+            case 'stroke-commit':
+                stroke.points = WebSocketManager.withPen(WebSocketManager.decodePoints(data.points) || [], data.pen);
+                if (data.brush) {
+                    stroke.brush = data.brush;
+                }
+                break;
+            case 'shape-commit':
+                stroke.shape = data.shape;
+                break;
+            case 'text-commit':
+                stroke.tool = 'text';
+                stroke.lineWidth = 1;
+                stroke.text = data.text;
+                break;
+            case 'image-add':
+                stroke.tool = 'image';
+                stroke.color = '#000000';
+                stroke.lineWidth = 1;
+                stroke.image = data.image;
+                break;
+            case 'fill-commit':
+                stroke.tool = 'fill';
+                stroke.lineWidth = 1;
+                stroke.fill = data.fill;
+                break;
+        }
+        return stroke;
     }
 
     joinRoom(roomId) {
         this.currentRoom = roomId;
-        if (this.socket) {
-            this.socket.emit('join-room', roomId);
+        
+        // Wait for the outbox, so the server can tell which pending changes it already has
+        this.outboxReady.then(() => {
+            if (!this.socket) return;
+            
+            const clientIds = this.outbox.getClientIds();
+            if (this.identity) {
+                this.socket.emit('join-room', {
+                    roomId,
+                    token: this.identity.token,
+                    ...this.identity.getProfile(),
+                    ...this.credentials,
+                    spectate: this.spectate,
+                    clientIds
+                });
+            } else {
+                this.socket.emit('join-room', { roomId, ...this.credentials, spectate: this.spectate, clientIds });
+            }
+        });
+    }
+
+    /**
+     * Retry the join with a password, or drop a bad invite and fall back to
+     * the room's other access rules
+     */
+    handleAccessDenied(data) {
+        console.warn('Access denied:', data.reason);
+        const text = document.getElementById('connection-text');
+
+        if (data.reason === 'password-required' || data.reason === 'wrong-password') {
+            const password = prompt(`${data.message}. Enter the room password:`);
+            if (password) {
+                this.credentials.password = password;
+                this.joinRoom(this.currentRoom);
+                return;
+            }
+        } else if (data.reason === 'invalid-invite' || data.reason === 'invite-expired') {
+            alert(data.message);
+            delete this.credentials.invite;
+            this.joinRoom(this.currentRoom);
+            return;
+        } else {
+            alert(data.message || 'You do not have access to this room');
+        }
+
+        if (text) {
+            text.textContent = 'No access to this room';
+        }
+    }
+
+    /**
+     * React to a structured server error. Strokes the server would not take
+     * are removed so they do not linger on this screen only; limits and
+     * layers changed under us are worth telling the user, other refusals
+     * only matter to developers.
+     */
+    handleServerError(error) {
+        console.warn(`Server refused ${error.event || 'request'} (${error.code}):`, error.message);
+
+        // Someone drew on a layer we deleted before our delete arrived
+        if (error.event === 'layer-delete' && error.layer && window.layersPanel) {
+            window.layersPanel.restoreLayer(error.layer, error.index);
+            alert(error.message);
+            return;
+        }
+
+        // Someone locked or deleted the layer we started drawing on
+        const layerRefused = error.layerId !== undefined && (error.code === 'forbidden' || error.code === 'not-found');
+        if (error.code !== 'limit-exceeded' && !(error.event === 'draw-start' && layerRefused)) return;
+
+        if (error.event === 'draw-start' && error.strokeId && window.canvasManager) {
+            this.forgetStroke(error.strokeId);
+            window.canvasManager.discardStroke(error.strokeId);
+        }
+        // Over-long strokes are continued as new strokes by CanvasManager
+        if (error.event !== 'draw-points') {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Reflect our role and the room's access settings in the UI
+     */
+    updateAccess(role, access) {
+        this.role = role || null;
+        if (access) {
+            this.roomAccess = {
+                ownerId: access.ownerId || null,
+                hasPassword: !!access.hasPassword,
+                inviteOnly: !!access.inviteOnly
+            };
+        }
+
+        if (window.canvasManager) {
+            window.canvasManager.setReadOnly(!this.canEdit());
+        }
+        if (this.onAccessChange) {
+            this.onAccessChange(this.role, this.roomAccess);
+        }
+    }
+
+    canEdit() {
+        return this.role === 'owner' || this.role === 'editor';
+    }
+
+    /**
+     * Headers that authorize HTTP API calls for this room
+     */
+    getAuthHeaders() {
+        return this.accessToken ? { 'Authorization': `Bearer ${this.accessToken}` } : {};
+    }
+
+    /**
+     * Owner: set the room password (null removes it) and/or invite-only mode
+     */
+    setRoomAccess(settings) {
+        if (!this.connected || !this.socket) {
+            console.warn('Cannot change access settings: not connected');
+            return;
+        }
+        try {
+            this.socket.emit('set-room-access', settings);
+        } catch (error) {
+            console.error('Error sending set-room-access:', error);
+        }
+    }
+
+    /**
+     * Owner: ask for an invite link granting a role for expiresIn milliseconds
+     */
+    createInvite(role, expiresIn) {
+        if (!this.connected || !this.socket) {
+            console.warn('Cannot create invite: not connected');
+            return;
+        }
+        try {
+            this.socket.emit('create-invite', { role, expiresIn });
+        } catch (error) {
+            console.error('Error sending create-invite:', error);
+        }
+    }
+
+    /**
+     * Owner: make another user an editor or viewer
+     */
+    setUserRole(userId, role) {
+        if (!this.connected || !this.socket) {
+            console.warn('Cannot change role: not connected');
+            return;
+        }
+        try {
+            this.socket.emit('set-user-role', { userId, role });
+        } catch (error) {
+            console.error('Error sending set-user-role:', error);
+        }
+    }
+
+    /**
+     * Send a new display name and/or avatar color to the room
+     */
+    updateProfile(profile) {
+        if (!this.connected || !this.socket) return;
+        try {
+            this.socket.emit('update-profile', profile);
+        } catch (error) {
+            console.error('Error sending profile update:', error);
         }
     }
 
     /**
-     * Send draw-start event to server
-     * Queues event if offline
+     * Send draw-start event to server. Strokes are drawn live only while
+     * connected; the finished stroke goes through the outbox either way.
      */
-    startDrawing(coords, strokeId) {
-        if (!this.socket) return;
+    startDrawing(coords, strokeId, brush) {
+        if (!this.socket || !this.connected) return;
         
         const tool = window.canvasManager ? window.canvasManager.tool : 'brush';
         const color = window.canvasManager ? window.canvasManager.color : '#000000';
         const lineWidth = window.canvasManager ? window.canvasManager.lineWidth : 5;
+        const layerId = window.canvasManager ? window.canvasManager.activeLayerId : null;
         
-        const data = {
+        const handle = this.nextStrokeHandle++;
+        this.strokeHandles.set(strokeId, handle);
+        
+        const data = this.withPackedPen([coords], {
             x: coords.x,
             y: coords.y,
             color: color,
             lineWidth: lineWidth,
             tool: tool,
-            strokeId: strokeId
-        };
+            strokeId: strokeId,
+            handle: handle
+        });
+        // Without a layer (drawn before the board arrived) the server uses the bottom one
+        if (layerId) {
+            data.layerId = layerId;
+        }
+        if (brush) {
+            data.brush = brush;
+        }
         
-        if (this.connected) {
-            try {
-                this.socket.emit('draw-start', data);
-            } catch (error) {
-                console.error('Error sending draw-start:', error);
-                this.queueEvent('draw-start', { coords, strokeId });
-            }
-        } else {
-            this.queueEvent('draw-start', { coords, strokeId });
+        try {
+            this.socket.emit('draw-start', data);
+        } catch (error) {
+            console.error('Error sending draw-start:', error);
+            this.strokeHandles.delete(strokeId);
         }
     }
 
     /**
-     * Send draw-move event to server with throttling
-     * Queues event if offline
+     * Buffer a drawn point; points go out as one draw-points batch per animation frame
      */
     drawMove(coords, strokeId) {
-        if (!this.socket) return;
+        if (!this.socket || !this.strokeHandles.has(strokeId)) return;
         
-        const data = {
-            x: coords.x,
-            y: coords.y,
-            strokeId: strokeId
-        };
+        let pending = this.pendingPoints.get(strokeId);
+        if (!pending) {
+            pending = [];
+            this.pendingPoints.set(strokeId, pending);
+        }
+        pending.push(coords);
+        
+        if (this.flushFrame === null) {
+            this.flushFrame = requestAnimationFrame(() => {
+                this.flushFrame = null;
+                this.flushPoints();
+            });
+        }
         
-        if (this.connected) {
+        // Throttle cursor position updates (only send every 100ms)
+        if (this.connected && (!this.lastCursorUpdate || Date.now() - this.lastCursorUpdate > 100)) {
             try {
-                this.socket.emit('draw-move', data);
-                
-                // Throttle cursor position updates (only send every 100ms)
-                if (!this.lastCursorUpdate || Date.now() - this.lastCursorUpdate > 100) {
-                    this.socket.emit('cursor-move', {
-                        x: coords.x,
-                        y: coords.y
-                    });
-                    this.lastCursorUpdate = Date.now();
-                }
+                this.socket.emit('cursor-move', {
+                    x: coords.x,
+                    y: coords.y
+                });
+                this.lastCursorUpdate = Date.now();
             } catch (error) {
-                console.error('Error sending draw-move:', error);
-                this.queueEvent('draw-move', { coords, strokeId });
+                console.error('Error sending cursor-move:', error);
             }
-        } else {
-            this.queueEvent('draw-move', { coords, strokeId });
         }
     }
 
     /**
-     * Send draw-end event to server
-     * Queues event if offline
+     * Send buffered points, for one stroke or all of them
      */
-    endDrawing(strokeId) {
-        if (!this.socket) return;
-        
-        const data = { strokeId: strokeId };
+    flushPoints(strokeId) {
+        const strokeIds = strokeId === undefined ? Array.from(this.pendingPoints.keys()) : [strokeId];
+        strokeIds.forEach(id => {
+            const points = this.pendingPoints.get(id);
+            this.pendingPoints.delete(id);
+            if (points && points.length > 0) {
+                this.sendPoints(id, points);
+            }
+        });
+    }
+
+    /**
+     * Send points of one of our live strokes as draw-points batches
+     */
+    sendPoints(strokeId, points) {
+        // The server has no handle for strokes it never saw start (refused, or started offline)
+        const handle = this.strokeHandles.get(strokeId);
+        if (!this.connected || handle === undefined) return;
         
-        if (this.connected) {
-            try {
-                this.socket.emit('draw-end', data);
-            } catch (error) {
-                console.error('Error sending draw-end:', error);
-                this.queueEvent('draw-end', { strokeId });
+        try {
+            for (let i = 0; i < points.length; i += WebSocketManager.MAX_POINTS_PER_BATCH) {
+                const batch = points.slice(i, i + WebSocketManager.MAX_POINTS_PER_BATCH);
+                this.socket.emit('draw-points', this.withPackedPen(batch, { handle, points: WebSocketManager.encodePoints(batch) }));
             }
-        } else {
-            this.queueEvent('draw-end', { strokeId });
+        } catch (error) {
+            console.error('Error sending draw-points:', error);
         }
     }
 
     /**
-     * Send undo request to server
+     * Finish a freehand stroke. It is acknowledged through the outbox: with a
+     * draw-end if it was drawn live on this connection, otherwise sent whole.
      */
-    undo() {
-        if (!this.connected || !this.socket) {
-            console.warn('Cannot undo: not connected');
-            return;
+    endDrawing(stroke) {
+        this.flushPoints(stroke.id);
+        
+        const data = this.withLayer(stroke, this.withPackedPen(stroke.points, {
+            strokeId: stroke.id,
+            tool: stroke.tool,
+            color: stroke.color,
+            lineWidth: stroke.lineWidth,
+            points: WebSocketManager.encodePoints(stroke.points)
+        }));
+        if (stroke.brush) {
+            data.brush = { ...stroke.brush };
         }
+        this.submit('stroke-commit', data);
+    }
+
+    /**
+     * Add the layer of a new stroke to its message. Strokes made before the
+     * board arrived have none and go on the bottom layer.
+     */
+    withLayer(stroke, data) {
+        if (stroke.layerId) {
+            data.layerId = stroke.layerId;
+        }
+        return data;
+    }
+
+    /**
+     * Drop everything about one of our strokes (the server refused it)
+     */
+    forgetStroke(strokeId) {
+        this.pendingPoints.delete(strokeId);
+        this.strokeHandles.delete(strokeId);
+    }
+
+    /**
+     * Send a live preview of a shape being dragged (dropped if offline)
+     */
+    shapePreview(stroke) {
+        if (!this.socket || !this.connected) return;
+        
         try {
-            this.socket.emit('undo');
+            this.socket.volatile.emit('shape-preview', this.toShapeMessage(stroke));
         } catch (error) {
-            console.error('Error sending undo:', error);
+            console.error('Error sending shape-preview:', error);
         }
     }
 
     /**
-     * Send redo request to server
+     * Send a finished shape to server (through the outbox)
      */
-    redo() {
-        if (!this.connected || !this.socket) {
-            console.warn('Cannot redo: not connected');
-            return;
+    commitShape(stroke) {
+        this.submit('shape-commit', this.toShapeMessage(stroke));
+    }
+
+    /**
+     * Send a filled area to server (through the outbox)
+     */
+    commitFill(stroke) {
+        this.submit('fill-commit', this.withLayer(stroke, {
+            strokeId: stroke.id,
+            color: stroke.color,
+            fill: stroke.fill
+        }));
+    }
+
+    toShapeMessage(stroke) {
+        return this.withLayer(stroke, {
+            strokeId: stroke.id,
+            tool: stroke.tool,
+            color: stroke.color,
+            lineWidth: stroke.lineWidth,
+            shape: { ...stroke.shape }
+        });
+    }
+
+    /**
+     * Send the text being typed so peers see it live (dropped if offline)
+     */
+    textPreview(stroke) {
+        if (!this.socket || !this.connected) return;
+        
+        try {
+            this.socket.volatile.emit('text-preview', this.toTextMessage(stroke));
+        } catch (error) {
+            console.error('Error sending text-preview:', error);
         }
+    }
+
+    /**
+     * Send finished text to server (through the outbox)
+     */
+    commitText(stroke) {
+        this.submit('text-commit', this.toTextMessage(stroke));
+    }
+
+    toTextMessage(stroke) {
+        return this.withLayer(stroke, {
+            strokeId: stroke.id,
+            color: stroke.color,
+            text: { ...stroke.text }
+        });
+    }
+
+    /**
+     * Send a newly placed image (already uploaded) to server (through the outbox)
+     */
+    addImage(stroke) {
+        this.submit('image-add', this.withLayer(stroke, { strokeId: stroke.id, image: { ...stroke.image } }));
+    }
+
+    /**
+     * Send an image's new position/size to server (through the outbox)
+     */
+    updateImage(stroke) {
+        const { x, y, width, height } = stroke.image;
+        this.submit('image-update', { strokeId: stroke.id, x, y, width, height });
+    }
+
+    /**
+     * Send a move/scale of selected strokes to server (through the outbox)
+     */
+    transformStrokes(strokeIds, transform) {
+        this.submit('strokes-transform', { strokeIds, transform: { ...transform } });
+    }
+
+    /**
+     * Send deletion of selected strokes to server (through the outbox)
+     */
+    deleteStrokes(strokeIds) {
+        this.submit('strokes-delete', { strokeIds });
+    }
+
+    /**
+     * Send an erase along a path to server (through the outbox); the server
+     * erases the same strokes and cuts them the same way
+     */
+    erase(eraseId, mode, lineWidth, points) {
+        this.submit('erase', { eraseId, mode, lineWidth, points: WebSocketManager.encodePoints(points) });
+    }
+
+    /**
+     * Send a move of strokes to another layer to server (through the outbox)
+     */
+    setStrokeLayer(strokeIds, layerId) {
+        this.submit('strokes-set-layer', { strokeIds, layerId });
+    }
+
+    /**
+     * Add a layer on top of the stack (through the outbox)
+     */
+    addLayer(layerId, name) {
+        this.submit('layer-add', { layerId, name });
+    }
+
+    /**
+     * Rename, hide/show or lock/unlock a layer (through the outbox)
+     */
+    updateLayer(layerId, changes) {
+        this.submit('layer-update', { layerId, ...changes });
+    }
+
+    /**
+     * Move a layer to a position in the stack, 0 being the bottom (through the outbox)
+     */
+    moveLayer(layerId, index) {
+        this.submit('layer-move', { layerId, index });
+    }
+
+    /**
+     * Delete an empty layer (through the outbox)
+     */
+    deleteLayer(layerId) {
+        this.submit('layer-delete', { layerId });
+    }
+
+    /**
+     * Send a chat message to the room. Chat is not queued while offline;
+     * returns false if the message could not be sent. A message the server
+     * holds back (its storage failed, or the room is moving) is not resent.
+     */
+    sendChatMessage(text) {
+        if (!this.connected || !this.socket) return false;
         try {
-            this.socket.emit('redo');
+            this.socket.emit('chat-message', { text }, (result) => {
+                if (result && result.status === 'retry') {
+                    alert('Your message could not be sent right now. Please try again in a moment.');
+                }
+            });
+            return true;
         } catch (error) {
-            console.error('Error sending redo:', error);
+            console.error('Error sending chat-message:', error);
+            return false;
         }
     }
 
     /**
-     * Send clear canvas request to server
+     * Send a new comment pinned at anchor ({ x, y, strokeId? }) (through the outbox)
      */
-    clear() {
+    addComment(commentId, anchor, text) {
+        this.submit('comment-add', { commentId, anchor: { ...anchor }, text });
+    }
+
+    /**
+     * Send a reply in a comment's thread (through the outbox)
+     */
+    replyToComment(commentId, replyId, text) {
+        this.submit('comment-reply', { commentId, replyId, text });
+    }
+
+    /**
+     * Resolve or reopen a comment (through the outbox)
+     */
+    resolveComment(commentId, resolved) {
+        this.submit('comment-resolve', { commentId, resolved });
+    }
+
+    /**
+     * Delete a comment and its thread (through the outbox)
+     */
+    deleteComment(commentId) {
+        this.submit('comment-delete', { commentId });
+    }
+
+    /**
+     * Undo, in order with our pending changes (the result comes back as an 'undo' broadcast)
+     */
+    undo() {
+        this.submit('undo', {});
+    }
+
+    /**
+     * Redo, in order with our pending changes
+     */
+    redo() {
+        this.submit('redo', {});
+    }
+
+    /**
+     * Ask the server to switch the room's undo scope ('per-user' or 'global')
+     */
+    setUndoMode(undoMode) {
         if (!this.connected || !this.socket) {
-            console.warn('Cannot clear: not connected');
+            console.warn('Cannot change undo mode: not connected');
             return;
         }
         try {
-            this.socket.emit('clear');
+            this.socket.emit('set-undo-mode', { undoMode });
         } catch (error) {
-            console.error('Error sending clear:', error);
+            console.error('Error sending set-undo-mode:', error);
         }
     }
 
+    /**
+     * Reflect room settings received from the server in the toolbar
+     */
+    updateRoomSettings(settings) {
+        if (!settings) return;
+        this.roomSettings = settings;
+
+        const undoModeSelect = document.getElementById('undo-mode');
+        if (undoModeSelect && settings.undoMode) {
+            undoModeSelect.value = settings.undoMode;
+        }
+    }
+
+    /**
+     * Clear the board once our pending changes are in; changes made after
+     * this on the old board are dropped when the clear arrives
+     */
+    clear() {
+        this.submit('clear', {});
+    }
+
     updateConnectionStatus(connected) {
         const indicator = document.getElementById('connection-indicator');
         const text = document.getElementById('connection-text');
@@ -441,19 +1513,73 @@ class WebSocketManager {
             this.users.set(user.id, user);
         });
 
+        // Drawers first, then viewers (spectators and view-only users) as a separate group
         const usersList = document.getElementById('users-list');
         if (usersList) {
             usersList.innerHTML = '';
-            users.forEach(user => {
-                const badge = document.createElement('div');
-                badge.className = 'user-badge';
-                badge.innerHTML = `
-                    <span class="user-color" style="background: ${user.color}"></span>
-                    <span>${user.name}</span>
-                `;
-                usersList.appendChild(badge);
+            const viewers = users.filter(user => user.role === 'viewer');
+            users.filter(user => user.role !== 'viewer').forEach(user => {
+                usersList.appendChild(this.createUserBadge(user));
             });
+
+            if (viewers.length > 0) {
+                const group = document.createElement('div');
+                group.className = 'viewers-group';
+                const count = document.createElement('span');
+                count.className = 'viewer-count';
+                count.textContent = `👁 ${viewers.length} watching`;
+                group.appendChild(count);
+                viewers.forEach(user => {
+                    group.appendChild(this.createUserBadge(user));
+                });
+                usersList.appendChild(group);
+            }
+        }
+        
+        if (this.onUsersChange) {
+            this.onUsersChange(users, this.users.get(this.userId) || null);
         }
     }
+
+    createUserBadge(user) {
+        // Names are user-chosen, so never insert them as HTML
+        const badge = document.createElement('div');
+        badge.className = 'user-badge';
+        const swatch = document.createElement('span');
+        swatch.className = 'user-color';
+        swatch.style.background = user.color;
+        const name = document.createElement('span');
+        name.textContent = user.id === this.userId ? `${user.name} (you)` : user.name;
+        badge.append(swatch, name, this.createRoleLabel(user));
+        return badge;
+    }
+
+    /**
+     * Role shown next to a user: owners can change other users' roles
+     */
+    createRoleLabel(user) {
+        if (this.role === 'owner' && user.id !== this.userId) {
+            const select = document.createElement('select');
+            select.className = 'user-role-select';
+            select.title = 'Role';
+            [['editor', 'can draw'], ['viewer', 'view only']].forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = user.role === 'viewer' ? 'viewer' : 'editor';
+            select.addEventListener('change', () => {
+                this.setUserRole(user.id, select.value);
+            });
+            return select;
+        }
+
+        const label = document.createElement('span');
+        label.className = 'user-role';
+        label.textContent = user.role === 'owner' ? '★' : '';
+        label.title = user.role || '';
+        return label;
+    }
 }
 
@@ -0,0 +1,41 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+const tseslint = require('typescript-eslint');
+
+// Client scripts share one global scope (see the script tags in client/index.html)
+const clientClasses = [
+  'Brush', 'CanvasManager', 'DiscussionPanel', 'Eraser', 'FloodFill', 'ImageUploader', 'LayersPanel', 'Outbox',
+  'PerformanceMonitor', 'ReplayPlayer', 'RoomDirectory', 'SessionManager', 'TileCache', 'UserIdentity', 'WebSocketManager'
+];
+
+module.exports = tseslint.config(
+  { ignores: ['dist/', 'node_modules/'] },
+  js.configs.recommended,
+  {
+    files: ['server/**/*.ts', 'test/**/*.ts'],
+    extends: [tseslint.configs.recommended],
+    languageOptions: { globals: globals.node },
+    rules: {
+      '@typescript-eslint/no-unused-vars': ['error', { caughtErrors: 'none', ignoreRestSiblings: true }]
+    }
+  },
+  {
+    files: ['client/**/*.js'],
+    languageOptions: {
+      sourceType: 'script',
+      globals: {
+        ...globals.browser,
+        ...Object.fromEntries(clientClasses.map(name => [name, 'readonly'])),
+        io: 'readonly'
+      }
+    },
+    rules: {
+      'no-redeclare': ['error', { builtinGlobals: false }],
+      'no-unused-vars': ['error', { vars: 'local', caughtErrors: 'none', ignoreRestSiblings: true }]
+    }
+  },
+  {
+    files: ['eslint.config.js'],
+    languageOptions: { globals: globals.node }
+  }
+);
@@ -0,0 +1,361 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { createHmac, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt) as (password: string, salt: Buffer, keylen: number) => Promise<Buffer>;
+
+export const ROLES = ['owner', 'editor', 'viewer'] as const;
+export type Role = typeof ROLES[number];
+
+// Roles that can be handed out by the owner, and through invites (co-owners)
+export const GRANTABLE_ROLES: readonly Role[] = ['editor', 'viewer'];
+export const INVITE_ROLES: readonly Role[] = ['owner', 'editor', 'viewer'];
+
+// Higher ranks include every right of lower ones
+const ROLE_RANK: Record<Role, number> = { viewer: 0, editor: 1, owner: 2 };
+
+export function canEdit(role: Role | null | undefined): boolean {
+  return role === 'owner' || role === 'editor';
+}
+
+export function isValidRoomPassword(password: unknown): password is string {
+  return typeof password === 'string' && password.length > 0 && password.length <= MAX_PASSWORD_LENGTH;
+}
+
+/**
+ * Who may join a room and with which role. Rooms without a stored policy
+ * (created before access control or by anonymous users, and the default
+ * room) are open to everyone as editors and have no owner.
+ */
+export interface RoomAccessPolicy {
+  ownerId: string | null;
+  password: { salt: string; hash: string } | null; // scrypt, hex encoded
+  inviteOnly: boolean;
+  members: Record<string, Role>; // userId -> role granted by password, invite or the owner
+  roleSetAt?: Record<string, number>; // userId -> when the owner last set their role; missing in older policies
+}
+
+/**
+ * Access summary sent to clients (never includes the password hash)
+ */
+export interface RoomAccessInfo {
+  ownerId: string | null;
+  hasPassword: boolean;
+  inviteOnly: boolean;
+}
+
+export type AccessDenialReason = 'password-required' | 'wrong-password' | 'invite-required' | 'invalid-invite' | 'invite-expired';
+
+export type JoinResult = { role: Role } | { denied: AccessDenialReason };
+
+export interface JoinCredentials {
+  password?: string;
+  invite?: string;
+}
+
+// Signed token payloads; short keys keep invite links compact
+interface InviteClaims {
+  kind: 'invite';
+  room: string;
+  role: Role;
+  iat?: number; // Missing in invites created before roles set by the owner were dated
+  exp: number;
+}
+
+interface AccessClaims {
+  kind: 'access';
+  room: string;
+  user: string;
+  role: Role;
+  exp: number;
+}
+
+export const MAX_PASSWORD_LENGTH = 128;
+export const MAX_INVITE_LIFETIME = 30 * 24 * 60 * 60 * 1000; // 30 days
+const ACCESS_TOKEN_LIFETIME = 12 * 60 * 60 * 1000; // HTTP access tokens, refreshed on every join
+const PASSWORD_KEY_LENGTH = 32;
+
+/**
+ * Per-room access policies plus the signed tokens built on them:
+ *
+ *   - invite tokens grant a role in one room until they expire
+ *   - access tokens let the HTTP API check the role a socket was given on join
+ *
+ * Policies are stored as one JSON file per room in `dir`. Tokens are signed
+ * with ACCESS_SECRET, or a secret generated once and kept in `dir`, so
+ * invites survive restarts.
+ */
+export class AccessControl {
+  private policies: Map<string, RoomAccessPolicy | null> = new Map();
+  private writeQueues: Map<string, Promise<void>> = new Map();
+  private pendingClaims: Set<string> = new Set(); // Rooms a claimNewRoom call is deciding on
+  private secret: Buffer;
+  private changeListener: ((roomId: string) => void) | null = null;
+
+  constructor(private dir: string, secret: string | undefined = process.env.ACCESS_SECRET) {
+    this.secret = secret ? Buffer.from(secret) : this.loadOrCreateSecret();
+  }
+
+  async getPolicy(roomId: string): Promise<RoomAccessPolicy | null> {
+    if (this.policies.has(roomId)) return this.policies.get(roomId)!;
+
+    let policy: RoomAccessPolicy | null = null;
+    try {
+      policy = JSON.parse(await fs.readFile(this.policyPath(roomId), 'utf-8'));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') throw error;
+    }
+    // A concurrent load may have finished first; keep whichever is cached
+    if (!this.policies.has(roomId)) this.policies.set(roomId, policy);
+    return this.policies.get(roomId)!;
+  }
+
+  /**
+   * Drop a cached policy, so it is read again (another process changed it)
+   */
+  forget(roomId: string): void {
+    this.policies.delete(roomId);
+  }
+
+  /**
+   * Called with the room ID after a policy was saved, so other processes
+   * sharing `dir` can forget their cached copy
+   */
+  setChangeListener(listener: (roomId: string) => void): void {
+    this.changeListener = listener;
+  }
+
+  getAccessInfo(policy: RoomAccessPolicy | null): RoomAccessInfo {
+    return {
+      ownerId: policy ? policy.ownerId : null,
+      hasPassword: !!(policy && policy.password),
+      inviteOnly: !!(policy && policy.inviteOnly)
+    };
+  }
+
+  /**
+   * Whether the room is closed to people without a password or invite
+   */
+  isProtected(policy: RoomAccessPolicy | null): boolean {
+    return !!policy && (policy.password !== null || policy.inviteOnly);
+  }
+
+  /**
+   * Create the policy of a new room, owned by its creator
+   */
+  async createPolicy(roomId: string, ownerId: string, options: { password?: string; inviteOnly?: boolean } = {}): Promise<RoomAccessPolicy> {
+    const policy: RoomAccessPolicy = {
+      ownerId,
+      password: options.password ? await this.hashPassword(options.password) : null,
+      inviteOnly: !!options.inviteOnly,
+      members: {}
+    };
+    this.policies.set(roomId, policy);
+    await this.save(roomId, policy);
+    return policy;
+  }
+
+  /**
+   * Give a room that has just been created by someone opening it the
+   * policy of an open room owned by them. Returns false if the room already
+   * has a policy.
+   */
+  async claimNewRoom(roomId: string, ownerId: string): Promise<boolean> {
+    // Marked before the first await, so of two concurrent claims only the first can win
+    if (this.pendingClaims.has(roomId)) return false;
+    this.pendingClaims.add(roomId);
+    try {
+      if (await this.getPolicy(roomId)) return false;
+      await this.createPolicy(roomId, ownerId);
+      return true;
+    } finally {
+      this.pendingClaims.delete(roomId);
+    }
+  }
+
+  /**
+   * Work out the role of a user joining a room. Known members keep their
+   * role, unless they bring an invite for a higher one that was created
+   * after the owner last set their role; everyone else needs a valid invite,
+   * the password, or an open room. Roles granted by password or invite are
+   * remembered for identified users (userId null means anonymous), so
+   * reconnects need no credentials.
+   */
+  async resolveJoin(roomId: string, userId: string | null, credentials: JoinCredentials): Promise<JoinResult> {
+    const policy = await this.getPolicy(roomId);
+    const known = this.getMemberRole(policy, userId);
+
+    if (credentials.invite !== undefined) {
+      const claims = this.verify<InviteClaims>(credentials.invite, 'invite', roomId);
+      if (!claims || claims.exp < Date.now()) {
+        // Members keep their role whatever became of the link they came in with
+        if (known) return { role: known };
+        return { denied: claims ? 'invite-expired' : 'invalid-invite' };
+      }
+      if (!known || this.invitePromotes(policy, userId, known, claims)) {
+        await this.grant(roomId, policy, userId, claims.role);
+        return { role: claims.role };
+      }
+    }
+    if (known) return { role: known };
+
+    if (!policy || !this.isProtected(policy)) return { role: 'editor' };
+    if (policy.inviteOnly) return { denied: 'invite-required' };
+
+    if (credentials.password === undefined) return { denied: 'password-required' };
+    if (!(await this.checkPassword(policy, credentials.password))) return { denied: 'wrong-password' };
+    await this.grant(roomId, policy, userId, 'editor');
+    return { role: 'editor' };
+  }
+
+  /**
+   * Set or remove (null) the room password. Existing members keep their roles.
+   */
+  async setPassword(roomId: string, password: string | null): Promise<void> {
+    const policy = await this.requirePolicy(roomId);
+    policy.password = password ? await this.hashPassword(password) : null;
+    await this.save(roomId, policy);
+  }
+
+  async setInviteOnly(roomId: string, inviteOnly: boolean): Promise<void> {
+    const policy = await this.requirePolicy(roomId);
+    policy.inviteOnly = inviteOnly;
+    await this.save(roomId, policy);
+  }
+
+  async setMemberRole(roomId: string, userId: string, role: Role): Promise<void> {
+    const policy = await this.requirePolicy(roomId);
+    policy.members[userId] = role;
+    // Invites created before this no longer raise the user's role
+    policy.roleSetAt = { ...policy.roleSetAt, [userId]: Date.now() };
+    await this.save(roomId, policy);
+  }
+
+  createInvite(roomId: string, role: Role, lifetimeMs: number): { token: string; expiresAt: number } {
+    const now = Date.now();
+    const expiresAt = now + Math.min(lifetimeMs, MAX_INVITE_LIFETIME);
+    const claims: InviteClaims = { kind: 'invite', room: roomId, role, iat: now, exp: expiresAt };
+    return { token: this.sign(claims), expiresAt };
+  }
+
+  createAccessToken(roomId: string, userId: string, role: Role): string {
+    const claims: AccessClaims = { kind: 'access', room: roomId, user: userId, role, exp: Date.now() + ACCESS_TOKEN_LIFETIME };
+    return this.sign(claims);
+  }
+
+  /**
+   * Role of an HTTP request in a room, from its access token (if any).
+   * Open rooms let anyone edit; protected rooms need a valid token. The
+   * current policy wins over the role in the token so demotions apply at once.
+   */
+  async getRequestRole(roomId: string, accessToken: string | undefined): Promise<Role | null> {
+    const policy = await this.getPolicy(roomId);
+    const claims = accessToken ? this.verify<AccessClaims>(accessToken, 'access', roomId) : null;
+    const valid = claims && claims.exp >= Date.now() ? claims : null;
+
+    if (valid) return this.getMemberRole(policy, valid.user) || valid.role;
+    return this.isProtected(policy) ? null : 'editor';
+  }
+
+  private getMemberRole(policy: RoomAccessPolicy | null, userId: string | null): Role | null {
+    if (!policy || !userId) return null;
+    if (policy.ownerId === userId) return 'owner';
+    return policy.members[userId] || null;
+  }
+
+  // Whether a member's invite is for a higher role than theirs, and newer than the owner's last say on it
+  private invitePromotes(policy: RoomAccessPolicy | null, userId: string | null, known: Role, claims: InviteClaims): boolean {
+    if (ROLE_RANK[claims.role] <= ROLE_RANK[known]) return false;
+    const setAt = policy && userId && policy.roleSetAt ? policy.roleSetAt[userId] : undefined;
+    return !setAt || (claims.iat !== undefined && claims.iat > setAt);
+  }
+
+  private async grant(roomId: string, policy: RoomAccessPolicy | null, userId: string | null, role: Role): Promise<void> {
+    if (!policy || !userId) return;
+    policy.members[userId] = role;
+    await this.save(roomId, policy);
+  }
+
+  private async requirePolicy(roomId: string): Promise<RoomAccessPolicy> {
+    const policy = await this.getPolicy(roomId);
+    if (!policy) throw new Error(`Room ${roomId} has no access policy`);
+    return policy;
+  }
+
+  private async hashPassword(password: string): Promise<{ salt: string; hash: string }> {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, PASSWORD_KEY_LENGTH);
+    return { salt: salt.toString('hex'), hash: hash.toString('hex') };
+  }
+
+  private async checkPassword(policy: RoomAccessPolicy, password: string): Promise<boolean> {
+    if (!policy.password) return true;
+    const expected = Buffer.from(policy.password.hash, 'hex');
+    const actual = await scryptAsync(password, Buffer.from(policy.password.salt, 'hex'), PASSWORD_KEY_LENGTH);
+    return timingSafeEqual(expected, actual);
+  }
+
+  // Tokens are '<base64url JSON claims>.<base64url HMAC-SHA256>'
+  private sign(claims: InviteClaims | AccessClaims): string {
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${payload}.${this.signature(payload)}`;
+  }
+
+  private verify<T extends InviteClaims | AccessClaims>(token: string, kind: T['kind'], roomId: string): T | null {
+    if (typeof token !== 'string') return null;
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) return null;
+
+    const expected = Buffer.from(this.signature(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+      if (claims.kind !== kind || claims.room !== roomId || !(ROLES as readonly string[]).includes(claims.role)) return null;
+      return claims as T;
+    } catch {
+      return null;
+    }
+  }
+
+  private signature(payload: string): string {
+    return createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  // Runs once at startup, before any request is served
+  private loadOrCreateSecret(): Buffer {
+    const secretPath = path.join(this.dir, 'secret.key');
+    if (existsSync(secretPath)) {
+      return Buffer.from(readFileSync(secretPath, 'utf-8').trim(), 'hex');
+    }
+
+    const secret = randomBytes(32);
+    mkdirSync(this.dir, { recursive: true });
+    writeFileSync(secretPath, secret.toString('hex'), { mode: 0o600 });
+    return secret;
+  }
+
+  // Writes per room are serialized; write-then-rename so a crash never leaves a half-written policy
+  private save(roomId: string, policy: RoomAccessPolicy): Promise<void> {
+    const content = JSON.stringify(policy, null, 2);
+    const previous = this.writeQueues.get(roomId) || Promise.resolve();
+    const next = previous.then(async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      const policyPath = this.policyPath(roomId);
+      await fs.writeFile(`${policyPath}.tmp`, content);
+      await fs.rename(`${policyPath}.tmp`, policyPath);
+      if (this.changeListener) this.changeListener(roomId);
+    });
+    this.writeQueues.set(roomId, next.catch(error => {
+      console.error(`Error saving access policy for room ${roomId}:`, error);
+    }));
+    return next;
+  }
+
+  private policyPath(roomId: string): string {
+    return path.join(this.dir, `${roomId}.json`);
+  }
+}
@@ -0,0 +1,122 @@
+import { Point, Stroke } from './drawing-state';
+
+/**
+ * How freehand strokes are painted, shared by the export. Clients run the
+ * same math (client/brush.js and CanvasManager.getPointWidth) so a stroke
+ * looks the same on every screen and in every export; keep them in sync.
+ *
+ * - brush: opaque, smoothed, as wide as the pen pressure makes it
+ * - marker, highlighter: one smoothed path at the stroke's lineWidth,
+ *   painted with the stroke's opacity and blend mode as a whole, so a
+ *   translucent stroke does not darken where it crosses itself
+ * - pencil, spray: dots scattered along the stroke. Their positions come
+ *   from a generator seeded with the stroke's seed and the number of the
+ *   section, so a stroke drawn point by point and one drawn whole get the
+ *   same dots.
+ */
+
+// Width of a pen stroke at no pressure, as a fraction of its lineWidth
+export const MIN_PRESSURE_WIDTH = 0.25;
+
+// Pencil dots cover about this fraction of the line; their radius is this fraction of its width
+const PENCIL_COVERAGE = 0.8;
+const PENCIL_DOT_SIZE = 0.18;
+const MIN_PENCIL_DOT_RADIUS = 0.35;
+// Spray lands within SPRAY_SPREAD widths of the line: SPRAY_DOTS dots per section and as many again
+// for each SPRAY_SPREAD widths it travels
+const SPRAY_SPREAD = 1.5;
+const SPRAY_DOTS = 8;
+const SPRAY_DOT_SIZE = 0.05;
+const MIN_SPRAY_DOT_RADIUS = 0.5;
+// Long sections (strokes drawn offline, fast moves) get no more dots than this
+const MAX_SECTION_DOTS = 400;
+
+export interface Dot {
+  x: number;
+  y: number;
+  radius: number;
+  alpha: number; // Before the stroke's opacity
+}
+
+export function isTexturedTool(tool: string): boolean {
+  return tool === 'pencil' || tool === 'spray';
+}
+
+export function isWholePathTool(tool: string): boolean {
+  return tool === 'marker' || tool === 'highlighter';
+}
+
+/**
+ * Width of a freehand stroke at one of its points. Pen strokes are as wide
+ * as their lineWidth at full pressure and MIN_PRESSURE_WIDTH of it at none;
+ * everything else, markers and highlighters included, is lineWidth throughout.
+ */
+export function pointWidth(stroke: Stroke, point: Point): number {
+  if (point.pressure === undefined || isWholePathTool(stroke.tool)) return stroke.lineWidth;
+  return stroke.lineWidth * (MIN_PRESSURE_WIDTH + (1 - MIN_PRESSURE_WIDTH) * point.pressure);
+}
+
+/**
+ * How far the ink of a freehand stroke reaches from its points at most
+ */
+export function inkReach(stroke: Stroke): number {
+  const width = stroke.lineWidth;
+  if (stroke.tool === 'spray') return width * SPRAY_SPREAD + Math.max(MIN_SPRAY_DOT_RADIUS, width * SPRAY_DOT_SIZE);
+  if (stroke.tool === 'pencil') return width / 2 + Math.max(MIN_PENCIL_DOT_RADIUS, width * PENCIL_DOT_SIZE);
+  return width / 2;
+}
+
+/**
+ * Numbers in [0, 1) for one section of a textured stroke (mulberry32)
+ */
+function sectionRandom(seed: number, section: number): () => number {
+  let state = (seed ^ Math.imul(section + 1, 0x9e3779b1)) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Dots of section i of a pencil or spray stroke: the line from point i - 1
+ * to point i (section 0 is the first point on its own)
+ */
+export function sectionDots(stroke: Stroke, i: number): Dot[] {
+  const from = stroke.points[Math.max(0, i - 1)];
+  const to = stroke.points[i];
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  const width = (pointWidth(stroke, from) + pointWidth(stroke, to)) / 2;
+  const random = sectionRandom(stroke.brush?.seed ?? 0, i);
+
+  let count: number;
+  let spread: number;
+  let radius: number;
+  if (stroke.tool === 'spray') {
+    spread = width * SPRAY_SPREAD;
+    radius = Math.max(MIN_SPRAY_DOT_RADIUS, width * SPRAY_DOT_SIZE);
+    count = Math.ceil(SPRAY_DOTS * (1 + length / spread));
+  } else {
+    spread = width / 2;
+    radius = Math.max(MIN_PENCIL_DOT_RADIUS, width * PENCIL_DOT_SIZE);
+    // The first point is a dot as wide as the stroke
+    const area = i === 0 ? Math.PI * spread * spread : length * width;
+    count = Math.ceil(PENCIL_COVERAGE * area / (Math.PI * radius * radius));
+  }
+
+  const dots: Dot[] = [];
+  for (let k = 0; k < Math.min(count, MAX_SECTION_DOTS); k++) {
+    // Uniform over a disk around a point along the section
+    const along = random();
+    const angle = random() * Math.PI * 2;
+    const distance = Math.sqrt(random()) * spread;
+    dots.push({
+      x: from.x + (to.x - from.x) * along + Math.cos(angle) * distance,
+      y: from.y + (to.y - from.y) * along + Math.sin(angle) * distance,
+      radius,
+      alpha: stroke.tool === 'spray' ? 1 : 0.25 + random() * 0.5
+    });
+  }
+  return dots;
+}
@@ -0,0 +1,384 @@
+import { v4 as uuidv4 } from 'uuid';
+import { Namespace } from 'socket.io';
+import { ClusterAdapterWithHeartbeat, ClusterMessage, ClusterResponse } from 'socket.io-adapter';
+
+/**
+ * What the server processes of a cluster share: publish/subscribe channels
+ * and expiring leases. Messages published on a channel reach every
+ * subscriber (the publisher too, if subscribed) in the order they were
+ * published by that backend.
+ */
+export interface ClusterBackend {
+  publish(channel: string, message: string): Promise<void>;
+  subscribe(channel: string, listener: (message: string) => void): Promise<void>;
+  /**
+   * Take a lease if it is free, or extend it if `holder` already has it.
+   * Returns false if someone else holds it.
+   */
+  acquireLease(key: string, holder: string, ttlMs: number): Promise<boolean>;
+  releaseLease(key: string, holder: string): Promise<void>;
+  getLeaseHolder(key: string): Promise<string | null>;
+  close(): Promise<void>;
+}
+
+/**
+ * Channels and leases of in-memory backends. Backends created on the same
+ * broker behave like processes sharing one Redis server, which lets several
+ * Server instances in one process stand in for a cluster.
+ */
+export class MemoryBroker {
+  readonly channels: Map<string, Set<(message: string) => void>> = new Map();
+  readonly leases: Map<string, { holder: string; expiresAt: number }> = new Map();
+}
+
+/**
+ * Default backend: a single server process, which owns every room
+ */
+export class MemoryClusterBackend implements ClusterBackend {
+  private subscriptions: { channel: string; listener: (message: string) => void }[] = [];
+
+  constructor(private broker: MemoryBroker = new MemoryBroker()) {}
+
+  // Delivered asynchronously like a real broker, but in publishing order
+  async publish(channel: string, message: string): Promise<void> {
+    const listeners = this.broker.channels.get(channel);
+    if (!listeners) return;
+    Array.from(listeners).forEach(listener => queueMicrotask(() => listener(message)));
+  }
+
+  async subscribe(channel: string, listener: (message: string) => void): Promise<void> {
+    let listeners = this.broker.channels.get(channel);
+    if (!listeners) {
+      listeners = new Set();
+      this.broker.channels.set(channel, listeners);
+    }
+    listeners.add(listener);
+    this.subscriptions.push({ channel, listener });
+  }
+
+  async acquireLease(key: string, holder: string, ttlMs: number): Promise<boolean> {
+    const now = Date.now();
+    const lease = this.broker.leases.get(key);
+    if (lease && lease.expiresAt > now && lease.holder !== holder) return false;
+    this.broker.leases.set(key, { holder, expiresAt: now + ttlMs });
+    return true;
+  }
+
+  async releaseLease(key: string, holder: string): Promise<void> {
+    const lease = this.broker.leases.get(key);
+    if (lease && lease.holder === holder) this.broker.leases.delete(key);
+  }
+
+  async getLeaseHolder(key: string): Promise<string | null> {
+    const lease = this.broker.leases.get(key);
+    return lease && lease.expiresAt > Date.now() ? lease.holder : null;
+  }
+
+  async close(): Promise<void> {
+    this.subscriptions.forEach(({ channel, listener }) => {
+      const listeners = this.broker.channels.get(channel);
+      if (listeners) listeners.delete(listener);
+    });
+    this.subscriptions = [];
+  }
+}
+
+/**
+ * Socket.IO adapter that carries broadcasts, room joins and server-side
+ * events to the other nodes over a ClusterBackend, so `io.to(room).emit`
+ * reaches sockets connected to any node
+ */
+export function createSocketAdapter(backend: ClusterBackend) {
+  return class BackendSocketAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp: Namespace) {
+      super(nsp, {});
+      backend.subscribe(this.channel(), message => this.onMessage(JSON.parse(message)))
+        .catch(error => console.error('Error subscribing to cluster broadcasts:', error));
+      backend.subscribe(this.channel(this.uid), message => this.onResponse(JSON.parse(message)))
+        .catch(error => console.error('Error subscribing to cluster responses:', error));
+    }
+
+    protected async doPublish(message: ClusterMessage): Promise<string> {
+      await backend.publish(this.channel(), JSON.stringify(message));
+      return ''; // No offsets: connection state recovery is not used
+    }
+
+    protected doPublishResponse(requesterUid: string, response: ClusterResponse): Promise<void> {
+      return backend.publish(this.channel(requesterUid), JSON.stringify(response));
+    }
+
+    private channel(responseUid?: string): string {
+      const base = `socket.io#${this.nsp.name}`;
+      return responseUid ? `${base}#${responseUid}` : base;
+    }
+  };
+}
+
+export interface ClusterNodeOptions {
+  leaseTtl: number; // ms a node or room lease lasts without renewal
+  renewInterval: number; // ms between renewals; well below leaseTtl
+  requestTimeout: number; // ms to wait for a request's answer
+}
+
+// Handlers declare the payload type they expect
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+type MessageHandler = (payload: any, from: string) => unknown;
+
+interface NodeMessage {
+  type: string;
+  from: string;
+  payload?: unknown;
+  requestId?: string; // Requests expect a 'response' message with this ID
+  result?: unknown;
+  error?: string;
+}
+
+/**
+ * This process as a member of the cluster. It keeps its node lease alive,
+ * owns rooms through room leases (the owner is the only node with the
+ * room's DrawingState) and exchanges messages with other nodes.
+ *
+ * Leases are renewed every renewInterval. A node that stops renewing (it
+ * crashed or lost the backend) loses its rooms after leaseTtl, and the next
+ * node that needs one of them takes it over. A room whose lease could not
+ * be renewed is reported through onRoomLost, since another node may own it
+ * by then.
+ */
+export class ClusterNode {
+  readonly nodeId = uuidv4();
+  private ownedRooms: Map<string, number> = new Map(); // roomId -> time the lease runs out
+  private handlers: Map<string, MessageHandler> = new Map();
+  private pendingRequests: Map<string, { resolve: (result: unknown) => void; reject: (error: Error) => void; timer: NodeJS.Timeout }> = new Map();
+  private roomLostListeners: ((roomId: string) => void)[] = [];
+  private renewTimer: NodeJS.Timeout | null = null;
+
+  constructor(
+    private backend: ClusterBackend,
+    private options: ClusterNodeOptions = { leaseTtl: 10000, renewInterval: 3000, requestTimeout: 5000 }
+  ) {}
+
+  async start(): Promise<void> {
+    await this.backend.subscribe(this.channel(this.nodeId), message => this.onMessage(JSON.parse(message)));
+    await this.backend.acquireLease(this.nodeKey(this.nodeId), this.nodeId, this.options.leaseTtl);
+    this.renewTimer = setInterval(() => this.renewLeases(), this.options.renewInterval);
+    this.renewTimer.unref();
+  }
+
+  /**
+   * Leave the cluster: release every room and the node lease
+   */
+  async stop(): Promise<void> {
+    if (this.renewTimer) {
+      clearInterval(this.renewTimer);
+      this.renewTimer = null;
+    }
+    await Promise.all(this.getOwnedRooms().map(roomId => this.releaseRoom(roomId)));
+    await this.backend.releaseLease(this.nodeKey(this.nodeId), this.nodeId);
+    this.pendingRequests.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error('Cluster node stopped'));
+    });
+    this.pendingRequests.clear();
+  }
+
+  // Rooms
+
+  /**
+   * Become the owner of a room. Returns false if another node owns it.
+   */
+  async claimRoom(roomId: string): Promise<boolean> {
+    if (this.ownsRoom(roomId)) return true;
+    const requestedAt = Date.now();
+    const claimed = await this.backend.acquireLease(this.roomKey(roomId), this.nodeId, this.options.leaseTtl);
+    if (claimed) this.ownedRooms.set(roomId, requestedAt + this.options.leaseTtl);
+    return claimed;
+  }
+
+  async releaseRoom(roomId: string): Promise<void> {
+    if (!this.ownedRooms.delete(roomId)) return;
+    await this.backend.releaseLease(this.roomKey(roomId), this.nodeId);
+  }
+
+  ownsRoom(roomId: string): boolean {
+    const expiresAt = this.ownedRooms.get(roomId);
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+
+  getOwnedRooms(): string[] {
+    return Array.from(this.ownedRooms.keys());
+  }
+
+  getRoomOwner(roomId: string): Promise<string | null> {
+    return this.backend.getLeaseHolder(this.roomKey(roomId));
+  }
+
+  /**
+   * The node that owns a room, claiming it for this node if nobody does
+   */
+  async resolveRoomOwner(roomId: string): Promise<string> {
+    if (this.ownsRoom(roomId)) return this.nodeId;
+    // The lease may run out or be taken between looking and claiming
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const owner = await this.getRoomOwner(roomId);
+      if (owner) return owner;
+      if (await this.claimRoom(roomId)) return this.nodeId;
+    }
+    throw new Error(`Could not find an owner for room ${roomId}`);
+  }
+
+  onRoomLost(listener: (roomId: string) => void): void {
+    this.roomLostListeners.push(listener);
+  }
+
+  async isNodeAlive(nodeId: string): Promise<boolean> {
+    return nodeId === this.nodeId || (await this.backend.getLeaseHolder(this.nodeKey(nodeId))) === nodeId;
+  }
+
+  // Messages
+
+  handle(type: string, handler: MessageHandler): void {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Send a message to a node without waiting for an answer. Messages to
+   * this node are handled right away, so they keep their order with requests.
+   */
+  send(nodeId: string, type: string, payload: unknown): void {
+    if (nodeId === this.nodeId) {
+      this.runHandler(type, payload, this.nodeId);
+      return;
+    }
+    this.publish(nodeId, { type, from: this.nodeId, payload });
+  }
+
+  /**
+   * Send a message to a node and wait for its handler's result. Fails after
+   * requestTimeout, also when this node is the target, and at once if the
+   * message cannot be sent.
+   */
+  request(nodeId: string, type: string, payload: unknown): Promise<unknown> {
+    return new Promise((resolve, reject) => {
+      const requestId = uuidv4();
+      const timer = setTimeout(() => {
+        this.settleRequest(requestId, new Error(`Cluster request ${type} to node ${nodeId} timed out`));
+      }, this.options.requestTimeout);
+      this.pendingRequests.set(requestId, { resolve, reject, timer });
+
+      // Handled right away, so it keeps its order with messages sent to this node
+      if (nodeId === this.nodeId) {
+        let result: unknown;
+        try {
+          result = this.runHandler(type, payload, this.nodeId);
+        } catch (error) {
+          this.settleRequest(requestId, error as Error);
+          return;
+        }
+        Promise.resolve(result).then(
+          value => this.settleRequest(requestId, null, value),
+          error => this.settleRequest(requestId, error)
+        );
+        return;
+      }
+
+      const message: NodeMessage = { type, from: this.nodeId, payload, requestId };
+      this.backend.publish(this.channel(nodeId), JSON.stringify(message)).catch(error => {
+        this.settleRequest(requestId, new Error(`Could not send ${type} to node ${nodeId}: ${error.message}`));
+      });
+    });
+  }
+
+  private async onMessage(message: NodeMessage): Promise<void> {
+    if (message.type === 'response') {
+      if (message.requestId === undefined) return;
+      this.settleRequest(message.requestId, message.error !== undefined ? new Error(message.error) : null, message.result);
+      return;
+    }
+
+    if (message.requestId === undefined) {
+      try {
+        await this.runHandler(message.type, message.payload, message.from);
+      } catch (error) {
+        console.error(`Error handling ${message.type} from node ${message.from}:`, error);
+      }
+      return;
+    }
+
+    const response: NodeMessage = { type: 'response', from: this.nodeId, requestId: message.requestId };
+    try {
+      response.result = await this.runHandler(message.type, message.payload, message.from);
+    } catch (error) {
+      response.error = error instanceof Error ? error.message : String(error);
+    }
+    this.publish(message.from, response);
+  }
+
+  // Only the first outcome counts: answers after a timeout are ignored
+  private settleRequest(requestId: string, error: Error | null, result?: unknown): void {
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) return;
+    this.pendingRequests.delete(requestId);
+    clearTimeout(pending.timer);
+    if (error) pending.reject(error);
+    else pending.resolve(result);
+  }
+
+  private runHandler(type: string, payload: unknown, from: string): unknown {
+    const handler = this.handlers.get(type);
+    if (!handler) throw new Error(`No handler for cluster message ${type}`);
+    return handler(payload, from);
+  }
+
+  private publish(nodeId: string, message: NodeMessage): void {
+    this.backend.publish(this.channel(nodeId), JSON.stringify(message)).catch(error => {
+      console.error(`Error sending ${message.type} to node ${nodeId}:`, error);
+    });
+  }
+
+  private async renewLeases(): Promise<void> {
+    try {
+      await this.backend.acquireLease(this.nodeKey(this.nodeId), this.nodeId, this.options.leaseTtl);
+    } catch (error) {
+      console.error('Error renewing node lease:', error);
+    }
+
+    await Promise.all(this.getOwnedRooms().map(async roomId => {
+      const requestedAt = Date.now();
+      let renewed: boolean | null;
+      try {
+        renewed = await this.backend.acquireLease(this.roomKey(roomId), this.nodeId, this.options.leaseTtl);
+      } catch (error) {
+        console.error(`Error renewing lease of room ${roomId}:`, error);
+        renewed = null;
+      }
+
+      // Released meanwhile: a renewal that landed after the release would hold the room
+      if (!this.ownedRooms.has(roomId)) {
+        if (renewed) await this.backend.releaseLease(this.roomKey(roomId), this.nodeId).catch(() => undefined);
+        return;
+      }
+      if (renewed) {
+        this.ownedRooms.set(roomId, requestedAt + this.options.leaseTtl);
+        return;
+      }
+      // A failed renewal is retried next round, unless the lease has run out by then
+      if (renewed === null && this.ownsRoom(roomId)) return;
+
+      this.ownedRooms.delete(roomId);
+      console.warn(`Lost ownership of room ${roomId}`);
+      this.roomLostListeners.forEach(listener => listener(roomId));
+    }));
+  }
+
+  private channel(nodeId: string): string {
+    return `node#${nodeId}`;
+  }
+
+  private nodeKey(nodeId: string): string {
+    return `node:${nodeId}`;
+  }
+
+  private roomKey(roomId: string): string {
+    return `room-owner:${roomId}`;
+  }
+}
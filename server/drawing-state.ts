@@ -1,48 +1,462 @@
 import { v4 as uuidv4 } from 'uuid';
+import { ErasePath, EraseMode, eraserTouches, splitStroke } from './erase';
 
+/**
+ * A point of a freehand stroke. Points drawn with a pen also carry its
+ * pressure (0 to 1) and tilt (degrees from upright, -90 to 90), as reported
+ * by Pointer Events; the pressure sets the width of the line there.
+ */
 export interface Point {
   x: number;
   y: number;
   timestamp: number;
+  pressure?: number;
+  tiltX?: number;
+  tiltY?: number;
+}
+
+/**
+ * A point as sent by a client, before the server stamps it
+ */
+export type PointInput = Omit<Point, 'timestamp'>;
+
+function toPoint(input: PointInput, timestamp: number): Point {
+  const point: Point = { x: input.x, y: input.y, timestamp };
+  if (input.pressure !== undefined) point.pressure = input.pressure;
+  if (input.tiltX !== undefined) point.tiltX = input.tiltX;
+  if (input.tiltY !== undefined) point.tiltY = input.tiltY;
+  return point;
+}
+
+export const SHAPE_TYPES = ['line', 'rectangle', 'ellipse', 'arrow'] as const;
+export type ShapeType = typeof SHAPE_TYPES[number];
+
+export function isShapeTool(tool: string): tool is ShapeType {
+  return (SHAPE_TYPES as readonly string[]).includes(tool);
+}
+
+/**
+ * Geometry of a shape stroke: the drag start (x1, y1) and end (x2, y2).
+ * Rectangles and ellipses use it as their bounding box, lines and arrows
+ * as their endpoints (the arrow head sits at x2, y2).
+ */
+export interface ShapeGeometry {
+  x1: number;
+  y1: number;
+  x2: number;
+  y2: number;
+}
+
+// Freehand tools that paint with BrushSettings; plain 'brush' strokes are opaque
+export const BRUSH_PRESET_TOOLS = ['marker', 'highlighter', 'pencil', 'spray'] as const;
+
+export function isBrushPresetTool(tool: string): boolean {
+  return (BRUSH_PRESET_TOOLS as readonly string[]).includes(tool);
+}
+
+export const BLEND_MODES = ['normal', 'multiply'] as const;
+export type BlendMode = typeof BLEND_MODES[number];
+
+/**
+ * How a marker, highlighter, pencil or spray stroke is painted. It is stored
+ * with the stroke, so the stroke looks the same to everyone and in exports
+ * whatever the client's presets are. seed (pencil and spray only) picks
+ * the grain of textured strokes (see brush.ts).
+ */
+export interface BrushSettings {
+  opacity: number; // 0 to 1
+  blendMode: BlendMode;
+  seed?: number; // Unsigned 32-bit integer
+}
+
+function copyBrush(brush: BrushSettings): BrushSettings {
+  const copy: BrushSettings = { opacity: brush.opacity, blendMode: brush.blendMode };
+  if (brush.seed !== undefined) copy.seed = brush.seed;
+  return copy;
+}
+
+/**
+ * An area filled with the fill tool, as square cells cellSize world units
+ * wide. The top-left cell is at (x, y); rows[i] holds the filled runs of row
+ * i as pairs of first column and length. Clients work it out from the
+ * strokes around the click (client/fill.js), so everyone draws the same area.
+ */
+export interface FillRegion {
+  x: number;
+  y: number;
+  cellSize: number;
+  rows: number[][];
+}
+
+export const TEXT_FONT_FAMILIES = ['sans-serif', 'serif', 'monospace', 'cursive'] as const;
+export type TextFontFamily = typeof TEXT_FONT_FAMILIES[number];
+
+/**
+ * A text annotation anchored at its top-left corner (x, y) in world
+ * coordinates. Lines are separated by '\n'.
+ */
+export interface TextContent {
+  x: number;
+  y: number;
+  content: string;
+  fontFamily: TextFontFamily;
+  fontSize: number;
+}
+
+/**
+ * An uploaded image placed on the board; (x, y) is its top-left corner and
+ * width/height its size, all in world coordinates
+ */
+export interface ImagePlacement {
+  imageId: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+// The layer every room starts with; strokes from before layers existed are on it
+export const DEFAULT_LAYER: Readonly<Layer> = { id: 'default', name: 'Layer 1', visible: true, locked: false };
+
+/**
+ * A named layer of the board. Layers are drawn bottom first; hidden layers
+ * are not drawn for anyone, and strokes on locked layers cannot be changed.
+ */
+export interface Layer {
+  id: string;
+  name: string;
+  visible: boolean;
+  locked: boolean;
+}
+
+export type LayerChanges = Partial<Pick<Layer, 'name' | 'visible' | 'locked'>>;
+
+// Chat messages a room keeps; older ones are dropped as new ones arrive
+export const MAX_CHAT_HISTORY = 500;
+
+// Undoable edits a room keeps, and redo steps per stack; the oldest can no longer be undone
+export const MAX_UNDO_HISTORY = 500;
+
+/**
+ * A chat message. The author's display name is stored with it, so it still
+ * reads right after the author has left.
+ */
+export interface ChatMessage {
+  id: string;
+  userId: string;
+  name: string;
+  text: string;
+  timestamp: number;
+}
+
+/**
+ * Where a comment pin sits: a world position, or a stroke. Stroke pins
+ * follow the stroke when it is moved and fall back to (x, y), where the
+ * stroke was clicked, once it is gone.
+ */
+export interface CommentAnchor {
+  x: number;
+  y: number;
+  strokeId?: string;
+}
+
+export interface CommentReply {
+  id: string;
+  userId: string;
+  name: string;
+  text: string;
+  timestamp: number;
+}
+
+/**
+ * A comment pinned to the board, with its thread of replies
+ */
+export interface Comment {
+  id: string;
+  userId: string;
+  name: string;
+  anchor: CommentAnchor;
+  text: string;
+  timestamp: number;
+  resolved: boolean;
+  resolvedBy?: string; // User who last resolved it
+  replies: CommentReply[];
 }
 
 export interface Stroke {
   id: string;
   userId: string;
-  points: Point[];
+  points: Point[]; // Freehand points; empty for shapes
   color: string;
   lineWidth: number;
-  tool: string; // 'brush' | 'eraser'
+  tool: string; // 'brush' | BRUSH_PRESET_TOOLS | ShapeType | 'text' | 'image' | 'fill', or 'eraser' for paint-over eraser strokes of older boards
+  layerId: string;
+  brush?: BrushSettings; // Present when tool is one of BRUSH_PRESET_TOOLS
+  shape?: ShapeGeometry; // Present when tool is a ShapeType
+  text?: TextContent; // Present when tool is 'text'
+  image?: ImagePlacement; // Present when tool is 'image' (rendered beneath all other strokes)
+  fill?: FillRegion; // Present when tool is 'fill' (rendered beneath all but images)
   startTime: number;
   endTime?: number;
 }
 
+/**
+ * Undo scope for a room:
+ * - 'per-user': each user undoes/redoes only their own strokes (default)
+ * - 'global': undo/redo operate on the shared room history (facilitator mode)
+ */
+export type UndoMode = 'per-user' | 'global';
+
+export interface RoomSettings {
+  undoMode: UndoMode;
+}
+
+export interface SerializedState {
+  strokes: Stroke[];
+  history: string[];
+  layers?: Layer[]; // Bottom first. Missing in states saved before layers existed
+  comments?: Comment[]; // Missing in states saved before comments existed
+  chat?: ChatMessage[];
+}
+
+/**
+ * Transform applied to selected strokes: scale about (originX, originY),
+ * then translate by (dx, dy). Scaling is uniform so shapes, text and images
+ * keep their proportions; line widths and font sizes scale with them.
+ */
+export interface StrokeTransform {
+  dx: number;
+  dy: number;
+  scale: number;
+  originX: number;
+  originY: number;
+}
+
+/**
+ * The editable parts of a stroke, captured before and after a transform by
+ * actions recorded before transforms were stored as their parameters
+ */
+export interface StrokeGeometry {
+  id: string;
+  points: Point[];
+  lineWidth: number;
+  shape?: ShapeGeometry;
+  text?: TextContent;
+  image?: ImagePlacement;
+  fill?: FillRegion;
+  layerId?: string; // Missing in actions recorded before layers existed
+}
+
+/**
+ * An undoable edit. Undo reverts the latest action of the caller
+ * ('per-user' mode) or of the room ('global' mode). Actions name strokes
+ * rather than copy them, so they stay small however large the strokes are.
+ * - 'add': a stroke, shape, text, image or fill was committed
+ * - 'transform': strokes were moved and/or scaled; undone with the inverse
+ *   transform. Actions from older snapshots hold geometry before and after
+ * - 'place-image': an image was moved or resized
+ * - 'set-layer': strokes were put on another layer; fromLayerIds[i] is the
+ *   layer strokeIds[i] was on
+ * - 'delete': strokes were removed from the board; positions are their
+ *   history indices at the time so undo can put them back in place
+ * - 'erase': strokes were erased; pieceIds[i] are the pieces left of
+ *   strokeIds[i] by the precise eraser, which took its place in the history
+ */
+export type EditAction =
+  | { type: 'add'; userId: string; strokeId: string }
+  | { type: 'transform'; userId: string; strokeIds: string[]; transform: StrokeTransform }
+  | { type: 'transform'; userId: string; before: StrokeGeometry[]; after: StrokeGeometry[] }
+  | { type: 'place-image'; userId: string; strokeId: string; before: ImagePlacement; after: ImagePlacement }
+  | { type: 'set-layer'; userId: string; strokeIds: string[]; fromLayerIds: string[]; layerId: string }
+  | { type: 'delete'; userId: string; strokeIds: string[]; positions: number[] }
+  | { type: 'erase'; userId: string; strokeIds: string[]; positions: number[]; pieceIds: string[][] };
+
+/**
+ * What clients must change to mirror an undo or redo: strokes to remove,
+ * strokes whose geometry changed, and strokes to re-insert before the
+ * given stroke (null meaning on top)
+ */
+export interface StrokeChanges {
+  removed: string[];
+  updated: Stroke[];
+  restored: { stroke: Stroke; beforeId: string | null }[];
+}
+
+export interface UndoResult {
+  action: EditAction['type'];
+  changes: StrokeChanges;
+}
+
+/**
+ * Full in-memory state, including undo/redo stacks and settings, used for
+ * persistence snapshots (session files only store SerializedState)
+ */
+export interface StateSnapshot extends SerializedState {
+  settings: RoomSettings;
+  actions: EditAction[];
+  undoneActions: EditAction[];
+  userUndoneActions: Record<string, EditAction[]>;
+  generation?: number; // Missing in snapshots written before board generations existed
+}
+
+/**
+ * Mutations recorded to the persistence journal. Replaying them in order
+ * on top of a snapshot reproduces the room state.
+ */
+export type DrawingOperation =
+  | { type: 'end-stroke'; stroke: Stroke }
+  | { type: 'extend-stroke'; strokeId: string; points: Point[] }
+  | { type: 'undo'; userId: string }
+  | { type: 'redo'; userId: string }
+  | { type: 'clear' }
+  | { type: 'set-undo-mode'; undoMode: UndoMode }
+  | { type: 'update-image'; userId: string; strokeId: string; image: ImagePlacement }
+  | { type: 'transform'; userId: string; strokeIds: string[]; transform: StrokeTransform }
+  | { type: 'delete'; userId: string; strokeIds: string[] }
+  | { type: 'erase'; userId: string; strokeIds: string[]; pieces: Stroke[][] }
+  | { type: 'load'; state: SerializedState }
+  | { type: 'chat-message'; message: ChatMessage }
+  | { type: 'comment-add'; comment: Comment }
+  | { type: 'comment-reply'; commentId: string; reply: CommentReply }
+  | { type: 'comment-resolve'; commentId: string; userId: string; resolved: boolean }
+  | { type: 'comment-delete'; commentId: string }
+  | { type: 'layer-add'; layer: Layer }
+  | { type: 'layer-update'; layerId: string; changes: LayerChanges }
+  | { type: 'layer-move'; layerId: string; index: number }
+  | { type: 'layer-delete'; layerId: string }
+  | { type: 'set-stroke-layer'; userId: string; strokeIds: string[]; layerId: string };
+
+export interface OperationJournal {
+  record(operation: DrawingOperation): void;
+}
+
+function captureGeometry(stroke: Stroke): StrokeGeometry {
+  const geometry: StrokeGeometry = {
+    id: stroke.id,
+    points: stroke.points.map(point => ({ ...point })),
+    lineWidth: stroke.lineWidth,
+    layerId: stroke.layerId
+  };
+  if (stroke.shape) geometry.shape = { ...stroke.shape };
+  if (stroke.text) geometry.text = { ...stroke.text };
+  if (stroke.image) geometry.image = { ...stroke.image };
+  // Fill rows are never changed in place, so they can be shared
+  if (stroke.fill) geometry.fill = { ...stroke.fill };
+  return geometry;
+}
+
+function restoreGeometry(stroke: Stroke, geometry: StrokeGeometry): void {
+  const copy = captureGeometry({ ...stroke, ...geometry });
+  stroke.points = copy.points;
+  stroke.lineWidth = copy.lineWidth;
+  stroke.layerId = copy.layerId!;
+  if (copy.shape) stroke.shape = copy.shape;
+  if (copy.text) stroke.text = copy.text;
+  if (copy.image) stroke.image = copy.image;
+  if (copy.fill) stroke.fill = copy.fill;
+}
+
+// The transform that takes strokes back to where `transform` found them
+function invertTransform(transform: StrokeTransform): StrokeTransform {
+  const { dx, dy, scale, originX, originY } = transform;
+  return { dx: -dx, dy: -dy, scale: 1 / scale, originX: originX + dx, originY: originY + dy };
+}
+
+function applyTransform(stroke: Stroke, transform: StrokeTransform): void {
+  const { dx, dy, scale, originX, originY } = transform;
+  const mapX = (x: number) => originX + (x - originX) * scale + dx;
+  const mapY = (y: number) => originY + (y - originY) * scale + dy;
+
+  stroke.points = stroke.points.map(point => ({ ...point, x: mapX(point.x), y: mapY(point.y) }));
+  if (stroke.shape) {
+    const { x1, y1, x2, y2 } = stroke.shape;
+    stroke.shape = { x1: mapX(x1), y1: mapY(y1), x2: mapX(x2), y2: mapY(y2) };
+  }
+  if (stroke.text) {
+    stroke.text = { ...stroke.text, x: mapX(stroke.text.x), y: mapY(stroke.text.y), fontSize: stroke.text.fontSize * scale };
+  }
+  if (stroke.image) {
+    stroke.image = {
+      ...stroke.image,
+      x: mapX(stroke.image.x),
+      y: mapY(stroke.image.y),
+      width: stroke.image.width * scale,
+      height: stroke.image.height * scale
+    };
+  }
+  if (stroke.fill) {
+    stroke.fill = { ...stroke.fill, x: mapX(stroke.fill.x), y: mapY(stroke.fill.y), cellSize: stroke.fill.cellSize * scale };
+  }
+  if (!stroke.text && !stroke.image && !stroke.fill) {
+    stroke.lineWidth *= scale;
+  }
+}
+
+// Drop the oldest entries of an undo or redo stack beyond MAX_UNDO_HISTORY, returning them
+function trimHistory(stack: EditAction[]): EditAction[] {
+  return stack.length > MAX_UNDO_HISTORY ? stack.splice(0, stack.length - MAX_UNDO_HISTORY) : [];
+}
+
+// The strokes an edit names, which must be kept for as long as it can be undone or redone
+function getActionStrokeIds(action: EditAction): string[] {
+  switch (action.type) {
+    case 'add':
+    case 'place-image':
+      return [action.strokeId];
+    case 'transform':
+      return 'before' in action ? action.before.map(geometry => geometry.id) : action.strokeIds;
+    case 'set-layer':
+    case 'delete':
+      return action.strokeIds;
+    case 'erase':
+      return [...action.strokeIds, ...action.pieceIds.flat()];
+  }
+}
+
 export class DrawingState {
   private strokes: Map<string, Stroke> = new Map();
   private history: string[] = []; // Array of stroke IDs in order
-  private undoneStrokes: string[] = []; // Stack for redo
+  private actions: EditAction[] = []; // Undoable edits, oldest first
+  private undoneActions: EditAction[] = []; // Room-wide redo stack (global mode)
+  private userUndoneActions: Map<string, EditAction[]> = new Map(); // userId -> redo stack (per-user mode)
   private currentStrokes: Map<string, Stroke> = new Map(); // Active strokes being drawn
+  private settings: RoomSettings = { undoMode: 'per-user' };
+  private generation = 0; // Bumped whenever the board is cleared or replaced
+  private comments: Map<string, Comment> = new Map(); // commentId -> comment, oldest first
+  private chat: ChatMessage[] = []; // Oldest first, at most MAX_CHAT_HISTORY
+  private layers: Layer[] = [{ ...DEFAULT_LAYER }]; // Bottom first, never empty
+  private journal: OperationJournal | null = null;
 
-  startStroke(userId: string, data: { x: number; y: number; color: string; lineWidth: number; tool: string; strokeId?: string }): string {
+  /**
+   * Attach a journal that receives every committed mutation (end of stroke,
+   * edits, undo, redo, clear, settings, session loads, chat, comments and layers)
+   */
+  setJournal(journal: OperationJournal | null): void {
+    this.journal = journal;
+  }
+
+  startStroke(userId: string, data: PointInput & { color: string; lineWidth: number; tool: string; brush?: BrushSettings; layerId: string; strokeId?: string }): string {
     const strokeId = data.strokeId || uuidv4();
     const stroke: Stroke = {
       id: strokeId,
       userId,
-      points: [{ x: data.x, y: data.y, timestamp: Date.now() }],
+      points: [toPoint(data, Date.now())],
       color: data.color,
       lineWidth: data.lineWidth,
       tool: data.tool,
+      layerId: data.layerId,
       startTime: Date.now()
     };
+    if (data.brush) stroke.brush = copyBrush(data.brush);
 
     this.currentStrokes.set(strokeId, stroke);
     return strokeId;
   }
 
-  addPoint(strokeId: string, x: number, y: number): void {
+  addPoint(strokeId: string, point: PointInput): void {
     const stroke = this.currentStrokes.get(strokeId);
     if (stroke) {
-      stroke.points.push({ x, y, timestamp: Date.now() });
+      stroke.points.push(toPoint(point, Date.now()));
     }
   }
 
@@ -50,47 +464,833 @@ export class DrawingState {
     const stroke = this.currentStrokes.get(strokeId);
     if (stroke) {
       stroke.endTime = Date.now();
-      this.strokes.set(strokeId, stroke);
-      this.history.push(strokeId);
       this.currentStrokes.delete(strokeId);
-      
-      // Clear redo stack when new action is performed
-      this.undoneStrokes = [];
+      // Its layer may have been deleted while it was drawn
+      this.assignLayer(stroke);
+      this.commitStroke(stroke);
+      this.journal?.record({ type: 'end-stroke', stroke });
     }
   }
 
-  undo(): Stroke | null {
-    if (this.history.length === 0) return null;
+  /**
+   * Add a finished freehand stroke in one step (drawn offline and sent whole).
+   * Its points get the time they arrived, so replay shows it all at once.
+   */
+  addStroke(userId: string, data: { strokeId: string; tool: string; brush?: BrushSettings; color: string; lineWidth: number; layerId: string; points: PointInput[] }): Stroke {
+    const now = Date.now();
+    const stroke: Stroke = {
+      id: data.strokeId,
+      userId,
+      points: data.points.map(point => toPoint(point, now)),
+      color: data.color,
+      lineWidth: data.lineWidth,
+      tool: data.tool,
+      layerId: data.layerId,
+      startTime: now,
+      endTime: now
+    };
+    if (data.brush) stroke.brush = copyBrush(data.brush);
+
+    this.commitStroke(stroke);
+    this.journal?.record({ type: 'end-stroke', stroke });
+    return stroke;
+  }
 
-    const strokeId = this.history.pop()!;
+  /**
+   * Append points to a finished stroke: the rest of a stroke whose live
+   * drawing was cut off by a disconnect
+   */
+  extendStroke(strokeId: string, points: PointInput[]): Stroke | null {
     const stroke = this.strokes.get(strokeId);
-    
-    if (stroke) {
-      this.undoneStrokes.push(strokeId);
-      return stroke;
+    if (!stroke || points.length === 0) return null;
+
+    const now = Date.now();
+    const added = points.map(point => toPoint(point, now));
+    this.appendPoints(stroke, added);
+    this.journal?.record({ type: 'extend-stroke', strokeId, points: added });
+    return stroke;
+  }
+
+  private appendPoints(stroke: Stroke, points: Point[]): void {
+    stroke.points.push(...points);
+    stroke.endTime = points[points.length - 1].timestamp;
+  }
+
+  /**
+   * Add a completed shape in one step. Shapes are previewed on clients while
+   * dragging and only reach the server once the geometry is final.
+   */
+  addShape(userId: string, data: { tool: ShapeType; color: string; lineWidth: number; shape: ShapeGeometry; layerId: string; strokeId?: string }): Stroke {
+    const now = Date.now();
+    const stroke: Stroke = {
+      id: data.strokeId || uuidv4(),
+      userId,
+      points: [],
+      color: data.color,
+      lineWidth: data.lineWidth,
+      tool: data.tool,
+      layerId: data.layerId,
+      shape: { x1: data.shape.x1, y1: data.shape.y1, x2: data.shape.x2, y2: data.shape.y2 },
+      startTime: now,
+      endTime: now
+    };
+
+    this.commitStroke(stroke);
+    this.journal?.record({ type: 'end-stroke', stroke });
+    return stroke;
+  }
+
+  /**
+   * Add a finished text annotation. It is stored and undone like a stroke.
+   */
+  addText(userId: string, data: { color: string; text: TextContent; layerId: string; strokeId?: string }): Stroke {
+    const now = Date.now();
+    const stroke: Stroke = {
+      id: data.strokeId || uuidv4(),
+      userId,
+      points: [],
+      color: data.color,
+      lineWidth: 1,
+      tool: 'text',
+      layerId: data.layerId,
+      text: {
+        x: data.text.x,
+        y: data.text.y,
+        content: data.text.content,
+        fontFamily: data.text.fontFamily,
+        fontSize: data.text.fontSize
+      },
+      startTime: now,
+      endTime: now
+    };
+
+    this.commitStroke(stroke);
+    this.journal?.record({ type: 'end-stroke', stroke });
+    return stroke;
+  }
+
+  /**
+   * Place an uploaded image on the board. It is part of the history, so it
+   * can be undone like any stroke.
+   */
+  addImage(userId: string, data: { image: ImagePlacement; layerId: string; strokeId?: string }): Stroke {
+    const now = Date.now();
+    const stroke: Stroke = {
+      id: data.strokeId || uuidv4(),
+      userId,
+      points: [],
+      color: '#000000',
+      lineWidth: 1,
+      tool: 'image',
+      layerId: data.layerId,
+      image: { ...data.image },
+      startTime: now,
+      endTime: now
+    };
+
+    this.commitStroke(stroke);
+    this.journal?.record({ type: 'end-stroke', stroke });
+    return stroke;
+  }
+
+  /**
+   * Add an area filled with the fill tool. Fills have no outline, so their
+   * lineWidth is a placeholder like that of text.
+   */
+  addFill(userId: string, data: { color: string; fill: FillRegion; layerId: string; strokeId?: string }): Stroke {
+    const now = Date.now();
+    const stroke: Stroke = {
+      id: data.strokeId || uuidv4(),
+      userId,
+      points: [],
+      color: data.color,
+      lineWidth: 1,
+      tool: 'fill',
+      layerId: data.layerId,
+      fill: {
+        x: data.fill.x,
+        y: data.fill.y,
+        cellSize: data.fill.cellSize,
+        rows: data.fill.rows.map(row => [...row])
+      },
+      startTime: now,
+      endTime: now
+    };
+
+    this.commitStroke(stroke);
+    this.journal?.record({ type: 'end-stroke', stroke });
+    return stroke;
+  }
+
+  /**
+   * Move or resize a placed image (the image itself is unchanged)
+   */
+  updateImage(userId: string, strokeId: string, placement: { x: number; y: number; width: number; height: number }): Stroke | null {
+    const stroke = this.strokes.get(strokeId);
+    if (!stroke || !stroke.image) return null;
+
+    const before = { ...stroke.image };
+    stroke.image = {
+      imageId: stroke.image.imageId,
+      x: placement.x,
+      y: placement.y,
+      width: placement.width,
+      height: placement.height
+    };
+    this.pushAction({ type: 'place-image', userId, strokeId, before, after: { ...stroke.image } });
+    this.journal?.record({ type: 'update-image', userId, strokeId, image: { ...stroke.image } });
+    return stroke;
+  }
+
+  /**
+   * Move and/or scale strokes on the board. Strokes that are not visible
+   * (unknown, undone or deleted) are skipped; the transformed strokes are returned.
+   */
+  transformStrokes(userId: string, strokeIds: string[], transform: StrokeTransform): Stroke[] {
+    const strokes = this.getVisibleStrokes(strokeIds);
+    if (strokes.length === 0) return [];
+
+    const transformedIds = strokes.map(stroke => stroke.id);
+    strokes.forEach(stroke => applyTransform(stroke, transform));
+    this.pushAction({ type: 'transform', userId, strokeIds: transformedIds, transform: { ...transform } });
+    this.journal?.record({ type: 'transform', userId, strokeIds: transformedIds, transform: { ...transform } });
+    return strokes;
+  }
+
+  /**
+   * Remove strokes from the board. They are kept so the deletion can be
+   * undone; the IDs actually removed are returned.
+   */
+  deleteStrokes(userId: string, strokeIds: string[]): string[] {
+    const strokes = this.getVisibleStrokes(strokeIds);
+    if (strokes.length === 0) return [];
+
+    const deletedIds = strokes.map(stroke => stroke.id);
+    const positions = this.removeFromHistory(deletedIds);
+    this.pushAction({ type: 'delete', userId, strokeIds: deletedIds, positions });
+    this.journal?.record({ type: 'delete', userId, strokeIds: deletedIds });
+    return deletedIds;
+  }
+
+  /**
+   * Erase along a path. The object eraser removes every stroke it reaches;
+   * the precise eraser cuts freehand strokes, and the pieces left of each
+   * (IDs `${eraseId}-0`, `${eraseId}-1`, ...) take its place. Strokes on
+   * hidden or locked layers and paint-over eraser strokes are left alone.
+   * Undone like a deletion; returns what clients must change, or null
+   * (nothing erased) if a piece ID is taken.
+   */
+  erase(userId: string, data: { eraseId: string; mode: EraseMode } & ErasePath): StrokeChanges | null {
+    const path: ErasePath = { points: data.points, lineWidth: data.lineWidth };
+    const erased: { stroke: Stroke; parts: Point[][] }[] = [];
+
+    this.getHistory().forEach(stroke => {
+      const layer = this.getLayer(stroke.layerId);
+      if (!layer || !layer.visible || layer.locked || stroke.tool === 'eraser') return;
+
+      if (data.mode === 'object') {
+        if (eraserTouches(stroke, path)) erased.push({ stroke, parts: [] });
+        return;
+      }
+
+      // Shapes, text, images and fills are drawn from their own geometry and cannot be cut
+      if (stroke.shape || stroke.text || stroke.image || stroke.fill) return;
+      const parts = splitStroke(stroke.points, stroke.lineWidth, path);
+      if (parts) erased.push({ stroke, parts });
+    });
+
+    // Numbered in stroke ID order, which clients agree on even where their
+    // drawing order differs from the history
+    const pieces = new Map<string, Stroke[]>();
+    let pieceCount = 0;
+    erased
+      .slice()
+      .sort((a, b) => (a.stroke.id < b.stroke.id ? -1 : 1))
+      .forEach(({ stroke, parts }) => {
+        pieces.set(stroke.id, parts.map(points => ({
+          ...stroke,
+          id: `${data.eraseId}-${pieceCount++}`,
+          points,
+          startTime: points[0].timestamp,
+          endTime: points[points.length - 1].timestamp
+        })));
+      });
+
+    if (Array.from(pieces.values()).some(group => group.some(piece => this.strokes.has(piece.id)))) return null;
+    return this.replaceStrokes(userId, erased.map(({ stroke }) => stroke.id), erased.map(({ stroke }) => pieces.get(stroke.id)!));
+  }
+
+  /**
+   * Take strokes off the board, putting pieces[i] where strokeIds[i] was
+   */
+  private replaceStrokes(userId: string, strokeIds: string[], pieces: Stroke[][]): StrokeChanges {
+    const changes: StrokeChanges = { removed: [], updated: [], restored: [] };
+    if (strokeIds.length === 0) return changes;
+
+    pieces.flat().forEach(piece => this.strokes.set(piece.id, piece));
+    const pieceIds = pieces.map(group => group.map(piece => piece.id));
+    const positions = this.spliceHistory(strokeIds, pieceIds);
+    changes.removed = strokeIds;
+    changes.restored = this.getPlacements(pieceIds.flat());
+    this.pushAction({ type: 'erase', userId, strokeIds, positions, pieceIds });
+    this.journal?.record({ type: 'erase', userId, strokeIds, pieces });
+    return changes;
+  }
+
+  /**
+   * Put replacements[i] in the history where strokeIds[i] is, returning the
+   * index each stroke had (-1 if it was not there and so was not replaced)
+   */
+  private spliceHistory(strokeIds: string[], replacements: string[][]): number[] {
+    const positions = strokeIds.map(strokeId => this.history.indexOf(strokeId));
+    const byStroke = new Map(strokeIds.map((strokeId, i) => [strokeId, replacements[i]]));
+    this.history = this.history.flatMap(strokeId => byStroke.get(strokeId) ?? [strokeId]);
+    return positions;
+  }
+
+  /**
+   * Where clients insert strokes that are back in the history: before the
+   * stroke that follows each one. Listed last first, so every stroke named
+   * in beforeId is in place by the time it is used.
+   */
+  private getPlacements(strokeIds: string[]): { stroke: Stroke; beforeId: string | null }[] {
+    const placed = new Set(strokeIds);
+    const placements: { stroke: Stroke; beforeId: string | null }[] = [];
+    for (let i = this.history.length - 1; i >= 0; i--) {
+      if (placed.has(this.history[i])) {
+        placements.push({ stroke: this.strokes.get(this.history[i])!, beforeId: this.history[i + 1] ?? null });
+      }
+    }
+    return placements;
+  }
+
+  /**
+   * Put strokes on another layer, on top of the strokes already there.
+   * Undone like a transform; the strokes actually moved are returned.
+   */
+  setStrokeLayer(userId: string, strokeIds: string[], layerId: string): Stroke[] {
+    const strokes = this.getVisibleStrokes(strokeIds).filter(stroke => stroke.layerId !== layerId);
+    if (strokes.length === 0 || !this.getLayer(layerId)) return [];
+
+    const fromLayerIds = strokes.map(stroke => stroke.layerId);
+    strokes.forEach(stroke => {
+      stroke.layerId = layerId;
+    });
+    // Layers are drawn in history order, so the moved strokes go on top of their new layer
+    const moved = new Set(strokes.map(stroke => stroke.id));
+    this.history = [...this.history.filter(strokeId => !moved.has(strokeId)), ...this.history.filter(strokeId => moved.has(strokeId))];
+    this.pushAction({ type: 'set-layer', userId, strokeIds: strokes.map(stroke => stroke.id), fromLayerIds, layerId });
+    this.journal?.record({ type: 'set-stroke-layer', userId, strokeIds: strokes.map(stroke => stroke.id), layerId });
+    return strokes;
+  }
+
+  private commitStroke(stroke: Stroke): void {
+    this.strokes.set(stroke.id, stroke);
+    this.history.push(stroke.id);
+    this.pushAction({ type: 'add', userId: stroke.userId, strokeId: stroke.id });
+  }
+
+  private pushAction(action: EditAction): void {
+    this.actions.push(action);
+    const dropped = trimHistory(this.actions);
+
+    // Clear redo stack when new action is performed
+    if (this.settings.undoMode === 'global') {
+      dropped.push(...this.undoneActions);
+      this.undoneActions = [];
+    } else {
+      dropped.push(...(this.userUndoneActions.get(action.userId) || []));
+      this.userUndoneActions.delete(action.userId);
+    }
+    this.releaseStrokes(dropped.flatMap(getActionStrokeIds));
+  }
+
+  /**
+   * Forget the given strokes if they are off the board and no undo or redo
+   * stack names them any more, so they cannot come back
+   */
+  private releaseStrokes(strokeIds: string[]): void {
+    const onBoard = new Set(this.history);
+    const candidates = strokeIds.filter(strokeId => !onBoard.has(strokeId) && this.strokes.has(strokeId));
+    if (candidates.length === 0) return;
+
+    const named = this.getNamedStrokeIds();
+    candidates.forEach(strokeId => {
+      if (!named.has(strokeId)) this.strokes.delete(strokeId);
+    });
+  }
+
+  // Strokes named by the undo and redo stacks
+  private getNamedStrokeIds(): Set<string> {
+    const stacks = [this.actions, this.undoneActions, ...this.userUndoneActions.values()];
+    return new Set(stacks.flatMap(stack => stack.flatMap(getActionStrokeIds)));
+  }
+
+  /**
+   * Undo the most recent edit. In 'per-user' mode only edits made by userId
+   * are considered; in 'global' mode the last edit in the room is undone.
+   * An edit that touches a locked layer is not undone (see isUndoLocked).
+   */
+  undo(userId: string): UndoResult | null {
+    const index = this.getUndoIndex(userId);
+    if (index < 0 || this.touchesLockedLayer(this.actions[index])) return null;
+
+    const action = this.actions.splice(index, 1)[0];
+    const changes = this.revertAction(action);
+    const redoStack = this.getRedoStack(userId);
+    redoStack.push(action);
+    this.releaseStrokes(trimHistory(redoStack).flatMap(getActionStrokeIds));
+    this.journal?.record({ type: 'undo', userId });
+    return { action: action.type, changes };
+  }
+
+  /**
+   * Redo the most recently undone edit from the caller's redo stack
+   * (or the room-wide stack in 'global' mode).
+   */
+  redo(userId: string): UndoResult | null {
+    const redoStack = this.getRedoStack(userId);
+    if (redoStack.length === 0 || this.touchesLockedLayer(redoStack[redoStack.length - 1])) return null;
+
+    const { action, changes } = this.reapplyAction(redoStack.pop()!);
+    this.actions.push(action);
+    this.journal?.record({ type: 'redo', userId });
+    return { action: action.type, changes };
+  }
+
+  /**
+   * Whether the edit undo would revert for userId touches a locked layer.
+   * It stays in place, blocking undo, until the layer is unlocked.
+   */
+  isUndoLocked(userId: string): boolean {
+    const index = this.getUndoIndex(userId);
+    return index >= 0 && this.touchesLockedLayer(this.actions[index]);
+  }
+
+  isRedoLocked(userId: string): boolean {
+    const redoStack = this.getRedoStack(userId);
+    return redoStack.length > 0 && this.touchesLockedLayer(redoStack[redoStack.length - 1]);
+  }
+
+  // Whether undoing or redoing an edit would change a stroke on a locked layer or move one onto it
+  private touchesLockedLayer(action: EditAction): boolean {
+    if (action.type === 'set-layer' && [action.layerId, ...action.fromLayerIds].some(layerId => this.isLayerLocked(layerId))) {
+      return true;
+    }
+    return getActionStrokeIds(action).some(strokeId => this.isStrokeLocked(strokeId));
+  }
+
+  private revertAction(action: EditAction): StrokeChanges {
+    const changes: StrokeChanges = { removed: [], updated: [], restored: [] };
+
+    switch (action.type) {
+      case 'add':
+        // The stroke may already have been deleted by someone else
+        if (this.removeFromHistory([action.strokeId]).length > 0) {
+          changes.removed.push(action.strokeId);
+        }
+        break;
+      case 'transform':
+        changes.updated = 'before' in action
+          ? this.applyGeometry(action.before)
+          : this.transformKnownStrokes(action.strokeIds, invertTransform(action.transform));
+        break;
+      case 'place-image':
+        changes.updated = this.placeImage(action.strokeId, action.before);
+        break;
+      case 'set-layer':
+        changes.updated = this.moveToLayers(action.strokeIds, action.fromLayerIds);
+        break;
+      case 'delete':
+        this.restoreToHistory(action.strokeIds, action.positions, changes);
+        break;
+      case 'erase': {
+        // Pieces may have been deleted or erased further since
+        const pieceIds = action.pieceIds.flat();
+        const positions = this.removeFromHistory(pieceIds);
+        changes.removed = pieceIds.filter((_, i) => positions[i] >= 0);
+        this.restoreToHistory(action.strokeIds, action.positions, changes);
+        break;
+      }
+    }
+
+    return changes;
+  }
+
+  private restoreToHistory(strokeIds: string[], positions: number[], changes: StrokeChanges): void {
+    strokeIds
+      .map((strokeId, i) => ({ strokeId, position: positions[i] }))
+      .sort((a, b) => a.position - b.position)
+      .forEach(({ strokeId, position }) => {
+        const stroke = this.strokes.get(strokeId);
+        if (!stroke || position < 0 || this.history.includes(strokeId)) return;
+        const index = Math.min(position, this.history.length);
+        this.history.splice(index, 0, strokeId);
+        changes.restored.push({ stroke, beforeId: this.history[index + 1] ?? null });
+      });
+  }
+
+  /**
+   * Returns the action to push back onto the undo stack. Actions are never
+   * mutated, so snapshots can share them.
+   */
+  private reapplyAction(action: EditAction): { action: EditAction; changes: StrokeChanges } {
+    const changes: StrokeChanges = { removed: [], updated: [], restored: [] };
+
+    switch (action.type) {
+      case 'add': {
+        const stroke = this.strokes.get(action.strokeId);
+        if (stroke && !this.history.includes(action.strokeId)) {
+          this.history.push(action.strokeId);
+          changes.restored.push({ stroke, beforeId: null });
+        }
+        break;
+      }
+      case 'transform':
+        changes.updated = 'before' in action
+          ? this.applyGeometry(action.after)
+          : this.transformKnownStrokes(action.strokeIds, action.transform);
+        break;
+      case 'place-image':
+        changes.updated = this.placeImage(action.strokeId, action.after);
+        break;
+      case 'set-layer':
+        changes.updated = this.moveToLayers(action.strokeIds, action.strokeIds.map(() => action.layerId));
+        break;
+      case 'delete': {
+        // Positions may have shifted since the deletion was undone
+        const positions = this.removeFromHistory(action.strokeIds);
+        changes.removed = action.strokeIds.filter((_, i) => positions[i] >= 0);
+        return { action: { ...action, positions }, changes };
+      }
+      case 'erase': {
+        const positions = this.spliceHistory(action.strokeIds, action.pieceIds);
+        changes.removed = action.strokeIds.filter((_, i) => positions[i] >= 0);
+        changes.restored = this.getPlacements(action.pieceIds.filter((_, i) => positions[i] >= 0).flat());
+        return { action: { ...action, positions }, changes };
+      }
     }
 
-    return null;
+    return { action, changes };
   }
 
-  redo(): Stroke | null {
-    if (this.undoneStrokes.length === 0) return null;
+  /**
+   * Transform strokes for undo or redo, whether or not they are on the
+   * board, so they are in place if they come back
+   */
+  private transformKnownStrokes(strokeIds: string[], transform: StrokeTransform): Stroke[] {
+    const strokes = strokeIds.map(strokeId => this.strokes.get(strokeId)).filter((stroke): stroke is Stroke => !!stroke);
+    strokes.forEach(stroke => applyTransform(stroke, transform));
+    return strokes;
+  }
 
-    const strokeId = this.undoneStrokes.pop()!;
+  private placeImage(strokeId: string, placement: ImagePlacement): Stroke[] {
     const stroke = this.strokes.get(strokeId);
-    
-    if (stroke) {
-      this.history.push(strokeId);
-      return stroke;
+    if (!stroke || !stroke.image) return [];
+    stroke.image = { ...placement };
+    return [stroke];
+  }
+
+  private moveToLayers(strokeIds: string[], layerIds: string[]): Stroke[] {
+    const updated: Stroke[] = [];
+    strokeIds.forEach((strokeId, i) => {
+      const stroke = this.strokes.get(strokeId);
+      if (!stroke) return;
+      // The layer may have been deleted since
+      stroke.layerId = this.getLayer(layerIds[i]) ? layerIds[i] : this.layers[0].id;
+      updated.push(stroke);
+    });
+    return updated;
+  }
+
+  private applyGeometry(geometries: StrokeGeometry[]): Stroke[] {
+    const updated: Stroke[] = [];
+    geometries.forEach(geometry => {
+      const stroke = this.strokes.get(geometry.id);
+      if (!stroke) return;
+      restoreGeometry(stroke, geometry);
+      // The layer the stroke was on may have been deleted since
+      if (!this.getLayer(stroke.layerId)) stroke.layerId = this.layers[0].id;
+      updated.push(stroke);
+    });
+    return updated;
+  }
+
+  /**
+   * Remove stroke IDs from the history, returning the index each one had
+   * (-1 if it was not there)
+   */
+  private removeFromHistory(strokeIds: string[]): number[] {
+    const positions = strokeIds.map(strokeId => this.history.indexOf(strokeId));
+    const removed = new Set(strokeIds);
+    this.history = this.history.filter(strokeId => !removed.has(strokeId));
+    return positions;
+  }
+
+  private getVisibleStrokes(strokeIds: string[]): Stroke[] {
+    const visible = new Set(this.history);
+    return Array.from(new Set(strokeIds))
+      .filter(strokeId => visible.has(strokeId))
+      .map(strokeId => this.strokes.get(strokeId)!);
+  }
+
+  /**
+   * Add a chat message, dropping the oldest beyond MAX_CHAT_HISTORY
+   */
+  addChatMessage(message: ChatMessage): void {
+    this.chat.push(message);
+    if (this.chat.length > MAX_CHAT_HISTORY) {
+      this.chat.splice(0, this.chat.length - MAX_CHAT_HISTORY);
     }
+    this.journal?.record({ type: 'chat-message', message });
+  }
 
-    return null;
+  getChat(): ChatMessage[] {
+    return [...this.chat];
+  }
+
+  /**
+   * Pin a comment to the board. Comments are not part of the undo history.
+   */
+  addComment(comment: Comment): void {
+    this.comments.set(comment.id, comment);
+    this.journal?.record({ type: 'comment-add', comment });
+  }
+
+  /**
+   * Add a reply to a comment's thread. Returns the comment, or null if it
+   * does not exist.
+   */
+  replyToComment(commentId: string, reply: CommentReply): Comment | null {
+    const comment = this.comments.get(commentId);
+    if (!comment) return null;
+
+    comment.replies.push(reply);
+    this.journal?.record({ type: 'comment-reply', commentId, reply });
+    return comment;
+  }
+
+  /**
+   * Mark a comment resolved, or open it again
+   */
+  setCommentResolved(commentId: string, userId: string, resolved: boolean): Comment | null {
+    const comment = this.comments.get(commentId);
+    if (!comment) return null;
+
+    comment.resolved = resolved;
+    if (resolved) {
+      comment.resolvedBy = userId;
+    } else {
+      delete comment.resolvedBy;
+    }
+    this.journal?.record({ type: 'comment-resolve', commentId, userId, resolved });
+    return comment;
+  }
+
+  deleteComment(commentId: string): boolean {
+    if (!this.comments.delete(commentId)) return false;
+    this.journal?.record({ type: 'comment-delete', commentId });
+    return true;
+  }
+
+  getComment(commentId: string): Comment | undefined {
+    return this.comments.get(commentId);
+  }
+
+  getComments(): Comment[] {
+    return Array.from(this.comments.values());
+  }
+
+  /**
+   * Whether a reply ID is already used in any thread of the room
+   */
+  hasCommentReply(replyId: string): boolean {
+    for (const comment of this.comments.values()) {
+      if (comment.replies.some(reply => reply.id === replyId)) return true;
+    }
+    return false;
+  }
+
+  getLayers(): Layer[] {
+    return this.layers.map(layer => ({ ...layer }));
+  }
+
+  getLayer(layerId: string): Layer | undefined {
+    return this.layers.find(layer => layer.id === layerId);
+  }
+
+  /**
+   * Add a layer on top. Layers are not part of the undo history.
+   */
+  addLayer(layer: Layer): void {
+    this.layers.push({ ...layer });
+    this.journal?.record({ type: 'layer-add', layer: { ...layer } });
+  }
+
+  /**
+   * Rename, hide/show or lock/unlock a layer. Returns the layer, or null if
+   * it does not exist.
+   */
+  updateLayer(layerId: string, changes: LayerChanges): Layer | null {
+    const layer = this.getLayer(layerId);
+    if (!layer) return null;
+
+    if (changes.name !== undefined) layer.name = changes.name;
+    if (changes.visible !== undefined) layer.visible = changes.visible;
+    if (changes.locked !== undefined) layer.locked = changes.locked;
+    this.journal?.record({ type: 'layer-update', layerId, changes: { ...changes } });
+    return layer;
+  }
+
+  /**
+   * Move a layer to a position in the stack (0 is the bottom); returns the
+   * position it ended up at, or -1 if it does not exist
+   */
+  moveLayer(layerId: string, index: number): number {
+    const from = this.layers.findIndex(layer => layer.id === layerId);
+    if (from < 0) return -1;
+
+    const to = Math.max(0, Math.min(index, this.layers.length - 1));
+    const [layer] = this.layers.splice(from, 1);
+    this.layers.splice(to, 0, layer);
+    this.journal?.record({ type: 'layer-move', layerId, index: to });
+    return to;
+  }
+
+  /**
+   * Delete a layer. Only empty layers can go (see getLayerStrokeCount), and
+   * never the last one. Undone and deleted strokes that were on it move to
+   * the bottom layer, so they have a layer if they come back.
+   */
+  deleteLayer(layerId: string): boolean {
+    if (this.layers.length <= 1 || !this.getLayer(layerId)) return false;
+
+    this.layers = this.layers.filter(layer => layer.id !== layerId);
+    this.strokes.forEach(stroke => {
+      if (stroke.layerId === layerId) stroke.layerId = this.layers[0].id;
+    });
+    this.journal?.record({ type: 'layer-delete', layerId });
+    return true;
+  }
+
+  /**
+   * Visible strokes on a layer
+   */
+  getLayerStrokeCount(layerId: string): number {
+    return this.getHistory().filter(stroke => stroke.layerId === layerId).length;
+  }
+
+  /**
+   * Whether a stroke is on a locked layer (and so cannot be changed)
+   */
+  isStrokeLocked(strokeId: string): boolean {
+    const stroke = this.strokes.get(strokeId);
+    return !!stroke && this.isLayerLocked(stroke.layerId);
+  }
+
+  private isLayerLocked(layerId: string): boolean {
+    const layer = this.getLayer(layerId);
+    return !!layer && layer.locked;
+  }
+
+  /**
+   * Changes whenever the board is cleared or replaced by a loaded session.
+   * Clients tag offline operations with it, so they are not applied to a
+   * different board than the one they were made on.
+   */
+  getGeneration(): number {
+    return this.generation;
+  }
+
+  isVisible(strokeId: string): boolean {
+    return this.history.includes(strokeId);
+  }
+
+  getSettings(): RoomSettings {
+    return { ...this.settings };
+  }
+
+  setUndoMode(mode: UndoMode): void {
+    if (mode === this.settings.undoMode) return;
+
+    // Redo stacks are not meaningful across scopes, so start fresh
+    const dropped = [this.undoneActions, ...this.userUndoneActions.values()].flat();
+    this.settings.undoMode = mode;
+    this.undoneActions = [];
+    this.userUndoneActions.clear();
+    this.releaseStrokes(dropped.flatMap(getActionStrokeIds));
+    this.journal?.record({ type: 'set-undo-mode', undoMode: mode });
+  }
+
+  private getUndoIndex(userId: string): number {
+    return this.settings.undoMode === 'global' ? this.actions.length - 1 : this.findLastActionIndex(userId);
+  }
+
+  private findLastActionIndex(userId: string): number {
+    for (let i = this.actions.length - 1; i >= 0; i--) {
+      if (this.actions[i].userId === userId) return i;
+    }
+    return -1;
+  }
+
+  private getRedoStack(userId: string): EditAction[] {
+    if (this.settings.undoMode === 'global') return this.undoneActions;
+
+    let stack = this.userUndoneActions.get(userId);
+    if (!stack) {
+      stack = [];
+      this.userUndoneActions.set(userId, stack);
+    }
+    return stack;
+  }
+
+  /**
+   * A stroke that is still being drawn (between draw-start and draw-end)
+   */
+  getOpenStroke(strokeId: string): Stroke | undefined {
+    return this.currentStrokes.get(strokeId);
+  }
+
+  getOpenStrokeCount(userId: string): number {
+    let count = 0;
+    this.currentStrokes.forEach(stroke => {
+      if (stroke.userId === userId) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Strokes held by the room: those on the board, undone and deleted ones
+   * an undo or redo stack can still bring back, and strokes being drawn
+   */
+  getStrokeCount(): number {
+    return this.strokes.size + this.currentStrokes.size;
   }
 
   getHistory(): Stroke[] {
     return this.history.map(id => this.strokes.get(id)!).filter(Boolean);
   }
 
+  /**
+   * Visible strokes in the order they were started, for time-lapse replay.
+   * Undone and deleted strokes and hidden layers are left out; moved
+   * strokes replay where they are now.
+   */
+  getReplayStrokes(): Stroke[] {
+    return this.getRenderStrokes().sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Visible strokes of the visible layers in drawing order: layer by layer,
+   * bottom first, each layer in history order
+   */
+  getRenderStrokes(): Stroke[] {
+    const history = this.getHistory();
+    return this.layers
+      .filter(layer => layer.visible)
+      .flatMap(layer => history.filter(stroke => stroke.layerId === layer.id));
+  }
+
   getCurrentState(): Stroke[] {
     return Array.from(this.strokes.values());
   }
@@ -107,33 +1307,189 @@ export class DrawingState {
     }
   }
 
-  // Serialize state for saving
-  serialize(): { strokes: Stroke[]; history: string[] } {
+  // Serialize state for saving; only strokes that are on the board or can come back are written
+  serialize(): SerializedState {
+    const named = this.getNamedStrokeIds();
+    const onBoard = new Set(this.history);
     return {
-      strokes: Array.from(this.strokes.values()),
-      history: [...this.history]
+      strokes: Array.from(this.strokes.values()).filter(stroke => onBoard.has(stroke.id) || named.has(stroke.id)),
+      history: [...this.history],
+      layers: this.getLayers(),
+      comments: this.getComments(),
+      chat: this.getChat()
     };
   }
 
   // Deserialize state from saved data
-  deserialize(data: { strokes: Stroke[]; history: string[] }): void {
+  deserialize(data: SerializedState): void {
+    this.replaceState(data);
+    this.releaseStrokes(Array.from(this.strokes.keys()));
+    this.generation++;
+    this.journal?.record({ type: 'load', state: this.serialize() });
+  }
+
+  private replaceState(data: SerializedState): void {
     this.strokes.clear();
     this.history = [];
-    this.undoneStrokes = [];
+    this.undoneActions = [];
+    this.userUndoneActions.clear();
     this.currentStrokes.clear();
 
     data.strokes.forEach(stroke => {
       this.strokes.set(stroke.id, stroke);
     });
     this.history = [...data.history];
+    this.layers = data.layers && data.layers.length > 0 ? data.layers.map(layer => ({ ...layer })) : [{ ...DEFAULT_LAYER }];
+    this.strokes.forEach(stroke => this.assignLayer(stroke));
+    this.comments = new Map((data.comments || []).map(comment => [comment.id, comment]));
+    this.chat = (data.chat || []).slice(-MAX_CHAT_HISTORY);
+
+    // Loaded strokes stay undoable by their owners, the latest ones at least
+    this.actions = this.history
+      .filter(strokeId => this.strokes.has(strokeId))
+      .slice(-MAX_UNDO_HISTORY)
+      .map(strokeId => ({ type: 'add', userId: this.strokes.get(strokeId)!.userId, strokeId }));
   }
 
-  // Clear all state
-  clear(): void {
-    this.strokes.clear();
-    this.history = [];
-    this.undoneStrokes = [];
+  // Strokes from before layers existed, or on a layer that is gone, go on the bottom layer
+  private assignLayer(stroke: Stroke): void {
+    if (!stroke.layerId || !this.getLayer(stroke.layerId)) stroke.layerId = this.layers[0].id;
+  }
+
+  /**
+   * Clear the board, except the strokes on locked layers. Comments are
+   * pinned to it and go too; the chat and layers stay. Returns the IDs of
+   * the strokes kept.
+   */
+  clear(): string[] {
+    const kept = this.history.filter(strokeId => this.isStrokeLocked(strokeId));
+    this.strokes = new Map(kept.map(strokeId => [strokeId, this.strokes.get(strokeId)!]));
+    this.comments.clear();
+    this.history = kept;
+    this.actions = [];
+    this.undoneActions = [];
+    this.userUndoneActions.clear();
     this.currentStrokes.clear();
+    this.generation++;
+    this.journal?.record({ type: 'clear' });
+    return kept;
+  }
+
+  // Capture everything needed to rebuild this room (used for compaction)
+  toSnapshot(): StateSnapshot {
+    return {
+      ...this.serialize(),
+      settings: this.getSettings(),
+      generation: this.generation,
+      actions: [...this.actions],
+      undoneActions: [...this.undoneActions],
+      userUndoneActions: Object.fromEntries(
+        Array.from(this.userUndoneActions.entries()).map(([userId, stack]) => [userId, [...stack]])
+      )
+    };
+  }
+
+  /**
+   * Rebuild state from a snapshot followed by journaled operations.
+   * Nothing is re-recorded while replaying.
+   */
+  restore(snapshot: StateSnapshot | null, operations: DrawingOperation[]): void {
+    const journal = this.journal;
+    this.journal = null;
+
+    try {
+      if (snapshot) {
+        this.replaceState(snapshot);
+        this.settings = { ...snapshot.settings };
+        this.generation = snapshot.generation || 0;
+        // Snapshots written before edit actions existed only have stroke histories
+        // and ones written before undo history was capped may hold more than it keeps
+        if (snapshot.actions) {
+          this.actions = snapshot.actions.slice(-MAX_UNDO_HISTORY);
+          this.undoneActions = snapshot.undoneActions.slice(-MAX_UNDO_HISTORY);
+          this.userUndoneActions = new Map(Object.entries(snapshot.userUndoneActions).map(([userId, stack]) => [userId, stack.slice(-MAX_UNDO_HISTORY)]));
+        }
+        // Including strokes kept by snapshots written before dropped edits released them
+        this.releaseStrokes(Array.from(this.strokes.keys()));
+      }
+
+      operations.forEach(operation => this.applyOperation(operation));
+    } finally {
+      this.journal = journal;
+    }
+  }
+
+  private applyOperation(operation: DrawingOperation): void {
+    switch (operation.type) {
+      case 'end-stroke':
+        this.assignLayer(operation.stroke);
+        this.commitStroke(operation.stroke);
+        break;
+      case 'extend-stroke': {
+        const stroke = this.strokes.get(operation.strokeId);
+        if (stroke) this.appendPoints(stroke, operation.points);
+        break;
+      }
+      case 'undo':
+        this.undo(operation.userId);
+        break;
+      case 'redo':
+        this.redo(operation.userId);
+        break;
+      case 'clear':
+        this.clear();
+        break;
+      case 'set-undo-mode':
+        this.setUndoMode(operation.undoMode);
+        break;
+      case 'update-image':
+        this.updateImage(operation.userId, operation.strokeId, operation.image);
+        break;
+      case 'transform':
+        this.transformStrokes(operation.userId, operation.strokeIds, operation.transform);
+        break;
+      case 'delete':
+        this.deleteStrokes(operation.userId, operation.strokeIds);
+        break;
+      case 'erase':
+        this.replaceStrokes(operation.userId, operation.strokeIds, operation.pieces);
+        break;
+      case 'load':
+        this.replaceState(operation.state);
+        this.releaseStrokes(Array.from(this.strokes.keys()));
+        this.generation++;
+        break;
+      case 'chat-message':
+        this.addChatMessage(operation.message);
+        break;
+      case 'comment-add':
+        this.addComment(operation.comment);
+        break;
+      case 'comment-reply':
+        this.replyToComment(operation.commentId, operation.reply);
+        break;
+      case 'comment-resolve':
+        this.setCommentResolved(operation.commentId, operation.userId, operation.resolved);
+        break;
+      case 'comment-delete':
+        this.deleteComment(operation.commentId);
+        break;
+      case 'layer-add':
+        this.addLayer(operation.layer);
+        break;
+      case 'layer-update':
+        this.updateLayer(operation.layerId, operation.changes);
+        break;
+      case 'layer-move':
+        this.moveLayer(operation.layerId, operation.index);
+        break;
+      case 'layer-delete':
+        this.deleteLayer(operation.layerId);
+        break;
+      case 'set-stroke-layer':
+        this.setStrokeLayer(operation.userId, operation.strokeIds, operation.layerId);
+        break;
+    }
   }
 }
 
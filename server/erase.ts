@@ -0,0 +1,304 @@
+import { FillRegion, Point, Stroke } from './drawing-state';
+
+/**
+ * Eraser geometry. The eraser sweeps a round tip lineWidth wide along a
+ * path; it reaches a stroke where the swept area meets the stroke's ink, so
+ * the stroke's own width counts too.
+ *
+ * Clients run the same math (client/eraser.js) to show an erase before the
+ * server confirms it; keep the two in sync.
+ */
+
+export const ERASE_MODES = ['object', 'precise'] as const;
+export type EraseMode = typeof ERASE_MODES[number];
+
+export interface ErasePath {
+  points: { x: number; y: number }[];
+  lineWidth: number;
+}
+
+interface XY {
+  x: number;
+  y: number;
+}
+
+interface Interval {
+  start: number;
+  end: number;
+}
+
+// Kept parts of a segment shorter than this (as a fraction of it) are dropped
+const MIN_KEPT_FRACTION = 1e-6;
+const ELLIPSE_SEGMENTS = 64;
+// Text is not measured on the server: lines are taken to be this many font sizes wide per character
+const TEXT_CHAR_WIDTH = 0.6;
+const TEXT_LINE_HEIGHT = 1.2; // Matches CanvasManager.TEXT_LINE_HEIGHT
+
+/**
+ * Positions t in [0, 1] along a to b (a + t * (b - a)) within `reach` of the
+ * segment c-d, or null if there are none. The points within reach of a
+ * segment form a convex capsule (a rectangle with a disk at either end), so
+ * they are one interval: the hull of the intervals of its three parts.
+ */
+function reachInterval(a: XY, b: XY, c: XY, d: XY, reach: number): Interval | null {
+  const parts = [diskInterval(a, b, c, reach), diskInterval(a, b, d, reach), bandInterval(a, b, c, d, reach)]
+    .filter((part): part is Interval => part !== null);
+  if (parts.length === 0) return null;
+
+  const start = Math.max(0, Math.min(...parts.map(part => part.start)));
+  const end = Math.min(1, Math.max(...parts.map(part => part.end)));
+  return start < end ? { start, end } : null;
+}
+
+function diskInterval(a: XY, b: XY, center: XY, radius: number): Interval | null {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const fx = a.x - center.x;
+  const fy = a.y - center.y;
+  const qa = dx * dx + dy * dy;
+  const qb = 2 * (fx * dx + fy * dy);
+  const qc = fx * fx + fy * fy - radius * radius;
+
+  if (qa === 0) return qc < 0 ? { start: 0, end: 1 } : null;
+  const discriminant = qb * qb - 4 * qa * qc;
+  if (discriminant <= 0) return null;
+  const root = Math.sqrt(discriminant);
+  return { start: (-qb - root) / (2 * qa), end: (-qb + root) / (2 * qa) };
+}
+
+// The rectangle part of the capsule: along c-d, and less than radius to either side of it
+function bandInterval(a: XY, b: XY, c: XY, d: XY, radius: number): Interval | null {
+  const length = Math.hypot(d.x - c.x, d.y - c.y);
+  if (length === 0) return null;
+  const ux = (d.x - c.x) / length;
+  const uy = (d.y - c.y) / length;
+
+  // Position along c-d and distance from it, both linear in t
+  const along = linearInterval((a.x - c.x) * ux + (a.y - c.y) * uy, (b.x - a.x) * ux + (b.y - a.y) * uy, 0, length);
+  const across = linearInterval((a.y - c.y) * ux - (a.x - c.x) * uy, (b.y - a.y) * ux - (b.x - a.x) * uy, -radius, radius);
+  if (!along || !across) return null;
+
+  const start = Math.max(along.start, across.start);
+  const end = Math.min(along.end, across.end);
+  return start < end ? { start, end } : null;
+}
+
+// Values of t for which min <= offset + t * slope <= max
+function linearInterval(offset: number, slope: number, min: number, max: number): Interval | null {
+  if (slope === 0) {
+    return offset >= min && offset <= max ? { start: -Infinity, end: Infinity } : null;
+  }
+  const first = (min - offset) / slope;
+  const second = (max - offset) / slope;
+  return { start: Math.min(first, second), end: Math.max(first, second) };
+}
+
+// Eraser path as segments (a single click is a segment of length zero)
+function pathSegments(path: ErasePath): [XY, XY][] {
+  const { points } = path;
+  if (points.length === 1) return [[points[0], points[0]]];
+  return points.slice(1).map((point, i): [XY, XY] => [points[i], point]);
+}
+
+function boxesMeet(a: XY, b: XY, c: XY, d: XY, margin: number): boolean {
+  return Math.min(a.x, b.x) - margin <= Math.max(c.x, d.x) && Math.max(a.x, b.x) + margin >= Math.min(c.x, d.x) &&
+    Math.min(a.y, b.y) - margin <= Math.max(c.y, d.y) && Math.max(a.y, b.y) + margin >= Math.min(c.y, d.y);
+}
+
+/**
+ * Parts of a to b the eraser removes, as sorted, merged intervals of t
+ */
+function erasedIntervals(a: XY, b: XY, segments: [XY, XY][], reach: number): Interval[] {
+  const intervals = segments
+    .filter(([c, d]) => boxesMeet(a, b, c, d, reach))
+    .map(([c, d]) => reachInterval(a, b, c, d, reach))
+    .filter((interval): interval is Interval => interval !== null)
+    .sort((x, y) => x.start - y.start);
+
+  const merged: Interval[] = [];
+  intervals.forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  });
+  return merged;
+}
+
+function touchesPolyline(points: XY[], segments: [XY, XY][], reach: number): boolean {
+  const path = points.length === 1 ? [points[0], points[0]] : points;
+  for (let i = 1; i < path.length; i++) {
+    if (erasedIntervals(path[i - 1], path[i], segments, reach).length > 0) return true;
+  }
+  return false;
+}
+
+/**
+ * Outlines of a shape as polylines, matching how it is drawn
+ */
+function shapeOutlines(stroke: Stroke): XY[][] {
+  const { x1, y1, x2, y2 } = stroke.shape!;
+  switch (stroke.tool) {
+    case 'rectangle':
+      return [[{ x: x1, y: y1 }, { x: x2, y: y1 }, { x: x2, y: y2 }, { x: x1, y: y2 }, { x: x1, y: y1 }]];
+    case 'ellipse': {
+      const cx = (x1 + x2) / 2;
+      const cy = (y1 + y2) / 2;
+      const outline: XY[] = [];
+      for (let i = 0; i <= ELLIPSE_SEGMENTS; i++) {
+        const angle = (i / ELLIPSE_SEGMENTS) * Math.PI * 2;
+        outline.push({ x: cx + Math.abs(x2 - x1) / 2 * Math.cos(angle), y: cy + Math.abs(y2 - y1) / 2 * Math.sin(angle) });
+      }
+      return [outline];
+    }
+    case 'arrow': {
+      // Same head geometry as CanvasManager.drawShape
+      const angle = Math.atan2(y2 - y1, x2 - x1);
+      const headLength = Math.max(10, stroke.lineWidth * 3);
+      return [
+        [{ x: x1, y: y1 }, { x: x2, y: y2 }],
+        [
+          { x: x2 - headLength * Math.cos(angle - Math.PI / 6), y: y2 - headLength * Math.sin(angle - Math.PI / 6) },
+          { x: x2, y: y2 },
+          { x: x2 - headLength * Math.cos(angle + Math.PI / 6), y: y2 - headLength * Math.sin(angle + Math.PI / 6) }
+        ]
+      ];
+    }
+    default: // line
+      return [[{ x: x1, y: y1 }, { x: x2, y: y2 }]];
+  }
+}
+
+// Box covered by an image or a text annotation
+function contentBox(stroke: Stroke): { minX: number; minY: number; maxX: number; maxY: number } | null {
+  if (stroke.image) {
+    const { x, y, width, height } = stroke.image;
+    return { minX: x, minY: y, maxX: x + width, maxY: y + height };
+  }
+  if (stroke.text) {
+    const { x, y, content, fontSize } = stroke.text;
+    const lines = content.split('\n');
+    const width = Math.max(...lines.map(line => line.length)) * fontSize * TEXT_CHAR_WIDTH;
+    return { minX: x, minY: y, maxX: x + width, maxY: y + lines.length * fontSize * TEXT_LINE_HEIGHT };
+  }
+  return null;
+}
+
+/**
+ * Whether a segment meets any filled cell of a fill widened by reach on
+ * every side (boxes, so a little beyond the cells' corners)
+ */
+function touchesFill(fill: FillRegion, segments: [XY, XY][], reach: number): boolean {
+  const { x, y, cellSize, rows } = fill;
+  return rows.some((runs, row) => {
+    const minY = y + row * cellSize - reach;
+    const maxY = minY + cellSize + 2 * reach;
+    for (let i = 0; i < runs.length; i += 2) {
+      const minX = x + runs[i] * cellSize - reach;
+      const maxX = x + (runs[i] + runs[i + 1]) * cellSize + reach;
+      const hit = segments.some(([a, b]) => {
+        const across = linearInterval(a.x, b.x - a.x, minX, maxX);
+        const down = linearInterval(a.y, b.y - a.y, minY, maxY);
+        return !!across && !!down && Math.max(0, across.start, down.start) <= Math.min(1, across.end, down.end);
+      });
+      if (hit) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Whether the eraser reaches a stroke: anywhere on an image or text box,
+ * on the cells of a fill, along the outline of a shape, along the line of
+ * a freehand stroke
+ */
+export function eraserTouches(stroke: Stroke, path: ErasePath): boolean {
+  const segments = pathSegments(path);
+  const radius = path.lineWidth / 2;
+
+  if (stroke.fill) return touchesFill(stroke.fill, segments, radius);
+
+  const box = contentBox(stroke);
+  if (box) {
+    const inside = path.points.some(point =>
+      point.x >= box.minX && point.x <= box.maxX && point.y >= box.minY && point.y <= box.maxY);
+    const { minX, minY, maxX, maxY } = box;
+    return inside || touchesPolyline(
+      [{ x: minX, y: minY }, { x: maxX, y: minY }, { x: maxX, y: maxY }, { x: minX, y: maxY }, { x: minX, y: minY }],
+      segments,
+      radius
+    );
+  }
+
+  const reach = radius + stroke.lineWidth / 2;
+  if (stroke.shape) {
+    return shapeOutlines(stroke).some(outline => touchesPolyline(outline, segments, reach));
+  }
+  return stroke.points.length > 0 && touchesPolyline(stroke.points, segments, reach);
+}
+
+const PEN_FIELDS = ['pressure', 'tiltX', 'tiltY'] as const;
+
+function pointAt(a: Point, b: Point, t: number): Point {
+  if (t <= 0) return { ...a };
+  if (t >= 1) return { ...b };
+  const point: Point = {
+    x: a.x + (b.x - a.x) * t,
+    y: a.y + (b.y - a.y) * t,
+    timestamp: Math.round(a.timestamp + (b.timestamp - a.timestamp) * t)
+  };
+  // Cut ends of pen strokes keep the pressure and tilt the pen had there
+  PEN_FIELDS.forEach(field => {
+    const from = a[field];
+    const to = b[field];
+    if (from !== undefined && to !== undefined) point[field] = from + (to - from) * t;
+  });
+  return point;
+}
+
+/**
+ * Cut the parts the eraser reaches out of a freehand stroke. Returns the
+ * point lists of the pieces left, in drawing order (none if it was erased
+ * entirely), or null if the eraser does not reach the stroke.
+ */
+export function splitStroke(points: Point[], lineWidth: number, path: ErasePath): Point[][] | null {
+  const segments = pathSegments(path);
+  const reach = path.lineWidth / 2 + lineWidth / 2;
+
+  if (points.length === 1) {
+    return erasedIntervals(points[0], points[0], segments, reach).length > 0 ? [] : null;
+  }
+
+  const pieces: Point[][] = [];
+  let piece: Point[] | null = null; // Open piece, ending at the start of the current segment
+  let touched = false;
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const erased = erasedIntervals(a, b, segments, reach);
+    if (erased.length > 0) touched = true;
+
+    // What is left of the segment between the erased parts
+    let from = 0;
+    const kept: Interval[] = [];
+    [...erased, { start: 1, end: 1 }].forEach(interval => {
+      if (interval.start - from > MIN_KEPT_FRACTION) kept.push({ start: from, end: interval.start });
+      from = Math.max(from, interval.end);
+    });
+
+    for (const interval of kept) {
+      if (!piece || interval.start > 0) {
+        piece = [pointAt(a, b, interval.start)];
+        pieces.push(piece);
+      }
+      piece.push(pointAt(a, b, interval.end));
+    }
+    // A piece only goes on into the next segment if it reaches the end of this one
+    if (kept.length === 0 || kept[kept.length - 1].end < 1) piece = null;
+  }
+
+  return touched ? pieces : null;
+}
@@ -0,0 +1,752 @@
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import PDFDocument from 'pdfkit';
+import * as PImage from 'pureimage';
+import { BlendMode, BrushSettings, FillRegion, Stroke, TextFontFamily } from './drawing-state';
+import { Dot, inkReach, isTexturedTool, pointWidth, sectionDots } from './brush';
+
+export const EXPORT_FORMATS = ['png', 'svg', 'pdf'] as const;
+export type ExportFormat = typeof EXPORT_FORMATS[number];
+
+export const EXPORT_CONTENT_TYPES: Record<ExportFormat, string> = {
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf'
+};
+
+// The board background; paint-over eraser strokes of older boards are drawn in it, as on the client
+const BACKGROUND = '#FFFFFF';
+const PADDING = 20;
+const EMPTY_BOARD = { minX: 0, minY: 0, maxX: 800, maxY: 600 };
+const MAX_PNG_SIZE = 4096;
+const THUMBNAIL_SIZE = 240;
+const TEXT_LINE_HEIGHT = 1.2; // Matches CanvasManager.TEXT_LINE_HEIGHT
+
+/**
+ * Loads stored image data for image strokes; returns null when the file is missing
+ */
+export type ImageLoader = (imageId: string) => Promise<Buffer | null>;
+
+interface Bounds {
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+}
+
+interface XY {
+  x: number;
+  y: number;
+}
+
+/**
+ * Backend-neutral geometry for one stroke. Freehand strokes and most shapes
+ * become polylines; ellipses stay exact where the backend supports them.
+ */
+type PathPart =
+  | { type: 'polyline'; points: XY[]; closed: boolean }
+  | { type: 'ellipse'; cx: number; cy: number; rx: number; ry: number };
+
+/**
+ * Part of a smoothed freehand stroke: a straight line, or a quadratic curve
+ * bent through its control point
+ */
+interface Section {
+  from: XY;
+  control: XY | null;
+  to: XY;
+}
+
+/**
+ * Consecutive sections of a freehand stroke drawn at the same width
+ */
+interface SectionRun {
+  width: number;
+  sections: Section[];
+}
+
+function strokeColor(stroke: Stroke): string {
+  return stroke.tool === 'eraser' ? BACKGROUND : normalizeColor(stroke.color);
+}
+
+/**
+ * Convert '#rgb', '#rrggbb' and 'rgb()/rgba()' colors to '#rrggbb',
+ * which every backend understands
+ */
+function normalizeColor(color: string): string {
+  const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color);
+  if (short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`;
+  if (/^#[0-9a-f]{6}$/i.test(color)) return color;
+
+  const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(color);
+  if (rgb) {
+    return '#' + rgb.slice(1, 4)
+      .map(channel => Math.min(255, parseInt(channel, 10)).toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  return '#000000';
+}
+
+function getPathParts(stroke: Stroke): PathPart[] {
+  if (stroke.shape) {
+    const { x1, y1, x2, y2 } = stroke.shape;
+    switch (stroke.tool) {
+      case 'rectangle':
+        return [{
+          type: 'polyline',
+          points: [{ x: x1, y: y1 }, { x: x2, y: y1 }, { x: x2, y: y2 }, { x: x1, y: y2 }],
+          closed: true
+        }];
+      case 'ellipse':
+        return [{ type: 'ellipse', cx: (x1 + x2) / 2, cy: (y1 + y2) / 2, rx: Math.abs(x2 - x1) / 2, ry: Math.abs(y2 - y1) / 2 }];
+      case 'arrow': {
+        // Same head geometry as CanvasManager.drawShape
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const headLength = Math.max(10, stroke.lineWidth * 3);
+        return [
+          { type: 'polyline', points: [{ x: x1, y: y1 }, { x: x2, y: y2 }], closed: false },
+          {
+            type: 'polyline',
+            points: [
+              { x: x2 - headLength * Math.cos(angle - Math.PI / 6), y: y2 - headLength * Math.sin(angle - Math.PI / 6) },
+              { x: x2, y: y2 },
+              { x: x2 - headLength * Math.cos(angle + Math.PI / 6), y: y2 - headLength * Math.sin(angle + Math.PI / 6) }
+            ],
+            closed: false
+          }
+        ];
+      }
+      default: // line
+        return [{ type: 'polyline', points: [{ x: x1, y: y1 }, { x: x2, y: y2 }], closed: false }];
+    }
+  }
+
+  return [{ type: 'polyline', points: stroke.points.map(p => ({ x: p.x, y: p.y })), closed: false }];
+}
+
+/**
+ * A freehand stroke of two or more points smoothed as the client draws it
+ * (CanvasManager.drawStrokeSegment): quadratic curves from the middle of one
+ * segment to the middle of the next, bent through the point between them,
+ * with straight halves at either end. Each section is as wide as the stroke
+ * at its control point (the end point for the last one); runs of sections
+ * of the same width are returned together so they can share a path.
+ */
+function freehandRuns(stroke: Stroke): SectionRun[] {
+  const { points } = stroke;
+  const midpoint = (a: XY, b: XY): XY => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+  const runs: SectionRun[] = [];
+  const add = (section: Section, width: number) => {
+    const last = runs[runs.length - 1];
+    if (last && last.width === width) {
+      last.sections.push(section);
+    } else {
+      runs.push({ width, sections: [section] });
+    }
+  };
+
+  for (let i = 1; i < points.length; i++) {
+    const control = points[i - 1];
+    const to = midpoint(control, points[i]);
+    const section = i === 1 ? { from: control, control: null, to } : { from: midpoint(points[i - 2], control), control, to };
+    add(section, pointWidth(stroke, control));
+  }
+  const last = points[points.length - 1];
+  add({ from: midpoint(points[points.length - 2], last), control: null, to: last }, pointWidth(stroke, last));
+  return runs;
+}
+
+/**
+ * Points along a section after its start, for backends that only draw lines
+ */
+function sectionToPolyline(section: Section, segments = 8): XY[] {
+  const { from, control, to } = section;
+  if (!control) return [to];
+  const points: XY[] = [];
+  for (let i = 1; i <= segments; i++) {
+    const t = i / segments;
+    points.push({
+      x: (1 - t) * (1 - t) * from.x + 2 * (1 - t) * t * control.x + t * t * to.x,
+      y: (1 - t) * (1 - t) * from.y + 2 * (1 - t) * t * control.y + t * t * to.y
+    });
+  }
+  return points;
+}
+
+function ellipseToPolyline(part: { cx: number; cy: number; rx: number; ry: number }, segments = 72): XY[] {
+  const points: XY[] = [];
+  for (let i = 0; i < segments; i++) {
+    const angle = (i / segments) * Math.PI * 2;
+    points.push({ x: part.cx + part.rx * Math.cos(angle), y: part.cy + part.ry * Math.sin(angle) });
+  }
+  return points;
+}
+
+/**
+ * All dots of a pencil or spray stroke
+ */
+function strokeDots(stroke: Stroke): Dot[] {
+  return stroke.points.flatMap((_, i) => sectionDots(stroke, i));
+}
+
+/**
+ * Filled runs of a fill as world-space boxes
+ */
+function fillBoxes(fill: FillRegion): Bounds[] {
+  const { x, y, cellSize, rows } = fill;
+  return rows.flatMap((runs, row) => {
+    const boxes: Bounds[] = [];
+    for (let i = 0; i < runs.length; i += 2) {
+      boxes.push({
+        minX: x + runs[i] * cellSize,
+        minY: y + row * cellSize,
+        maxX: x + (runs[i] + runs[i + 1]) * cellSize,
+        maxY: y + (row + 1) * cellSize
+      });
+    }
+    return boxes;
+  });
+}
+
+// Opacity and blend mode of a stroke; strokes without brush settings are opaque
+function strokeBrush(stroke: Stroke): BrushSettings {
+  return stroke.brush || { opacity: 1, blendMode: 'normal' };
+}
+
+// Red, green and blue of a '#rrggbb' color
+function colorChannels(color: string): number[] {
+  return [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+}
+
+function textLines(stroke: Stroke): string[] {
+  return stroke.text ? stroke.text.content.split('\n') : [];
+}
+
+/**
+ * World-space bounding box of all strokes, padded; text extents are estimated
+ */
+function getBounds(strokes: Stroke[]): Bounds {
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  const include = (x: number, y: number, margin: number) => {
+    bounds.minX = Math.min(bounds.minX, x - margin);
+    bounds.minY = Math.min(bounds.minY, y - margin);
+    bounds.maxX = Math.max(bounds.maxX, x + margin);
+    bounds.maxY = Math.max(bounds.maxY, y + margin);
+  };
+
+  strokes.forEach(stroke => {
+    if (stroke.image) {
+      const { x, y, width, height } = stroke.image;
+      include(x, y, 0);
+      include(x + width, y + height, 0);
+      return;
+    }
+
+    if (stroke.text) {
+      const { x, y, fontSize } = stroke.text;
+      const lines = textLines(stroke);
+      const width = Math.max(...lines.map(line => line.length)) * fontSize * 0.6;
+      include(x, y, 0);
+      include(x + width, y + lines.length * fontSize * TEXT_LINE_HEIGHT, 0);
+      return;
+    }
+
+    if (stroke.fill) {
+      fillBoxes(stroke.fill).forEach(box => {
+        include(box.minX, box.minY, 0);
+        include(box.maxX, box.maxY, 0);
+      });
+      return;
+    }
+
+    const margin = stroke.shape
+      ? stroke.lineWidth / 2 + (stroke.tool === 'arrow' ? Math.max(10, stroke.lineWidth * 3) : 0)
+      : inkReach(stroke);
+    getPathParts(stroke).forEach(part => {
+      if (part.type === 'ellipse') {
+        include(part.cx - part.rx, part.cy - part.ry, margin);
+        include(part.cx + part.rx, part.cy + part.ry, margin);
+      } else {
+        part.points.forEach(p => include(p.x, p.y, margin));
+      }
+    });
+  });
+
+  if (!Number.isFinite(bounds.minX)) return EMPTY_BOARD;
+
+  return {
+    minX: Math.floor(bounds.minX - PADDING),
+    minY: Math.floor(bounds.minY - PADDING),
+    maxX: Math.ceil(bounds.maxX + PADDING),
+    maxY: Math.ceil(bounds.maxY + PADDING)
+  };
+}
+
+/**
+ * Strokes come grouped by layer (DrawingState.getRenderStrokes); within each
+ * layer images are rendered beneath everything else and fills beneath the
+ * remaining strokes, matching CanvasManager.redraw
+ */
+function inRenderOrder(strokes: Stroke[]): Stroke[] {
+  const layers: Stroke[][] = [];
+  strokes.forEach((stroke, i) => {
+    if (i === 0 || stroke.layerId !== strokes[i - 1].layerId) layers.push([]);
+    layers[layers.length - 1].push(stroke);
+  });
+  return layers.flatMap(layer => [
+    ...layer.filter(stroke => stroke.image),
+    ...layer.filter(stroke => stroke.fill),
+    ...layer.filter(stroke => !stroke.image && !stroke.fill)
+  ]);
+}
+
+function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Render strokes as SVG in world coordinates, one <path> (or <text>) per
+ * stroke so the result stays editable in design tools. Images are embedded
+ * as data URIs so the file is self-contained.
+ */
+export async function renderSvg(strokes: Stroke[], loadImage: ImageLoader): Promise<string> {
+  const bounds = getBounds(strokes);
+  const width = bounds.maxX - bounds.minX;
+  const height = bounds.maxY - bounds.minY;
+
+  const imageData = new Map<string, Buffer | null>();
+  for (const stroke of strokes) {
+    if (stroke.image && !imageData.has(stroke.image.imageId)) {
+      imageData.set(stroke.image.imageId, await loadImage(stroke.image.imageId));
+    }
+  }
+
+  const elements = inRenderOrder(strokes).map(stroke => {
+    const color = strokeColor(stroke);
+
+    if (stroke.image) {
+      const { imageId, x, y, width: imageWidth, height: imageHeight } = stroke.image;
+      const data = imageData.get(imageId);
+      if (!data) return '';
+      const mimeType = imageId.endsWith('.png') ? 'image/png' : 'image/jpeg';
+      return `  <image id="${escapeXml(stroke.id)}" href="data:${mimeType};base64,${data.toString('base64')}" x="${round(x)}" y="${round(y)}" ` +
+        `width="${round(imageWidth)}" height="${round(imageHeight)}" preserveAspectRatio="none"/>`;
+    }
+
+    if (stroke.text) {
+      const { x, y, fontFamily, fontSize } = stroke.text;
+      const tspans = textLines(stroke)
+        .map((line, i) => `<tspan x="${round(x)}" dy="${i === 0 ? 0 : round(fontSize * TEXT_LINE_HEIGHT)}">${escapeXml(line)}</tspan>`)
+        .join('');
+      return `  <text id="${escapeXml(stroke.id)}" x="${round(x)}" y="${round(y)}" font-family="${fontFamily}" font-size="${fontSize}" fill="${color}" dominant-baseline="hanging">${tspans}</text>`;
+    }
+
+    if (stroke.fill) {
+      const d = fillBoxes(stroke.fill)
+        .map(box => `M ${round(box.minX)} ${round(box.minY)} H ${round(box.maxX)} V ${round(box.maxY)} H ${round(box.minX)} Z`)
+        .join(' ');
+      return `  <path id="${escapeXml(stroke.id)}" d="${d}" fill="${color}" data-tool="fill"/>`;
+    }
+
+    const { opacity, blendMode } = strokeBrush(stroke);
+    const blend = blendMode === 'multiply' ? ' style="mix-blend-mode: multiply"' : '';
+
+    // Pencil and spray grain: one circle per dot, as opaque as that dot is on the board
+    if (isTexturedTool(stroke.tool)) {
+      const circles = strokeDots(stroke).map(dot =>
+        `<circle cx="${round(dot.x)}" cy="${round(dot.y)}" r="${round(dot.radius)}" fill-opacity="${round(opacity * dot.alpha)}"/>`);
+      return `  <g id="${escapeXml(stroke.id)}" fill="${color}" data-tool="${escapeXml(stroke.tool)}"${blend}>${circles.join('')}</g>`;
+    }
+
+    const attributes = `fill="none" stroke="${color}" stroke-linecap="round" stroke-linejoin="round" data-tool="${escapeXml(stroke.tool)}"` +
+      (opacity < 1 ? ` opacity="${opacity}"` : '') + blend;
+
+    if (!stroke.shape && stroke.points.length > 1) {
+      const paths = freehandRuns(stroke).map(run => {
+        const d = `M ${round(run.sections[0].from.x)} ${round(run.sections[0].from.y)} ` + run.sections.map(({ control, to }) =>
+          control ? `Q ${round(control.x)} ${round(control.y)} ${round(to.x)} ${round(to.y)}` : `L ${round(to.x)} ${round(to.y)}`
+        ).join(' ');
+        return { d, width: round(run.width) };
+      });
+      // Strokes of changing width (pen pressure) are a group of paths, one per width
+      if (paths.length === 1) {
+        return `  <path id="${escapeXml(stroke.id)}" d="${paths[0].d}" stroke-width="${paths[0].width}" ${attributes}/>`;
+      }
+      return `  <g id="${escapeXml(stroke.id)}" ${attributes}>` +
+        paths.map(({ d, width }) => `<path d="${d}" stroke-width="${width}"/>`).join('') + '</g>';
+    }
+
+    const parts = getPathParts(stroke);
+    const single = parts.length === 1 && parts[0].type === 'polyline' && parts[0].points.length === 1;
+    const d = parts.map(part => {
+      if (part.type === 'ellipse') {
+        const { cx, cy, rx, ry } = part;
+        return `M ${round(cx - rx)} ${round(cy)} A ${round(rx)} ${round(ry)} 0 1 0 ${round(cx + rx)} ${round(cy)} ` +
+          `A ${round(rx)} ${round(ry)} 0 1 0 ${round(cx - rx)} ${round(cy)} Z`;
+      }
+      // A lone point is drawn as a zero-length segment, which round caps turn into a dot
+      const points = single ? [part.points[0], part.points[0]] : part.points;
+      return points.map((p, i) => `${i === 0 ? 'M' : 'L'} ${round(p.x)} ${round(p.y)}`).join(' ') + (part.closed ? ' Z' : '');
+    }).join(' ');
+    const width = single ? round(pointWidth(stroke, stroke.points[0])) : stroke.lineWidth;
+
+    return `  <path id="${escapeXml(stroke.id)}" d="${d}" stroke-width="${width}" ${attributes}/>`;
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${bounds.minX} ${bounds.minY} ${width} ${height}">`,
+    `  <rect x="${bounds.minX}" y="${bounds.minY}" width="${width}" height="${height}" fill="${BACKGROUND}"/>`,
+    ...elements.filter(Boolean),
+    `</svg>`,
+    ''
+  ].join('\n');
+}
+
+// PDF standard fonts closest to the client's font families
+const PDF_FONTS: Record<TextFontFamily, string> = {
+  'sans-serif': 'Helvetica',
+  serif: 'Times-Roman',
+  monospace: 'Courier',
+  cursive: 'Helvetica-Oblique'
+};
+
+/**
+ * Render strokes as a single-page vector PDF sized to the drawing
+ */
+export async function renderPdf(strokes: Stroke[], loadImage: ImageLoader): Promise<Buffer> {
+  const bounds = getBounds(strokes);
+  const doc = new PDFDocument({ size: [bounds.maxX - bounds.minX, bounds.maxY - bounds.minY], margin: 0 });
+
+  const done = new Promise<Buffer>((resolve, reject) => {
+    const chunks: Buffer[] = [];
+    doc.on('data', (chunk: Buffer) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  doc.rect(0, 0, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY).fill(BACKGROUND);
+  doc.translate(-bounds.minX, -bounds.minY);
+  const setBrush = pdfBrushSetter(doc);
+
+  for (const stroke of inRenderOrder(strokes)) {
+    const color = strokeColor(stroke);
+
+    if (stroke.image) {
+      const data = await loadImage(stroke.image.imageId);
+      if (data) {
+        const { x, y, width, height } = stroke.image;
+        doc.image(data, x, y, { width, height });
+      }
+      continue;
+    }
+
+    if (stroke.text) {
+      const { x, y, fontFamily, fontSize } = stroke.text;
+      doc.font(PDF_FONTS[fontFamily] || 'Helvetica').fontSize(fontSize).fillColor(color);
+      textLines(stroke).forEach((line, i) => {
+        doc.text(line, x, y + i * fontSize * TEXT_LINE_HEIGHT, { lineBreak: false });
+      });
+      continue;
+    }
+
+    if (stroke.fill) {
+      fillBoxes(stroke.fill).forEach(box => doc.rect(box.minX, box.minY, box.maxX - box.minX, box.maxY - box.minY));
+      doc.fill(color);
+      continue;
+    }
+
+    // Strokes with brush settings get a graphics state of their own
+    const { opacity, blendMode } = strokeBrush(stroke);
+    if (stroke.brush) doc.save();
+
+    if (isTexturedTool(stroke.tool)) {
+      strokeDots(stroke).forEach(dot => {
+        setBrush(opacity * dot.alpha, blendMode);
+        doc.circle(dot.x, dot.y, dot.radius).fill(color);
+      });
+    } else {
+      if (stroke.brush) setBrush(opacity, blendMode);
+      drawPdfLines(doc, stroke, color);
+    }
+
+    if (stroke.brush) doc.restore();
+  }
+
+  doc.end();
+  return done;
+}
+
+/**
+ * Returns a function that sets the opacity and blend mode of what is drawn
+ * next. pdfkit only sets opacities, so the graphics states that also blend
+ * are made here, one per combination used.
+ */
+function pdfBrushSetter(doc: PDFKit.PDFDocument): (opacity: number, blendMode: BlendMode) => void {
+  const names = new Map<string, string>();
+  return (opacity, blendMode) => {
+    const alpha = round(opacity);
+    const key = `${alpha} ${blendMode}`;
+    let name = names.get(key);
+    if (!name) {
+      name = `Brush${names.size + 1}`;
+      const state = doc.ref({ Type: 'ExtGState', CA: alpha, ca: alpha, BM: blendMode === 'multiply' ? 'Multiply' : 'Normal' });
+      state.end(undefined);
+      doc.page.ext_gstates[name] = state;
+      names.set(key, name);
+    }
+    doc.addContent(`/${name} gs`);
+  };
+}
+
+/**
+ * The line of a freehand stroke or the outline of a shape
+ */
+function drawPdfLines(doc: PDFKit.PDFDocument, stroke: Stroke, color: string): void {
+  if (!stroke.shape && stroke.points.length === 1) {
+    const point = stroke.points[0];
+    doc.circle(point.x, point.y, pointWidth(stroke, point) / 2).fill(color);
+    return;
+  }
+
+  if (!stroke.shape && stroke.points.length > 1) {
+    freehandRuns(stroke).forEach(run => {
+      doc.moveTo(run.sections[0].from.x, run.sections[0].from.y);
+      run.sections.forEach(({ control, to }) => (control ? doc.quadraticCurveTo(control.x, control.y, to.x, to.y) : doc.lineTo(to.x, to.y)));
+      doc.lineWidth(run.width).lineCap('round').lineJoin('round').stroke(color);
+    });
+    return;
+  }
+
+  getPathParts(stroke).forEach(part => {
+    if (part.type === 'ellipse') {
+      doc.ellipse(part.cx, part.cy, part.rx, part.ry);
+    } else {
+      part.points.forEach((p, i) => (i === 0 ? doc.moveTo(p.x, p.y) : doc.lineTo(p.x, p.y)));
+      if (part.closed) doc.closePath();
+    }
+  });
+  doc.lineWidth(stroke.lineWidth).lineCap('round').lineJoin('round').stroke(color);
+}
+
+// Bundled TTF fonts for PNG text rendering, keyed by client font family
+const PNG_FONT_FILES: Record<TextFontFamily, string> = {
+  'sans-serif': 'DejaVuSans.ttf',
+  serif: 'DejaVuSerif.ttf',
+  monospace: 'DejaVuSansMono.ttf',
+  cursive: 'DejaVuSans-Oblique.ttf'
+};
+let pngFontsLoaded: Promise<void> | null = null;
+
+function loadPngFonts(): Promise<void> {
+  if (!pngFontsLoaded) {
+    const fontDir = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+    pngFontsLoaded = Promise.all(
+      Object.entries(PNG_FONT_FILES).map(([family, file]) =>
+        PImage.registerFont(path.join(fontDir, file), family).load()
+      )
+    ).then(() => undefined);
+  }
+  return pngFontsLoaded;
+}
+
+/**
+ * Rasterize strokes to PNG (pure JS). Large drawings are scaled down so
+ * neither side exceeds maxSize pixels.
+ */
+export async function renderPng(strokes: Stroke[], loadImage: ImageLoader, maxSize: number = MAX_PNG_SIZE): Promise<Buffer> {
+  await loadPngFonts();
+
+  const bounds = getBounds(strokes);
+  const scale = Math.min(1, maxSize / Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY));
+  const width = Math.ceil((bounds.maxX - bounds.minX) * scale);
+  const height = Math.ceil((bounds.maxY - bounds.minY) * scale);
+  const project = (p: XY): XY => ({ x: (p.x - bounds.minX) * scale, y: (p.y - bounds.minY) * scale });
+
+  const image = PImage.make(width, height);
+  const ctx = image.getContext('2d');
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, width, height);
+
+  const dot = (target: PImage.Context, p: XY, radius: number, color: string) => {
+    target.fillStyle = color;
+    target.beginPath();
+    // Stop just short of a full turn: a closed arc trips pureimage's path projection
+    target.arc(p.x, p.y, Math.max(radius, 0.5), 0, Math.PI * 2 - 0.001);
+    target.fill();
+  };
+
+  // The line of a freehand stroke, drawn opaque on target with place as the projection
+  const drawFreehand = (target: PImage.Context, stroke: Stroke, place: (p: XY) => XY, color: string) => {
+    if (stroke.points.length === 1) {
+      dot(target, place(stroke.points[0]), Math.max(1, pointWidth(stroke, stroke.points[0]) * scale) / 2, color);
+      return;
+    }
+
+    freehandRuns(stroke).forEach(run => {
+      const runWidth = Math.max(1, run.width * scale);
+      const start = place(run.sections[0].from);
+      target.strokeStyle = color;
+      target.lineWidth = runWidth;
+      target.beginPath();
+      target.moveTo(start.x, start.y);
+      // pureimage's quadraticCurveTo strays from the curve, so curves are flattened here
+      run.sections.forEach(section => sectionToPolyline(section).map(place).forEach(p => target.lineTo(p.x, p.y)));
+      target.stroke();
+
+      // pureimage has no round caps; dots where the sections meet stand in for them
+      if (runWidth > 2) {
+        [start, ...run.sections.map(section => place(section.to))].forEach(p => dot(target, p, runWidth / 2, color));
+      }
+    });
+  };
+
+  // pureimage only paints opaque ink over what is there, so translucent and
+  // multiplied ink is mixed into the pixels here
+  const blendPixel = (x: number, y: number, rgb: number[], alpha: number, blendMode: BlendMode) => {
+    if (x < 0 || y < 0 || x >= width || y >= height || alpha <= 0) return;
+    const i = (y * width + x) * 4;
+    for (let c = 0; c < 3; c++) {
+      const backdrop = image.data[i + c];
+      const source = blendMode === 'multiply' ? rgb[c] * backdrop / 255 : rgb[c];
+      image.data[i + c] = Math.round(backdrop + (source - backdrop) * Math.min(1, alpha));
+    }
+  };
+
+  const blendDot = (center: XY, radius: number, rgb: number[], alpha: number, blendMode: BlendMode) => {
+    // Dots smaller than a pixel tint the pixel they are in by the share of it they cover
+    if (radius < 0.5) {
+      blendPixel(Math.floor(center.x), Math.floor(center.y), rgb, alpha * Math.PI * radius * radius, blendMode);
+      return;
+    }
+    for (let y = Math.floor(center.y - radius); y <= Math.ceil(center.y + radius); y++) {
+      for (let x = Math.floor(center.x - radius); x <= Math.ceil(center.x + radius); x++) {
+        if (Math.hypot(x + 0.5 - center.x, y + 0.5 - center.y) <= radius) blendPixel(x, y, rgb, alpha, blendMode);
+      }
+    }
+  };
+
+  for (const stroke of inRenderOrder(strokes)) {
+    const color = strokeColor(stroke);
+    const lineWidth = Math.max(1, stroke.lineWidth * scale);
+
+    if (stroke.image) {
+      const data = await loadImage(stroke.image.imageId);
+      if (data) {
+        const bitmap = stroke.image.imageId.endsWith('.png')
+          ? await PImage.decodePNGFromStream(Readable.from([data]))
+          : await PImage.decodeJPEGFromStream(Readable.from([data]));
+        const topLeft = project(stroke.image);
+        ctx.drawImage(bitmap, 0, 0, bitmap.width, bitmap.height,
+          topLeft.x, topLeft.y, stroke.image.width * scale, stroke.image.height * scale);
+      }
+      continue;
+    }
+
+    if (stroke.text) {
+      const { x, y, fontFamily, fontSize } = stroke.text;
+      ctx.font = `${fontSize * scale}px ${fontFamily}`;
+      ctx.fillStyle = color;
+      ctx.textBaseline = 'top';
+      textLines(stroke).forEach((line, i) => {
+        const p = project({ x, y: y + i * fontSize * TEXT_LINE_HEIGHT });
+        ctx.fillText(line, p.x, p.y);
+      });
+      continue;
+    }
+
+    if (stroke.fill) {
+      const rgb = colorChannels(color);
+      fillBoxes(stroke.fill).forEach(box => {
+        const topLeft = project({ x: box.minX, y: box.minY });
+        const bottomRight = project({ x: box.maxX, y: box.maxY });
+        for (let y = Math.round(topLeft.y); y < Math.round(bottomRight.y); y++) {
+          for (let x = Math.round(topLeft.x); x < Math.round(bottomRight.x); x++) blendPixel(x, y, rgb, 1, 'normal');
+        }
+      });
+      continue;
+    }
+
+    const { opacity, blendMode } = strokeBrush(stroke);
+
+    if (isTexturedTool(stroke.tool)) {
+      const rgb = colorChannels(color);
+      strokeDots(stroke).forEach(({ x, y, radius, alpha }) => blendDot(project({ x, y }), radius * scale, rgb, opacity * alpha, blendMode));
+      continue;
+    }
+
+    if (!stroke.shape && stroke.brush && stroke.points.length > 0) {
+      // Drawn opaque on a layer of its own, which is then mixed in as a whole
+      const projected = stroke.points.map(project);
+      const reach = Math.ceil(inkReach(stroke) * scale) + 2;
+      const left = Math.floor(Math.min(...projected.map(p => p.x))) - reach;
+      const top = Math.floor(Math.min(...projected.map(p => p.y))) - reach;
+      const layer = PImage.make(Math.ceil(Math.max(...projected.map(p => p.x))) + reach - left,
+        Math.ceil(Math.max(...projected.map(p => p.y))) + reach - top);
+      layer.data.fill(0); // New bitmaps start opaque black
+      drawFreehand(layer.getContext('2d'), stroke, p => {
+        const q = project(p);
+        return { x: q.x - left, y: q.y - top };
+      }, color);
+
+      const rgb = colorChannels(color);
+      for (let y = 0; y < layer.height; y++) {
+        for (let x = 0; x < layer.width; x++) {
+          const coverage = layer.data[(y * layer.width + x) * 4 + 3] / 255;
+          if (coverage > 0) blendPixel(left + x, top + y, rgb, opacity * coverage, blendMode);
+        }
+      }
+      continue;
+    }
+
+    if (!stroke.shape && stroke.points.length > 0) {
+      drawFreehand(ctx, stroke, project, color);
+      continue;
+    }
+
+    getPathParts(stroke).forEach(part => {
+      const points = (part.type === 'ellipse' ? ellipseToPolyline(part) : part.points).map(project);
+      const closed = part.type === 'ellipse' || part.closed;
+
+      ctx.strokeStyle = color;
+      ctx.lineWidth = lineWidth;
+      ctx.beginPath();
+      points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      if (closed) ctx.closePath();
+      ctx.stroke();
+    });
+  }
+
+  const stream = new PassThrough();
+  const chunks: Buffer[] = [];
+  stream.on('data', (chunk: Buffer) => chunks.push(chunk));
+  await PImage.encodePNGToStream(image, stream);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Small PNG preview of a board, shown next to saved sessions
+ */
+export function renderThumbnail(strokes: Stroke[], loadImage: ImageLoader): Promise<Buffer> {
+  return renderPng(strokes, loadImage, THUMBNAIL_SIZE);
+}
+
+export function renderExport(format: ExportFormat, strokes: Stroke[], loadImage: ImageLoader): Promise<Buffer> {
+  switch (format) {
+    case 'svg':
+      return renderSvg(strokes, loadImage).then(svg => Buffer.from(svg, 'utf-8'));
+    case 'pdf':
+      return renderPdf(strokes, loadImage);
+    case 'png':
+      return renderPng(strokes, loadImage);
+  }
+}
@@ -0,0 +1,89 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+
+// Image IDs are '<uuid>.<ext>' so the stored file name carries its type
+const IMAGE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.(png|jpg)$/;
+
+export const IMAGE_CONTENT_TYPES: Record<string, string> = {
+  png: 'image/png',
+  jpg: 'image/jpeg'
+};
+
+export function isValidImageId(imageId: unknown): imageId is string {
+  return typeof imageId === 'string' && IMAGE_ID_PATTERN.test(imageId);
+}
+
+/**
+ * Detect the image type from its magic bytes rather than trusting the
+ * client's Content-Type. Only PNG and JPEG are accepted because every
+ * export backend can embed them.
+ */
+function detectImageType(data: Buffer): 'png' | 'jpg' | null {
+  if (data.length >= 8 && data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return 'jpg';
+  }
+  return null;
+}
+
+/**
+ * Stores uploaded images on local disk. Images are immutable and referenced
+ * by ID from image strokes, so saved sessions keep working as long as the
+ * files are kept.
+ */
+export class ImageStore {
+  constructor(private dir: string) {}
+
+  /**
+   * Save an uploaded image and return its ID, or null if it is not a PNG/JPEG
+   */
+  async save(data: Buffer): Promise<string | null> {
+    const type = detectImageType(data);
+    if (!type) return null;
+
+    const imageId = `${uuidv4()}.${type}`;
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.getPath(imageId), data);
+    return imageId;
+  }
+
+  async exists(imageId: string): Promise<boolean> {
+    if (!isValidImageId(imageId)) return false;
+    try {
+      await fs.access(this.getPath(imageId));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Synchronous check for socket handlers, which must not yield between
+   * receiving an event and applying it or later events could overtake it
+   */
+  existsSync(imageId: string): boolean {
+    return isValidImageId(imageId) && existsSync(this.getPath(imageId));
+  }
+
+  async read(imageId: string): Promise<Buffer | null> {
+    if (!isValidImageId(imageId)) return null;
+    try {
+      return await fs.readFile(this.getPath(imageId));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  getPath(imageId: string): string {
+    return path.join(this.dir, imageId);
+  }
+
+  getContentType(imageId: string): string {
+    return IMAGE_CONTENT_TYPES[path.extname(imageId).slice(1)];
+  }
+}
@@ -0,0 +1,288 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { DrawingOperation, DrawingState, OperationJournal, StateSnapshot } from './drawing-state';
+
+export interface PersistedRoom {
+  snapshot: StateSnapshot | null;
+  operations: DrawingOperation[];
+}
+
+/**
+ * Storage backend for room state. Implementations must keep operations in
+ * the order they were appended; `writeSnapshot` replaces the snapshot and
+ * discards every operation appended before it.
+ */
+export interface PersistenceAdapter {
+  load(roomId: string): Promise<PersistedRoom | null>;
+  append(roomId: string, operation: DrawingOperation): Promise<void>;
+  writeSnapshot(roomId: string, snapshot: StateSnapshot): Promise<void>;
+  exists(roomId: string): Promise<boolean>;
+  listRooms(): Promise<string[]>;
+}
+
+/**
+ * Default adapter: one append-only JSON-lines log plus one snapshot file per room.
+ *
+ *   <dir>/<roomId>.log            - one DrawingOperation per line
+ *   <dir>/<roomId>.snapshot.json  - { version, createdAt, state: StateSnapshot }
+ *
+ * Room IDs are validated (URL-safe) before they reach this layer, so they are
+ * safe to use as file names.
+ */
+export class FileLogAdapter implements PersistenceAdapter {
+  private static readonly SNAPSHOT_VERSION = 1;
+
+  constructor(private dir: string) {}
+
+  async load(roomId: string): Promise<PersistedRoom | null> {
+    const [snapshotContent, logContent] = await Promise.all([
+      this.readIfExists(this.snapshotPath(roomId)),
+      this.readIfExists(this.logPath(roomId))
+    ]);
+
+    if (snapshotContent === null && logContent === null) return null;
+
+    const snapshot = snapshotContent ? JSON.parse(snapshotContent).state as StateSnapshot : null;
+    const operations: DrawingOperation[] = [];
+
+    if (logContent) {
+      const lines = logContent.split('\n').filter(line => line.trim() !== '');
+      lines.forEach((line, index) => {
+        try {
+          operations.push(JSON.parse(line));
+        } catch (error) {
+          // A torn final line means the process died mid-write; anything else is corruption
+          if (index !== lines.length - 1) throw error;
+          console.warn(`Ignoring incomplete last log entry for room ${roomId}`);
+        }
+      });
+    }
+
+    return { snapshot, operations };
+  }
+
+  async append(roomId: string, operation: DrawingOperation): Promise<void> {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.appendFile(this.logPath(roomId), JSON.stringify(operation) + '\n');
+  }
+
+  async writeSnapshot(roomId: string, snapshot: StateSnapshot): Promise<void> {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    // Write-then-rename so a crash never leaves a half-written snapshot
+    const snapshotPath = this.snapshotPath(roomId);
+    const tempPath = `${snapshotPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({
+      version: FileLogAdapter.SNAPSHOT_VERSION,
+      createdAt: Date.now(),
+      state: snapshot
+    }));
+    await fs.rename(tempPath, snapshotPath);
+    await fs.writeFile(this.logPath(roomId), '');
+  }
+
+  async exists(roomId: string): Promise<boolean> {
+    const found = await Promise.all([this.snapshotPath(roomId), this.logPath(roomId)].map(filepath =>
+      fs.access(filepath).then(() => true, error => {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') return false;
+        throw error;
+      })
+    ));
+    return found.includes(true);
+  }
+
+  async listRooms(): Promise<string[]> {
+    try {
+      const files = await fs.readdir(this.dir);
+      const roomIds = new Set<string>();
+      files.forEach(file => {
+        if (file.endsWith('.snapshot.json')) roomIds.add(file.slice(0, -'.snapshot.json'.length));
+        else if (file.endsWith('.log')) roomIds.add(file.slice(0, -'.log'.length));
+      });
+      return Array.from(roomIds);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  private logPath(roomId: string): string {
+    return path.join(this.dir, `${roomId}.log`);
+  }
+
+  private snapshotPath(roomId: string): string {
+    return path.join(this.dir, `${roomId}.snapshot.json`);
+  }
+
+  private async readIfExists(filepath: string): Promise<string | null> {
+    try {
+      return await fs.readFile(filepath, 'utf-8');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+// Strokes can be edited in place after they are recorded (select tool), so
+// writes must work on a copy taken when the operation or snapshot happened
+function detach<T>(value: T): T {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Connects DrawingState instances to a PersistenceAdapter.
+ *
+ * Writes for a room are serialized through a promise chain so log entries
+ * land in the same order the operations happened. Snapshots are captured
+ * synchronously when compaction is scheduled, which keeps them consistent
+ * with the position they take in that chain.
+ *
+ * If a write fails, the log has a gap and replaying it would rebuild a
+ * different board. Nothing more is appended for the room until a snapshot
+ * of its current state has replaced the log; until then `isWritable` is
+ * false, and the server holds back changes to the room.
+ */
+export class RoomPersistence {
+  private writeQueues: Map<string, Promise<void>> = new Map();
+  private pendingOperations: Map<string, number> = new Map(); // roomId -> ops since last snapshot
+  private failedRooms: Map<string, DrawingState> = new Map(); // roomId -> state to snapshot once storage works again
+  private compactionTimer: NodeJS.Timeout | null = null;
+
+  constructor(
+    private adapter: PersistenceAdapter,
+    private options: { compactionIntervalMs: number; compactionThreshold: number } = {
+      compactionIntervalMs: 60000,
+      compactionThreshold: 200
+    }
+  ) {}
+
+  /**
+   * Create a DrawingState for a room, rehydrated from storage, with a journal
+   * attached so further changes are persisted
+   */
+  async loadRoom(roomId: string): Promise<DrawingState> {
+    const drawingState = new DrawingState();
+    const persisted = await this.adapter.load(roomId);
+
+    if (persisted) {
+      drawingState.restore(persisted.snapshot, persisted.operations);
+      this.pendingOperations.set(roomId, persisted.operations.length);
+      console.log(`Rehydrated room ${roomId} (${persisted.operations.length} logged operations)`);
+    }
+
+    drawingState.setJournal(this.createJournal(roomId, drawingState));
+    return drawingState;
+  }
+
+  roomExists(roomId: string): Promise<boolean> {
+    return this.adapter.exists(roomId);
+  }
+
+  /**
+   * Whether changes to a room are being stored. False from a failed write
+   * until a snapshot has been written in its place.
+   */
+  isWritable(roomId: string): boolean {
+    return !this.failedRooms.has(roomId);
+  }
+
+  listRooms(): Promise<string[]> {
+    return this.adapter.listRooms();
+  }
+
+  /**
+   * Periodically snapshot rooms whose logs have grown past the threshold,
+   * so rehydration only replays a short tail of operations. Rooms whose
+   * storage failed are tried again at the same interval.
+   */
+  startCompaction(getDrawingState: (roomId: string) => DrawingState | undefined): void {
+    this.stopCompaction();
+    this.compactionTimer = setInterval(() => {
+      this.failedRooms.forEach((drawingState, roomId) => this.compact(roomId, drawingState));
+      this.pendingOperations.forEach((count, roomId) => {
+        if (this.failedRooms.has(roomId)) return;
+        if (count < this.options.compactionThreshold) return;
+        const drawingState = getDrawingState(roomId);
+        if (drawingState) this.compact(roomId, drawingState);
+      });
+    }, this.options.compactionIntervalMs);
+    this.compactionTimer.unref();
+  }
+
+  stopCompaction(): void {
+    if (this.compactionTimer) {
+      clearInterval(this.compactionTimer);
+      this.compactionTimer = null;
+    }
+  }
+
+  /**
+   * Wait until everything recorded for a room so far is written (before
+   * another process takes the room over). Fails if the room's storage
+   * failed and a last snapshot could not be written either.
+   */
+  async flush(roomId: string): Promise<void> {
+    const failed = this.failedRooms.get(roomId);
+    if (failed) this.compact(roomId, failed);
+    await (this.writeQueues.get(roomId) || Promise.resolve());
+    if (this.failedRooms.has(roomId)) {
+      throw new Error(`Changes to room ${roomId} could not be stored`);
+    }
+  }
+
+  /**
+   * Stop storing a room another process has taken over, so a snapshot of
+   * this copy never overwrites its writes
+   */
+  discard(roomId: string): void {
+    this.failedRooms.delete(roomId);
+    this.pendingOperations.delete(roomId);
+  }
+
+  compact(roomId: string, drawingState: DrawingState): Promise<void> {
+    const snapshot = detach(drawingState.toSnapshot());
+    this.pendingOperations.set(roomId, 0);
+    return this.enqueue(roomId, async () => {
+      try {
+        await this.adapter.writeSnapshot(roomId, snapshot);
+      } catch (error) {
+        this.fail(roomId, drawingState, error);
+        return;
+      }
+      // The snapshot holds everything recorded up to it, gaps included
+      if (this.failedRooms.delete(roomId)) console.log(`Storage of room ${roomId} recovered`);
+    });
+  }
+
+  private createJournal(roomId: string, drawingState: DrawingState): OperationJournal {
+    return {
+      record: (operation: DrawingOperation) => {
+        const recorded = detach(operation);
+        this.pendingOperations.set(roomId, (this.pendingOperations.get(roomId) || 0) + 1);
+        this.enqueue(roomId, async () => {
+          // Left out of the log; the snapshot that replaces it includes it
+          if (this.failedRooms.has(roomId)) return;
+          try {
+            await this.adapter.append(roomId, recorded);
+          } catch (error) {
+            this.fail(roomId, drawingState, error);
+            this.compact(roomId, drawingState);
+          }
+        });
+      }
+    };
+  }
+
+  private fail(roomId: string, drawingState: DrawingState, error: unknown): void {
+    console.error(`Error persisting room ${roomId}, holding back changes until a snapshot is written:`, error);
+    this.failedRooms.set(roomId, drawingState);
+  }
+
+  private enqueue(roomId: string, task: () => Promise<void>): Promise<void> {
+    const previous = this.writeQueues.get(roomId) || Promise.resolve();
+    const next = previous.then(task);
+    this.writeQueues.set(roomId, next);
+    return next;
+  }
+}
@@ -0,0 +1,60 @@
+export interface RateLimit {
+  capacity: number; // Burst size
+  refillPerSecond: number; // Sustained rate
+}
+
+/**
+ * Classic token bucket: each event takes one token, tokens refill
+ * continuously up to the capacity
+ */
+export class TokenBucket {
+  private tokens: number;
+  private lastRefill: number;
+
+  constructor(private limit: RateLimit, now: number = Date.now()) {
+    this.tokens = limit.capacity;
+    this.lastRefill = now;
+  }
+
+  /**
+   * Take a token. Returns 0 if one was available, otherwise the time in ms
+   * until the next token.
+   */
+  take(now: number = Date.now()): number {
+    const elapsed = Math.max(0, now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.limit.capacity, this.tokens + elapsed * this.limit.refillPerSecond);
+    this.lastRefill = now;
+
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) / this.limit.refillPerSecond * 1000);
+  }
+}
+
+/**
+ * Per-connection rate limiter with one bucket per event category. Buckets
+ * are created on first use, so a connection only pays for what it sends.
+ */
+export class RateLimiter {
+  private buckets: Map<string, TokenBucket> = new Map();
+
+  constructor(private limits: Record<string, RateLimit>) {}
+
+  /**
+   * Take a token for a category. Returns 0 if the event may proceed,
+   * otherwise the time in ms until it would be allowed.
+   */
+  take(category: string, now: number = Date.now()): number {
+    const limit = this.limits[category];
+    if (!limit) return 0;
+
+    let bucket = this.buckets.get(category);
+    if (!bucket) {
+      bucket = new TokenBucket(limit, now);
+      this.buckets.set(category, bucket);
+    }
+    return bucket.take(now);
+  }
+}
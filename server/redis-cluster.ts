@@ -0,0 +1,174 @@
+import Redis, { ChainableCommander } from 'ioredis';
+import { ClusterBackend } from './cluster';
+import { DrawingOperation, StateSnapshot } from './drawing-state';
+import { PersistedRoom, PersistenceAdapter } from './persistence';
+
+/**
+ * Connect to a Redis-compatible server (redis://[[user]:password@]host[:port][/db]).
+ * Nothing is sent before `RedisClusterBackend.connect`, and commands fail
+ * while the connection is down instead of piling up; it is re-established
+ * in the background.
+ */
+export function createRedisClient(url: string): Redis {
+  return new Redis(url, { lazyConnect: true, enableOfflineQueue: false });
+}
+
+/**
+ * Run a MULTI ... EXEC transaction. Redis carries on with the other
+ * commands of a transaction when one fails, so every result is checked.
+ */
+async function execTransaction(transaction: ChainableCommander): Promise<unknown[]> {
+  const results = await transaction.exec();
+  if (!results) throw new Error('Redis transaction was aborted');
+  return results.map(([error, result]) => {
+    if (error) throw error;
+    return result;
+  });
+}
+
+// Extends the lease if the holder still has it, or takes it if it is free
+const ACQUIRE_LEASE_SCRIPT = `
+local holder = redis.call('GET', KEYS[1])
+if holder == ARGV[1] then return redis.call('PEXPIRE', KEYS[1], ARGV[2]) end
+if holder then return 0 end
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+return 1`;
+
+const RELEASE_LEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) end
+return 0`;
+
+/**
+ * Cluster backend on a Redis-compatible server (Redis, Valkey, KeyDB, ...),
+ * for running several server processes. Keys and channels are prefixed so
+ * one server can be shared with other applications. Needs Lua scripting
+ * (EVAL) for leases.
+ */
+export class RedisClusterBackend implements ClusterBackend {
+  private subscriber: Redis;
+  private listeners: Map<string, (message: string) => void> = new Map();
+  private connected = false;
+
+  /**
+   * `commands` is a client from createRedisClient; subscriptions get a
+   * second connection like it
+   */
+  constructor(private commands: Redis, private prefix: string = 'canvas') {
+    this.subscriber = commands.duplicate();
+    this.commands.on('error', error => console.error('Redis connection error:', error.message));
+    this.subscriber.on('error', error => console.error('Redis subscriber error:', error.message));
+    this.subscriber.on('message', (channel: string, message: string) => {
+      const listener = this.listeners.get(channel);
+      if (!listener) return;
+      try {
+        listener(message);
+      } catch (error) {
+        console.error(`Error handling message on ${channel}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Connect both connections and subscribe to the channels subscribed to
+   * before. Channels are subscribed again after a reconnect.
+   */
+  async connect(): Promise<void> {
+    await Promise.all([this.commands.connect(), this.subscriber.connect()]);
+    this.connected = true;
+    if (this.listeners.size > 0) await this.subscriber.subscribe(...this.listeners.keys());
+  }
+
+  getConnection(): Redis {
+    return this.commands;
+  }
+
+  async publish(channel: string, message: string): Promise<void> {
+    await this.commands.publish(this.key(channel), message);
+  }
+
+  // Before connect, the channel is subscribed on connect
+  async subscribe(channel: string, listener: (message: string) => void): Promise<void> {
+    const key = this.key(channel);
+    this.listeners.set(key, listener);
+    if (this.connected) await this.subscriber.subscribe(key);
+  }
+
+  async acquireLease(key: string, holder: string, ttlMs: number): Promise<boolean> {
+    return (await this.commands.eval(ACQUIRE_LEASE_SCRIPT, 1, this.key(key), holder, ttlMs)) === 1;
+  }
+
+  async releaseLease(key: string, holder: string): Promise<void> {
+    await this.commands.eval(RELEASE_LEASE_SCRIPT, 1, this.key(key), holder);
+  }
+
+  getLeaseHolder(key: string): Promise<string | null> {
+    return this.commands.get(this.key(key));
+  }
+
+  async close(): Promise<void> {
+    this.commands.disconnect();
+    this.subscriber.disconnect();
+  }
+
+  private key(name: string): string {
+    return `${this.prefix}:${name}`;
+  }
+}
+
+/**
+ * Room logs and snapshots in Redis, so whichever node takes over a room can
+ * rehydrate it without shared disks.
+ *
+ *   <prefix>:room:<roomId>:log       - list of JSON DrawingOperations
+ *   <prefix>:room:<roomId>:snapshot  - JSON StateSnapshot
+ *   <prefix>:rooms                   - set of room IDs with stored state
+ */
+export class RedisLogAdapter implements PersistenceAdapter {
+  constructor(private client: Redis, private prefix: string = 'canvas') {}
+
+  async load(roomId: string): Promise<PersistedRoom | null> {
+    const [snapshot, entries] = await execTransaction(this.client.multi()
+      .get(this.snapshotKey(roomId))
+      .lrange(this.logKey(roomId), 0, -1)) as [string | null, string[]];
+    if (snapshot === null && entries.length === 0) return null;
+
+    return {
+      snapshot: snapshot !== null ? JSON.parse(snapshot) as StateSnapshot : null,
+      operations: entries.map(entry => JSON.parse(entry) as DrawingOperation)
+    };
+  }
+
+  async append(roomId: string, operation: DrawingOperation): Promise<void> {
+    await execTransaction(this.client.multi()
+      .rpush(this.logKey(roomId), JSON.stringify(operation))
+      .sadd(this.roomsKey(), roomId));
+  }
+
+  // One transaction, so the log is never replayed on top of a snapshot that already contains it
+  async writeSnapshot(roomId: string, snapshot: StateSnapshot): Promise<void> {
+    await execTransaction(this.client.multi()
+      .set(this.snapshotKey(roomId), JSON.stringify(snapshot))
+      .del(this.logKey(roomId))
+      .sadd(this.roomsKey(), roomId));
+  }
+
+  async exists(roomId: string): Promise<boolean> {
+    return (await this.client.exists(this.snapshotKey(roomId), this.logKey(roomId))) > 0;
+  }
+
+  listRooms(): Promise<string[]> {
+    return this.client.smembers(this.roomsKey());
+  }
+
+  private logKey(roomId: string): string {
+    return `${this.prefix}:room:${roomId}:log`;
+  }
+
+  private snapshotKey(roomId: string): string {
+    return `${this.prefix}:room:${roomId}:snapshot`;
+  }
+
+  private roomsKey(): string {
+    return `${this.prefix}:rooms`;
+  }
+}
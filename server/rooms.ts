@@ -1,55 +1,174 @@
+import { createHash } from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
+import { ROLES, Role } from './access-control';
 
 export interface User {
   id: string;
-  socketId: string;
+  socketId: string; // Most recent connection; a user may have several (tabs, reconnects)
   color: string;
   name: string;
+  role: Role; // Strongest role among the user's connections
+}
+
+/**
+ * Display name and avatar color chosen by the user (validated by the caller)
+ */
+export interface UserProfile {
+  name?: string;
+  color?: string;
+}
+
+interface RoomMember {
+  user: User;
+  connections: Map<string, Role>; // socketId -> role of that connection (spectator screens are viewers)
+}
+
+// The room at `/`, shared by everyone; it stays open and has no owner
+export const DEFAULT_ROOM_ID = 'default';
+
+// Identity tokens are generated and kept by the client (local storage)
+const USER_TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+export function isValidUserToken(token: unknown): token is string {
+  return typeof token === 'string' && USER_TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Public user ID for an identity token. Only the hash is ever shown to other
+ * users, so the IDs they see cannot be used to take over someone's identity.
+ */
+export function getUserIdFromToken(token: string): string {
+  return createHash('sha256').update(token).digest('hex').substring(0, 24);
+}
+
+// Room IDs appear in URLs (/r/<roomId>), so keep them URL-safe
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export function isValidRoomId(roomId: unknown): roomId is string {
+  return typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId);
+}
+
+export function generateRoomId(): string {
+  return uuidv4().replace(/-/g, '').substring(0, 10);
 }
 
 export class RoomManager {
-  private rooms: Map<string, Map<string, User>> = new Map();
+  private rooms: Map<string, Map<string, RoomMember>> = new Map();
   private userColors: string[] = [
     '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', 
     '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E2'
   ];
-  private colorIndex: number = 0;
 
-  addUser(roomId: string, userId: string, socketId: string): void {
+  /**
+   * Add a connection for a user. A user who is already in the room (another
+   * tab, or a reconnect that beat the old socket's disconnect) keeps their
+   * entry; only the profile fields that were given are updated.
+   */
+  addUser(roomId: string, userId: string, socketId: string, role: Role, profile: UserProfile = {}): User {
     if (!this.rooms.has(roomId)) {
       this.rooms.set(roomId, new Map());
     }
 
     const room = this.rooms.get(roomId)!;
-    const color = this.userColors[this.colorIndex % this.userColors.length];
-    this.colorIndex++;
+    const member = room.get(userId);
+    if (member) {
+      member.connections.set(socketId, role);
+      member.user.socketId = socketId;
+      this.updateRole(member);
+      this.applyProfile(member.user, profile);
+      return member.user;
+    }
 
-    room.set(userId, {
+    const user: User = {
       id: userId,
       socketId,
-      color,
-      name: `User ${userId.substring(0, 6)}`
-    });
+      color: this.getDefaultColor(userId),
+      name: `User ${userId.substring(0, 6)}`,
+      role
+    };
+    this.applyProfile(user, profile);
+    room.set(userId, { user, connections: new Map([[socketId, role]]) });
+    return user;
   }
 
-  removeUser(roomId: string, userId: string): void {
+  /**
+   * Remove one connection of a user. Returns true if that was their last
+   * connection, i.e. the user has left the room.
+   */
+  removeUser(roomId: string, userId: string, socketId: string): boolean {
     const room = this.rooms.get(roomId);
-    if (room) {
-      room.delete(userId);
-      if (room.size === 0) {
-        this.rooms.delete(roomId);
-      }
+    const member = room?.get(userId);
+    if (!room || !member) return false;
+
+    member.connections.delete(socketId);
+    if (member.connections.size > 0) {
+      this.updateRole(member);
+      return false;
+    }
+
+    room.delete(userId);
+    if (room.size === 0) {
+      this.rooms.delete(roomId);
     }
+    return true;
+  }
+
+  updateProfile(roomId: string, userId: string, profile: UserProfile): User | undefined {
+    const user = this.getUser(roomId, userId);
+    if (user) {
+      this.applyProfile(user, profile);
+    }
+    return user;
+  }
+
+  setConnectionRole(roomId: string, userId: string, socketId: string, role: Role): User | undefined {
+    const member = this.rooms.get(roomId)?.get(userId);
+    if (!member || !member.connections.has(socketId)) return undefined;
+
+    member.connections.set(socketId, role);
+    this.updateRole(member);
+    return member.user;
+  }
+
+  /**
+   * All open connections of a user in a room
+   */
+  getSocketIds(roomId: string, userId: string): string[] {
+    const member = this.rooms.get(roomId)?.get(userId);
+    return member ? Array.from(member.connections.keys()) : [];
   }
 
   getUsers(roomId: string): User[] {
     const room = this.rooms.get(roomId);
-    return room ? Array.from(room.values()) : [];
+    return room ? Array.from(room.values()).map(member => member.user) : [];
+  }
+
+  getRoomIds(): string[] {
+    return Array.from(this.rooms.keys());
   }
 
   getUser(roomId: string, userId: string): User | undefined {
     const room = this.rooms.get(roomId);
-    return room?.get(userId);
+    return room?.get(userId)?.user;
   }
-}
 
+  // ROLES is ordered from strongest to weakest
+  private updateRole(member: RoomMember): void {
+    const roles = Array.from(member.connections.values());
+    member.user.role = ROLES.find(role => roles.includes(role)) || 'viewer';
+  }
+
+  private applyProfile(user: User, profile: UserProfile): void {
+    if (profile.name) user.name = profile.name;
+    if (profile.color) user.color = profile.color;
+  }
+
+  // Derived from the user ID so users keep their color across reconnects
+  private getDefaultColor(userId: string): string {
+    let hash = 0;
+    for (const char of userId) {
+      hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return this.userColors[hash % this.userColors.length];
+  }
+}
@@ -3,9 +3,36 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
-import fs from 'fs/promises';
-import { RoomManager } from './rooms';
-import { DrawingState } from './drawing-state';
+import { DEFAULT_ROOM_ID, RoomManager, UserProfile, isValidRoomId, generateRoomId, isValidUserToken, getUserIdFromToken } from './rooms';
+import {
+  DrawingState, UndoMode, ShapeType, ShapeGeometry, SHAPE_TYPES, TextContent, ImagePlacement, StrokeTransform, SerializedState, StateSnapshot,
+  CommentAnchor, LayerChanges, BrushSettings, FillRegion
+} from './drawing-state';
+import { FileLogAdapter, PersistenceAdapter, RoomPersistence } from './persistence';
+import { EXPORT_FORMATS, EXPORT_CONTENT_TYPES, ExportFormat, renderExport, renderThumbnail } from './export';
+import { EraseMode } from './erase';
+import { ImageStore, isValidImageId } from './image-store';
+import { RateLimit, RateLimiter } from './rate-limit';
+import {
+  WORLD_BOUND, MAX_CHAT_MESSAGE_LENGTH, MAX_COMMENT_LENGTH, validateDrawingData, validateStrokeProperties, validateShapeGeometry, validateText,
+  validateImagePlacement, validateMessageText, validateItemId, validateCommentAnchor, validateLayerName, validateEraser, validateColor, validateFill
+} from './validation';
+import { PackedPen, PackedPoints, chunkStrokes, decodePoints, isPointPrefix, toWireStroke, withPen } from './wire';
+import { MAX_SESSION_NAME_LENGTH, SessionFile, SessionStore, isValidSessionFilename, isValidSessionName } from './session-store';
+import {
+  AccessControl, AccessDenialReason, GRANTABLE_ROLES, INVITE_ROLES, MAX_PASSWORD_LENGTH, MAX_INVITE_LIFETIME, Role, RoomAccessPolicy, canEdit, isValidRoomPassword
+} from './access-control';
+import { ClusterBackend, ClusterNode, MemoryClusterBackend, createSocketAdapter } from './cluster';
+import { RedisClusterBackend, RedisLogAdapter, createRedisClient } from './redis-cluster';
+import { ROOM_HANDOVER, SessionRelay, SessionSocket } from './session-relay';
+
+// Several server processes share rooms through a Redis-compatible server
+// (REDIS_URL); without one this process is a cluster of one
+const redisUrl = process.env.REDIS_URL;
+const redisKeyPrefix = process.env.REDIS_KEY_PREFIX || 'canvas';
+const redisBackend = redisUrl ? new RedisClusterBackend(createRedisClient(redisUrl), redisKeyPrefix) : null;
+const clusterBackend: ClusterBackend = redisBackend || new MemoryClusterBackend();
+const clusterNode = new ClusterNode(clusterBackend);
 
 const app = express();
 const httpServer = createServer(app);
@@ -13,311 +40,2001 @@ const io = new Server(httpServer, {
   cors: {
     origin: '*',
     methods: ['GET', 'POST']
+  },
+  // Deflate large messages (initial state chunks); point batches stay below the threshold
+  perMessageDeflate: { threshold: 1024 },
+  // Broadcasts reach clients connected to the other processes
+  adapter: redisBackend ? createSocketAdapter(redisBackend) : undefined
+});
+
+// Uploaded image limits
+const MAX_IMAGE_UPLOAD_SIZE = '10mb';
+
+// Display names chosen by users
+const MAX_DISPLAY_NAME_LENGTH = 32;
+
+// Selection edit limits
+const MAX_SELECTION_SIZE = 5000;
+const MIN_TRANSFORM_SCALE = 0.01;
+const MAX_TRANSFORM_SCALE = 100;
+
+// Time a shutdown may take to hand rooms over before the process exits anyway (ms)
+const SHUTDOWN_TIMEOUT = 15000;
+
+// Saved session listings
+const DEFAULT_SESSION_PAGE_SIZE = 20;
+const MAX_SESSION_PAGE_SIZE = 100;
+
+// Stroke limits: keep one client from exhausting a room's memory
+const MAX_POINTS_PER_STROKE = 5000; // Keep in sync with CanvasManager.MAX_STROKE_POINTS
+const MAX_OPEN_STROKES_PER_USER = 4;
+const MAX_STROKES_PER_ROOM = 10000;
+
+// Comment limits (chat history is capped by DrawingState)
+const MAX_COMMENTS_PER_ROOM = 1000;
+const MAX_REPLIES_PER_COMMENT = 200;
+
+const MAX_LAYERS_PER_ROOM = 20;
+
+// Wire protocol: points per draw-points batch, and the size of canvas-state chunks
+const MAX_POINTS_PER_BATCH = 256; // Keep in sync with WebSocketManager.MAX_POINTS_PER_BATCH
+const MAX_STROKE_HANDLE = 2 ** 31 - 1;
+const STATE_CHUNK_STROKES = 500;
+const STATE_CHUNK_POINTS = 20000;
+
+// Acknowledged operations (see runOperation): how many clients' last applied
+// sequence numbers a room remembers, and how many outbox client IDs a join may ask about
+const MAX_TRACKED_CLIENTS_PER_ROOM = 1000;
+const MAX_JOIN_CLIENT_IDS = 20;
+
+// While a room's changes cannot be stored, operations are sent back to be retried after this long (ms)
+const STORAGE_RETRY_AFTER = 5000;
+
+// Per-connection rate limits by event category (see getRateLimitCategory)
+const RATE_LIMITS: Record<string, RateLimit> = {
+  'draw-points': { capacity: 240, refillPerSecond: 120 }, // One batch per frame, up to 120 Hz displays
+  'cursor-move': { capacity: 60, refillPerSecond: 30 },
+  'preview': { capacity: 120, refillPerSecond: 60 },
+  'join-room': { capacity: 5, refillPerSecond: 0.5 },
+  'chat-message': { capacity: 10, refillPerSecond: 1 },
+  'ping': { capacity: 5, refillPerSecond: 2 },
+  'default': { capacity: 40, refillPerSecond: 20 }
+};
+
+const getRateLimitCategory = (event: string): string => {
+  if (event === 'shape-preview' || event === 'text-preview') return 'preview';
+  return event in RATE_LIMITS ? event : 'default';
+};
+
+// A throttled connection is told at most this often per category
+const RATE_LIMIT_REPORT_INTERVAL = 1000;
+
+// Codes of the structured `error` event, so clients can react without parsing messages
+type ErrorCode = 'invalid-request' | 'forbidden' | 'not-found' | 'rate-limited' | 'limit-exceeded' | 'server-error';
+
+// Outcome of a board-changing event, sent to its ack callback:
+// applied, already applied (duplicate), made on a board that has since been
+// cleared or replaced (stale), refused (rejected), or to be sent again later (retry)
+type OperationStatus = 'applied' | 'duplicate' | 'stale' | 'rejected' | 'retry';
+type OperationAck = (result: { status: OperationStatus; retryAfter?: number }) => void;
+
+// Sent with board-changing events by clients with an outbox. Events without
+// a sequence number (older clients) are applied without these checks.
+interface OperationMeta {
+  clientId?: string; // Random per page load; entries left by earlier page loads keep theirs
+  seq?: number; // Increases with every operation of the client
+  generation?: number; // Board generation the operation was made on (DrawingState.getGeneration)
+}
+
+const isValidClientId = (clientId: unknown): clientId is string =>
+  typeof clientId === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(clientId);
+
+const isValidOperationMeta = (meta: OperationMeta): meta is Required<OperationMeta> =>
+  isValidClientId(meta.clientId) &&
+  typeof meta.seq === 'number' && Number.isSafeInteger(meta.seq) && meta.seq >= 1 &&
+  typeof meta.generation === 'number' && Number.isSafeInteger(meta.generation);
+
+// join-room payload; a plain room ID string is still accepted
+interface JoinRoomRequest {
+  roomId: string;
+  token?: string; // Client-held identity token (see getUserIdFromToken)
+  name?: string;
+  color?: string;
+  password?: string; // Room password (password-protected rooms)
+  invite?: string; // Signed invite token from an invite link
+  spectate?: boolean; // Spectator link: join read-only whatever the user's role
+  clientIds?: string[]; // Outbox client IDs with pending operations (see appliedSequences)
+}
+
+// Shown to users whose join was refused
+const ACCESS_DENIED_MESSAGES: Record<AccessDenialReason, string> = {
+  'password-required': 'This room is password protected',
+  'wrong-password': 'Wrong room password',
+  'invite-required': 'This room is invite-only',
+  'invalid-invite': 'This invite link is not valid for this room',
+  'invite-expired': 'This invite link has expired'
+};
+
+const roomManager = new RoomManager();
+const drawingStates = new Map<string, DrawingState>();
+
+// Get project root (where package.json is) and serve client from there
+const projectRoot = process.cwd();
+const clientPath = path.join(projectRoot, 'client');
+
+// Saved sessions (versioned, validated on load)
+const sessionStore = new SessionStore(path.join(projectRoot, 'sessions'));
+
+// Durable room state: append-only operation log + periodic snapshots per room,
+// in Redis when rooms move between processes
+const roomDataDir = process.env.ROOM_DATA_DIR || path.join(projectRoot, 'data', 'rooms');
+const roomStorage: PersistenceAdapter = redisBackend
+  ? new RedisLogAdapter(redisBackend.getConnection(), redisKeyPrefix)
+  : new FileLogAdapter(roomDataDir);
+const persistence = new RoomPersistence(roomStorage);
+persistence.startCompaction(roomId => drawingStates.get(roomId));
+
+// Uploaded images (referenced by image strokes and saved sessions)
+const imageDir = process.env.IMAGE_DATA_DIR || path.join(projectRoot, 'data', 'images');
+const imageStore = new ImageStore(imageDir);
+
+// Room passwords, invites and roles
+const accessDataDir = process.env.ACCESS_DATA_DIR || path.join(projectRoot, 'data', 'access');
+const accessControl = new AccessControl(accessDataDir);
+
+/**
+ * Role of an HTTP request in a room. Clients send the access token they were
+ * given on join as a Bearer token, or as ?access= where headers cannot be set
+ * (download links).
+ */
+const getRequestRole = (req: express.Request, roomId: string): Promise<Role | null> => {
+  const header = req.get('Authorization');
+  const accessToken = header && header.startsWith('Bearer ')
+    ? header.slice('Bearer '.length)
+    : typeof req.query.access === 'string' ? req.query.access : undefined;
+  return accessControl.getRequestRole(roomId, accessToken);
+};
+
+/**
+ * Role of an HTTP request in the room a session was saved from. Sessions
+ * saved before room IDs were validated belong to no room and are open.
+ */
+const getSessionRole = (req: express.Request, sessionRoomId: string): Promise<Role | null> => {
+  return isValidRoomId(sessionRoomId) ? getRequestRole(req, sessionRoomId) : Promise.resolve('editor');
+};
+
+// Last stroke handle given out per room. Handles are short numeric stand-ins
+// for stroke IDs in draw-points broadcasts, valid while the stroke is open.
+const strokeHandleCounters = new Map<string, number>();
+
+const nextStrokeHandle = (roomId: string): number => {
+  const handle = ((strokeHandleCounters.get(roomId) || 0) % MAX_STROKE_HANDLE) + 1;
+  strokeHandleCounters.set(roomId, handle);
+  return handle;
+};
+
+// Highest sequence number applied per outbox client, per room, so an
+// operation resent after a lost ack is not applied twice. Kept in memory by
+// the room's owner: after a restart or handover only stroke IDs protect
+// against duplicates.
+const appliedSequences = new Map<string, Map<string, number>>();
+
+const getAppliedSequence = (roomId: string, clientId: string): number => {
+  const sequences = appliedSequences.get(roomId);
+  return (sequences && sequences.get(clientId)) || 0;
+};
+
+const recordAppliedSequence = (roomId: string, clientId: string, seq: number): void => {
+  let sequences = appliedSequences.get(roomId);
+  if (!sequences) {
+    sequences = new Map();
+    appliedSequences.set(roomId, sequences);
+  }
+  // Re-insert so the least recently active clients are forgotten first
+  sequences.delete(clientId);
+  sequences.set(clientId, seq);
+  if (sequences.size > MAX_TRACKED_CLIENTS_PER_ROOM) {
+    sequences.delete(sequences.keys().next().value!);
+  }
+};
+
+/**
+ * Send a room's board as canvas-state followed by canvas-state-chunk messages,
+ * so large rooms do not go out as one huge message. All chunks are emitted in
+ * the same tick, so no other event for the room can come between them. The
+ * room's layers, comments and chat come with the first message.
+ */
+const emitCanvasState = (target: { emit: (event: string, ...args: unknown[]) => unknown }, drawingState: DrawingState): void => {
+  const history = drawingState.getHistory().map(toWireStroke);
+  const [first = [], ...rest] = chunkStrokes(history, STATE_CHUNK_STROKES, STATE_CHUNK_POINTS);
+
+  target.emit('canvas-state', {
+    history: first,
+    total: history.length,
+    generation: drawingState.getGeneration(),
+    settings: drawingState.getSettings(),
+    layers: drawingState.getLayers(),
+    comments: drawingState.getComments(),
+    chat: drawingState.getChat()
+  });
+  rest.forEach(chunk => target.emit('canvas-state-chunk', { history: chunk }));
+};
+
+/**
+ * Whether a room has been used: it is loaded here or on another node, or
+ * has stored state
+ */
+const roomExists = async (roomId: string): Promise<boolean> => {
+  return drawingStates.has(roomId) || loadingRooms.has(roomId) ||
+    !!(await clusterNode.getRoomOwner(roomId)) || await persistence.roomExists(roomId);
+};
+
+// Rooms currently being rehydrated, so concurrent joins share one load
+const loadingRooms = new Map<string, Promise<DrawingState>>();
+
+/**
+ * Get the drawing state for a room, lazily rehydrating it from storage the
+ * first time this process uses the room. Only the room's owner keeps its
+ * state, so this claims the room and fails if another process owns it.
+ */
+const getDrawingState = async (roomId: string): Promise<DrawingState> => {
+  if (!(await clusterNode.claimRoom(roomId))) {
+    throw new Error(`Room ${roomId} is owned by another server`);
+  }
+
+  const existing = drawingStates.get(roomId);
+  if (existing) return existing;
+
+  let loading = loadingRooms.get(roomId);
+  if (!loading) {
+    loading = persistence.loadRoom(roomId)
+      .then(drawingState => {
+        drawingStates.set(roomId, drawingState);
+        return drawingState;
+      })
+      .finally(() => loadingRooms.delete(roomId));
+    loadingRooms.set(roomId, loading);
+  }
+  return loading;
+};
+
+/**
+ * Get a room's drawing state to read from: the state itself if this process
+ * owns the room (or nobody does), otherwise a copy of the owner's
+ */
+const readDrawingState = async (roomId: string): Promise<DrawingState> => {
+  const owner = await clusterNode.resolveRoomOwner(roomId);
+  if (owner === clusterNode.nodeId) return getDrawingState(roomId);
+
+  const snapshot = await clusterNode.request(owner, 'room-snapshot', roomId) as StateSnapshot;
+  const copy = new DrawingState();
+  copy.restore(snapshot, []);
+  return copy;
+};
+
+/**
+ * Drop the state of a room nobody is in, once everything recorded for it is
+ * written. The room stays owned by this process, so the next join reloads it
+ * here; outbox sequences are kept so resent operations are still recognized.
+ * Rooms whose storage failed stay in memory until compaction recovers them.
+ */
+const evictIdleRoom = async (roomId: string): Promise<void> => {
+  const drawingState = drawingStates.get(roomId);
+  if (!drawingState || roomManager.getUsers(roomId).length > 0) return;
+
+  try {
+    await persistence.flush(roomId);
+  } catch (error) {
+    console.error(`Keeping idle room ${roomId} in memory:`, error);
+    return;
+  }
+
+  // Someone may have joined, or the room moved, while it was written out
+  if (drawingStates.get(roomId) !== drawingState || roomManager.getUsers(roomId).length > 0) return;
+  drawingStates.delete(roomId);
+  strokeHandleCounters.delete(roomId);
+  console.log(`Unloaded idle room ${roomId}`);
+};
+
+clusterNode.handle('room-snapshot', async (roomId: string) => (await getDrawingState(roomId)).toSnapshot());
+
+/**
+ * Replace a room's board with a saved session, on the room's owner. Returns
+ * the IDs of the images the board references.
+ */
+const loadSessionIntoRoom = async (roomId: string, state: SerializedState): Promise<string[]> => {
+  const drawingState = await getDrawingState(roomId);
+  drawingState.deserialize(state);
+
+  // Broadcast the loaded state to all users in the room
+  emitCanvasState(io.to(roomId), drawingState);
+
+  return Array.from(new Set(drawingState.getHistory().filter(stroke => stroke.image).map(stroke => stroke.image!.imageId)));
+};
+
+clusterNode.handle('load-session', ({ roomId, state }: { roomId: string; state: SerializedState }) => loadSessionIntoRoom(roomId, state));
+
+/**
+ * User counts of the rooms this process owns
+ */
+const getLocalRoomUserCounts = (): Record<string, number> => {
+  const counts: Record<string, number> = {};
+  new Set([...drawingStates.keys(), ...roomManager.getRoomIds()]).forEach(roomId => {
+    counts[roomId] = roomManager.getUsers(roomId).length;
+  });
+  return counts;
+};
+
+/**
+ * User counts of the rooms in use on any process. Processes that do not
+ * answer in time (the adapter waits 5 seconds) are left out.
+ */
+const getRoomUserCounts = (): Promise<Record<string, number>> => {
+  const local = getLocalRoomUserCounts();
+  if (!redisBackend) return Promise.resolve(local);
+
+  return new Promise(resolve => {
+    io.serverSideEmit('room-user-counts', (error: Error | null, responses: Record<string, number>[]) => {
+      if (error) console.warn('Some servers did not report their rooms:', error.message);
+      resolve(Object.assign({}, ...(responses || []), local));
+    });
+  });
+};
+
+// Requests from the other processes (see getRoomUserCounts and AccessControl.setChangeListener)
+io.on('room-user-counts', (reply: (counts: Record<string, number>) => void) => reply(getLocalRoomUserCounts()));
+io.on('access-changed', (roomId: string) => accessControl.forget(roomId));
+accessControl.setChangeListener(roomId => {
+  if (redisBackend) io.serverSideEmit('access-changed', roomId);
+});
+
+// Serve static files from client directory
+console.log('Project root:', projectRoot);
+console.log('Serving client files from:', clientPath);
+app.use(express.static(clientPath));
+
+// Serve index.html at root
+app.get('/', (req, res) => {
+  const indexPath = path.join(clientPath, 'index.html');
+  console.log('Serving index.html from:', indexPath);
+  res.sendFile(indexPath);
+});
+
+// Serve index.html for shareable room URLs (and /watch spectator links); the client reads the room ID from the path
+app.get(['/r/:roomId', '/r/:roomId/watch'], (req, res) => {
+  if (!isValidRoomId(req.params.roomId)) {
+    return res.status(404).send('Room not found');
+  }
+  res.sendFile(path.join(clientPath, 'index.html'));
+});
+
+// API endpoint to list rooms (active, in memory or persisted) and their user counts
+app.get('/api/rooms', async (req, res) => {
+  try {
+    const [persistedRoomIds, userCounts] = await Promise.all([persistence.listRooms(), getRoomUserCounts()]);
+    const roomIds = new Set([...Object.keys(userCounts), ...persistedRoomIds]);
+    const policies = await Promise.all(Array.from(roomIds).map(roomId => accessControl.getPolicy(roomId)));
+    const rooms = Array.from(roomIds)
+      .map((roomId, i) => ({
+        roomId,
+        userCount: userCounts[roomId] || 0,
+        url: `/r/${roomId}`,
+        access: accessControl.getAccessInfo(policies[i])
+      }))
+      .sort((a, b) => b.userCount - a.userCount || a.roomId.localeCompare(b.roomId));
+
+    res.json({ rooms });
+  } catch (error) {
+    console.error('Error listing rooms:', error);
+    res.status(500).json({ error: 'Failed to list rooms' });
+  }
+});
+
+// API endpoint to create a room. Creators who send their identity token
+// become the room's owner and may protect it with a password or invites.
+app.post('/api/rooms', express.json(), async (req, res) => {
+  try {
+    const { roomId: requestedId, token, password, inviteOnly } = req.body || {};
+    if (requestedId !== undefined && !isValidRoomId(requestedId)) {
+      return res.status(400).json({ error: 'Room ID may only contain letters, numbers, "-" and "_" (max 64)' });
+    }
+
+    if (token !== undefined && !isValidUserToken(token)) {
+      return res.status(400).json({ error: 'Invalid identity token' });
+    }
+
+    if (password !== undefined && !isValidRoomPassword(password)) {
+      return res.status(400).json({ error: `Password must be 1-${MAX_PASSWORD_LENGTH} characters` });
+    }
+
+    if ((password !== undefined || inviteOnly) && token === undefined) {
+      return res.status(400).json({ error: 'Protected rooms need an owner identity token' });
+    }
+
+    const roomId = requestedId || generateRoomId();
+    if (await roomExists(roomId)) {
+      return res.status(409).json({ error: 'Room already exists' });
+    }
+
+    await getDrawingState(roomId);
+    const policy = token !== undefined
+      ? await accessControl.createPolicy(roomId, getUserIdFromToken(token), { password, inviteOnly: inviteOnly === true })
+      : null;
+    res.status(201).json({ success: true, roomId, url: `/r/${roomId}`, access: accessControl.getAccessInfo(policy) });
+  } catch (error) {
+    console.error('Error creating room:', error);
+    res.status(500).json({ error: 'Failed to create room' });
+  }
+});
+
+// API endpoint to export a room's board as PNG, SVG or PDF (rendered server-side)
+app.get('/api/rooms/:roomId/export', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const format = String(req.query.format || 'png') as ExportFormat;
+
+    if (!isValidRoomId(roomId)) {
+      return res.status(400).json({ error: 'Invalid room ID' });
+    }
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    if (!(await roomExists(roomId))) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (!(await getRequestRole(req, roomId))) {
+      return res.status(403).json({ error: 'You do not have access to this room' });
+    }
+
+    const drawingState = await readDrawingState(roomId);
+    const output = await renderExport(format, drawingState.getRenderStrokes(), imageId => imageStore.read(imageId));
+
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${roomId}.${format}"`);
+    res.send(output);
+  } catch (error) {
+    console.error('Error exporting room:', error);
+    res.status(500).json({ error: 'Failed to export board' });
+  }
+});
+
+// API endpoint to fetch a room's strokes for time-lapse replay
+app.get('/api/rooms/:roomId/replay', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!isValidRoomId(roomId)) {
+      return res.status(400).json({ error: 'Invalid room ID' });
+    }
+
+    if (!(await roomExists(roomId))) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (!(await getRequestRole(req, roomId))) {
+      return res.status(403).json({ error: 'You do not have access to this room' });
+    }
+
+    const drawingState = await readDrawingState(roomId);
+    res.json({ roomId, strokes: drawingState.getReplayStrokes(), layers: drawingState.getLayers() });
+  } catch (error) {
+    console.error('Error loading room replay:', error);
+    res.status(500).json({ error: 'Failed to load replay' });
+  }
+});
+
+// API endpoint to upload an image (raw PNG/JPEG body); returns the stored image ID
+app.post('/api/images', express.raw({ type: ['image/png', 'image/jpeg'], limit: MAX_IMAGE_UPLOAD_SIZE }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Expected a PNG or JPEG image body' });
+    }
+
+    const imageId = await imageStore.save(req.body);
+    if (!imageId) {
+      return res.status(415).json({ error: 'Only PNG and JPEG images are supported' });
+    }
+
+    res.status(201).json({ success: true, imageId, url: `/api/images/${imageId}` });
+  } catch (error) {
+    console.error('Error uploading image:', error);
+    res.status(500).json({ error: 'Failed to upload image' });
+  }
+});
+
+// API endpoint to fetch a stored image
+app.get('/api/images/:imageId', (req, res) => {
+  const { imageId } = req.params;
+  if (!isValidImageId(imageId)) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+
+  // Image IDs are unique and files never change, so they can be cached forever
+  res.sendFile(imageStore.getPath(imageId), { maxAge: '1y', immutable: true }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'Image not found' });
+    }
+  });
+});
+
+// Thumbnails are a convenience: a board that cannot be rendered is still saved
+const renderSessionThumbnail = async (drawingState: DrawingState): Promise<Buffer | null> => {
+  try {
+    return await renderThumbnail(drawingState.getRenderStrokes(), imageId => imageStore.read(imageId));
+  } catch (error) {
+    console.error('Error rendering session thumbnail:', error);
+    return null;
+  }
+};
+
+// API endpoint to save session
+app.post('/api/save-session', express.json(), async (req, res) => {
+  try {
+    const { roomId, sessionName } = req.body;
+    if (!roomId || !sessionName) {
+      return res.status(400).json({ error: 'Room ID and session name are required' });
+    }
+
+    if (!isValidRoomId(roomId)) {
+      return res.status(400).json({ error: 'Invalid room ID' });
+    }
+
+    if (!isValidSessionName(sessionName)) {
+      return res.status(400).json({ error: `Session name must be 1-${MAX_SESSION_NAME_LENGTH} characters` });
+    }
+
+    if (!canEdit(await getRequestRole(req, roomId))) {
+      return res.status(403).json({ error: 'You do not have edit rights in this room' });
+    }
+
+    const drawingState = await readDrawingState(roomId);
+    const thumbnail = await renderSessionThumbnail(drawingState);
+    const filename = await sessionStore.save(roomId, sessionName, drawingState.serialize(), thumbnail);
+    
+    res.json({ success: true, filename, message: 'Session saved successfully' });
+  } catch (error) {
+    console.error('Error saving session:', error);
+    res.status(500).json({ error: 'Failed to save session' });
+  }
+});
+
+const parsePositiveInt = (value: unknown, defaultValue: number): number | null => {
+  if (value === undefined) return defaultValue;
+  const number = typeof value === 'string' && /^\d+$/.test(value) ? parseInt(value, 10) : 0;
+  return number > 0 ? number : null;
+};
+
+// API endpoint to list saved sessions, newest first
+// (?roomId= filters by room, ?search= by name, ?page= and ?pageSize= paginate)
+app.get('/api/sessions', async (req, res) => {
+  try {
+    const { roomId, search } = req.query;
+    if (roomId !== undefined && !isValidRoomId(roomId)) {
+      return res.status(400).json({ error: 'Invalid room ID' });
+    }
+    if (search !== undefined && (typeof search !== 'string' || search.length > MAX_SESSION_NAME_LENGTH)) {
+      return res.status(400).json({ error: 'Invalid search' });
+    }
+
+    const page = parsePositiveInt(req.query.page, 1);
+    const pageSize = parsePositiveInt(req.query.pageSize, DEFAULT_SESSION_PAGE_SIZE);
+    if (page === null || pageSize === null || pageSize > MAX_SESSION_PAGE_SIZE) {
+      return res.status(400).json({ error: `Page and page size (max ${MAX_SESSION_PAGE_SIZE}) must be positive integers` });
+    }
+
+    // Sessions of protected rooms are only listed for people with access to that room
+    const sessions = await sessionStore.list({ roomId, search: search || undefined });
+    const roles = new Map<string, Role | null>();
+    const visible = [];
+    for (const session of sessions) {
+      if (!roles.has(session.roomId)) {
+        roles.set(session.roomId, await getSessionRole(req, session.roomId));
+      }
+      if (roles.get(session.roomId)) visible.push(session);
+    }
+
+    res.json({
+      sessions: visible.slice((page - 1) * pageSize, page * pageSize),
+      total: visible.length,
+      page,
+      pageSize
+    });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+/**
+ * Read a session for a request, answering with 400/404/422 when it cannot
+ * be used. Only allow-listed file names ever reach the file system.
+ */
+const readSession = async (filename: unknown, res: express.Response): Promise<SessionFile | null> => {
+  if (!isValidSessionFilename(filename)) {
+    res.status(400).json({ error: 'Invalid session filename' });
+    return null;
+  }
+
+  const result = await sessionStore.read(filename);
+  if ('session' in result) return result.session;
+
+  if (result.error === 'not-found') {
+    res.status(404).json({ error: 'Session not found' });
+  } else {
+    console.warn(`Refusing invalid session file ${filename}: ${result.reason}`);
+    res.status(422).json({ error: `Session file is invalid: ${result.reason}` });
+  }
+  return null;
+};
+
+// API endpoint to fetch a saved session's thumbnail (?access= for <img> tags, which cannot send headers)
+app.get('/api/sessions/:filename/thumbnail', async (req, res) => {
+  try {
+    const sessionData = await readSession(req.params.filename, res);
+    if (!sessionData) return;
+
+    if (!(await getSessionRole(req, sessionData.roomId))) {
+      return res.status(403).json({ error: 'You do not have access to this session' });
+    }
+
+    const thumbnail = await sessionStore.readThumbnail(req.params.filename);
+    if (!thumbnail) {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Cache-Control', 'no-cache'); // Overwriting a session replaces its thumbnail
+    res.send(thumbnail);
+  } catch (error) {
+    console.error('Error loading session thumbnail:', error);
+    res.status(500).json({ error: 'Failed to load thumbnail' });
+  }
+});
+
+// API endpoint to rename a saved session (the filename does not change)
+app.patch('/api/sessions/:filename', express.json(), async (req, res) => {
+  try {
+    const { sessionName } = req.body;
+    if (!isValidSessionName(sessionName)) {
+      return res.status(400).json({ error: `Session name must be 1-${MAX_SESSION_NAME_LENGTH} characters` });
+    }
+
+    const sessionData = await readSession(req.params.filename, res);
+    if (!sessionData) return;
+
+    if (!canEdit(await getSessionRole(req, sessionData.roomId))) {
+      return res.status(403).json({ error: 'You do not have edit rights in this session\'s room' });
+    }
+
+    const result = await sessionStore.rename(req.params.filename, sessionName.trim());
+    if (!('session' in result)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true, filename: req.params.filename, sessionName: result.session.sessionName });
+  } catch (error) {
+    console.error('Error renaming session:', error);
+    res.status(500).json({ error: 'Failed to rename session' });
+  }
+});
+
+// API endpoint to overwrite a saved session with the current board of its room
+app.put('/api/sessions/:filename', express.json(), async (req, res) => {
+  try {
+    const { roomId } = req.body;
+    if (!isValidRoomId(roomId)) {
+      return res.status(400).json({ error: 'Invalid room ID' });
+    }
+
+    const sessionData = await readSession(req.params.filename, res);
+    if (!sessionData) return;
+
+    if (sessionData.roomId !== roomId) {
+      return res.status(409).json({ error: 'Sessions can only be overwritten from the room they were saved in' });
+    }
+
+    if (!canEdit(await getRequestRole(req, roomId))) {
+      return res.status(403).json({ error: 'You do not have edit rights in this room' });
+    }
+
+    const drawingState = await readDrawingState(roomId);
+    const thumbnail = await renderSessionThumbnail(drawingState);
+    const result = await sessionStore.overwrite(req.params.filename, drawingState.serialize(), thumbnail);
+    if (!('session' in result)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true, filename: req.params.filename, message: 'Session overwritten successfully' });
+  } catch (error) {
+    console.error('Error overwriting session:', error);
+    res.status(500).json({ error: 'Failed to overwrite session' });
+  }
+});
+
+// API endpoint to delete a saved session and its thumbnail
+app.delete('/api/sessions/:filename', async (req, res) => {
+  try {
+    const sessionData = await readSession(req.params.filename, res);
+    if (!sessionData) return;
+
+    if (!canEdit(await getSessionRole(req, sessionData.roomId))) {
+      return res.status(403).json({ error: 'You do not have edit rights in this session\'s room' });
+    }
+
+    if (!(await sessionStore.delete(req.params.filename))) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ success: true, message: 'Session deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    res.status(500).json({ error: 'Failed to delete session' });
+  }
+});
+
+// API endpoint to fetch a saved session's strokes for time-lapse replay (the room is not changed)
+app.get('/api/sessions/:filename/replay', async (req, res) => {
+  try {
+    const sessionData = await readSession(req.params.filename, res);
+    if (!sessionData) return;
+
+    // Sessions of protected rooms are only shown to people with access to that room
+    if (!(await getSessionRole(req, sessionData.roomId))) {
+      return res.status(403).json({ error: 'You do not have access to this session' });
+    }
+
+    const replayState = new DrawingState();
+    replayState.deserialize(sessionData.state);
+    res.json({ sessionName: sessionData.sessionName, strokes: replayState.getReplayStrokes(), layers: replayState.getLayers() });
+  } catch (error) {
+    console.error('Error loading session replay:', error);
+    res.status(500).json({ error: 'Failed to load replay' });
   }
 });
 
-const roomManager = new RoomManager();
-const drawingStates = new Map<string, DrawingState>();
+// API endpoint to load session
+app.post('/api/load-session', express.json(), async (req, res) => {
+  try {
+    const { filename, roomId } = req.body;
+    if (!filename || !roomId) {
+      return res.status(400).json({ error: 'Filename and room ID are required' });
+    }
+
+    if (!isValidRoomId(roomId)) {
+      return res.status(400).json({ error: 'Invalid room ID' });
+    }
+
+    if (!canEdit(await getRequestRole(req, roomId))) {
+      return res.status(403).json({ error: 'You do not have edit rights in this room' });
+    }
+
+    const sessionData = await readSession(filename, res);
+    if (!sessionData) return;
+
+    // Loading copies the board into this room, so the source room must be readable too
+    if (isValidRoomId(sessionData.roomId) && sessionData.roomId !== roomId &&
+        !(await getRequestRole(req, sessionData.roomId))) {
+      return res.status(403).json({ error: 'You do not have access to this session' });
+    }
+
+    // The room's owner replaces the board and broadcasts it
+    const owner = await clusterNode.resolveRoomOwner(roomId);
+    const imageIds = await clusterNode.request(owner, 'load-session', { roomId, state: sessionData.state }) as string[];
+
+    // Sessions reference uploaded images by ID; report any that are no longer stored
+    const missingImages: string[] = [];
+    for (const imageId of imageIds) {
+      if (!(await imageStore.exists(imageId))) missingImages.push(imageId);
+    }
+    if (missingImages.length > 0) {
+      console.warn(`Session ${filename} references ${missingImages.length} missing image(s)`);
+    }
+
+    res.json({ success: true, message: 'Session loaded successfully', missingImages });
+  } catch (error) {
+    console.error('Error loading session:', error);
+    res.status(500).json({ error: 'Failed to load session' });
+  }
+});
+
+/**
+ * Set up the event handlers of a client's session. Sessions run on the node
+ * that owns the client's room (see SessionRelay), which may not be the one
+ * the client is connected to.
+ */
+const attachSession = (socket: SessionSocket): void => {
+  let currentRoom: string | null = null;
+  let userId: string = socket.id; // Replaced by the stable ID of the client's identity token on join
+  const openStrokeIds = new Set<string>(); // Strokes this connection started and has not ended
+  const strokeHandles = new Map<number, { strokeId: string; roomHandle: number }>(); // Client handle -> open stroke
+
+  /**
+   * Forget the handles of a stroke that is no longer open. Returns the
+   * handle peers know it by.
+   */
+  const releaseStrokeHandle = (strokeId: string): number | undefined => {
+    for (const [handle, entry] of strokeHandles) {
+      if (entry.strokeId === strokeId) {
+        strokeHandles.delete(handle);
+        return entry.roomHandle;
+      }
+    }
+    return undefined;
+  };
+
+  /**
+   * Report a refused or failed request to this client
+   */
+  const emitError = (event: string, code: ErrorCode, message: string, details: Record<string, unknown> = {}): void => {
+    socket.emit('error', { event, code, message, ...details });
+  };
+
+  // Drop events over the connection's rate limits before they reach a handler
+  const rateLimiter = new RateLimiter(RATE_LIMITS);
+  const lastRateLimitReport = new Map<string, number>(); // category -> time
+  socket.use((packet, next) => {
+    const [event] = packet;
+    const category = getRateLimitCategory(event);
+    const retryAfter = rateLimiter.take(category);
+    if (retryAfter === 0) return next();
+
+    // Acknowledged operations are told when to send again
+    const ack = packet[packet.length - 1];
+    if (typeof ack === 'function') ack({ status: 'retry', retryAfter });
+
+    const now = Date.now();
+    if (now - (lastRateLimitReport.get(category) || 0) >= RATE_LIMIT_REPORT_INTERVAL) {
+      lastRateLimitReport.set(category, now);
+      console.warn(`Rate limited ${event} from user ${userId}`);
+      emitError(event, 'rate-limited', 'Too many requests, slow down', { retryAfter });
+    }
+  });
+
+  /**
+   * End a stroke this connection left open. What was drawn is kept, and
+   * peers are told the stroke is finished.
+   */
+  const closeOpenStroke = (strokeId: string): void => {
+    openStrokeIds.delete(strokeId);
+    const handle = releaseStrokeHandle(strokeId);
+    const drawingState = currentRoom ? drawingStates.get(currentRoom) : undefined;
+    if (!currentRoom || !drawingState || !drawingState.getOpenStroke(strokeId)) return;
+
+    drawingState.endStroke(strokeId);
+    socket.to(currentRoom).emit('draw-end', { strokeId, handle, userId });
+  };
+
+  const closeOpenStrokes = (): void => {
+    Array.from(openStrokeIds).forEach(closeOpenStroke);
+  };
+
+  /**
+   * Whether the room can take another stroke (strokes kept for undo count too)
+   */
+  const hasRoomForStroke = (event: string, drawingState: DrawingState, strokeId?: string): boolean => {
+    if (drawingState.getStrokeCount() < MAX_STROKES_PER_ROOM) return true;
+    emitError(event, 'limit-exceeded', 'This board is full. Clear it or start a new room.', { strokeId, limit: MAX_STROKES_PER_ROOM });
+    return false;
+  };
+
+  /**
+   * The layer a new stroke goes on, or null (error sent) if it is missing or
+   * locked. Changes queued before layers existed name no layer and go on the
+   * bottom one.
+   */
+  const resolveStrokeLayer = (event: string, drawingState: DrawingState, layerId: unknown, strokeId?: string): string | null => {
+    if (layerId === undefined) return drawingState.getLayers()[0].id;
+    const layer = typeof layerId === 'string' ? drawingState.getLayer(layerId) : undefined;
+    if (!layer) {
+      emitError(event, 'not-found', 'Layer not found', { strokeId, layerId });
+      return null;
+    }
+    if (layer.locked) {
+      emitError(event, 'forbidden', 'This layer is locked', { strokeId, layerId });
+      return null;
+    }
+    return layer.id;
+  };
+
+  /**
+   * Check the ID of a stroke about to be created. A stroke the sender already
+   * created with this ID makes the event a duplicate; another user's is refused.
+   * Returns null if the ID is free.
+   */
+  const checkNewStrokeId = (event: string, drawingState: DrawingState, strokeId: string): OperationStatus | null => {
+    const existing = drawingState.getStroke(strokeId) || drawingState.getOpenStroke(strokeId);
+    if (!existing) return null;
+    if (existing.userId !== userId || openStrokeIds.has(strokeId)) {
+      emitError(event, 'invalid-request', 'Stroke ID already in use', { strokeId });
+      return 'rejected';
+    }
+    // Still open on an earlier connection of the sender that has not timed out yet
+    return drawingState.getOpenStroke(strokeId) ? 'retry' : 'duplicate';
+  };
+
+  /**
+   * Run a board-changing event as an acknowledged operation. Events with a
+   * sequence number are applied at most once per outbox client, and only to
+   * the board generation they were made on. Clients send them one at a time,
+   * so a higher sequence number means every lower one has been settled. `apply` validates and applies the
+   * event, reporting refusals itself; the outcome goes to the sender's ack
+   * callback if it sent one.
+   */
+  const runOperation = (
+    event: string,
+    failureMessage: string,
+    data: OperationMeta | undefined,
+    ack: OperationAck | undefined,
+    apply: (drawingState: DrawingState, roomId: string) => OperationStatus
+  ): void => {
+    const respond = (status: OperationStatus, retryAfter?: number): void => {
+      if (typeof ack === 'function') ack({ status, retryAfter });
+    };
+
+    try {
+      if (!currentRoom) {
+        console.warn(`User ${userId} attempted ${event} without room`);
+        respond('retry');
+        return;
+      }
+
+      if (!hasEditRights(event)) {
+        respond('rejected');
+        return;
+      }
+
+      const drawingState = drawingStates.get(currentRoom);
+      if (!drawingState) {
+        console.error(`Drawing state not found for room ${currentRoom}`);
+        respond('retry');
+        return;
+      }
+
+      // A lapsed lease means another node may already be taking the room over;
+      // its users are sent there, and their outboxes resend the change
+      if (!clusterNode.ownsRoom(currentRoom)) {
+        console.warn(`Holding back ${event} in room ${currentRoom}, whose lease lapsed`);
+        respond('retry');
+        return;
+      }
+
+      // A change that could not be stored would be lost on restart; the client's outbox keeps it until then
+      if (!persistence.isWritable(currentRoom)) {
+        respond('retry', STORAGE_RETRY_AFTER);
+        return;
+      }
+
+      const meta = data && data.seq !== undefined ? data : null;
+      if (meta) {
+        if (!isValidOperationMeta(meta)) {
+          console.warn(`Invalid ${event} sequence from user ${userId}`);
+          emitError(event, 'invalid-request', 'Invalid operation sequence');
+          respond('rejected');
+          return;
+        }
+        if (meta.generation !== drawingState.getGeneration()) {
+          respond('stale');
+          return;
+        }
+        if (meta.seq <= getAppliedSequence(currentRoom, meta.clientId)) {
+          respond('duplicate');
+          return;
+        }
+      }
+
+      const status = apply(drawingState, currentRoom);
+      // A retried operation will come back with the same sequence number
+      if (meta && status !== 'retry') recordAppliedSequence(currentRoom, meta.clientId, meta.seq);
+      respond(status);
+    } catch (error) {
+      console.error(`Error handling ${event} from user ${userId}:`, error);
+      emitError(event, 'server-error', failureMessage);
+      respond('rejected');
+    }
+  };
+
+  /**
+   * Validate a user-chosen profile. Invalid fields are dropped so the
+   * server defaults apply instead.
+   */
+  const validateProfile = (data: { name?: unknown; color?: unknown } | undefined): UserProfile => {
+    const profile: UserProfile = {};
+    if (!data) return profile;
+
+    if (typeof data.name === 'string') {
+      // Single line, no control characters
+      // eslint-disable-next-line no-control-regex
+      const name = data.name.replace(/[\u0000-\u001f\u007f]/g, '').trim();
+      if (name.length > 0 && name.length <= MAX_DISPLAY_NAME_LENGTH) profile.name = name;
+    }
+    if (typeof data.color === 'string' && /^#[A-Fa-f0-9]{6}$/.test(data.color)) {
+      profile.color = data.color;
+    }
+    return profile;
+  };
+
+  /**
+   * Whether this connection may change the board (owner or editor). Refusals
+   * are reported to the client, except for high-frequency events (moves,
+   * previews) where that would flood it.
+   */
+  const hasEditRights = (event: string, report = true): boolean => {
+    if (canEdit(socket.data.role)) return true;
+    if (report) {
+      console.warn(`User ${userId} attempted ${event} without edit rights`);
+      emitError(event, 'forbidden', 'You do not have edit rights in this room');
+    }
+    return false;
+  };
+
+  const isOwner = (event: string, message = 'Only the room owner can change access settings'): boolean => {
+    if (socket.data.role === 'owner') return true;
+    console.warn(`User ${userId} attempted ${event} without being the room owner`);
+    emitError(event, 'forbidden', message);
+    return false;
+  };
+
+  // Join a room; clients derive the room ID from the /r/<roomId> URL and send
+  // their identity token so reconnects map back to the same user. Protected
+  // rooms also need the password or an invite token unless the user already
+  // has a role there.
+  socket.on('join-room', async (request: string | JoinRoomRequest = DEFAULT_ROOM_ID) => {
+    const join: JoinRoomRequest = typeof request === 'string' ? { roomId: request } : { ...request };
+    const { roomId, token, password, invite } = join;
+    const spectating = join.spectate === true;
+
+    if (!isValidRoomId(roomId)) {
+      console.warn(`User ${userId} attempted to join invalid room`);
+      emitError('join-room', 'invalid-request', 'Invalid room ID');
+      return;
+    }
+
+    if (token !== undefined && !isValidUserToken(token)) {
+      emitError('join-room', 'invalid-request', 'Invalid identity token');
+      return;
+    }
+
+    if ((password !== undefined && !isValidRoomPassword(password)) || (invite !== undefined && typeof invite !== 'string')) {
+      emitError('join-room', 'invalid-request', 'Invalid room credentials');
+      return;
+    }
+
+    // Clients without a token (older versions) stay anonymous per connection
+    const identityId = token ? getUserIdFromToken(token) : null;
+
+    // Rehydrate the room from storage before anyone draws into it
+    let drawingState: DrawingState;
+    let role: Role;
+    let policy: RoomAccessPolicy | null;
+    try {
+      // Opening a room that does not exist yet creates it, owned by whoever opened it
+      if (identityId && !spectating && roomId !== DEFAULT_ROOM_ID && !(await roomExists(roomId)) &&
+          await accessControl.claimNewRoom(roomId, identityId)) {
+        console.log(`User ${identityId} created room ${roomId} by opening it`);
+      }
+      const access = await accessControl.resolveJoin(roomId, identityId, { password, invite });
+      if ('denied' in access) {
+        console.warn(`User ${identityId || socket.id} was refused access to room ${roomId}: ${access.denied}`);
+        socket.emit('access-denied', { roomId, reason: access.denied, message: ACCESS_DENIED_MESSAGES[access.denied] });
+        return;
+      }
+      // Spectators never edit, but still need access to the room
+      role = spectating ? 'viewer' : access.role;
+      policy = await accessControl.getPolicy(roomId);
+      drawingState = await getDrawingState(roomId);
+    } catch (error) {
+      console.error(`Error loading room ${roomId}:`, error);
+      emitError('join-room', 'server-error', 'Failed to load room');
+      return;
+    }
+
+    if (!socket.connected) return;
+
+    // The room may have been evicted while this join waited; it was written out first, so it can be put back
+    const loaded = drawingStates.get(roomId);
+    if (loaded) {
+      drawingState = loaded;
+    } else if (clusterNode.ownsRoom(roomId)) {
+      drawingStates.set(roomId, drawingState);
+    } else {
+      emitError('join-room', 'server-error', 'Failed to load room');
+      return;
+    }
+
+    if (currentRoom) {
+      closeOpenStrokes();
+      socket.leave(currentRoom);
+      roomManager.removeUser(currentRoom, userId, socket.id);
+      io.to(currentRoom).emit('users-updated', roomManager.getUsers(currentRoom));
+      if (currentRoom !== roomId) evictIdleRoom(currentRoom);
+    }
+
+    userId = identityId || socket.id;
+    currentRoom = roomId;
+    socket.data.role = role;
+    socket.data.spectating = spectating;
+    socket.join(roomId);
+    const user = roomManager.addUser(roomId, userId, socket.id, role, validateProfile(join));
+
+    const users = roomManager.getUsers(roomId);
+
+    // Outbox operations the server already applied, so the client does not
+    // apply them again on top of the canvas state that follows
+    const clientIds = Array.isArray(join.clientIds) ? join.clientIds.slice(0, MAX_JOIN_CLIENT_IDS).filter(isValidClientId) : [];
+    const applied: Record<string, number> = {};
+    clientIds.forEach(clientId => {
+      applied[clientId] = getAppliedSequence(roomId, clientId);
+    });
+
+    // Tell the client who it is (stroke ownership and the users list use this ID),
+    // its role, and the token it needs for the HTTP API of this room
+    socket.emit('room-joined', {
+      roomId,
+      user,
+      role,
+      spectating,
+      accessToken: accessControl.createAccessToken(roomId, userId, role),
+      access: accessControl.getAccessInfo(policy),
+      appliedSequences: applied
+    });
+
+    // Send current canvas state to new user
+    emitCanvasState(socket, drawingState);
+
+    // Send user list
+    io.to(roomId).emit('users-updated', users);
+
+    console.log(`User ${userId} joined room ${roomId}`);
+  });
+
+  // Handle drawing events with validation and error handling
+  // handle: the client's number for this stroke in its draw-points batches;
+  // pen: the pen input at the first point, for strokes drawn with a pen;
+  // brush: the settings of marker, highlighter, pencil and spray strokes
+  socket.on('draw-start', (data: { x: number; y: number; pen?: PackedPen; color: string; lineWidth: number; tool: string; brush?: BrushSettings; layerId?: string; strokeId?: string; handle: number }) => {
+    try {
+      if (!currentRoom) {
+        console.warn(`User ${userId} attempted draw-start without room`);
+        return;
+      }
+
+      if (!hasEditRights('draw-start')) return;
+
+      // Validate input data
+      const start = data ? withPen([{ x: data.x, y: data.y }], data.pen) : null;
+      if (!start || !validateDrawingData(data) || !validateStrokeProperties(data) ||
+          (data.strokeId !== undefined && typeof data.strokeId !== 'string') ||
+          !Number.isInteger(data.handle) || data.handle < 0 || data.handle > MAX_STROKE_HANDLE) {
+        console.warn(`Invalid draw-start data from user ${userId}`);
+        emitError('draw-start', 'invalid-request', 'Invalid drawing data');
+        return;
+      }
+
+      const drawingState = drawingStates.get(currentRoom);
+      if (!drawingState) {
+        console.error(`Drawing state not found for room ${currentRoom}`);
+        return;
+      }
+
+      if ((data.strokeId && (drawingState.getOpenStroke(data.strokeId) || drawingState.getStroke(data.strokeId))) ||
+          strokeHandles.has(data.handle)) {
+        emitError('draw-start', 'invalid-request', 'Stroke ID already in use', { strokeId: data.strokeId });
+        return;
+      }
+
+      if (drawingState.getOpenStrokeCount(userId) >= MAX_OPEN_STROKES_PER_USER) {
+        emitError('draw-start', 'limit-exceeded', 'Too many strokes in progress', { strokeId: data.strokeId, limit: MAX_OPEN_STROKES_PER_USER });
+        return;
+      }
+
+      if (!hasRoomForStroke('draw-start', drawingState, data.strokeId)) return;
+
+      const layerId = resolveStrokeLayer('draw-start', drawingState, data.layerId, data.strokeId);
+      if (!layerId) return;
+
+      // Use provided strokeId or generate one
+      const strokeId = data.strokeId || uuidv4();
+      
+      // Start the stroke with the ID
+      drawingState.startStroke(userId, { ...data, ...start[0], strokeId, layerId });
+      openStrokeIds.add(strokeId);
+
+      // Peers get their own room-wide handle, since handles of different senders may clash
+      const roomHandle = nextStrokeHandle(currentRoom);
+      strokeHandles.set(data.handle, { strokeId, roomHandle });
+
+      // Broadcast to other users in room (not to sender)
+      socket.to(currentRoom).emit('draw-start', {
+        x: data.x,
+        y: data.y,
+        pen: data.pen,
+        color: data.color,
+        lineWidth: data.lineWidth,
+        tool: data.tool,
+        brush: drawingState.getOpenStroke(strokeId)!.brush,
+        layerId,
+        userId,
+        strokeId,
+        handle: roomHandle
+      });
+    } catch (error) {
+      console.error(`Error handling draw-start from user ${userId}:`, error);
+      emitError('draw-start', 'server-error', 'Failed to process drawing start');
+    }
+  });
+
+  // Points of an open stroke, batched by the client (one message per animation frame)
+  socket.on('draw-points', (data: { handle: number; points: PackedPoints; pen?: PackedPen }) => {
+    try {
+      if (!currentRoom) {
+        console.warn(`User ${userId} attempted draw-points without room`);
+        return;
+      }
+
+      if (!hasEditRights('draw-points', false)) return;
+
+      // Validate input data
+      const decoded = data ? decodePoints(data.points, MAX_POINTS_PER_BATCH) : null;
+      const points = decoded ? withPen(decoded, data.pen) : null;
+      if (!points || !points.every(point => validateDrawingData(point))) {
+        console.warn(`Invalid draw-points data from user ${userId}`);
+        return;
+      }
+
+      const drawingState = drawingStates.get(currentRoom);
+      if (!drawingState) {
+        console.error(`Drawing state not found for room ${currentRoom}`);
+        return;
+      }
+
+      // Only the connection that started a stroke can extend it
+      const entry = strokeHandles.get(data.handle);
+      const stroke = entry ? drawingState.getOpenStroke(entry.strokeId) : undefined;
+      if (!entry || !stroke || stroke.userId !== userId) return;
+
+      // Over-long strokes are ended where they are
+      const remaining = MAX_POINTS_PER_STROKE - stroke.points.length;
+      if (remaining <= 0) {
+        closeOpenStroke(entry.strokeId);
+        emitError('draw-points', 'limit-exceeded', 'Stroke is too long', { strokeId: entry.strokeId, limit: MAX_POINTS_PER_STROKE });
+        return;
+      }
+
+      const accepted = points.slice(0, remaining);
+      accepted.forEach(point => drawingState.addPoint(entry.strokeId, point));
+
+      // Broadcast to other users (not to sender). Packed lists are relative to
+      // their first point, so a prefix is still a valid list.
+      socket.to(currentRoom).emit('draw-points', {
+        handle: entry.roomHandle,
+        points: data.points.slice(0, accepted.length * 2),
+        pen: data.pen && data.pen.slice(0, accepted.length * 3)
+      });
+    } catch (error) {
+      console.error(`Error handling draw-points from user ${userId}:`, error);
+    }
+  });
+
+  // End of a stroke drawn live (acknowledged; see runOperation)
+  socket.on('draw-end', (data: { strokeId: string } & OperationMeta, ack?: OperationAck) => {
+    runOperation('draw-end', 'Failed to end stroke', data, ack, (drawingState, roomId) => {
+      // Validate input data
+      if (!data || !data.strokeId || typeof data.strokeId !== 'string') {
+        console.warn(`Invalid draw-end data from user ${userId}`);
+        return 'rejected';
+      }
+
+      const stroke = drawingState.getOpenStroke(data.strokeId);
+      if (!stroke || stroke.userId !== userId) {
+        // Ended already (point limit): what the server has is kept
+        const stored = drawingState.getStroke(data.strokeId);
+        return stored && stored.userId === userId ? 'duplicate' : 'rejected';
+      }
+
+      openStrokeIds.delete(data.strokeId);
+      const handle = releaseStrokeHandle(data.strokeId);
+      drawingState.endStroke(data.strokeId);
+
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('draw-end', {
+        strokeId: data.strokeId,
+        handle,
+        userId
+      });
+      return 'applied';
+    });
+  });
+
+  // A whole freehand stroke drawn while offline (acknowledged). If the stroke
+  // was started live and cut off by a disconnect, the missing rest is appended.
+  socket.on('stroke-commit', (data: { strokeId: string; tool: string; brush?: BrushSettings; color: string; lineWidth: number; layerId?: string; points: PackedPoints; pen?: PackedPen } & OperationMeta, ack?: OperationAck) => {
+    runOperation('stroke-commit', 'Failed to add stroke', data, ack, (drawingState, roomId) => {
+      const decoded = data ? decodePoints(data.points, MAX_POINTS_PER_STROKE) : null;
+      const points = decoded ? withPen(decoded, data.pen) : null;
+      if (!points || !validateStrokeProperties(data) || typeof data.strokeId !== 'string' || data.strokeId === '' ||
+          !points.every(point => validateDrawingData(point))) {
+        console.warn(`Invalid stroke-commit data from user ${userId}`);
+        emitError('stroke-commit', 'invalid-request', 'Invalid drawing data', { strokeId: data && data.strokeId });
+        return 'rejected';
+      }
+
+      const existing = checkNewStrokeId('stroke-commit', drawingState, data.strokeId);
+      if (existing === 'duplicate') {
+        const stroke = drawingState.getStroke(data.strokeId)!;
+        if (stroke.points.length >= points.length || !isPointPrefix(stroke.points, points)) return 'duplicate';
+
+        drawingState.extendStroke(data.strokeId, points.slice(stroke.points.length));
+        if (drawingState.isVisible(data.strokeId)) {
+          socket.to(roomId).emit('stroke-commit', { stroke: toWireStroke(stroke), userId });
+        }
+        return 'applied';
+      }
+      if (existing) return existing;
+
+      if (!hasRoomForStroke('stroke-commit', drawingState, data.strokeId)) return 'rejected';
+
+      const layerId = resolveStrokeLayer('stroke-commit', drawingState, data.layerId, data.strokeId);
+      if (!layerId) return 'rejected';
+
+      const stroke = drawingState.addStroke(userId, { ...data, points, layerId });
+
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('stroke-commit', { stroke: toWireStroke(stroke), userId });
+      return 'applied';
+    });
+  });
+
+  // Live preview of a text box being edited (not stored); empty content removes the preview
+  socket.on('text-preview', (data: { strokeId: string; color: string; text: TextContent }) => {
+    if (!currentRoom || !hasEditRights('text-preview', false)) return;
+    if (!data || typeof data.strokeId !== 'string' || !validateText(data)) return;
+
+    socket.volatile.to(currentRoom).emit('text-preview', {
+      strokeId: data.strokeId,
+      color: data.color,
+      text: data.text,
+      userId
+    });
+  });
+
+  // Finished text annotation: stored alongside strokes
+  socket.on('text-commit', (data: { strokeId?: string; color: string; text: TextContent; layerId?: string } & OperationMeta, ack?: OperationAck) => {
+    runOperation('text-commit', 'Failed to add text', data, ack, (drawingState, roomId) => {
+      if (!validateText(data) || data.text.content.trim() === '' ||
+          (data.strokeId !== undefined && typeof data.strokeId !== 'string')) {
+        console.warn(`Invalid text-commit data from user ${userId}`);
+        emitError('text-commit', 'invalid-request', 'Invalid text data');
+        return 'rejected';
+      }
+
+      const existing = data.strokeId ? checkNewStrokeId('text-commit', drawingState, data.strokeId) : null;
+      if (existing) return existing;
+
+      if (!hasRoomForStroke('text-commit', drawingState)) return 'rejected';
+
+      const layerId = resolveStrokeLayer('text-commit', drawingState, data.layerId, data.strokeId);
+      if (!layerId) return 'rejected';
+
+      const stroke = drawingState.addText(userId, { ...data, layerId, strokeId: data.strokeId || uuidv4() });
+
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('text-commit', { stroke, userId });
+      return 'applied';
+    });
+  });
+
+  // Place an uploaded image on the board
+  socket.on('image-add', (data: { strokeId?: string; image: ImagePlacement; layerId?: string } & OperationMeta, ack?: OperationAck) => {
+    runOperation('image-add', 'Failed to add image', data, ack, (drawingState, roomId) => {
+      if (!data || !validateImagePlacement(data.image) || !isValidImageId(data.image.imageId) ||
+          (data.strokeId !== undefined && typeof data.strokeId !== 'string')) {
+        console.warn(`Invalid image-add data from user ${userId}`);
+        emitError('image-add', 'invalid-request', 'Invalid image data');
+        return 'rejected';
+      }
+
+      if (!imageStore.existsSync(data.image.imageId)) {
+        emitError('image-add', 'not-found', 'Image not found');
+        return 'rejected';
+      }
+
+      const existing = data.strokeId ? checkNewStrokeId('image-add', drawingState, data.strokeId) : null;
+      if (existing) return existing;
+
+      if (!hasRoomForStroke('image-add', drawingState)) return 'rejected';
+
+      const layerId = resolveStrokeLayer('image-add', drawingState, data.layerId, data.strokeId);
+      if (!layerId) return 'rejected';
+
+      const stroke = drawingState.addImage(userId, { image: data.image, layerId, strokeId: data.strokeId || uuidv4() });
+
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('image-add', { stroke, userId });
+      return 'applied';
+    });
+  });
+
+  // Move or resize a placed image
+  socket.on('image-update', (data: { strokeId: string; x: number; y: number; width: number; height: number } & OperationMeta, ack?: OperationAck) => {
+    runOperation('image-update', 'Failed to update image', data, ack, (drawingState, roomId) => {
+      if (!data || typeof data.strokeId !== 'string' || !validateImagePlacement(data)) {
+        console.warn(`Invalid image-update data from user ${userId}`);
+        return 'rejected';
+      }
+
+      if (drawingState.isStrokeLocked(data.strokeId)) {
+        emitError('image-update', 'forbidden', 'This layer is locked', { strokeId: data.strokeId });
+        return 'rejected';
+      }
+
+      const stroke = drawingState.updateImage(userId, data.strokeId, data);
+      if (!stroke) {
+        emitError('image-update', 'not-found', 'Image not found');
+        return 'rejected';
+      }
+
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('image-update', {
+        strokeId: stroke.id,
+        image: stroke.image,
+        userId
+      });
+      return 'applied';
+    });
+  });
+
+  // Live rubber-band preview of a shape being dragged (not stored)
+  socket.on('shape-preview', (data: { strokeId: string; tool: ShapeType; color: string; lineWidth: number; shape: ShapeGeometry }) => {
+    if (!currentRoom || !hasEditRights('shape-preview', false)) return;
+    if (!data || typeof data.strokeId !== 'string' ||
+        !validateStrokeProperties(data, SHAPE_TYPES) || !validateShapeGeometry(data.shape)) {
+      return;
+    }
+
+    socket.volatile.to(currentRoom).emit('shape-preview', {
+      strokeId: data.strokeId,
+      tool: data.tool,
+      color: data.color,
+      lineWidth: data.lineWidth,
+      shape: data.shape,
+      userId
+    });
+  });
+
+  // Finished shape: stored as a single stroke with geometry
+  socket.on('shape-commit', (data: { strokeId?: string; tool: ShapeType; color: string; lineWidth: number; shape: ShapeGeometry; layerId?: string } & OperationMeta, ack?: OperationAck) => {
+    runOperation('shape-commit', 'Failed to add shape', data, ack, (drawingState, roomId) => {
+      if (!validateStrokeProperties(data, SHAPE_TYPES) || !validateShapeGeometry(data.shape) ||
+          (data.strokeId !== undefined && typeof data.strokeId !== 'string')) {
+        console.warn(`Invalid shape-commit data from user ${userId}`);
+        emitError('shape-commit', 'invalid-request', 'Invalid shape data');
+        return 'rejected';
+      }
+
+      const existing = data.strokeId ? checkNewStrokeId('shape-commit', drawingState, data.strokeId) : null;
+      if (existing) return existing;
+
+      if (!hasRoomForStroke('shape-commit', drawingState)) return 'rejected';
+
+      const layerId = resolveStrokeLayer('shape-commit', drawingState, data.layerId, data.strokeId);
+      if (!layerId) return 'rejected';
+
+      const stroke = drawingState.addShape(userId, { ...data, layerId, strokeId: data.strokeId || uuidv4() });
+
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('shape-commit', { stroke, userId });
+      return 'applied';
+    });
+  });
+
+  // Area filled with the fill tool, worked out by the client from the strokes around the click
+  socket.on('fill-commit', (data: { strokeId?: string; color: string; fill: FillRegion; layerId?: string } & OperationMeta, ack?: OperationAck) => {
+    runOperation('fill-commit', 'Failed to add fill', data, ack, (drawingState, roomId) => {
+      if (!data || !validateColor(data.color) || !validateFill(data.fill) ||
+          (data.strokeId !== undefined && typeof data.strokeId !== 'string')) {
+        console.warn(`Invalid fill-commit data from user ${userId}`);
+        emitError('fill-commit', 'invalid-request', 'Invalid fill data');
+        return 'rejected';
+      }
+
+      const existing = data.strokeId ? checkNewStrokeId('fill-commit', drawingState, data.strokeId) : null;
+      if (existing) return existing;
+
+      if (!hasRoomForStroke('fill-commit', drawingState)) return 'rejected';
+
+      const layerId = resolveStrokeLayer('fill-commit', drawingState, data.layerId, data.strokeId);
+      if (!layerId) return 'rejected';
+
+      const stroke = drawingState.addFill(userId, { ...data, layerId, strokeId: data.strokeId || uuidv4() });
+
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('fill-commit', { stroke, userId });
+      return 'applied';
+    });
+  });
+
+  const validateStrokeIds = (strokeIds: unknown): strokeIds is string[] => {
+    return Array.isArray(strokeIds) &&
+      strokeIds.length > 0 &&
+      strokeIds.length <= MAX_SELECTION_SIZE &&
+      strokeIds.every(strokeId => typeof strokeId === 'string');
+  };
+
+  // Strokes on locked layers are left out of selection edits, with an error if there were any
+  const withoutLockedStrokes = (event: string, drawingState: DrawingState, strokeIds: string[]): string[] => {
+    const unlocked = strokeIds.filter(strokeId => !drawingState.isStrokeLocked(strokeId));
+    if (unlocked.length < strokeIds.length) {
+      emitError(event, 'forbidden', 'Strokes on locked layers cannot be changed');
+    }
+    return unlocked;
+  };
+
+  const validateTransform = (transform: StrokeTransform | undefined): boolean => {
+    if (!transform) return false;
+    const { dx, dy, scale } = transform;
+    if (!validateDrawingData({ x: transform.originX, y: transform.originY })) return false;
+    if (![dx, dy].every(value => Number.isFinite(value) && Math.abs(value) <= 2 * WORLD_BOUND)) return false;
+    return Number.isFinite(scale) && scale >= MIN_TRANSFORM_SCALE && scale <= MAX_TRANSFORM_SCALE;
+  };
+
+  // Move and/or scale selected strokes (select tool)
+  socket.on('strokes-transform', (data: { strokeIds: string[]; transform: StrokeTransform } & OperationMeta, ack?: OperationAck) => {
+    runOperation('strokes-transform', 'Failed to transform strokes', data, ack, (drawingState, roomId) => {
+      if (!data || !validateStrokeIds(data.strokeIds) || !validateTransform(data.transform)) {
+        console.warn(`Invalid strokes-transform data from user ${userId}`);
+        return 'rejected';
+      }
+
+      const { dx, dy, scale, originX, originY } = data.transform;
+      const strokeIds = withoutLockedStrokes('strokes-transform', drawingState, data.strokeIds);
+      const strokes = drawingState.transformStrokes(userId, strokeIds, { dx, dy, scale, originX, originY });
+      if (strokes.length === 0) return 'applied';
+
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('strokes-transform', { strokes, userId });
+      return 'applied';
+    });
+  });
+
+  // Delete selected strokes (undoable)
+  socket.on('strokes-delete', (data: { strokeIds: string[] } & OperationMeta, ack?: OperationAck) => {
+    runOperation('strokes-delete', 'Failed to delete strokes', data, ack, (drawingState, roomId) => {
+      if (!data || !validateStrokeIds(data.strokeIds)) {
+        console.warn(`Invalid strokes-delete data from user ${userId}`);
+        return 'rejected';
+      }
+
+      const strokeIds = drawingState.deleteStrokes(userId, withoutLockedStrokes('strokes-delete', drawingState, data.strokeIds));
+      if (strokeIds.length === 0) return 'applied';
+
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('strokes-delete', { strokeIds, userId });
+      return 'applied';
+    });
+  });
+
+  // Erase along a path (undoable, like a deletion): whole strokes with the
+  // object eraser, the parts of freehand strokes it covers with the precise one
+  socket.on('erase', (data: { eraseId: string; mode: EraseMode; lineWidth: number; points: PackedPoints } & OperationMeta, ack?: OperationAck) => {
+    runOperation('erase', 'Failed to erase', data, ack, (drawingState, roomId) => {
+      const points = data ? decodePoints(data.points, MAX_POINTS_PER_STROKE) : null;
+      if (!points || !validateEraser(data) || !validateItemId(data.eraseId) || !points.every(point => validateDrawingData(point))) {
+        console.warn(`Invalid erase data from user ${userId}`);
+        emitError('erase', 'invalid-request', 'Invalid eraser data');
+        return 'rejected';
+      }
+
+      // Pieces left by the precise eraser are new strokes
+      if (data.mode === 'precise' && !hasRoomForStroke('erase', drawingState)) return 'rejected';
+
+      const changes = drawingState.erase(userId, { eraseId: data.eraseId, mode: data.mode, lineWidth: data.lineWidth, points });
+      if (!changes) {
+        emitError('erase', 'invalid-request', 'Erase ID already in use', { eraseId: data.eraseId });
+        return 'rejected';
+      }
+      if (changes.removed.length === 0) return 'applied';
+
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('erase', { changes, userId });
+      return 'applied';
+    });
+  });
+
+  // Put selected strokes on another layer (undoable, like a transform)
+  socket.on('strokes-set-layer', (data: { strokeIds: string[]; layerId: string } & OperationMeta, ack?: OperationAck) => {
+    runOperation('strokes-set-layer', 'Failed to move strokes to the layer', data, ack, (drawingState, roomId) => {
+      if (!data || !validateStrokeIds(data.strokeIds) || typeof data.layerId !== 'string') {
+        console.warn(`Invalid strokes-set-layer data from user ${userId}`);
+        return 'rejected';
+      }
+
+      if (!resolveStrokeLayer('strokes-set-layer', drawingState, data.layerId)) return 'rejected';
 
-// Get project root (where package.json is) and serve client from there
-const projectRoot = process.cwd();
-const clientPath = path.join(projectRoot, 'client');
+      const strokes = drawingState.setStrokeLayer(userId, withoutLockedStrokes('strokes-set-layer', drawingState, data.strokeIds), data.layerId);
+      if (strokes.length === 0) return 'applied';
 
-// Ensure sessions directory exists
-const sessionsDir = path.join(projectRoot, 'sessions');
-fs.mkdir(sessionsDir, { recursive: true }).catch(console.error);
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('strokes-set-layer', { strokeIds: strokes.map(stroke => stroke.id), layerId: data.layerId, userId });
+      return 'applied';
+    });
+  });
 
-// Serve static files from client directory
-console.log('Project root:', projectRoot);
-console.log('Serving client files from:', clientPath);
-app.use(express.static(clientPath));
+  // Add a layer on top (layer ID chosen by the client, like stroke IDs)
+  socket.on('layer-add', (data: { layerId: string; name: string } & OperationMeta, ack?: OperationAck) => {
+    runOperation('layer-add', 'Failed to add layer', data, ack, (drawingState, roomId) => {
+      if (!data || !validateItemId(data.layerId) || !validateLayerName(data.name)) {
+        console.warn(`Invalid layer-add data from user ${userId}`);
+        emitError('layer-add', 'invalid-request', 'Invalid layer', { layerId: data && data.layerId });
+        return 'rejected';
+      }
 
-// Serve index.html at root
-app.get('/', (req, res) => {
-  const indexPath = path.join(clientPath, 'index.html');
-  console.log('Serving index.html from:', indexPath);
-  res.sendFile(indexPath);
-});
+      if (drawingState.getLayer(data.layerId)) {
+        emitError('layer-add', 'invalid-request', 'Layer ID already in use', { layerId: data.layerId });
+        return 'rejected';
+      }
 
-// API endpoint to save session
-app.post('/api/save-session', express.json(), async (req, res) => {
-  try {
-    const { roomId, sessionName } = req.body;
-    if (!roomId || !sessionName) {
-      return res.status(400).json({ error: 'Room ID and session name are required' });
-    }
+      if (drawingState.getLayers().length >= MAX_LAYERS_PER_ROOM) {
+        emitError('layer-add', 'limit-exceeded', 'This board has too many layers', { layerId: data.layerId, limit: MAX_LAYERS_PER_ROOM });
+        return 'rejected';
+      }
 
-    const drawingState = drawingStates.get(roomId);
-    if (!drawingState) {
-      return res.status(404).json({ error: 'Room not found' });
-    }
+      const layer = { id: data.layerId, name: data.name.trim(), visible: true, locked: false };
+      drawingState.addLayer(layer);
 
-    const sessionData = {
-      roomId,
-      sessionName,
-      timestamp: Date.now(),
-      state: drawingState.serialize()
-    };
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('layer-add', { layer, userId });
+      return 'applied';
+    });
+  });
 
-    const filename = `${sessionName.replace(/[^a-z0-9]/gi, '_')}_${Date.now()}.json`;
-    const filepath = path.join(sessionsDir, filename);
-    
-    await fs.writeFile(filepath, JSON.stringify(sessionData, null, 2));
-    
-    res.json({ success: true, filename, message: 'Session saved successfully' });
-  } catch (error) {
-    console.error('Error saving session:', error);
-    res.status(500).json({ error: 'Failed to save session' });
-  }
-});
+  // Rename, hide/show or lock/unlock a layer; only the fields sent change
+  socket.on('layer-update', (data: { layerId: string; name?: string; visible?: boolean; locked?: boolean } & OperationMeta, ack?: OperationAck) => {
+    runOperation('layer-update', 'Failed to update layer', data, ack, (drawingState, roomId) => {
+      if (!data || typeof data.layerId !== 'string' ||
+          (data.name !== undefined && !validateLayerName(data.name)) ||
+          (data.visible !== undefined && typeof data.visible !== 'boolean') ||
+          (data.locked !== undefined && typeof data.locked !== 'boolean')) {
+        console.warn(`Invalid layer-update data from user ${userId}`);
+        emitError('layer-update', 'invalid-request', 'Invalid layer');
+        return 'rejected';
+      }
 
-// API endpoint to list saved sessions
-app.get('/api/sessions', async (req, res) => {
-  try {
-    const files = await fs.readdir(sessionsDir);
-    const sessions = await Promise.all(
-      files
-        .filter(f => f.endsWith('.json'))
-        .map(async (filename) => {
-          try {
-            const filepath = path.join(sessionsDir, filename);
-            const content = await fs.readFile(filepath, 'utf-8');
-            const data = JSON.parse(content);
-            return {
-              filename,
-              sessionName: data.sessionName,
-              timestamp: data.timestamp,
-              roomId: data.roomId
-            };
-          } catch (error) {
-            console.error(`Error reading session file ${filename}:`, error);
-            return null;
-          }
-        })
-    );
-    
-    res.json({ sessions: sessions.filter(Boolean) });
-  } catch (error) {
-    console.error('Error listing sessions:', error);
-    res.status(500).json({ error: 'Failed to list sessions' });
-  }
-});
+      const changes: LayerChanges = {};
+      if (data.name !== undefined) changes.name = data.name.trim();
+      if (data.visible !== undefined) changes.visible = data.visible;
+      if (data.locked !== undefined) changes.locked = data.locked;
 
-// API endpoint to load session
-app.post('/api/load-session', express.json(), async (req, res) => {
-  try {
-    const { filename, roomId } = req.body;
-    if (!filename || !roomId) {
-      return res.status(400).json({ error: 'Filename and room ID are required' });
-    }
+      const layer = drawingState.updateLayer(data.layerId, changes);
+      if (!layer) {
+        emitError('layer-update', 'not-found', 'Layer not found', { layerId: data.layerId });
+        return 'rejected';
+      }
 
-    const filepath = path.join(sessionsDir, filename);
-    const content = await fs.readFile(filepath, 'utf-8');
-    const sessionData = JSON.parse(content);
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('layer-update', { layer, userId });
+      return 'applied';
+    });
+  });
 
-    // Initialize or get drawing state for the room
-    if (!drawingStates.has(roomId)) {
-      drawingStates.set(roomId, new DrawingState());
-    }
+  // Move a layer up or down the stack (index 0 is the bottom)
+  socket.on('layer-move', (data: { layerId: string; index: number } & OperationMeta, ack?: OperationAck) => {
+    runOperation('layer-move', 'Failed to move layer', data, ack, (drawingState, roomId) => {
+      if (!data || typeof data.layerId !== 'string' || !Number.isInteger(data.index) || data.index < 0) {
+        console.warn(`Invalid layer-move data from user ${userId}`);
+        return 'rejected';
+      }
 
-    const drawingState = drawingStates.get(roomId)!;
-    drawingState.deserialize(sessionData.state);
+      const index = drawingState.moveLayer(data.layerId, data.index);
+      if (index < 0) {
+        emitError('layer-move', 'not-found', 'Layer not found', { layerId: data.layerId });
+        return 'rejected';
+      }
 
-    // Broadcast the loaded state to all users in the room
-    io.to(roomId).emit('canvas-state', {
-      history: drawingState.getHistory(),
-      currentState: drawingState.getCurrentState()
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('layer-move', { layerId: data.layerId, index, userId });
+      return 'applied';
     });
+  });
 
-    res.json({ success: true, message: 'Session loaded successfully' });
-  } catch (error) {
-    console.error('Error loading session:', error);
-    res.status(500).json({ error: 'Failed to load session' });
-  }
-});
+  // Delete an empty layer (not the last one)
+  socket.on('layer-delete', (data: { layerId: string } & OperationMeta, ack?: OperationAck) => {
+    runOperation('layer-delete', 'Failed to delete layer', data, ack, (drawingState, roomId) => {
+      if (!data || typeof data.layerId !== 'string') {
+        console.warn(`Invalid layer-delete data from user ${userId}`);
+        return 'rejected';
+      }
 
-// WebSocket connection handling
-io.on('connection', (socket) => {
-  console.log(`User connected: ${socket.id}`);
+      // Deleted already (the ack was lost, or someone else deleted it)
+      const layer = drawingState.getLayer(data.layerId);
+      if (!layer) return 'applied';
 
-  let currentRoom: string | null = null;
-  let userId: string = socket.id;
+      const layers = drawingState.getLayers();
+      if (layers.length <= 1) {
+        emitError('layer-delete', 'invalid-request', 'A board needs at least one layer', { layerId: data.layerId });
+        return 'rejected';
+      }
 
-  // Join a room (default room for now)
-  socket.on('join-room', (roomId: string = 'default') => {
-    if (currentRoom) {
-      socket.leave(currentRoom);
-      roomManager.removeUser(currentRoom, userId);
-    }
+      // Someone may have drawn on it since the client checked; the layer is sent back so it can be shown again
+      if (drawingState.getLayerStrokeCount(data.layerId) > 0) {
+        const index = layers.findIndex(other => other.id === data.layerId);
+        emitError('layer-delete', 'invalid-request', `"${layer.name}" has strokes on it, so it was not deleted`, { layerId: data.layerId, layer: { ...layer }, index });
+        return 'rejected';
+      }
 
-    currentRoom = roomId;
-    socket.join(roomId);
-    roomManager.addUser(roomId, userId, socket.id);
+      drawingState.deleteLayer(data.layerId);
 
-    // Initialize drawing state for room if it doesn't exist
-    if (!drawingStates.has(roomId)) {
-      drawingStates.set(roomId, new DrawingState());
-    }
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('layer-delete', { layerId: data.layerId, userId });
+      return 'applied';
+    });
+  });
 
-    const drawingState = drawingStates.get(roomId)!;
-    const users = roomManager.getUsers(roomId);
+  // Display name stored with this user's chat messages, comments and replies
+  const getAuthorName = (roomId: string): string => {
+    const user = roomManager.getUser(roomId, userId);
+    return user ? user.name : 'Anonymous';
+  };
 
-    // Send current canvas state to new user
-    socket.emit('canvas-state', {
-      history: drawingState.getHistory(),
-      currentState: drawingState.getCurrentState()
+  // Chat message to the room from an owner or editor; the message comes back
+  // to the sender with its ID and time. Chat is stored with the board, so it
+  // goes through the same role and storage checks as board changes.
+  socket.on('chat-message', (data: { text: string }, ack?: OperationAck) => {
+    runOperation('chat-message', 'Failed to send message', undefined, ack, (drawingState, roomId) => {
+      if (!data || !validateMessageText(data.text, MAX_CHAT_MESSAGE_LENGTH)) {
+        emitError('chat-message', 'invalid-request', `Messages must be 1-${MAX_CHAT_MESSAGE_LENGTH} characters`);
+        return 'rejected';
+      }
+
+      const message = { id: uuidv4(), userId, name: getAuthorName(roomId), text: data.text.trim(), timestamp: Date.now() };
+      drawingState.addChatMessage(message);
+
+      // Broadcast to all users in room, including the sender
+      io.to(roomId).emit('chat-message', message);
+      return 'applied';
     });
+  });
 
-    // Send user list
-    io.to(roomId).emit('users-updated', users);
+  // Pin a comment to a board position or a stroke (acknowledged; see runOperation)
+  socket.on('comment-add', (data: { commentId: string; anchor: CommentAnchor; text: string } & OperationMeta, ack?: OperationAck) => {
+    runOperation('comment-add', 'Failed to add comment', data, ack, (drawingState, roomId) => {
+      if (!data || !validateItemId(data.commentId) || !validateCommentAnchor(data.anchor) ||
+          !validateMessageText(data.text, MAX_COMMENT_LENGTH)) {
+        console.warn(`Invalid comment-add data from user ${userId}`);
+        emitError('comment-add', 'invalid-request', 'Invalid comment');
+        return 'rejected';
+      }
 
-    console.log(`User ${userId} joined room ${roomId}`);
+      const existing = drawingState.getComment(data.commentId);
+      if (existing) {
+        if (existing.userId === userId) return 'duplicate';
+        emitError('comment-add', 'invalid-request', 'Comment ID already in use', { commentId: data.commentId });
+        return 'rejected';
+      }
+
+      if (drawingState.getComments().length >= MAX_COMMENTS_PER_ROOM) {
+        emitError('comment-add', 'limit-exceeded', 'This board has too many comments. Delete some first.', { commentId: data.commentId, limit: MAX_COMMENTS_PER_ROOM });
+        return 'rejected';
+      }
+
+      const { x, y, strokeId } = data.anchor;
+      const comment = {
+        id: data.commentId,
+        userId,
+        name: getAuthorName(roomId),
+        anchor: strokeId !== undefined ? { x, y, strokeId } : { x, y },
+        text: data.text.trim(),
+        timestamp: Date.now(),
+        resolved: false,
+        replies: []
+      };
+      drawingState.addComment(comment);
+
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('comment-add', { comment, userId });
+      return 'applied';
+    });
   });
 
-  /**
-   * Validate drawing data to prevent invalid operations and attacks
-   */
-  const validateDrawingData = (data: any): boolean => {
-    if (!data) return false;
-    
-    // Validate coordinates
-    if (typeof data.x !== 'number' || typeof data.y !== 'number') return false;
-    if (isNaN(data.x) || isNaN(data.y)) return false;
-    if (data.x < 0 || data.y < 0 || data.x > 10000 || data.y > 10000) return false;
-    
-    return true;
-  };
+  // Reply in a comment's thread
+  socket.on('comment-reply', (data: { commentId: string; replyId: string; text: string } & OperationMeta, ack?: OperationAck) => {
+    runOperation('comment-reply', 'Failed to add reply', data, ack, (drawingState, roomId) => {
+      if (!data || typeof data.commentId !== 'string' || !validateItemId(data.replyId) ||
+          !validateMessageText(data.text, MAX_COMMENT_LENGTH)) {
+        console.warn(`Invalid comment-reply data from user ${userId}`);
+        emitError('comment-reply', 'invalid-request', 'Invalid reply');
+        return 'rejected';
+      }
 
-  /**
-   * Validate stroke properties
-   */
-  const validateStrokeProperties = (data: any): boolean => {
-    if (!data) return false;
-    
-    // Validate color (hex color or rgb)
-    if (typeof data.color !== 'string') return false;
-    if (!/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(data.color) && 
-        !data.color.startsWith('rgb')) return false;
-    
-    // Validate line width
-    if (typeof data.lineWidth !== 'number') return false;
-    if (data.lineWidth < 1 || data.lineWidth > 100) return false;
-    
-    // Validate tool
-    if (typeof data.tool !== 'string') return false;
-    if (data.tool !== 'brush' && data.tool !== 'eraser') return false;
-    
-    return true;
-  };
+      const comment = drawingState.getComment(data.commentId);
+      if (!comment) {
+        emitError('comment-reply', 'not-found', 'Comment not found', { commentId: data.commentId });
+        return 'rejected';
+      }
 
-  // Handle drawing events with validation and error handling
-  socket.on('draw-start', (data: { x: number; y: number; color: string; lineWidth: number; tool: string; strokeId?: string }) => {
+      const existing = comment.replies.find(reply => reply.id === data.replyId);
+      if (existing) return existing.userId === userId ? 'duplicate' : 'rejected';
+      if (drawingState.hasCommentReply(data.replyId)) return 'rejected';
+
+      if (comment.replies.length >= MAX_REPLIES_PER_COMMENT) {
+        emitError('comment-reply', 'limit-exceeded', 'This thread is full', { commentId: data.commentId, limit: MAX_REPLIES_PER_COMMENT });
+        return 'rejected';
+      }
+
+      const reply = { id: data.replyId, userId, name: getAuthorName(roomId), text: data.text.trim(), timestamp: Date.now() };
+      drawingState.replyToComment(data.commentId, reply);
+
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('comment-reply', { commentId: data.commentId, reply, userId });
+      return 'applied';
+    });
+  });
+
+  // Resolve a comment, or open it again
+  socket.on('comment-resolve', (data: { commentId: string; resolved: boolean } & OperationMeta, ack?: OperationAck) => {
+    runOperation('comment-resolve', 'Failed to resolve comment', data, ack, (drawingState, roomId) => {
+      if (!data || typeof data.commentId !== 'string' || typeof data.resolved !== 'boolean') {
+        console.warn(`Invalid comment-resolve data from user ${userId}`);
+        return 'rejected';
+      }
+
+      // Someone may have deleted it meanwhile; nothing left to resolve
+      const comment = drawingState.setCommentResolved(data.commentId, userId, data.resolved);
+      if (!comment) return 'applied';
+
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('comment-resolve', { commentId: comment.id, resolved: comment.resolved, userId });
+      return 'applied';
+    });
+  });
+
+  // Delete a comment with its thread (its author or the room owner)
+  socket.on('comment-delete', (data: { commentId: string } & OperationMeta, ack?: OperationAck) => {
+    runOperation('comment-delete', 'Failed to delete comment', data, ack, (drawingState, roomId) => {
+      if (!data || typeof data.commentId !== 'string') {
+        console.warn(`Invalid comment-delete data from user ${userId}`);
+        return 'rejected';
+      }
+
+      const comment = drawingState.getComment(data.commentId);
+      if (!comment) return 'applied';
+
+      if (comment.userId !== userId && socket.data.role !== 'owner') {
+        emitError('comment-delete', 'forbidden', 'Only the author or the room owner can delete a comment', { commentId: data.commentId });
+        return 'rejected';
+      }
+
+      drawingState.deleteComment(data.commentId);
+
+      // Broadcast to other users (not to sender)
+      socket.to(roomId).emit('comment-delete', { commentId: data.commentId, userId });
+      return 'applied';
+    });
+  });
+
+  // Change display name and/or avatar color
+  socket.on('update-profile', (data: UserProfile) => {
     try {
       if (!currentRoom) {
-        console.warn(`User ${userId} attempted draw-start without room`);
+        console.warn(`User ${userId} attempted update-profile without room`);
         return;
       }
 
-      // Validate input data
-      if (!validateDrawingData(data) || !validateStrokeProperties(data)) {
-        console.warn(`Invalid draw-start data from user ${userId}`);
-        socket.emit('error', { message: 'Invalid drawing data' });
+      const profile = validateProfile(data);
+      if (!profile.name && !profile.color) {
+        emitError('update-profile', 'invalid-request', 'Invalid profile');
         return;
       }
 
-      const drawingState = drawingStates.get(currentRoom);
-      if (!drawingState) {
-        console.error(`Drawing state not found for room ${currentRoom}`);
+      roomManager.updateProfile(currentRoom, userId, profile);
+      io.to(currentRoom).emit('users-updated', roomManager.getUsers(currentRoom));
+    } catch (error) {
+      console.error(`Error handling update-profile from user ${userId}:`, error);
+      emitError('update-profile', 'server-error', 'Failed to update profile');
+    }
+  });
+
+  // Owner: set or remove (null) the room password and/or make the room invite-only
+  socket.on('set-room-access', async (data: { password?: string | null; inviteOnly?: boolean }) => {
+    try {
+      if (!currentRoom) {
+        console.warn(`User ${userId} attempted set-room-access without room`);
         return;
       }
 
-      // Use provided strokeId or generate one
-      const strokeId = data.strokeId || uuidv4();
-      
-      // Start the stroke with the ID
-      drawingState.startStroke(userId, { ...data, strokeId });
+      if (!isOwner('set-room-access')) return;
 
-      // Broadcast to other users in room (not to sender)
-      socket.to(currentRoom).emit('draw-start', {
-        x: data.x,
-        y: data.y,
-        color: data.color,
-        lineWidth: data.lineWidth,
-        tool: data.tool,
-        userId,
-        strokeId
+      if (!data || (data.password !== undefined && data.password !== null && !isValidRoomPassword(data.password)) ||
+          (data.inviteOnly !== undefined && typeof data.inviteOnly !== 'boolean')) {
+        emitError('set-room-access', 'invalid-request', 'Invalid access settings');
+        return;
+      }
+
+      const roomId = currentRoom;
+      if (data.password !== undefined) await accessControl.setPassword(roomId, data.password);
+      if (data.inviteOnly !== undefined) await accessControl.setInviteOnly(roomId, data.inviteOnly);
+
+      // Broadcast the new access summary to all users in room
+      io.to(roomId).emit('room-access', {
+        ...accessControl.getAccessInfo(await accessControl.getPolicy(roomId)),
+        userId
       });
     } catch (error) {
-      console.error(`Error handling draw-start from user ${userId}:`, error);
-      socket.emit('error', { message: 'Failed to process drawing start' });
+      console.error(`Error handling set-room-access from user ${userId}:`, error);
+      emitError('set-room-access', 'server-error', 'Failed to change access settings');
     }
   });
 
-  socket.on('draw-move', (data: { x: number; y: number; strokeId: string }) => {
+  // Owner: create a signed invite link granting a role until it expires
+  socket.on('create-invite', (data: { role: Role; expiresIn: number }) => {
     try {
       if (!currentRoom) {
-        console.warn(`User ${userId} attempted draw-move without room`);
+        console.warn(`User ${userId} attempted create-invite without room`);
         return;
       }
 
-      // Validate input data
-      if (!validateDrawingData(data) || !data.strokeId || typeof data.strokeId !== 'string') {
-        console.warn(`Invalid draw-move data from user ${userId}`);
-        return;
-      }
+      if (!isOwner('create-invite')) return;
 
-      const drawingState = drawingStates.get(currentRoom);
-      if (!drawingState) {
-        console.error(`Drawing state not found for room ${currentRoom}`);
+      if (!data || !INVITE_ROLES.includes(data.role) ||
+          !Number.isFinite(data.expiresIn) || data.expiresIn <= 0 || data.expiresIn > MAX_INVITE_LIFETIME) {
+        emitError('create-invite', 'invalid-request', 'Invalid invite settings');
         return;
       }
 
-      drawingState.addPoint(data.strokeId, data.x, data.y);
+      const { token, expiresAt } = accessControl.createInvite(currentRoom, data.role, data.expiresIn);
 
-      // Broadcast to other users (not to sender)
-      socket.to(currentRoom).emit('draw-move', {
-        ...data,
-        userId
+      // Only the owner gets the link; it is shared out of band
+      socket.emit('invite-created', {
+        roomId: currentRoom,
+        role: data.role,
+        expiresAt,
+        url: `/r/${currentRoom}?invite=${encodeURIComponent(token)}`
       });
     } catch (error) {
-      console.error(`Error handling draw-move from user ${userId}:`, error);
+      console.error(`Error handling create-invite from user ${userId}:`, error);
+      emitError('create-invite', 'server-error', 'Failed to create invite');
     }
   });
 
-  socket.on('draw-end', (data: { strokeId: string }) => {
+  // Owner: change another user's role (editor or viewer); applies to their open connections at once
+  socket.on('set-user-role', async (data: { userId: string; role: Role }) => {
     try {
       if (!currentRoom) {
-        console.warn(`User ${userId} attempted draw-end without room`);
+        console.warn(`User ${userId} attempted set-user-role without room`);
         return;
       }
 
-      // Validate input data
-      if (!data || !data.strokeId || typeof data.strokeId !== 'string') {
-        console.warn(`Invalid draw-end data from user ${userId}`);
-        return;
-      }
+      if (!isOwner('set-user-role')) return;
 
-      const drawingState = drawingStates.get(currentRoom);
-      if (!drawingState) {
-        console.error(`Drawing state not found for room ${currentRoom}`);
+      if (!data || typeof data.userId !== 'string' || data.userId === userId || !GRANTABLE_ROLES.includes(data.role)) {
+        emitError('set-user-role', 'invalid-request', 'Invalid role change');
         return;
       }
 
-      drawingState.endStroke(data.strokeId);
+      const roomId = currentRoom;
+      await accessControl.setMemberRole(roomId, data.userId, data.role);
 
-      // Broadcast to other users (not to sender)
-      socket.to(currentRoom).emit('draw-end', {
-        ...data,
-        userId
+      // Spectator screens of the user stay read-only
+      roomManager.getSocketIds(roomId, data.userId).forEach(socketId => {
+        const memberSocket = relay.getSession(socketId);
+        if (!memberSocket || memberSocket.data.spectating) return;
+        memberSocket.data.role = data.role;
+        roomManager.setConnectionRole(roomId, data.userId, socketId, data.role);
+        memberSocket.emit('role-changed', {
+          roomId,
+          role: data.role,
+          accessToken: accessControl.createAccessToken(roomId, data.userId, data.role)
+        });
       });
+
+      io.to(roomId).emit('users-updated', roomManager.getUsers(roomId));
     } catch (error) {
-      console.error(`Error handling draw-end from user ${userId}:`, error);
+      console.error(`Error handling set-user-role from user ${userId}:`, error);
+      emitError('set-user-role', 'server-error', 'Failed to change role');
     }
   });
 
-  // Handle cursor position updates
+  // Handle cursor position updates (spectator screens such as projectors have none worth showing)
   socket.on('cursor-move', (data: { x: number; y: number }) => {
-    if (!currentRoom) return;
+    if (!currentRoom || socket.data.spectating || !validateDrawingData(data)) return;
     socket.to(currentRoom).emit('cursor-move', {
       ...data,
       userId
@@ -329,74 +2046,76 @@ io.on('connection', (socket) => {
     socket.emit('pong', timestamp);
   });
 
-  // Handle undo/redo with error handling
-  socket.on('undo', () => {
-    try {
-      if (!currentRoom) {
-        console.warn(`User ${userId} attempted undo without room`);
-        return;
-      }
-
-      const drawingState = drawingStates.get(currentRoom);
-      if (!drawingState) {
-        console.error(`Drawing state not found for room ${currentRoom}`);
-        return;
+  // Undo/redo, acknowledged like other board changes so they apply in order
+  // with the sender's pending changes
+  socket.on('undo', (data?: OperationMeta, ack?: OperationAck) => {
+    runOperation('undo', 'Failed to undo', data, ack, (drawingState, roomId) => {
+      const { undoMode } = drawingState.getSettings();
+      if (drawingState.isUndoLocked(userId)) {
+        socket.emit('undo-failed', { message: 'The change to undo is on a locked layer', undoMode });
+        return 'rejected';
       }
 
-      const undoneStroke = drawingState.undo();
+      const undone = drawingState.undo(userId);
 
-      if (undoneStroke) {
-        // Broadcast undo to all users in room
-        io.to(currentRoom).emit('undo', {
-          strokeId: undoneStroke.id,
-          userId
+      if (!undone) {
+        // Nothing to undo - notify sender only
+        socket.emit('undo-failed', {
+          message: undoMode === 'global' ? 'Nothing to undo' : 'You have nothing to undo',
+          undoMode
         });
-      } else {
-        // No stroke to undo - notify sender only
-        socket.emit('undo-failed', { message: 'Nothing to undo' });
+        return 'rejected';
       }
-    } catch (error) {
-      console.error(`Error handling undo from user ${userId}:`, error);
-      socket.emit('error', { message: 'Failed to undo' });
-    }
-  });
 
-  socket.on('redo', () => {
-    try {
-      if (!currentRoom) {
-        console.warn(`User ${userId} attempted redo without room`);
-        return;
-      }
+      // Broadcast undo to all users in room
+      io.to(roomId).emit('undo', {
+        ...undone,
+        userId
+      });
+      return 'applied';
+    });
+  });
 
-      const drawingState = drawingStates.get(currentRoom);
-      if (!drawingState) {
-        console.error(`Drawing state not found for room ${currentRoom}`);
-        return;
+  socket.on('redo', (data?: OperationMeta, ack?: OperationAck) => {
+    runOperation('redo', 'Failed to redo', data, ack, (drawingState, roomId) => {
+      const { undoMode } = drawingState.getSettings();
+      if (drawingState.isRedoLocked(userId)) {
+        socket.emit('redo-failed', { message: 'The change to redo is on a locked layer', undoMode });
+        return 'rejected';
       }
 
-      const redoneStroke = drawingState.redo();
+      const redone = drawingState.redo(userId);
 
-      if (redoneStroke) {
-        // Broadcast redo to all users in room with full stroke data
-        io.to(currentRoom).emit('redo', {
-          stroke: redoneStroke,
-          userId
+      if (!redone) {
+        // Nothing to redo - notify sender only
+        socket.emit('redo-failed', {
+          message: undoMode === 'global' ? 'Nothing to redo' : 'You have nothing to redo',
+          undoMode
         });
-      } else {
-        // No stroke to redo - notify sender only
-        socket.emit('redo-failed', { message: 'Nothing to redo' });
+        return 'rejected';
       }
-    } catch (error) {
-      console.error(`Error handling redo from user ${userId}:`, error);
-      socket.emit('error', { message: 'Failed to redo' });
-    }
+
+      // Broadcast redo to all users in room with the affected strokes
+      io.to(roomId).emit('redo', {
+        ...redone,
+        userId
+      });
+      return 'applied';
+    });
   });
 
-  // Handle clear canvas with error handling
-  socket.on('clear', () => {
+  // Switch the room between per-user and global undo (facilitator setting)
+  socket.on('set-undo-mode', (data: { undoMode: UndoMode }) => {
     try {
       if (!currentRoom) {
-        console.warn(`User ${userId} attempted clear without room`);
+        console.warn(`User ${userId} attempted set-undo-mode without room`);
+        return;
+      }
+
+      if (!isOwner('set-undo-mode', 'Only the room owner can change the undo scope')) return;
+
+      if (!data || (data.undoMode !== 'per-user' && data.undoMode !== 'global')) {
+        emitError('set-undo-mode', 'invalid-request', 'Invalid undo mode');
         return;
       }
 
@@ -406,28 +2125,113 @@ io.on('connection', (socket) => {
         return;
       }
 
-      drawingState.clear();
+      drawingState.setUndoMode(data.undoMode);
 
-      // Broadcast clear to all users in room
-      io.to(currentRoom).emit('clear', { userId });
+      // Broadcast new settings to all users in room
+      io.to(currentRoom).emit('room-settings', {
+        ...drawingState.getSettings(),
+        userId
+      });
     } catch (error) {
-      console.error(`Error handling clear from user ${userId}:`, error);
-      socket.emit('error', { message: 'Failed to clear canvas' });
+      console.error(`Error handling set-undo-mode from user ${userId}:`, error);
+      emitError('set-undo-mode', 'server-error', 'Failed to change undo mode');
     }
   });
 
-  // Handle disconnection
-  socket.on('disconnect', () => {
+  // Clear the canvas but locked layers; starts a new board generation,
+  // which voids changes still pending for the old one
+  socket.on('clear', (data?: OperationMeta, ack?: OperationAck) => {
+    runOperation('clear', 'Failed to clear canvas', data, ack, (drawingState, roomId) => {
+      const keptStrokeIds = drawingState.clear();
+
+      // Broadcast clear to all users in room, with the new board generation
+      io.to(roomId).emit('clear', { userId, generation: drawingState.getGeneration(), keptStrokeIds });
+      return 'applied';
+    });
+  });
+
+  // Handle disconnection (or the room moving to another node, where the user rejoins)
+  socket.on('disconnect', (reason: string) => {
     if (currentRoom) {
-      roomManager.removeUser(currentRoom, userId);
+      closeOpenStrokes();
+      roomManager.removeUser(currentRoom, userId, socket.id);
+      if (reason === ROOM_HANDOVER) return;
       io.to(currentRoom).emit('users-updated', roomManager.getUsers(currentRoom));
       console.log(`User ${userId} disconnected from room ${currentRoom}`);
+      evictIdleRoom(currentRoom);
     }
   });
+};
+
+// WebSocket connection handling
+const relay = new SessionRelay(io, clusterNode, attachSession);
+io.on('connection', (socket) => {
+  console.log(`User connected: ${socket.id}`);
+  relay.connect(socket);
+});
+
+const forgetRoom = (roomId: string): void => {
+  drawingStates.delete(roomId);
+  strokeHandleCounters.delete(roomId);
+  appliedSequences.delete(roomId);
+};
+
+// Another node may own a room whose lease this node could not renew; its
+// users rejoin there
+clusterNode.onRoomLost(roomId => {
+  forgetRoom(roomId);
+  persistence.discard(roomId);
+  relay.endRoomSessions(roomId).catch(error => console.error(`Error ending sessions of room ${roomId}:`, error));
 });
 
-const PORT = process.env.PORT || 3000;
-httpServer.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+/**
+ * Leave the cluster: clients connected here reconnect to another node, and
+ * every room is written out and released before its users are sent to
+ * rejoin it elsewhere
+ */
+const shutdown = async (): Promise<void> => {
+  console.log('Shutting down, handing rooms over');
+  setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT).unref();
+  relay.stop();
+  persistence.stopCompaction();
+  io.close();
+
+  await Promise.all(clusterNode.getOwnedRooms().map(roomId =>
+    relay.endRoomSessions(roomId, async () => {
+      forgetRoom(roomId);
+      await persistence.flush(roomId);
+      await clusterNode.releaseRoom(roomId);
+    })
+  ));
+  await clusterNode.stop();
+  await clusterBackend.close();
+  process.exit(0);
+};
+
+const shutdownOnSignal = (): void => {
+  shutdown().catch(error => {
+    console.error('Error shutting down:', error);
+    process.exit(1);
+  });
+};
+process.once('SIGTERM', shutdownOnSignal);
+process.once('SIGINT', shutdownOnSignal);
+
+const start = async (): Promise<void> => {
+  if (redisBackend) {
+    await redisBackend.connect();
+    console.log(`Connected to Redis at ${new URL(redisUrl!).host}`);
+  }
+  await clusterNode.start();
+
+  const PORT = process.env.PORT || 3000;
+  httpServer.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT} (node ${clusterNode.nodeId})`);
+  });
+};
+
+start().catch(error => {
+  console.error('Failed to start server:', error);
+  process.exit(1);
 });
 
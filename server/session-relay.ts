@@ -0,0 +1,355 @@
+import { Server, Socket } from 'socket.io';
+import { v4 as uuidv4 } from 'uuid';
+import { ClusterNode } from './cluster';
+import { isValidRoomId } from './rooms';
+
+// How often edges check that their sessions' hosts still own the rooms, and
+// hosts that the edges of their sessions are still alive (ms)
+const SESSION_CHECK_INTERVAL = 5000;
+
+// Reason passed to 'disconnect' listeners when a session ends because its
+// room moves to another node; the user is not gone, just rejoining elsewhere
+export const ROOM_HANDOVER = 'room handover';
+
+type Middleware = (packet: [string, ...unknown[]], next: () => void) => void;
+
+// Listeners declare the payload types they expect, as with socket.io's Socket.on
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+type Listener = (...args: any[]) => unknown;
+
+/**
+ * Server side of one client connection, on the node that owns the client's
+ * room. Looks like a socket.io Socket to the event handlers, but emits
+ * through the adapter, so the client may be connected to another node.
+ */
+export class SessionSocket {
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any -- same as Socket.data
+  readonly data: Record<string, any> = {};
+  connected = true;
+  private listeners: Map<string, Listener> = new Map();
+  private middlewares: Middleware[] = [];
+  private rooms: Set<string> = new Set();
+
+  constructor(
+    private io: Server,
+    readonly id: string, // ID of the client's socket.io socket
+    readonly edgeNodeId: string, // Node the client is connected to
+    readonly attachId: string // This attachment of the socket; later ones get new IDs
+  ) {}
+
+  emit(event: string, ...args: unknown[]): void {
+    this.io.to(this.id).emit(event, ...args);
+  }
+
+  // Broadcast to a room, except this client
+  to(room: string) {
+    return this.io.to(room).except(this.id);
+  }
+
+  get volatile() {
+    return { to: (room: string) => this.io.volatile.to(room).except(this.id) };
+  }
+
+  join(room: string): void {
+    this.rooms.add(room);
+    this.io.in(this.id).socketsJoin(room);
+  }
+
+  leave(room: string): void {
+    this.rooms.delete(room);
+    this.io.in(this.id).socketsLeave(room);
+  }
+
+  isIn(room: string): boolean {
+    return this.rooms.has(room);
+  }
+
+  on(event: string, listener: Listener): this {
+    this.listeners.set(event, listener);
+    return this;
+  }
+
+  // Run before every event listener, like Socket.use
+  use(middleware: Middleware): this {
+    this.middlewares.push(middleware);
+    return this;
+  }
+
+  /**
+   * Hand an event from the client to the middlewares and then its listener
+   */
+  dispatch(event: string, args: unknown[], ack?: (...results: unknown[]) => void): void {
+    if (!this.connected || event === 'disconnect') return;
+
+    const packet: [string, ...unknown[]] = ack ? [event, ...args, ack] : [event, ...args];
+    const run = (index: number): void => {
+      if (index < this.middlewares.length) {
+        this.middlewares[index](packet, () => run(index + 1));
+        return;
+      }
+      const listener = this.listeners.get(event);
+      if (listener) listener(...packet.slice(1));
+    };
+    run(0);
+  }
+
+  /**
+   * End the session. The client leaves the rooms it joined through it.
+   */
+  close(reason: string): void {
+    if (!this.connected) return;
+    this.connected = false;
+    this.rooms.forEach(room => this.io.in(this.id).socketsLeave(room));
+    this.rooms.clear();
+
+    const listener = this.listeners.get('disconnect');
+    if (listener) listener(reason);
+  }
+}
+
+// A client connected to this node, and where its session runs
+interface SessionRoute {
+  socket: Socket;
+  hostNodeId: string;
+  attachId: string;
+  joinArgs: unknown[] | null; // Last join-room, replayed when the session moves
+  queue: Promise<void>; // Events are forwarded in order, after any join in progress
+}
+
+// Room ID of a join-room request, with the join-room handler's default
+const getJoinRoomId = (request: unknown): unknown => {
+  if (request === undefined) return 'default';
+  if (typeof request === 'string') return request;
+  return request && typeof request === 'object' ? (request as { roomId?: unknown }).roomId : undefined;
+};
+
+/**
+ * Runs every client's events on the node that owns its room.
+ *
+ * Each node is the edge for the clients connected to it. The edge forwards
+ * a client's events to its session on the host node: its own node until the
+ * client joins a room, the room owner after that. Hosts run the usual event
+ * handlers against a SessionSocket; what they emit reaches the client
+ * through the Socket.IO adapter.
+ *
+ * When a room moves (its owner shut down, crashed or lost its lease), the
+ * edge rejoins the client's room through the new owner, which sends a fresh
+ * room-joined and canvas-state.
+ */
+export class SessionRelay {
+  private routes: Map<string, SessionRoute> = new Map(); // Socket ID -> route (edge)
+  private sessions: Map<string, SessionSocket> = new Map(); // Socket ID -> session (host)
+  private checkTimer: NodeJS.Timeout;
+
+  constructor(
+    private io: Server,
+    private node: ClusterNode,
+    private attachSession: (session: SessionSocket) => void
+  ) {
+    node.handle('session-attach', ({ socketId, attachId }: { socketId: string; attachId: string }, from) => {
+      const existing = this.sessions.get(socketId);
+      if (existing) existing.close('reattached');
+
+      const session = new SessionSocket(io, socketId, from, attachId);
+      this.sessions.set(socketId, session);
+      this.attachSession(session);
+    });
+
+    node.handle('session-event', ({ socketId, attachId, event, args, withAck }: { socketId: string; attachId: string; event: string; args: unknown[]; withAck: boolean }, from) => {
+      const session = this.sessions.get(socketId);
+      if (!session || session.attachId !== attachId) {
+        this.node.send(from, 'session-ended', { socketId, attachId });
+        return undefined;
+      }
+
+      if (!withAck) {
+        session.dispatch(event, args);
+        return undefined;
+      }
+      return new Promise(resolve => session.dispatch(event, args, (...results) => resolve(results)));
+    });
+
+    node.handle('session-detach', ({ socketId, attachId }: { socketId: string; attachId: string }) => {
+      const session = this.sessions.get(socketId);
+      if (!session || session.attachId !== attachId) return;
+      this.sessions.delete(socketId);
+      session.close('client disconnected');
+    });
+
+    node.handle('session-ended', ({ socketId, attachId }: { socketId: string; attachId: string }) => {
+      const route = this.routes.get(socketId);
+      if (!route || route.attachId !== attachId) return;
+      this.enqueue(route, () => this.rejoin(route));
+    });
+
+    this.checkTimer = setInterval(() => this.checkSessions(), SESSION_CHECK_INTERVAL);
+    this.checkTimer.unref();
+  }
+
+  /**
+   * Start relaying a client connected to this node
+   */
+  connect(socket: Socket): void {
+    const route: SessionRoute = { socket, hostNodeId: this.node.nodeId, attachId: '', joinArgs: null, queue: Promise.resolve() };
+    this.routes.set(socket.id, route);
+    this.attach(route, this.node.nodeId);
+
+    socket.onAny((event: string, ...args: unknown[]) => {
+      const ack = typeof args[args.length - 1] === 'function' ? args.pop() as (...results: unknown[]) => void : undefined;
+      this.enqueue(route, () => this.forward(route, event, args, ack));
+    });
+
+    socket.on('disconnect', () => {
+      this.routes.delete(socket.id);
+      this.enqueue(route, async () => this.detach(route));
+    });
+  }
+
+  /**
+   * The session of a client whose room this node owns
+   */
+  getSession(socketId: string): SessionSocket | undefined {
+    return this.sessions.get(socketId);
+  }
+
+  /**
+   * End the sessions in a room this node is giving up. Their edges are told
+   * to rejoin once `beforeRejoin` has finished (releasing the room), so
+   * they find the new owner.
+   */
+  async endRoomSessions(roomId: string, beforeRejoin: () => Promise<void> = async () => undefined): Promise<void> {
+    const ended = Array.from(this.sessions.values()).filter(session => session.isIn(roomId));
+    ended.forEach(session => {
+      this.sessions.delete(session.id);
+      session.close(ROOM_HANDOVER);
+    });
+
+    await beforeRejoin();
+    ended.forEach(session => {
+      this.node.send(session.edgeNodeId, 'session-ended', { socketId: session.id, attachId: session.attachId });
+    });
+  }
+
+  stop(): void {
+    clearInterval(this.checkTimer);
+  }
+
+  private enqueue(route: SessionRoute, task: () => Promise<void> | void): void {
+    route.queue = route.queue.then(task).catch(error => {
+      console.error(`Error relaying events of socket ${route.socket.id}:`, error);
+    });
+  }
+
+  private async forward(route: SessionRoute, event: string, args: unknown[], ack?: (...results: unknown[]) => void): Promise<void> {
+    if (event === 'join-room') {
+      const roomId = getJoinRoomId(args[0]);
+      // Invalid requests are refused by the current host
+      if (isValidRoomId(roomId)) {
+        route.joinArgs = args;
+        if (!(await this.moveToRoomOwner(route, roomId))) return;
+      }
+    }
+    this.deliver(route, event, args, ack);
+  }
+
+  private deliver(route: SessionRoute, event: string, args: unknown[], ack?: (...results: unknown[]) => void): void {
+    const payload = { socketId: route.socket.id, attachId: route.attachId, event, args, withAck: !!ack };
+    if (!ack) {
+      this.node.send(route.hostNodeId, 'session-event', payload);
+      return;
+    }
+
+    // Unanswered acks time out on the client, which sends the event again
+    this.node.request(route.hostNodeId, 'session-event', payload)
+      .then(results => {
+        if (Array.isArray(results)) ack(...results);
+      })
+      .catch(error => console.warn(`No answer to ${event} of socket ${route.socket.id}:`, error.message));
+  }
+
+  /**
+   * Move the client's session to the node that owns the room, if it is not
+   * there already. Returns false (and tells the client) if the room has no
+   * reachable owner.
+   */
+  private async moveToRoomOwner(route: SessionRoute, roomId: string, detach = true): Promise<boolean> {
+    let owner: string;
+    try {
+      owner = await this.node.resolveRoomOwner(roomId);
+    } catch (error) {
+      console.error(`Error finding the owner of room ${roomId}:`, error);
+      route.socket.emit('error', { event: 'join-room', code: 'server-error', message: 'Failed to load room' });
+      return false;
+    }
+
+    if (owner !== route.hostNodeId || !detach) {
+      if (detach) this.detach(route);
+      this.attach(route, owner);
+    }
+    return true;
+  }
+
+  private attach(route: SessionRoute, hostNodeId: string): void {
+    route.hostNodeId = hostNodeId;
+    route.attachId = uuidv4();
+    this.node.send(hostNodeId, 'session-attach', { socketId: route.socket.id, attachId: route.attachId });
+  }
+
+  private detach(route: SessionRoute): void {
+    this.node.send(route.hostNodeId, 'session-detach', { socketId: route.socket.id, attachId: route.attachId });
+    // The host may be gone; leave its rooms here too
+    route.socket.rooms.forEach(room => {
+      if (room !== route.socket.id) route.socket.leave(room);
+    });
+  }
+
+  /**
+   * The client's session ended on its host: join its room again through
+   * whichever node owns it now
+   */
+  private async rejoin(route: SessionRoute): Promise<void> {
+    if (!this.routes.has(route.socket.id)) return;
+    route.socket.rooms.forEach(room => {
+      if (room !== route.socket.id) route.socket.leave(room);
+    });
+
+    const roomId = route.joinArgs ? getJoinRoomId(route.joinArgs[0]) as string : null;
+    if (!route.joinArgs || !roomId) {
+      this.attach(route, this.node.nodeId);
+      return;
+    }
+
+    console.log(`Moving socket ${route.socket.id} to the new owner of room ${roomId}`);
+    if (!(await this.moveToRoomOwner(route, roomId, false))) {
+      this.attach(route, this.node.nodeId);
+      return;
+    }
+    this.deliver(route, 'join-room', route.joinArgs);
+  }
+
+  private async checkSessions(): Promise<void> {
+    try {
+      // Edge: sessions whose host no longer owns the room (it crashed, or lost its lease)
+      for (const route of Array.from(this.routes.values())) {
+        if (route.hostNodeId === this.node.nodeId || !route.joinArgs) continue;
+        const owner = await this.node.getRoomOwner(getJoinRoomId(route.joinArgs[0]) as string);
+        if (owner !== route.hostNodeId) {
+          const { attachId } = route;
+          this.enqueue(route, async () => {
+            if (route.attachId === attachId) await this.rejoin(route);
+          });
+        }
+      }
+
+      // Host: sessions of clients whose edge node is gone
+      for (const session of Array.from(this.sessions.values())) {
+        if (session.edgeNodeId === this.node.nodeId || await this.node.isNodeAlive(session.edgeNodeId)) continue;
+        if (this.sessions.get(session.id) !== session) continue;
+        this.sessions.delete(session.id);
+        session.close('edge node gone');
+      }
+    } catch (error) {
+      console.error('Error checking relayed sessions:', error);
+    }
+  }
+}
@@ -0,0 +1,360 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { DEFAULT_LAYER, SerializedState } from './drawing-state';
+import { validateChatMessage, validateComment, validateLayer, validateStroke } from './validation';
+
+// Session files are named '<sanitized session name>_<timestamp>.json' by save;
+// anything else (paths, temp files) is refused before it reaches the file system
+const SESSION_FILENAME_PATTERN = /^[A-Za-z0-9_]{1,200}\.json$/;
+
+export const MAX_SESSION_NAME_LENGTH = 100;
+
+// Bump together with a migration in SESSION_MIGRATIONS
+export const SESSION_VERSION = 4;
+
+export function isValidSessionFilename(filename: unknown): filename is string {
+  return typeof filename === 'string' && SESSION_FILENAME_PATTERN.test(filename);
+}
+
+export function isValidSessionName(sessionName: unknown): sessionName is string {
+  return typeof sessionName === 'string' && sessionName.trim() !== '' && sessionName.length <= MAX_SESSION_NAME_LENGTH;
+}
+
+/**
+ * A saved session file (current version)
+ */
+export interface SessionFile {
+  version: number;
+  roomId: string;
+  sessionName: string;
+  timestamp: number;
+  state: SerializedState;
+}
+
+export interface SessionSummary {
+  filename: string;
+  sessionName: string;
+  timestamp: number;
+  roomId: string;
+  hasThumbnail: boolean;
+}
+
+export interface SessionFilter {
+  roomId?: string;
+  search?: string; // Case-insensitive substring of the session name
+}
+
+export type SessionReadResult =
+  | { session: SessionFile }
+  | { error: 'not-found' }
+  | { error: 'invalid'; reason: string };
+
+/**
+ * Upgrades from each older version to the next. Files without a version are
+ * version 1: `{ roomId, sessionName, timestamp, state }` as written before
+ * sessions were versioned. Their history may repeat stroke IDs or name strokes
+ * that are not stored (from the old undo stack), which later code assumes
+ * never happens. Version 2 states have no comments or chat, and version 3
+ * states have no layers (everything goes on one default layer).
+ */
+/* eslint-disable @typescript-eslint/no-explicit-any -- migrations and validation work on untyped parsed JSON */
+const SESSION_MIGRATIONS: Record<number, (data: any) => any> = {
+  1: data => {
+    const state = data.state;
+    if (!state || !Array.isArray(state.strokes) || !Array.isArray(state.history)) {
+      return { ...data, version: 2 }; // Rejected by validateSession
+    }
+    const strokeIds = new Set(state.strokes.map((stroke: any) => stroke && stroke.id));
+    const history: any[] = state.history;
+    return {
+      ...data,
+      version: 2,
+      state: {
+        strokes: state.strokes,
+        history: history.filter((strokeId, index) => strokeIds.has(strokeId) && history.indexOf(strokeId) === index)
+      }
+    };
+  },
+  2: data => {
+    if (!data.state || typeof data.state !== 'object') {
+      return { ...data, version: 3 }; // Rejected by validateSession
+    }
+    return { ...data, version: 3, state: { ...data.state, comments: [], chat: [] } };
+  },
+  3: data => {
+    const state = data.state;
+    if (!state || !Array.isArray(state.strokes)) {
+      return { ...data, version: 4 }; // Rejected by validateSession
+    }
+    return {
+      ...data,
+      version: 4,
+      state: {
+        ...state,
+        layers: [{ ...DEFAULT_LAYER }],
+        strokes: state.strokes.map((stroke: any) =>
+          stroke && typeof stroke === 'object' ? { ...stroke, layerId: DEFAULT_LAYER.id } : stroke)
+      }
+    };
+  }
+};
+
+/**
+ * Bring parsed session data up to SESSION_VERSION. Unknown versions are left
+ * as they are for validateSession to reject.
+ */
+export function migrateSession(data: any): any {
+  let migrated = data;
+  let version = typeof data.version === 'number' ? data.version : 1;
+  while (version < SESSION_VERSION && SESSION_MIGRATIONS[version]) {
+    migrated = SESSION_MIGRATIONS[version](migrated);
+    version = migrated.version;
+  }
+  return migrated;
+}
+
+/**
+ * Check the structure of (migrated) session data. Returns the reason it is
+ * invalid, or null if it can be loaded.
+ */
+export function validateSession(data: any): string | null {
+  if (!data || typeof data !== 'object') return 'not an object';
+  if (data.version !== SESSION_VERSION) return `unsupported version ${data.version}`;
+  if (typeof data.roomId !== 'string') return 'missing room ID';
+  if (typeof data.sessionName !== 'string') return 'missing session name';
+  if (typeof data.timestamp !== 'number' || !Number.isFinite(data.timestamp)) return 'missing timestamp';
+
+  const state = data.state;
+  if (!state || !Array.isArray(state.strokes) || !Array.isArray(state.history)) return 'missing strokes or history';
+
+  if (!Array.isArray(state.layers) || state.layers.length === 0) return 'missing layers';
+  const layerIds = new Set<string>();
+  for (const layer of state.layers as any[]) {
+    if (!validateLayer(layer)) return 'invalid layer';
+    if (layerIds.has(layer.id)) return `duplicate layer ${layer.id}`;
+    layerIds.add(layer.id);
+  }
+
+  const strokeIds = new Set<string>();
+  for (const stroke of state.strokes as any[]) {
+    if (!validateStroke(stroke)) return 'invalid stroke';
+    if (!layerIds.has(stroke.layerId)) return `stroke ${stroke.id} is on an unknown layer`;
+    if (strokeIds.has(stroke.id)) return `duplicate stroke ${stroke.id}`;
+    strokeIds.add(stroke.id);
+  }
+
+  const historyIds = new Set<string>();
+  for (const strokeId of state.history as any[]) {
+    if (!strokeIds.has(strokeId) || historyIds.has(strokeId)) return 'history does not match strokes';
+    historyIds.add(strokeId);
+  }
+
+  if (!Array.isArray(state.comments) || !Array.isArray(state.chat)) return 'missing comments or chat';
+
+  const commentIds = new Set<string>();
+  for (const comment of state.comments as any[]) {
+    if (!validateComment(comment)) return 'invalid comment';
+    if (commentIds.has(comment.id)) return `duplicate comment ${comment.id}`;
+    commentIds.add(comment.id);
+  }
+  if (!state.chat.every(validateChatMessage)) return 'invalid chat message';
+
+  return null;
+}
+/* eslint-enable @typescript-eslint/no-explicit-any */
+
+/**
+ * Saved sessions: one JSON file per save in `dir`, plus an optional PNG
+ * thumbnail with the same base name. Files are versioned (SESSION_VERSION);
+ * older versions are migrated when read, and everything read is validated
+ * before it can reach a DrawingState.
+ *
+ * Changes to an existing session (rename, overwrite, delete) are serialized
+ * per file, so a rename cannot undo a concurrent overwrite.
+ */
+export class SessionStore {
+  private fileQueues: Map<string, Promise<unknown>> = new Map();
+
+  constructor(private dir: string) {}
+
+  /**
+   * Save a room's state as a new session and return its filename
+   */
+  async save(roomId: string, sessionName: string, state: SerializedState, thumbnail: Buffer | null): Promise<string> {
+    const timestamp = Date.now();
+    const session: SessionFile = { version: SESSION_VERSION, roomId, sessionName, timestamp, state };
+    const filename = `${sessionName.replace(/[^a-z0-9]/gi, '_')}_${timestamp}.json`;
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await this.writeSession(filename, session, thumbnail);
+    return filename;
+  }
+
+  /**
+   * Replace the board of an existing session, keeping its name
+   */
+  overwrite(filename: string, state: SerializedState, thumbnail: Buffer | null): Promise<SessionReadResult> {
+    return this.update(filename, async session => {
+      const updated: SessionFile = { ...session, timestamp: Date.now(), state };
+      await this.writeSession(filename, updated, thumbnail);
+      return updated;
+    });
+  }
+
+  /**
+   * Change the display name of a session. The filename stays the same so
+   * links and open lists keep working.
+   */
+  rename(filename: string, sessionName: string): Promise<SessionReadResult> {
+    return this.update(filename, async session => {
+      const updated: SessionFile = { ...session, sessionName };
+      await this.writeAtomic(this.getPath(filename), JSON.stringify(updated, null, 2));
+      return updated;
+    });
+  }
+
+  /**
+   * Delete a session and its thumbnail. Returns false if it did not exist.
+   */
+  delete(filename: string): Promise<boolean> {
+    if (!isValidSessionFilename(filename)) return Promise.resolve(false);
+    return this.exclusive(filename, async () => {
+      const deleted = await this.removeIfExists(this.getPath(filename));
+      await this.removeIfExists(this.getThumbnailPath(filename));
+      return deleted;
+    });
+  }
+
+  async read(filename: string): Promise<SessionReadResult> {
+    if (!isValidSessionFilename(filename)) return { error: 'not-found' };
+
+    let content: string;
+    try {
+      content = await fs.readFile(this.getPath(filename), 'utf-8');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return { error: 'not-found' };
+      throw error;
+    }
+
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any -- parsed JSON, checked below
+    let data: any;
+    try {
+      data = JSON.parse(content);
+    } catch {
+      return { error: 'invalid', reason: 'not valid JSON' };
+    }
+    if (!data || typeof data !== 'object') return { error: 'invalid', reason: 'not an object' };
+    if (typeof data.version === 'number' && data.version > SESSION_VERSION) {
+      return { error: 'invalid', reason: `saved by a newer version (${data.version})` };
+    }
+
+    const session = migrateSession(data);
+    const reason = validateSession(session);
+    return reason ? { error: 'invalid', reason } : { session: session as SessionFile };
+  }
+
+  async readThumbnail(filename: string): Promise<Buffer | null> {
+    if (!isValidSessionFilename(filename)) return null;
+    try {
+      return await fs.readFile(this.getThumbnailPath(filename));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Summaries of the readable sessions matching a filter, newest first.
+   * Invalid files are logged and skipped.
+   */
+  async list(filter: SessionFilter = {}): Promise<SessionSummary[]> {
+    let files: string[];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const fileSet = new Set(files);
+    const search = filter.search ? filter.search.toLowerCase() : '';
+
+    const sessions = await Promise.all(files.filter(isValidSessionFilename).map(async filename => {
+      try {
+        const result = await this.read(filename);
+        if ('session' in result) {
+          const { sessionName, timestamp, roomId } = result.session;
+          if (filter.roomId !== undefined && roomId !== filter.roomId) return null;
+          if (search && !sessionName.toLowerCase().includes(search)) return null;
+          return { filename, sessionName, timestamp, roomId, hasThumbnail: fileSet.has(this.getThumbnailName(filename)) };
+        }
+        if (result.error === 'invalid') console.warn(`Skipping invalid session file ${filename}: ${result.reason}`);
+      } catch (error) {
+        console.error(`Error reading session file ${filename}:`, error);
+      }
+      return null;
+    }));
+    return sessions
+      .filter((session): session is SessionSummary => session !== null)
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  // Read-modify-write of an existing session, serialized with other changes to the file
+  private update(filename: string, change: (session: SessionFile) => Promise<SessionFile>): Promise<SessionReadResult> {
+    if (!isValidSessionFilename(filename)) return Promise.resolve({ error: 'not-found' });
+    return this.exclusive(filename, async () => {
+      const result = await this.read(filename);
+      if (!('session' in result)) return result;
+      return { session: await change(result.session) };
+    });
+  }
+
+  private exclusive<T>(filename: string, task: () => Promise<T>): Promise<T> {
+    const previous = this.fileQueues.get(filename) || Promise.resolve();
+    const next = previous.then(task);
+    const settled = next.catch(() => undefined);
+    this.fileQueues.set(filename, settled);
+    settled.then(() => {
+      if (this.fileQueues.get(filename) === settled) this.fileQueues.delete(filename);
+    });
+    return next;
+  }
+
+  // A thumbnail that could not be rendered (null) removes the old one rather than leaving it stale
+  private async writeSession(filename: string, session: SessionFile, thumbnail: Buffer | null): Promise<void> {
+    await this.writeAtomic(this.getPath(filename), JSON.stringify(session, null, 2));
+    if (thumbnail) {
+      await this.writeAtomic(this.getThumbnailPath(filename), thumbnail);
+    } else {
+      await this.removeIfExists(this.getThumbnailPath(filename));
+    }
+  }
+
+  // Write-then-rename so a crash never leaves a half-written file
+  private async writeAtomic(filepath: string, data: string | Buffer): Promise<void> {
+    await fs.writeFile(`${filepath}.tmp`, data);
+    await fs.rename(`${filepath}.tmp`, filepath);
+  }
+
+  private async removeIfExists(filepath: string): Promise<boolean> {
+    try {
+      await fs.unlink(filepath);
+      return true;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  private getPath(filename: string): string {
+    return path.join(this.dir, filename);
+  }
+
+  private getThumbnailName(filename: string): string {
+    return `${filename.slice(0, -'.json'.length)}.png`;
+  }
+
+  private getThumbnailPath(filename: string): string {
+    return path.join(this.dir, this.getThumbnailName(filename));
+  }
+}
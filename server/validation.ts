@@ -0,0 +1,308 @@
+import { isTexturedTool } from './brush';
+import {
+  BLEND_MODES, BRUSH_PRESET_TOOLS, ChatMessage, Comment, Layer, SHAPE_TYPES, TEXT_FONT_FAMILIES, Stroke, isBrushPresetTool, isShapeTool
+} from './drawing-state';
+import { ERASE_MODES } from './erase';
+import { isValidImageId } from './image-store';
+import { MAX_TILT } from './wire';
+
+// Strokes use world coordinates in [-WORLD_BOUND, WORLD_BOUND]; keep in sync with CanvasManager.WORLD_BOUND
+export const WORLD_BOUND = 1000000;
+
+// Tools drawn point by point via draw-start/draw-points/draw-end
+export const FREEHAND_TOOLS: readonly string[] = ['brush', ...BRUSH_PRESET_TOOLS];
+
+// Boards from before erasing removed strokes can also hold paint-over eraser strokes
+const STORED_FREEHAND_TOOLS: readonly string[] = [...FREEHAND_TOOLS, 'eraser'];
+
+// Brush strokes fainter than this would be all but invisible
+export const MIN_BRUSH_OPACITY = 0.05;
+
+// Fills: rows and columns of cells, and filled runs and cells in all rows
+// together. A fill covers at most the client's whole grid (FloodFill.GRID_SIZE squared).
+export const MAX_FILL_ROWS = 2048;
+export const MAX_FILL_COLUMNS = 2048;
+export const MAX_FILL_RUNS = 32768;
+export const MAX_FILL_CELLS = 1024 * 1024;
+
+// Text annotation limits
+export const MAX_TEXT_LENGTH = 2000;
+
+// Chat messages and comments (the comment itself and each reply)
+export const MAX_CHAT_MESSAGE_LENGTH = 1000;
+export const MAX_COMMENT_LENGTH = 2000;
+
+// Layer names are shown in the layers panel
+export const MAX_LAYER_NAME_LENGTH = 50;
+
+// IDs chosen by clients for comments, replies and layers
+const MAX_ID_LENGTH = 128;
+
+/**
+ * Position and size ranges a stroke must stay within
+ */
+export interface StrokeLimits {
+  worldBound: number;
+  lineWidth: { min: number; max: number };
+  fontSize: { min: number; max: number };
+  maxImageDimension: number;
+  fillCellSize: { min: number; max: number };
+}
+
+// Ranges for strokes sent by clients
+export const INPUT_LIMITS: StrokeLimits = {
+  worldBound: WORLD_BOUND,
+  lineWidth: { min: 1, max: 100 },
+  fontSize: { min: 8, max: 200 },
+  maxImageDimension: 100000, // World units
+  fillCellSize: { min: 1, max: 8 } // Matches FloodFill on the client
+};
+
+// Stored strokes may have been moved and scaled with the select tool after
+// they were drawn, so only their sign and finiteness are checked
+export const STORED_LIMITS: StrokeLimits = {
+  worldBound: Number.MAX_VALUE,
+  lineWidth: { min: Number.MIN_VALUE, max: Number.MAX_VALUE },
+  fontSize: { min: Number.MIN_VALUE, max: Number.MAX_VALUE },
+  maxImageDimension: Number.MAX_VALUE,
+  fillCellSize: { min: Number.MIN_VALUE, max: Number.MAX_VALUE }
+};
+
+const isFiniteNumber = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value);
+
+const isInRange = (value: unknown, range: { min: number; max: number }): boolean =>
+  isFiniteNumber(value) && value >= range.min && value <= range.max;
+
+/* eslint-disable @typescript-eslint/no-explicit-any -- the validators below read fields off untrusted payloads */
+
+/**
+ * Validate drawing data to prevent invalid operations and attacks.
+ * Coordinates are in the shared world space (not viewport pixels), which
+ * extends WORLD_BOUND units from the origin in every direction.
+ */
+export function validateDrawingData(data: any, limits: StrokeLimits = INPUT_LIMITS): boolean {
+  if (!data) return false;
+
+  // Validate coordinates
+  if (!isFiniteNumber(data.x) || !isFiniteNumber(data.y)) return false;
+  if (Math.abs(data.x) > limits.worldBound || Math.abs(data.y) > limits.worldBound) return false;
+
+  return true;
+}
+
+/**
+ * Validate the pen input of a stored point (none for mouse and touch strokes)
+ */
+function validatePenInput(point: any): boolean {
+  return (point.pressure === undefined || isInRange(point.pressure, { min: 0, max: 1 })) &&
+    [point.tiltX, point.tiltY].every(tilt => tilt === undefined || isInRange(tilt, { min: -MAX_TILT, max: MAX_TILT }));
+}
+
+/**
+ * Validate color (hex color or rgb)
+ */
+export function validateColor(color: unknown): boolean {
+  if (typeof color !== 'string') return false;
+  return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(color) || color.startsWith('rgb');
+}
+
+/**
+ * Validate stroke properties; allowedTools depends on the event
+ * (freehand tools for draw-start, shape tools for shape-*)
+ */
+export function validateStrokeProperties(data: any, allowedTools: readonly string[] = FREEHAND_TOOLS, limits: StrokeLimits = INPUT_LIMITS): boolean {
+  if (!data) return false;
+
+  // Validate color (hex color or rgb)
+  if (!validateColor(data.color)) return false;
+
+  // Validate line width
+  if (!isInRange(data.lineWidth, limits.lineWidth)) return false;
+
+  // Validate tool
+  if (typeof data.tool !== 'string') return false;
+  if (!allowedTools.includes(data.tool)) return false;
+
+  return validateBrush(data.brush, data.tool);
+}
+
+/**
+ * Validate the brush settings of a stroke: required for the brush preset
+ * tools (with a seed for pencil and spray), absent for everything else
+ */
+export function validateBrush(brush: any, tool: string): boolean {
+  if (!isBrushPresetTool(tool)) return brush === undefined;
+  if (!brush || typeof brush !== 'object') return false;
+  if (!isInRange(brush.opacity, { min: MIN_BRUSH_OPACITY, max: 1 })) return false;
+  if (!(BLEND_MODES as readonly string[]).includes(brush.blendMode)) return false;
+
+  if (!isTexturedTool(tool)) return brush.seed === undefined;
+  return Number.isInteger(brush.seed) && brush.seed >= 0 && brush.seed <= 0xffffffff;
+}
+
+/**
+ * Validate shape geometry (both corners must be valid world coordinates)
+ */
+export function validateShapeGeometry(shape: any, limits: StrokeLimits = INPUT_LIMITS): boolean {
+  if (!shape) return false;
+  return validateDrawingData({ x: shape.x1, y: shape.y1 }, limits) &&
+    validateDrawingData({ x: shape.x2, y: shape.y2 }, limits);
+}
+
+/**
+ * Validate a text annotation (position, content length, font)
+ */
+export function validateText(data: any, limits: StrokeLimits = INPUT_LIMITS): boolean {
+  if (!data || !validateColor(data.color)) return false;
+
+  const text = data.text;
+  if (!text || !validateDrawingData(text, limits)) return false;
+  if (typeof text.content !== 'string' || text.content.length > MAX_TEXT_LENGTH) return false;
+  if (!(TEXT_FONT_FAMILIES as readonly string[]).includes(text.fontFamily)) return false;
+  if (!isInRange(text.fontSize, limits.fontSize)) return false;
+
+  return true;
+}
+
+/**
+ * Validate image position and size (top-left corner must be a valid world coordinate)
+ */
+export function validateImagePlacement(placement: any, limits: StrokeLimits = INPUT_LIMITS): boolean {
+  if (!placement || !validateDrawingData(placement, limits)) return false;
+  const { width, height } = placement;
+  if (!isFiniteNumber(width) || !isFiniteNumber(height)) return false;
+  return width > 0 && height > 0 && width <= limits.maxImageDimension && height <= limits.maxImageDimension;
+}
+
+/**
+ * Validate a filled area: its top-left cell must be a valid world
+ * coordinate, each row's runs in order, not overlapping and within
+ * MAX_FILL_COLUMNS, and all runs together at most MAX_FILL_CELLS long
+ */
+export function validateFill(fill: any, limits: StrokeLimits = INPUT_LIMITS): boolean {
+  if (!fill || !validateDrawingData(fill, limits) || !isInRange(fill.cellSize, limits.fillCellSize)) return false;
+  const rows = fill.rows;
+  if (!Array.isArray(rows) || rows.length === 0 || rows.length > MAX_FILL_ROWS) return false;
+
+  let runs = 0;
+  let cells = 0;
+  for (const row of rows) {
+    if (!Array.isArray(row) || row.length % 2 !== 0) return false;
+    let end = 0;
+    for (let i = 0; i < row.length; i += 2) {
+      const [start, length] = [row[i], row[i + 1]];
+      if (!Number.isInteger(start) || !Number.isInteger(length) || start < end || length < 1) return false;
+      end = start + length;
+      cells += length;
+    }
+    if (end > MAX_FILL_COLUMNS || cells > MAX_FILL_CELLS) return false;
+    runs += row.length / 2;
+  }
+  return runs > 0 && runs <= MAX_FILL_RUNS;
+}
+
+/**
+ * Validate eraser settings: the mode and the width of the eraser tip
+ */
+export function validateEraser(data: any): boolean {
+  return !!data && (ERASE_MODES as readonly string[]).includes(data.mode) && isInRange(data.lineWidth, INPUT_LIMITS.lineWidth);
+}
+
+/**
+ * Validate a complete stored stroke (from a saved session), applying the
+ * same rules as the events that create each kind of stroke
+ */
+export function validateStroke(stroke: any, limits: StrokeLimits = STORED_LIMITS): stroke is Stroke {
+  if (!stroke || typeof stroke !== 'object') return false;
+  if (typeof stroke.id !== 'string' || stroke.id === '') return false;
+  if (typeof stroke.userId !== 'string') return false;
+  if (typeof stroke.layerId !== 'string') return false;
+  if (!isFiniteNumber(stroke.startTime)) return false;
+  if (stroke.endTime !== undefined && !isFiniteNumber(stroke.endTime)) return false;
+  if (!Array.isArray(stroke.points)) return false;
+
+  if (STORED_FREEHAND_TOOLS.includes(stroke.tool)) {
+    return validateStrokeProperties(stroke, STORED_FREEHAND_TOOLS, limits) &&
+      stroke.points.every((point: any) => validateDrawingData(point, limits) && isFiniteNumber(point.timestamp) && validatePenInput(point));
+  }
+
+  // Everything else is drawn from its own geometry and has no points
+  if (stroke.points.length > 0) return false;
+
+  if (isShapeTool(stroke.tool)) {
+    return validateStrokeProperties(stroke, SHAPE_TYPES, limits) && validateShapeGeometry(stroke.shape, limits);
+  }
+  if (stroke.tool === 'text') {
+    return isFiniteNumber(stroke.lineWidth) && validateText(stroke, limits);
+  }
+  if (stroke.tool === 'image') {
+    return validateColor(stroke.color) && isFiniteNumber(stroke.lineWidth) &&
+      validateImagePlacement(stroke.image, limits) && isValidImageId(stroke.image.imageId);
+  }
+  if (stroke.tool === 'fill') {
+    return validateColor(stroke.color) && isFiniteNumber(stroke.lineWidth) && validateFill(stroke.fill, limits);
+  }
+  return false;
+}
+
+/**
+ * Validate chat or comment text; blank text is refused
+ */
+export function validateMessageText(text: unknown, maxLength: number): text is string {
+  return typeof text === 'string' && text.trim() !== '' && text.length <= maxLength;
+}
+
+/**
+ * Validate an ID chosen by a client (comments, replies and layers)
+ */
+export function validateItemId(id: unknown): id is string {
+  return typeof id === 'string' && id !== '' && id.length <= MAX_ID_LENGTH;
+}
+
+/**
+ * Validate where a comment is pinned: a world position, optionally on a stroke
+ */
+export function validateCommentAnchor(anchor: any, limits: StrokeLimits = INPUT_LIMITS): boolean {
+  if (!anchor || !validateDrawingData(anchor, limits)) return false;
+  return anchor.strokeId === undefined || validateItemId(anchor.strokeId);
+}
+
+// Author, ID and time shared by stored chat messages, comments and replies
+const validateStoredMessage = (message: any, maxLength: number): boolean =>
+  !!message && typeof message === 'object' &&
+  validateItemId(message.id) && typeof message.userId === 'string' && typeof message.name === 'string' &&
+  isFiniteNumber(message.timestamp) && validateMessageText(message.text, maxLength);
+
+/**
+ * Validate a stored chat message (from a saved session)
+ */
+export function validateChatMessage(message: any): message is ChatMessage {
+  return validateStoredMessage(message, MAX_CHAT_MESSAGE_LENGTH);
+}
+
+/**
+ * Validate a stored comment and its replies (from a saved session)
+ */
+export function validateComment(comment: any, limits: StrokeLimits = STORED_LIMITS): comment is Comment {
+  if (!validateStoredMessage(comment, MAX_COMMENT_LENGTH)) return false;
+  if (!validateCommentAnchor(comment.anchor, limits) || typeof comment.resolved !== 'boolean') return false;
+  if (comment.resolvedBy !== undefined && typeof comment.resolvedBy !== 'string') return false;
+  return Array.isArray(comment.replies) && comment.replies.every((reply: any) => validateStoredMessage(reply, MAX_COMMENT_LENGTH));
+}
+
+/**
+ * Validate a layer name: a single line of 1-MAX_LAYER_NAME_LENGTH characters
+ */
+export function validateLayerName(name: unknown): name is string {
+  return typeof name === 'string' && name.trim() !== '' && name.length <= MAX_LAYER_NAME_LENGTH &&
+    // eslint-disable-next-line no-control-regex
+    !/[\u0000-\u001f\u007f]/.test(name);
+}
+
+/**
+ * Validate a stored layer (from a saved session)
+ */
+export function validateLayer(layer: any): layer is Layer {
+  return !!layer && typeof layer === 'object' && validateItemId(layer.id) && validateLayerName(layer.name) &&
+    typeof layer.visible === 'boolean' && typeof layer.locked === 'boolean';
+}
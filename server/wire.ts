@@ -0,0 +1,159 @@
+import { Point, Stroke } from './drawing-state';
+
+// Points travel as integers in 1/POINT_PRECISION world units; keep in sync with WebSocketManager.POINT_PRECISION.
+// At the maximum zoom (10x) one unit is a tenth of a pixel.
+export const POINT_PRECISION = 10;
+
+/**
+ * Packed point list: [x0, y0, dx1, dy1, dx2, dy2, ...]. The first point is
+ * absolute, every later one relative to the point before it, all quantized
+ * to POINT_PRECISION. Freehand points are close together, so the deltas
+ * are short numbers on the wire.
+ */
+export type PackedPoints = number[];
+
+export function encodePoints(points: { x: number; y: number }[]): PackedPoints {
+  const packed: PackedPoints = [];
+  let lastX = 0;
+  let lastY = 0;
+  points.forEach(point => {
+    const x = Math.round(point.x * POINT_PRECISION);
+    const y = Math.round(point.y * POINT_PRECISION);
+    packed.push(x - lastX, y - lastY);
+    lastX = x;
+    lastY = y;
+  });
+  return packed;
+}
+
+/**
+ * Unpack points sent by a client. Returns null (never throws) unless the
+ * list is well formed: pairs of integers, at most maxPoints points, whose
+ * sums stay exact. Bounds are left to validateDrawingData.
+ */
+export function decodePoints(packed: unknown, maxPoints: number): { x: number; y: number }[] | null {
+  if (!Array.isArray(packed) || packed.length === 0 || packed.length % 2 !== 0 || packed.length > maxPoints * 2) return null;
+
+  const points: { x: number; y: number }[] = [];
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < packed.length; i += 2) {
+    // Checked one by one, since every() would skip the holes of a sparse array
+    if (!Number.isSafeInteger(packed[i]) || !Number.isSafeInteger(packed[i + 1])) return null;
+    x += packed[i];
+    y += packed[i + 1];
+    if (!Number.isSafeInteger(x) || !Number.isSafeInteger(y)) return null;
+    points.push({ x: x / POINT_PRECISION, y: y / POINT_PRECISION });
+  }
+  return points;
+}
+
+/**
+ * Whether `points` starts with `prefix`. Points that did not go through
+ * encodePoints (the first point of a live stroke) may be off by half a unit.
+ */
+export function isPointPrefix(prefix: { x: number; y: number }[], points: { x: number; y: number }[]): boolean {
+  if (prefix.length > points.length) return false;
+  const tolerance = 0.5 / POINT_PRECISION + 1e-9;
+  return prefix.every((point, i) =>
+    Math.abs(point.x - points[i].x) <= tolerance && Math.abs(point.y - points[i].y) <= tolerance);
+}
+
+// Pen pressure travels as integers in 1/PRESSURE_PRECISION steps and tilt in
+// whole degrees; keep in sync with WebSocketManager.PRESSURE_PRECISION.
+export const PRESSURE_PRECISION = 100;
+export const MAX_TILT = 90;
+
+/**
+ * Packed pen input for a point list: [pressure0, tiltX0, tiltY0, pressure1,
+ * ...], pressure quantized to PRESSURE_PRECISION and tilt in degrees. It goes
+ * next to the packed points of strokes drawn with a pen; mouse and touch
+ * strokes have none.
+ */
+export type PackedPen = number[];
+
+export type PenInput = Required<Pick<Point, 'pressure' | 'tiltX' | 'tiltY'>>;
+
+/**
+ * Pack the pen input of points, or return null if none of them has any.
+ * Points without it (there should be none in a pen stroke) get half pressure
+ * and no tilt.
+ */
+export function encodePen(points: Partial<PenInput>[]): PackedPen | null {
+  if (!points.some(point => point.pressure !== undefined)) return null;
+  const packed: PackedPen = [];
+  points.forEach(point => {
+    packed.push(
+      Math.round((point.pressure === undefined ? 0.5 : point.pressure) * PRESSURE_PRECISION),
+      Math.round(point.tiltX || 0),
+      Math.round(point.tiltY || 0)
+    );
+  });
+  return packed;
+}
+
+/**
+ * Unpack the pen input sent for `count` points. Returns null (never throws)
+ * unless the list is well formed: three integers per point, all within range.
+ */
+export function decodePen(packed: unknown, count: number): PenInput[] | null {
+  if (!Array.isArray(packed) || packed.length !== count * 3) return null;
+
+  const pen: PenInput[] = [];
+  for (let i = 0; i < packed.length; i += 3) {
+    const [pressure, tiltX, tiltY] = packed.slice(i, i + 3);
+    if (!Number.isInteger(pressure) || pressure < 0 || pressure > PRESSURE_PRECISION) return null;
+    if (![tiltX, tiltY].every(tilt => Number.isInteger(tilt) && Math.abs(tilt) <= MAX_TILT)) return null;
+    pen.push({ pressure: pressure / PRESSURE_PRECISION, tiltX, tiltY });
+  }
+  return pen;
+}
+
+/**
+ * Decode the optional pen input sent with points and add it to them. Returns
+ * null if it was sent but is malformed.
+ */
+export function withPen<T extends { x: number; y: number }>(points: T[], packed: unknown): (T & Partial<PenInput>)[] | null {
+  if (packed === undefined) return points;
+  const pen = decodePen(packed, points.length);
+  return pen ? points.map((point, i) => ({ ...point, ...pen[i] })) : null;
+}
+
+/**
+ * A stroke as sent in canvas-state: points are packed (with their pen input,
+ * for pen strokes) and timestamps left out (only replay needs them, and it
+ * fetches strokes over HTTP)
+ */
+export type WireStroke = Omit<Stroke, 'points' | 'startTime' | 'endTime'> & { packedPoints: PackedPoints; packedPen?: PackedPen };
+
+export function toWireStroke(stroke: Stroke): WireStroke {
+  const { points, startTime, endTime, ...rest } = stroke;
+  const wireStroke: WireStroke = { ...rest, packedPoints: encodePoints(points) };
+  const pen = encodePen(points);
+  if (pen) wireStroke.packedPen = pen;
+  return wireStroke;
+}
+
+/**
+ * Split strokes into consecutive chunks of at most maxStrokes strokes and
+ * (unless a single stroke is larger) maxPoints points, keeping their order
+ */
+export function chunkStrokes<T extends { packedPoints: PackedPoints }>(strokes: T[], maxStrokes: number, maxPoints: number): T[][] {
+  const chunks: T[][] = [];
+  let chunk: T[] = [];
+  let chunkPoints = 0;
+
+  strokes.forEach(stroke => {
+    const points = stroke.packedPoints.length / 2;
+    if (chunk.length > 0 && (chunk.length >= maxStrokes || chunkPoints + points > maxPoints)) {
+      chunks.push(chunk);
+      chunk = [];
+      chunkPoints = 0;
+    }
+    chunk.push(stroke);
+    chunkPoints += points;
+  });
+
+  if (chunk.length > 0) chunks.push(chunk);
+  return chunks;
+}
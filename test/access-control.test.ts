@@ -0,0 +1,167 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { createHmac } from 'crypto';
+import { AccessControl } from '../server/access-control';
+
+const SECRET = 'test-secret';
+const HOUR = 60 * 60 * 1000;
+
+// Tokens signed the way AccessControl signs them, so tests can choose every claim
+const signToken = (claims: object, secret = SECRET): string => {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${createHmac('sha256', secret).update(payload).digest('base64url')}`;
+};
+
+describe('AccessControl', () => {
+  let dir: string;
+  let accessControl: AccessControl;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'access-control-'));
+    accessControl = new AccessControl(dir, SECRET);
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  describe('invites', () => {
+    beforeEach(() => accessControl.createPolicy('room', 'owner', { inviteOnly: true }));
+
+    it('admits people with an invite for the room', async () => {
+      const { token } = accessControl.createInvite('room', 'viewer', HOUR);
+      assert.deepEqual(await accessControl.resolveJoin('room', 'alice', { invite: token }), { role: 'viewer' });
+      // Remembered, so reconnects need no invite
+      assert.deepEqual(await accessControl.resolveJoin('room', 'alice', {}), { role: 'viewer' });
+    });
+
+    it('refuses invites that were tampered with or signed with another secret', async () => {
+      const { token } = accessControl.createInvite('room', 'viewer', HOUR);
+      const [payload, signature] = token.split('.');
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+      const raised = Buffer.from(JSON.stringify({ ...claims, role: 'owner' })).toString('base64url');
+
+      for (const invite of [`${raised}.${signature}`, signToken(claims, 'another-secret'), `${token}.extra`, 'not-a-token']) {
+        assert.deepEqual(await accessControl.resolveJoin('room', 'alice', { invite }), { denied: 'invalid-invite' });
+      }
+    });
+
+    it('refuses expired invites', async () => {
+      const { token } = accessControl.createInvite('room', 'editor', -1);
+      assert.deepEqual(await accessControl.resolveJoin('room', 'alice', { invite: token }), { denied: 'invite-expired' });
+      assert.deepEqual(await accessControl.resolveJoin('room', 'alice', {}), { denied: 'invite-required' });
+    });
+
+    it('refuses invites for another room', async () => {
+      await accessControl.createPolicy('other', 'owner', { inviteOnly: true });
+      const { token } = accessControl.createInvite('other', 'editor', HOUR);
+      assert.deepEqual(await accessControl.resolveJoin('room', 'alice', { invite: token }), { denied: 'invalid-invite' });
+    });
+
+    it('lets an invite raise a member\'s role but never lower it', async () => {
+      await accessControl.resolveJoin('room', 'alice', { invite: accessControl.createInvite('room', 'viewer', HOUR).token });
+
+      const editorInvite = accessControl.createInvite('room', 'editor', HOUR).token;
+      assert.deepEqual(await accessControl.resolveJoin('room', 'alice', { invite: editorInvite }), { role: 'editor' });
+
+      const viewerInvite = accessControl.createInvite('room', 'viewer', HOUR).token;
+      assert.deepEqual(await accessControl.resolveJoin('room', 'alice', { invite: viewerInvite }), { role: 'editor' });
+    });
+
+    it('does not let an invite from before the owner set a role raise it', async () => {
+      await accessControl.setMemberRole('room', 'alice', 'viewer');
+      const now = Date.now();
+      const older = signToken({ kind: 'invite', room: 'room', role: 'editor', iat: now - HOUR, exp: now + HOUR });
+      const newer = signToken({ kind: 'invite', room: 'room', role: 'editor', iat: now + 1000, exp: now + HOUR });
+
+      assert.deepEqual(await accessControl.resolveJoin('room', 'alice', { invite: older }), { role: 'viewer' });
+      assert.deepEqual(await accessControl.resolveJoin('room', 'alice', { invite: newer }), { role: 'editor' });
+    });
+  });
+
+  describe('access tokens', () => {
+    beforeEach(() => accessControl.createPolicy('room', 'owner', { inviteOnly: true }));
+
+    it('give requests the role they were issued with', async () => {
+      const token = accessControl.createAccessToken('room', 'alice', 'viewer');
+      assert.equal(await accessControl.getRequestRole('room', token), 'viewer');
+      assert.equal(await accessControl.getRequestRole('room', accessControl.createAccessToken('room', 'owner', 'owner')), 'owner');
+    });
+
+    it('are refused when forged, expired or for another room', async () => {
+      const now = Date.now();
+      const forged = signToken({ kind: 'access', room: 'room', user: 'alice', role: 'owner', exp: now + HOUR }, 'another-secret');
+      const expired = signToken({ kind: 'access', room: 'room', user: 'alice', role: 'editor', exp: now - 1 });
+      const otherRoom = accessControl.createAccessToken('other', 'alice', 'editor');
+      const invite = accessControl.createInvite('room', 'editor', HOUR).token;
+
+      for (const token of [forged, expired, otherRoom, invite, undefined]) {
+        assert.equal(await accessControl.getRequestRole('room', token), null);
+      }
+    });
+
+    it('follow the role the owner set since', async () => {
+      const token = accessControl.createAccessToken('room', 'alice', 'editor');
+      await accessControl.setMemberRole('room', 'alice', 'viewer');
+      assert.equal(await accessControl.getRequestRole('room', token), 'viewer');
+    });
+  });
+
+  describe('passwords', () => {
+    it('are stored hashed and salted', async () => {
+      await accessControl.createPolicy('room', 'owner', { password: 'hunter2' });
+      await accessControl.createPolicy('other', 'owner', { password: 'hunter2' });
+
+      const stored = await fs.readFile(path.join(dir, 'room.json'), 'utf-8');
+      assert.equal(stored.includes('hunter2'), false);
+      const { password } = JSON.parse(stored);
+      assert.match(password.salt, /^[0-9a-f]{32}$/);
+      assert.match(password.hash, /^[0-9a-f]{64}$/);
+
+      const other = await accessControl.getPolicy('other');
+      assert.notEqual(other?.password?.hash, password.hash);
+    });
+
+    it('admit people who know the password as editors', async () => {
+      await accessControl.createPolicy('room', 'owner', { password: 'hunter2' });
+      assert.deepEqual(await accessControl.resolveJoin('room', 'alice', {}), { denied: 'password-required' });
+      assert.deepEqual(await accessControl.resolveJoin('room', 'alice', { password: 'hunter3' }), { denied: 'wrong-password' });
+      assert.deepEqual(await accessControl.resolveJoin('room', 'alice', { password: 'hunter2' }), { role: 'editor' });
+    });
+
+    it('can be changed and removed', async () => {
+      await accessControl.createPolicy('room', 'owner', { password: 'hunter2' });
+      await accessControl.setPassword('room', 'swordfish');
+      assert.deepEqual(await accessControl.resolveJoin('room', 'alice', { password: 'hunter2' }), { denied: 'wrong-password' });
+      assert.deepEqual(await accessControl.resolveJoin('room', 'alice', { password: 'swordfish' }), { role: 'editor' });
+
+      await accessControl.setPassword('room', null);
+      assert.deepEqual(await accessControl.resolveJoin('room', 'bob', {}), { role: 'editor' });
+    });
+  });
+
+  describe('claimNewRoom', () => {
+    it('makes the first claimer of a new room its owner', async () => {
+      assert.equal(await accessControl.claimNewRoom('room', 'alice'), true);
+      assert.equal(await accessControl.claimNewRoom('room', 'bob'), false);
+      assert.equal((await accessControl.getPolicy('room'))?.ownerId, 'alice');
+    });
+
+    it('lets only one of two concurrent claims win', async () => {
+      // With "no policy" already cached, neither claim waits on the file system
+      assert.equal(await accessControl.getPolicy('room'), null);
+      const results = await Promise.all([accessControl.claimNewRoom('room', 'alice'), accessControl.claimNewRoom('room', 'bob')]);
+      assert.deepEqual(results, [true, false]);
+
+      // A fresh instance reads the stored policy
+      const reloaded = new AccessControl(dir, SECRET);
+      assert.equal((await reloaded.getPolicy('room'))?.ownerId, 'alice');
+    });
+
+    it('does not claim rooms that already have a policy', async () => {
+      await accessControl.createPolicy('room', 'alice');
+      assert.equal(await new AccessControl(dir, SECRET).claimNewRoom('room', 'bob'), false);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClusterNode, MemoryBroker, MemoryClusterBackend } from '../server/cluster';
+
+const OPTIONS = { leaseTtl: 1000, renewInterval: 300, requestTimeout: 100 };
+
+describe('ClusterNode', () => {
+  let nodes: ClusterNode[] = [];
+
+  const startNodes = async (count: number): Promise<ClusterNode[]> => {
+    const broker = new MemoryBroker();
+    const started = Array.from({ length: count }, () => new ClusterNode(new MemoryClusterBackend(broker), OPTIONS));
+    await Promise.all(started.map(node => node.start()));
+    nodes.push(...started);
+    return started;
+  };
+
+  afterEach(async () => {
+    await Promise.all(nodes.map(node => node.stop()));
+    nodes = [];
+  });
+
+  it('gives each room one owner', async () => {
+    const [a, b] = await startNodes(2);
+    assert.equal(await a.claimRoom('room'), true);
+    assert.equal(await b.claimRoom('room'), false);
+    assert.equal(await b.resolveRoomOwner('room'), a.nodeId);
+    assert.equal(await b.resolveRoomOwner('other'), b.nodeId);
+  });
+
+  it('hands a room over when its owner stops', async () => {
+    const [a, b] = await startNodes(2);
+    await a.claimRoom('room');
+    await a.stop();
+    assert.equal(await b.resolveRoomOwner('room'), b.nodeId);
+    assert.equal(await b.isNodeAlive(a.nodeId), false);
+  });
+
+  it('answers requests with the handler result or error', async () => {
+    const [a, b] = await startNodes(2);
+    b.handle('double', (value: number) => value * 2);
+    b.handle('fail', () => {
+      throw new Error('nope');
+    });
+    assert.equal(await a.request(b.nodeId, 'double', 21), 42);
+    await assert.rejects(a.request(b.nodeId, 'fail', null), /nope/);
+    await assert.rejects(a.request(b.nodeId, 'unknown', null), /No handler/);
+  });
+
+  it('times out requests to a node that never answers', async () => {
+    const [a, b] = await startNodes(2);
+    b.handle('hang', () => new Promise(() => undefined));
+    await assert.rejects(a.request(b.nodeId, 'hang', null), /timed out/);
+    await assert.rejects(a.request('gone', 'hang', null), /timed out/);
+  });
+
+  it('times out requests a node sends itself', async () => {
+    const [a] = await startNodes(1);
+    a.handle('hang', () => new Promise(() => undefined));
+    a.handle('echo', (value: string) => value);
+    await assert.rejects(a.request(a.nodeId, 'hang', null), /timed out/);
+    assert.equal(await a.request(a.nodeId, 'echo', 'hi'), 'hi');
+  });
+
+  it('fails a request at once if it cannot be sent', async () => {
+    const broker = new MemoryBroker();
+    const backend = new MemoryClusterBackend(broker);
+    backend.publish = () => Promise.reject(new Error('backend down'));
+    const node = new ClusterNode(backend, { ...OPTIONS, requestTimeout: 60000 });
+    await node.start();
+    nodes.push(node);
+    await assert.rejects(node.request('other', 'anything', null), /backend down/);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DrawingState, MAX_UNDO_HISTORY } from '../server/drawing-state';
+
+const draw = (drawingState: DrawingState, userId: string, strokeId: string, layerId: string): void => {
+  drawingState.addStroke(userId, {
+    strokeId,
+    tool: 'brush',
+    color: '#000000',
+    lineWidth: 2,
+    layerId,
+    points: [{ x: 0, y: 0 }, { x: 10, y: 10 }]
+  });
+};
+
+const visibleIds = (drawingState: DrawingState): string[] => drawingState.getHistory().map(stroke => stroke.id);
+
+describe('DrawingState layer locks', () => {
+  let drawingState: DrawingState;
+
+  beforeEach(() => {
+    drawingState = new DrawingState();
+    drawingState.addLayer({ id: 'top', name: 'Top', visible: true, locked: false });
+    draw(drawingState, 'alice', 'a1', 'default');
+    draw(drawingState, 'alice', 'a2', 'top');
+  });
+
+  it('does not undo an edit on a locked layer', () => {
+    drawingState.updateLayer('top', { locked: true });
+    assert.equal(drawingState.isUndoLocked('alice'), true);
+    assert.equal(drawingState.undo('alice'), null);
+    assert.deepEqual(visibleIds(drawingState), ['a1', 'a2']);
+
+    drawingState.updateLayer('top', { locked: false });
+    assert.equal(drawingState.isUndoLocked('alice'), false);
+    assert.deepEqual(drawingState.undo('alice')?.changes.removed, ['a2']);
+  });
+
+  it('does not redo an edit on a locked layer', () => {
+    drawingState.undo('alice');
+    drawingState.updateLayer('top', { locked: true });
+    assert.equal(drawingState.isRedoLocked('alice'), true);
+    assert.equal(drawingState.redo('alice'), null);
+    assert.deepEqual(visibleIds(drawingState), ['a1']);
+
+    drawingState.updateLayer('top', { locked: false });
+    assert.notEqual(drawingState.redo('alice'), null);
+    assert.deepEqual(visibleIds(drawingState), ['a1', 'a2']);
+  });
+
+  it('does not undo moving strokes off a locked layer', () => {
+    drawingState.setStrokeLayer('alice', ['a1'], 'top');
+    drawingState.updateLayer('default', { locked: true });
+    assert.equal(drawingState.isUndoLocked('alice'), true);
+    assert.equal(drawingState.undo('alice'), null);
+    assert.equal(drawingState.getStroke('a1')?.layerId, 'top');
+  });
+
+  it('keeps strokes on locked layers when clearing', () => {
+    drawingState.updateLayer('top', { locked: true });
+    const generation = drawingState.getGeneration();
+
+    assert.deepEqual(drawingState.clear(), ['a2']);
+    assert.deepEqual(visibleIds(drawingState), ['a2']);
+    assert.equal(drawingState.getGeneration(), generation + 1);
+    assert.equal(drawingState.undo('alice'), null);
+  });
+
+  it('replays a clear the same way', () => {
+    const restored = new DrawingState();
+    restored.restore(null, [
+      { type: 'layer-add', layer: { id: 'top', name: 'Top', visible: true, locked: true } },
+      { type: 'end-stroke', stroke: { ...drawingState.getStroke('a1')! } },
+      { type: 'end-stroke', stroke: { ...drawingState.getStroke('a2')! } },
+      { type: 'clear' }
+    ]);
+    assert.deepEqual(visibleIds(restored), ['a2']);
+  });
+});
+
+describe('DrawingState undo history', () => {
+  let drawingState: DrawingState;
+
+  beforeEach(() => {
+    drawingState = new DrawingState();
+  });
+
+  it('forgets deleted strokes once their edits leave the undo history', () => {
+    for (let i = 0; i < MAX_UNDO_HISTORY + 100; i++) {
+      draw(drawingState, 'alice', `s${i}`, 'default');
+      drawingState.deleteStrokes('alice', [`s${i}`]);
+    }
+
+    // Each cycle is two edits, so only the last half of MAX_UNDO_HISTORY cycles can still be undone
+    assert.equal(drawingState.getStrokeCount(), MAX_UNDO_HISTORY / 2);
+    assert.equal(drawingState.serialize().strokes.length, MAX_UNDO_HISTORY / 2);
+    assert.equal(drawingState.getStroke('s0'), undefined);
+    assert.notEqual(drawingState.getStroke(`s${MAX_UNDO_HISTORY + 99}`), undefined);
+  });
+
+  it('forgets undone strokes when a new edit clears the redo stack', () => {
+    for (let i = 0; i < MAX_UNDO_HISTORY + 100; i++) {
+      draw(drawingState, 'alice', `s${i}`, 'default');
+      drawingState.undo('alice');
+    }
+
+    assert.equal(drawingState.getStrokeCount(), 1);
+    assert.notEqual(drawingState.redo('alice'), null);
+    assert.deepEqual(visibleIds(drawingState), [`s${MAX_UNDO_HISTORY + 99}`]);
+  });
+
+  it('keeps strokes that an edit still names after a delete and undo', () => {
+    draw(drawingState, 'alice', 'kept', 'default');
+    for (let i = 0; i < MAX_UNDO_HISTORY + 100; i++) {
+      drawingState.deleteStrokes('alice', ['kept']);
+      drawingState.undo('alice');
+    }
+
+    assert.equal(drawingState.getStrokeCount(), 1);
+    assert.deepEqual(visibleIds(drawingState), ['kept']);
+    assert.notEqual(drawingState.redo('alice'), null);
+    assert.deepEqual(visibleIds(drawingState), []);
+    assert.notEqual(drawingState.undo('alice'), null);
+    assert.deepEqual(visibleIds(drawingState), ['kept']);
+  });
+});
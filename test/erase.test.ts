@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Point, Stroke } from '../server/drawing-state';
+import { ErasePath, eraserTouches, splitStroke } from '../server/erase';
+
+// A horizontal line from x 0 to 100, 2 wide, drawn over 100 ms
+const LINE: Point[] = [{ x: 0, y: 0, timestamp: 0 }, { x: 50, y: 0, timestamp: 50 }, { x: 100, y: 0, timestamp: 100 }];
+
+// A vertical eraser drag 10 wide across the line at x; it reaches 6 to either side (half of each width)
+const across = (x: number): ErasePath => ({ points: [{ x, y: -20 }, { x, y: 20 }], lineWidth: 10 });
+
+const round = (pieces: Point[][] | null): Point[][] | null => pieces && pieces.map(piece => piece.map(point => ({
+  ...point,
+  x: Math.round(point.x * 1000) / 1000,
+  y: Math.round(point.y * 1000) / 1000
+})));
+
+const stroke = (fields: Partial<Stroke>): Stroke => ({
+  id: 's1', userId: 'alice', points: [], color: '#000000', lineWidth: 2, tool: 'brush', layerId: 'default', startTime: 0, ...fields
+});
+
+describe('splitStroke', () => {
+  it('cuts a stroke in two where the eraser crosses its middle', () => {
+    assert.deepEqual(round(splitStroke(LINE, 2, across(50))), [
+      [{ x: 0, y: 0, timestamp: 0 }, { x: 44, y: 0, timestamp: 44 }],
+      [{ x: 56, y: 0, timestamp: 56 }, { x: 100, y: 0, timestamp: 100 }]
+    ]);
+  });
+
+  it('shortens a stroke erased at either end', () => {
+    assert.deepEqual(round(splitStroke(LINE, 2, across(0))), [
+      [{ x: 6, y: 0, timestamp: 6 }, { x: 50, y: 0, timestamp: 50 }, { x: 100, y: 0, timestamp: 100 }]
+    ]);
+    assert.deepEqual(round(splitStroke(LINE, 2, across(100))), [
+      [{ x: 0, y: 0, timestamp: 0 }, { x: 50, y: 0, timestamp: 50 }, { x: 94, y: 0, timestamp: 94 }]
+    ]);
+  });
+
+  it('leaves no pieces of a stroke erased entirely', () => {
+    assert.deepEqual(splitStroke(LINE, 2, { points: [{ x: -10, y: 0 }, { x: 110, y: 0 }], lineWidth: 10 }), []);
+    assert.deepEqual(splitStroke([LINE[0]], 2, across(3)), []);
+  });
+
+  it('returns null when the eraser misses', () => {
+    assert.equal(splitStroke(LINE, 2, across(110)), null);
+    // Just out of reach: half the eraser and half the stroke away
+    assert.equal(splitStroke(LINE, 2, { points: [{ x: 0, y: 6.5 }, { x: 100, y: 6.5 }], lineWidth: 10 }), null);
+    assert.notEqual(splitStroke(LINE, 2, { points: [{ x: 0, y: 5.5 }, { x: 100, y: 5.5 }], lineWidth: 10 }), null);
+    assert.equal(splitStroke([LINE[0]], 2, across(10)), null);
+  });
+
+  it('erases along a single click', () => {
+    assert.equal(round(splitStroke(LINE, 2, { points: [{ x: 50, y: 0 }], lineWidth: 10 }))!.length, 2);
+  });
+
+  it('keeps the pen input where a pen stroke is cut', () => {
+    const penLine = [{ x: 0, y: 0, timestamp: 0, pressure: 0, tiltX: 0, tiltY: 0 }, { x: 100, y: 0, timestamp: 100, pressure: 1, tiltX: 50, tiltY: -50 }];
+    const [first, second] = splitStroke(penLine, 2, across(50))!;
+    assert.deepEqual(first[1], { x: 44, y: 0, timestamp: 44, pressure: 0.44, tiltX: 22, tiltY: -22 });
+    assert.equal(second[0].pressure, 0.56);
+  });
+});
+
+describe('eraserTouches', () => {
+  it('reaches freehand strokes along their line', () => {
+    assert.equal(eraserTouches(stroke({ points: LINE }), across(30)), true);
+    assert.equal(eraserTouches(stroke({ points: LINE }), across(-10)), false);
+  });
+
+  it('reaches shapes along their outline only', () => {
+    const rectangle = stroke({ tool: 'rectangle', shape: { x1: 0, y1: 0, x2: 100, y2: 100 } });
+    assert.equal(eraserTouches(rectangle, { points: [{ x: 0, y: 50 }], lineWidth: 4 }), true);
+    assert.equal(eraserTouches(rectangle, { points: [{ x: 50, y: 50 }], lineWidth: 4 }), false);
+  });
+
+  it('reaches images and text anywhere in their box', () => {
+    const image = stroke({ tool: 'image', image: { imageId: 'i1', x: 0, y: 0, width: 100, height: 50 } });
+    assert.equal(eraserTouches(image, { points: [{ x: 50, y: 25 }], lineWidth: 2 }), true);
+    assert.equal(eraserTouches(image, { points: [{ x: 50, y: 60 }], lineWidth: 2 }), false);
+
+    const text = stroke({ tool: 'text', text: { x: 0, y: 0, content: 'Hello', fontFamily: 'sans-serif', fontSize: 10 } });
+    assert.equal(eraserTouches(text, { points: [{ x: 20, y: 5 }], lineWidth: 2 }), true);
+    assert.equal(eraserTouches(text, { points: [{ x: 40, y: 5 }], lineWidth: 2 }), false);
+  });
+
+  it('reaches fills on their filled cells', () => {
+    // Cells 0-1 and 4 of the only row, 10 units each
+    const fill = stroke({ tool: 'fill', fill: { x: 0, y: 0, cellSize: 10, rows: [[0, 2, 4, 1]] } });
+    assert.equal(eraserTouches(fill, { points: [{ x: 15, y: 5 }], lineWidth: 2 }), true);
+    assert.equal(eraserTouches(fill, { points: [{ x: 30, y: 5 }], lineWidth: 2 }), false);
+    assert.equal(eraserTouches(fill, { points: [{ x: 45, y: 5 }], lineWidth: 2 }), true);
+  });
+});
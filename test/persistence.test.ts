@@ -0,0 +1,120 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { DrawingOperation, DrawingState, StateSnapshot } from '../server/drawing-state';
+import { FileLogAdapter, PersistedRoom, PersistenceAdapter, RoomPersistence } from '../server/persistence';
+
+const draw = (drawingState: DrawingState, strokeId: string): void => {
+  drawingState.addStroke('alice', {
+    strokeId,
+    tool: 'brush',
+    color: '#000000',
+    lineWidth: 2,
+    layerId: 'default',
+    points: [{ x: 0, y: 0 }, { x: 10, y: 10 }]
+  });
+};
+
+const visibleIds = (drawingState: DrawingState): string[] => drawingState.getHistory().map(stroke => stroke.id);
+
+// Fails writes while `failing` is set, otherwise passes them to the file adapter
+class FlakyAdapter implements PersistenceAdapter {
+  failing = false;
+
+  constructor(private inner: PersistenceAdapter) {}
+
+  load(roomId: string): Promise<PersistedRoom | null> {
+    return this.inner.load(roomId);
+  }
+
+  async append(roomId: string, operation: DrawingOperation): Promise<void> {
+    if (this.failing) throw new Error('disk full');
+    await this.inner.append(roomId, operation);
+  }
+
+  async writeSnapshot(roomId: string, snapshot: StateSnapshot): Promise<void> {
+    if (this.failing) throw new Error('disk full');
+    await this.inner.writeSnapshot(roomId, snapshot);
+  }
+
+  exists(roomId: string): Promise<boolean> {
+    return this.inner.exists(roomId);
+  }
+
+  listRooms(): Promise<string[]> {
+    return this.inner.listRooms();
+  }
+}
+
+describe('RoomPersistence', () => {
+  let dir: string;
+  let adapter: FileLogAdapter;
+  let persistence: RoomPersistence;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'persistence-'));
+    adapter = new FileLogAdapter(dir);
+    persistence = new RoomPersistence(adapter, { compactionIntervalMs: 10, compactionThreshold: 3 });
+  });
+
+  afterEach(async () => {
+    persistence.stopCompaction();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('replays the log on top of the last snapshot', async () => {
+    const drawingState = await persistence.loadRoom('room');
+    draw(drawingState, 's1');
+    draw(drawingState, 's2');
+    await persistence.compact('room', drawingState);
+    draw(drawingState, 's3');
+    drawingState.deleteStrokes('alice', ['s1']);
+    drawingState.undo('alice');
+    drawingState.undo('alice');
+    await persistence.flush('room');
+
+    const persisted = await adapter.load('room');
+    assert.deepEqual(persisted?.snapshot?.history, ['s1', 's2']);
+    assert.deepEqual(persisted?.operations.map(operation => operation.type), ['end-stroke', 'delete', 'undo', 'undo']);
+
+    const reloaded = await new RoomPersistence(adapter).loadRoom('room');
+    assert.deepEqual(visibleIds(reloaded), ['s1', 's2']);
+    // The undo history survives, so the undone edits can be redone
+    assert.notEqual(reloaded.redo('alice'), null);
+    assert.deepEqual(visibleIds(reloaded), ['s1', 's2', 's3']);
+  });
+
+  it('compacts rooms whose log has grown past the threshold', async () => {
+    const drawingState = await persistence.loadRoom('room');
+    persistence.startCompaction(roomId => (roomId === 'room' ? drawingState : undefined));
+    ['s1', 's2', 's3', 's4'].forEach(strokeId => draw(drawingState, strokeId));
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await persistence.flush('room');
+
+    const persisted = await adapter.load('room');
+    assert.deepEqual(persisted?.operations, []);
+    assert.deepEqual(persisted?.snapshot?.history, ['s1', 's2', 's3', 's4']);
+    assert.deepEqual(visibleIds(await new RoomPersistence(adapter).loadRoom('room')), ['s1', 's2', 's3', 's4']);
+  });
+
+  it('holds back a room after a failed write until a snapshot replaces the log', async () => {
+    const flaky = new FlakyAdapter(adapter);
+    persistence = new RoomPersistence(flaky);
+    const drawingState = await persistence.loadRoom('room');
+    draw(drawingState, 's1');
+    await persistence.flush('room');
+
+    flaky.failing = true;
+    draw(drawingState, 's2');
+    await assert.rejects(persistence.flush('room'));
+    assert.equal(persistence.isWritable('room'), false);
+
+    flaky.failing = false;
+    await persistence.flush('room');
+    assert.equal(persistence.isWritable('room'), true);
+    assert.deepEqual(visibleIds(await new RoomPersistence(adapter).loadRoom('room')), ['s1', 's2']);
+  });
+});
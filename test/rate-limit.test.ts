@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, TokenBucket } from '../server/rate-limit';
+
+const takeMany = (take: () => number, count: number): number[] => Array.from({ length: count }, take);
+
+describe('TokenBucket', () => {
+  it('allows a burst of up to its capacity', () => {
+    const bucket = new TokenBucket({ capacity: 5, refillPerSecond: 1 }, 0);
+    assert.deepEqual(takeMany(() => bucket.take(0), 5), [0, 0, 0, 0, 0]);
+    assert.equal(bucket.take(0), 1000);
+  });
+
+  it('refills at the sustained rate', () => {
+    const bucket = new TokenBucket({ capacity: 2, refillPerSecond: 4 }, 0);
+    takeMany(() => bucket.take(0), 2);
+
+    assert.equal(bucket.take(100), 150);
+    assert.equal(bucket.take(250), 0);
+    assert.equal(bucket.take(250), 250);
+  });
+
+  it('does not refill past its capacity', () => {
+    const bucket = new TokenBucket({ capacity: 3, refillPerSecond: 10 }, 0);
+    takeMany(() => bucket.take(0), 3);
+
+    assert.deepEqual(takeMany(() => bucket.take(60000), 4), [0, 0, 0, 100]);
+  });
+
+  it('ignores clocks that go backwards', () => {
+    const bucket = new TokenBucket({ capacity: 1, refillPerSecond: 1 }, 1000);
+    assert.equal(bucket.take(1000), 0);
+    assert.equal(bucket.take(0), 1000);
+  });
+});
+
+describe('RateLimiter', () => {
+  const limits = {
+    draw: { capacity: 2, refillPerSecond: 1 },
+    chat: { capacity: 1, refillPerSecond: 1 }
+  };
+
+  it('keeps a separate bucket per category', () => {
+    const limiter = new RateLimiter(limits);
+    assert.deepEqual(takeMany(() => limiter.take('draw', 0), 3), [0, 0, 1000]);
+    assert.equal(limiter.take('chat', 0), 0);
+    assert.equal(limiter.take('chat', 0), 1000);
+  });
+
+  it('keeps a separate bucket per connection', () => {
+    const first = new RateLimiter(limits);
+    const second = new RateLimiter(limits);
+    takeMany(() => first.take('chat', 0), 2);
+    assert.equal(second.take('chat', 0), 0);
+  });
+
+  it('starts a bucket full when a category is first used', () => {
+    const limiter = new RateLimiter(limits);
+    limiter.take('draw', 0);
+    assert.deepEqual(takeMany(() => limiter.take('chat', 5000), 2), [0, 1000]);
+  });
+
+  it('does not limit categories without a limit', () => {
+    const limiter = new RateLimiter(limits);
+    assert.deepEqual(takeMany(() => limiter.take('cursor', 0), 100).filter(wait => wait > 0), []);
+  });
+});
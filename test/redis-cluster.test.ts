@@ -0,0 +1,105 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import RedisMock from 'ioredis-mock';
+import Redis from 'ioredis';
+import { ClusterNode } from '../server/cluster';
+import { DrawingOperation, DrawingState } from '../server/drawing-state';
+import { RedisClusterBackend, RedisLogAdapter } from '../server/redis-cluster';
+
+// In-memory stand-in for a Redis server; clients on the same host share its data
+let serverCount = 0;
+const createServer = (): (() => Redis) => {
+  const host = `stand-in-${++serverCount}`;
+  return () => new RedisMock({ host, lazyConnect: true });
+};
+
+describe('RedisLogAdapter', () => {
+  let client: Redis;
+  let adapter: RedisLogAdapter;
+
+  beforeEach(async () => {
+    client = createServer()();
+    await client.connect();
+    adapter = new RedisLogAdapter(client, 'test');
+  });
+
+  afterEach(() => client.disconnect());
+
+  it('replays the log on top of the last snapshot', async () => {
+    assert.equal(await adapter.load('room'), null);
+    assert.equal(await adapter.exists('room'), false);
+
+    const snapshot = new DrawingState().toSnapshot();
+    const operation: DrawingOperation = { type: 'clear' };
+    await adapter.append('room', operation);
+    assert.equal(await adapter.exists('room'), true);
+    await adapter.writeSnapshot('room', snapshot);
+    await adapter.append('room', operation);
+
+    assert.deepEqual(await adapter.load('room'), { snapshot, operations: [operation] });
+    assert.deepEqual(await adapter.listRooms(), ['room']);
+  });
+
+  it('fails an append whose transaction failed', async () => {
+    await client.set('test:room:room:log', 'not a list');
+    await assert.rejects(adapter.append('room', { type: 'clear' }), /WRONGTYPE/);
+  });
+});
+
+describe('RedisClusterBackend', () => {
+  let backends: RedisClusterBackend[] = [];
+
+  const connectBackends = async (count: number): Promise<RedisClusterBackend[]> => {
+    const createClient = createServer();
+    const connected = Array.from({ length: count }, () => new RedisClusterBackend(createClient(), 'test'));
+    await Promise.all(connected.map(backend => backend.connect()));
+    backends.push(...connected);
+    return connected;
+  };
+
+  afterEach(async () => {
+    await Promise.all(backends.map(backend => backend.close()));
+    backends = [];
+  });
+
+  it('gives a lease to one holder at a time', async () => {
+    const [a, b] = await connectBackends(2);
+    assert.equal(await a.acquireLease('lease', 'a', 1000), true);
+    assert.equal(await a.acquireLease('lease', 'a', 1000), true);
+    assert.equal(await b.acquireLease('lease', 'b', 1000), false);
+    assert.equal(await b.getLeaseHolder('lease'), 'a');
+
+    await b.releaseLease('lease', 'b');
+    assert.equal(await b.getLeaseHolder('lease'), 'a');
+    await a.releaseLease('lease', 'a');
+    assert.equal(await b.acquireLease('lease', 'b', 1000), true);
+  });
+
+  it('carries requests between cluster nodes', async () => {
+    const [a, b] = await connectBackends(2);
+    const options = { leaseTtl: 1000, renewInterval: 300, requestTimeout: 1000 };
+    const nodeA = new ClusterNode(a, options);
+    const nodeB = new ClusterNode(b, options);
+    await Promise.all([nodeA.start(), nodeB.start()]);
+    nodeB.handle('double', (value: number) => value * 2);
+
+    try {
+      assert.equal(await nodeA.isNodeAlive(nodeB.nodeId), true);
+      assert.equal(await nodeA.request(nodeB.nodeId, 'double', 21), 42);
+    } finally {
+      await Promise.all([nodeA.stop(), nodeB.stop()]);
+    }
+  });
+
+  it('subscribes channels subscribed to before connecting', async () => {
+    const createClient = createServer();
+    const subscriber = new RedisClusterBackend(createClient(), 'test');
+    const publisher = new RedisClusterBackend(createClient(), 'test');
+    backends.push(subscriber, publisher);
+
+    const received = new Promise<string>(resolve => subscriber.subscribe('channel', resolve));
+    await Promise.all([subscriber.connect(), publisher.connect()]);
+    await publisher.publish('channel', 'hello');
+    assert.equal(await received, 'hello');
+  });
+});
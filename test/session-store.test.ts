@@ -0,0 +1,195 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { DEFAULT_LAYER, SerializedState, Stroke } from '../server/drawing-state';
+import { SESSION_VERSION, SessionFile, SessionStore, isValidSessionFilename, migrateSession, validateSession } from '../server/session-store';
+
+const stroke = (id: string, layerId = DEFAULT_LAYER.id): Stroke => ({
+  id,
+  userId: 'alice',
+  points: [{ x: 0, y: 0, timestamp: 1 }, { x: 10, y: 10, timestamp: 2 }],
+  color: '#000000',
+  lineWidth: 2,
+  tool: 'brush',
+  layerId,
+  startTime: 1,
+  endTime: 2
+});
+
+const state = (): SerializedState => ({
+  strokes: [stroke('s1'), stroke('s2')],
+  history: ['s1', 's2'],
+  layers: [{ ...DEFAULT_LAYER }],
+  comments: [],
+  chat: []
+});
+
+const session = (changes: Partial<SerializedState> = {}): SessionFile => ({
+  version: SESSION_VERSION,
+  roomId: 'room',
+  sessionName: 'Sketch',
+  timestamp: 1700000000000,
+  state: { ...state(), ...changes }
+});
+
+describe('SessionStore filenames', () => {
+  let root: string;
+  let store: SessionStore;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'session-store-'));
+    store = new SessionStore(path.join(root, 'sessions'));
+    // A valid session just outside the store, where '../x.json' would reach
+    await fs.writeFile(path.join(root, 'x.json'), JSON.stringify(session()));
+  });
+
+  afterEach(() => fs.rm(root, { recursive: true, force: true }));
+
+  it('accepts the names save gives files', async () => {
+    const filename = await store.save('room', 'My sketch!', state(), null);
+    assert.equal(isValidSessionFilename(filename), true);
+    const result = await store.read(filename);
+    assert.ok('session' in result);
+    assert.equal(result.session.sessionName, 'My sketch!');
+    assert.deepEqual(result.session.state, state());
+  });
+
+  it('refuses names that leave the session directory', async () => {
+    for (const filename of ['../x.json', '..%2Fx.json', '/etc/x.json', 'a/b.json', 'a\\b.json', 'x.json\0.png', '.json']) {
+      assert.equal(isValidSessionFilename(filename), false, filename);
+      assert.deepEqual(await store.read(filename), { error: 'not-found' });
+      assert.deepEqual(await store.rename(filename, 'Renamed'), { error: 'not-found' });
+      assert.deepEqual(await store.overwrite(filename, state(), null), { error: 'not-found' });
+      assert.equal(await store.delete(filename), false);
+      assert.equal(await store.readThumbnail(filename), null);
+    }
+
+    const outside = JSON.parse(await fs.readFile(path.join(root, 'x.json'), 'utf-8'));
+    assert.equal(outside.sessionName, 'Sketch');
+  });
+
+  it('refuses temp files left by an interrupted write', async () => {
+    const filename = await store.save('room', 'Sketch', state(), null);
+    await fs.writeFile(path.join(root, 'sessions', `${filename}.tmp`), JSON.stringify(session()));
+
+    assert.equal(isValidSessionFilename(`${filename}.tmp`), false);
+    assert.deepEqual(await store.read(`${filename}.tmp`), { error: 'not-found' });
+    assert.deepEqual((await store.list()).map(summary => summary.filename), [filename]);
+  });
+
+  it('refuses names that are not strings', () => {
+    for (const filename of [undefined, null, 42, ['x.json'], { toString: () => 'x.json' }]) {
+      assert.equal(isValidSessionFilename(filename), false);
+    }
+  });
+});
+
+describe('validateSession', () => {
+  it('accepts a well-formed session', () => {
+    assert.equal(validateSession(session()), null);
+  });
+
+  it('refuses duplicate stroke IDs', () => {
+    assert.equal(validateSession(session({ strokes: [stroke('s1'), stroke('s1')], history: ['s1'] })), 'duplicate stroke s1');
+  });
+
+  it('refuses a history that names missing or repeated strokes', () => {
+    assert.equal(validateSession(session({ history: ['s1', 's2', 's3'] })), 'history does not match strokes');
+    assert.equal(validateSession(session({ history: ['s1', 's1'] })), 'history does not match strokes');
+  });
+
+  it('refuses strokes on unknown layers and duplicate layers', () => {
+    assert.equal(validateSession(session({ strokes: [stroke('s1'), stroke('s2', 'gone')] })), 'stroke s2 is on an unknown layer');
+    assert.equal(validateSession(session({ layers: [] })), 'missing layers');
+    assert.equal(validateSession(session({ layers: [{ ...DEFAULT_LAYER }, { ...DEFAULT_LAYER }] })), `duplicate layer ${DEFAULT_LAYER.id}`);
+  });
+
+  it('refuses files from other versions and without their fields', () => {
+    assert.equal(validateSession({ ...session(), version: SESSION_VERSION + 1 }), `unsupported version ${SESSION_VERSION + 1}`);
+    assert.equal(validateSession({ ...session(), roomId: undefined }), 'missing room ID');
+    assert.equal(validateSession(null), 'not an object');
+  });
+});
+
+// Strokes as saved before layers existed
+const oldStroke = (id: string) => {
+  const { layerId: _layerId, ...rest } = stroke(id);
+  return rest;
+};
+
+// One file per old version, as it was written then
+const OLD_SESSIONS: Record<number, object> = {
+  // No version field; the history repeats s1 and names s3, which was never stored
+  1: {
+    roomId: 'room',
+    sessionName: 'Sketch',
+    timestamp: 1600000000000,
+    state: { strokes: [oldStroke('s1'), oldStroke('s2')], history: ['s1', 's3', 's2', 's1'] }
+  },
+  // No comments or chat
+  2: {
+    version: 2,
+    roomId: 'room',
+    sessionName: 'Sketch',
+    timestamp: 1650000000000,
+    state: { strokes: [oldStroke('s1'), oldStroke('s2')], history: ['s1', 's2'] }
+  },
+  // No layers
+  3: {
+    version: 3,
+    roomId: 'room',
+    sessionName: 'Sketch',
+    timestamp: 1680000000000,
+    state: {
+      strokes: [oldStroke('s1'), oldStroke('s2')],
+      history: ['s2'],
+      comments: [],
+      chat: [{ id: 'm1', userId: 'alice', name: 'Alice', timestamp: 1680000000000, text: 'Hi' }]
+    }
+  }
+};
+
+describe('migrateSession', () => {
+  for (const [version, data] of Object.entries(OLD_SESSIONS)) {
+    it(`brings version ${version} sessions up to date`, () => {
+      const migrated = migrateSession(structuredClone(data));
+      assert.equal(migrated.version, SESSION_VERSION);
+      assert.equal(validateSession(migrated), null);
+      assert.deepEqual(migrated.state.layers, [DEFAULT_LAYER]);
+      assert.equal(migrated.state.strokes.every((migratedStroke: Stroke) => migratedStroke.layerId === DEFAULT_LAYER.id), true);
+    });
+  }
+
+  it('drops repeated and missing strokes from version 1 histories', () => {
+    const migrated = migrateSession(structuredClone(OLD_SESSIONS[1]));
+    assert.deepEqual(migrated.state.history, ['s1', 's2']);
+    assert.deepEqual(migrated.state.comments, []);
+    assert.deepEqual(migrated.state.chat, []);
+  });
+
+  it('keeps the chat of version 3 sessions', () => {
+    const migrated = migrateSession(structuredClone(OLD_SESSIONS[3]));
+    assert.deepEqual(migrated.state.history, ['s2']);
+    assert.equal(migrated.state.chat.length, 1);
+  });
+
+  it('leaves sessions it cannot migrate for validateSession to refuse', () => {
+    assert.notEqual(validateSession(migrateSession({ roomId: 'room', sessionName: 'Sketch', timestamp: 1, state: null })), null);
+    assert.notEqual(validateSession(migrateSession({ version: 3, roomId: 'room', sessionName: 'Sketch', timestamp: 1, state: {} })), null);
+  });
+
+  it('migrates old files as they are read', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-store-'));
+    try {
+      await fs.writeFile(path.join(dir, 'Sketch_1600000000000.json'), JSON.stringify(OLD_SESSIONS[1]));
+      const result = await new SessionStore(dir).read('Sketch_1600000000000.json');
+      assert.ok('session' in result);
+      assert.equal(result.session.version, SESSION_VERSION);
+      assert.deepEqual(result.session.state.history, ['s1', 's2']);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_FILL_CELLS, MAX_FILL_COLUMNS, MAX_FILL_ROWS, MAX_FILL_RUNS, STORED_LIMITS,
+  validateBrush, validateFill, validateStroke, validateStrokeProperties
+} from '../server/validation';
+
+const fill = (rows: number[][], cellSize = 4) => ({ x: 100, y: -50, cellSize, rows });
+
+describe('validateFill', () => {
+  it('accepts sorted, separate runs', () => {
+    assert.equal(validateFill(fill([[0, 3, 5, 2], [], [1, 1]])), true);
+  });
+
+  it('refuses a fill with no cells', () => {
+    assert.equal(validateFill(fill([])), false);
+    assert.equal(validateFill(fill([[], []])), false);
+  });
+
+  it('refuses unsorted, overlapping or empty runs', () => {
+    assert.equal(validateFill(fill([[5, 2, 0, 3]])), false);
+    assert.equal(validateFill(fill([[0, 3, 2, 2]])), false);
+    assert.equal(validateFill(fill([[0, 0]])), false);
+    assert.equal(validateFill(fill([[0, 1.5]])), false);
+    assert.equal(validateFill(fill([[0]])), false);
+  });
+
+  it('refuses cell sizes the client does not use', () => {
+    assert.equal(validateFill(fill([[0, 1]], 16)), false);
+    assert.equal(validateFill(fill([[0, 1]], 0)), false);
+    assert.equal(validateFill(fill([[0, 1]], 16), STORED_LIMITS), true);
+  });
+
+  it('refuses fills beyond the row, column and run limits', () => {
+    assert.equal(validateFill(fill([[MAX_FILL_COLUMNS - 1, 1]])), true);
+    assert.equal(validateFill(fill([[MAX_FILL_COLUMNS, 1]])), false);
+    assert.equal(validateFill(fill(Array.from({ length: MAX_FILL_ROWS + 1 }, () => [0, 1]))), false);
+
+    const sparseRow = Array.from({ length: MAX_FILL_COLUMNS / 2 }, (_, i) => [i * 2, 1]).flat();
+    const rowCount = Math.ceil((MAX_FILL_RUNS + 1) / (MAX_FILL_COLUMNS / 2));
+    assert.equal(validateFill(fill(Array.from({ length: rowCount }, () => sparseRow))), false);
+  });
+
+  it('refuses fills covering more than MAX_FILL_CELLS', () => {
+    const fullRow = [0, MAX_FILL_COLUMNS];
+    const rowsAtLimit = MAX_FILL_CELLS / MAX_FILL_COLUMNS;
+    assert.equal(validateFill(fill(Array.from({ length: rowsAtLimit }, () => fullRow))), true);
+    assert.equal(validateFill(fill(Array.from({ length: rowsAtLimit + 1 }, () => fullRow))), false);
+    assert.equal(validateFill(fill(Array.from({ length: MAX_FILL_ROWS }, () => fullRow))), false);
+  });
+
+  it('validates fill strokes when loading them', () => {
+    const stroke = {
+      id: 'fill-1',
+      userId: 'user',
+      points: [],
+      color: '#336699',
+      lineWidth: 1,
+      tool: 'fill',
+      layerId: 'default',
+      fill: fill([[0, 4]]),
+      startTime: 1700000000000
+    };
+    assert.equal(validateStroke(stroke), true);
+    assert.equal(validateStroke({ ...stroke, fill: fill(Array.from({ length: MAX_FILL_ROWS }, () => [0, MAX_FILL_COLUMNS])) }), false);
+  });
+});
+
+describe('validateBrush', () => {
+  it('wants no brush settings for the plain brush', () => {
+    assert.equal(validateBrush(undefined, 'brush'), true);
+    assert.equal(validateBrush({ opacity: 1, blendMode: 'normal' }, 'brush'), false);
+  });
+
+  it('wants opacity and blend mode for presets', () => {
+    assert.equal(validateBrush({ opacity: 0.4, blendMode: 'multiply' }, 'highlighter'), true);
+    assert.equal(validateBrush(undefined, 'marker'), false);
+    assert.equal(validateBrush({ opacity: 0.01, blendMode: 'normal' }, 'marker'), false);
+    assert.equal(validateBrush({ opacity: 1.5, blendMode: 'normal' }, 'marker'), false);
+    assert.equal(validateBrush({ opacity: 1, blendMode: 'screen' }, 'marker'), false);
+  });
+
+  it('wants a 32-bit seed for textured presets only', () => {
+    assert.equal(validateBrush({ opacity: 1, blendMode: 'normal', seed: 42 }, 'pencil'), true);
+    assert.equal(validateBrush({ opacity: 1, blendMode: 'normal', seed: 0xffffffff }, 'spray'), true);
+    assert.equal(validateBrush({ opacity: 1, blendMode: 'normal' }, 'spray'), false);
+    assert.equal(validateBrush({ opacity: 1, blendMode: 'normal', seed: -1 }, 'pencil'), false);
+    assert.equal(validateBrush({ opacity: 1, blendMode: 'normal', seed: 0x100000000 }, 'pencil'), false);
+    assert.equal(validateBrush({ opacity: 1, blendMode: 'normal', seed: 42 }, 'marker'), false);
+  });
+});
+
+describe('validateStrokeProperties', () => {
+  it('checks the brush of freehand strokes', () => {
+    const marker = { color: '#000000', lineWidth: 10, tool: 'marker', brush: { opacity: 0.8, blendMode: 'normal' } };
+    assert.equal(validateStrokeProperties(marker), true);
+    assert.equal(validateStrokeProperties({ ...marker, brush: undefined }), false);
+    assert.equal(validateStrokeProperties({ ...marker, tool: 'fill' }), false);
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Stroke } from '../server/drawing-state';
+import { PRESSURE_PRECISION, chunkStrokes, decodePen, decodePoints, encodePen, encodePoints, toWireStroke, withPen } from '../server/wire';
+
+const points = [{ x: 0, y: 0 }, { x: 1.5, y: -2.3 }, { x: 1.6, y: -2.3 }, { x: -1000.1, y: 5000 }];
+
+// Malformed lists and values that are not lists at all
+const MALFORMED: unknown[] = [
+  undefined, null, 0, 'not a list', {}, { length: 2, 0: 1, 1: 2 },
+  [], [1], [1, 2, 3], [1, '2'], [1.5, 2], [NaN, 0], [Infinity, 0], [null, 0], [[1], 2], [{}, 2],
+  [Number.MAX_SAFE_INTEGER + 1, 0], new Array(4)
+];
+
+describe('encodePoints and decodePoints', () => {
+  it('round-trip points at POINT_PRECISION', () => {
+    const packed = encodePoints(points);
+    assert.deepEqual(packed, [0, 0, 15, -23, 1, 0, -10017, 50023]);
+    assert.deepEqual(decodePoints(packed, 10), points);
+  });
+
+  it('round off points between units', () => {
+    assert.deepEqual(decodePoints(encodePoints([{ x: 0.04, y: 0.06 }]), 1), [{ x: 0, y: 0.1 }]);
+  });
+
+  it('refuse malformed lists without throwing', () => {
+    MALFORMED.forEach(packed => {
+      assert.doesNotThrow(() => decodePoints(packed, 10));
+      assert.equal(decodePoints(packed, 10), null, `${JSON.stringify(packed)}`);
+    });
+  });
+
+  it('refuse truncated lists and more than maxPoints points', () => {
+    const packed = encodePoints(points);
+    assert.equal(decodePoints(packed.slice(0, -1), 10), null);
+    assert.equal(decodePoints(packed, points.length - 1), null);
+  });
+
+  it('refuse deltas whose sum is no longer exact', () => {
+    assert.equal(decodePoints([Number.MAX_SAFE_INTEGER, 0, 1, 0], 2), null);
+  });
+});
+
+describe('encodePen and decodePen', () => {
+  const pen = [{ pressure: 0.25, tiltX: -30, tiltY: 90 }, { pressure: 1, tiltX: 0, tiltY: 0 }];
+
+  it('round-trip pen input', () => {
+    const packed = encodePen(pen);
+    assert.deepEqual(packed, [25, -30, 90, PRESSURE_PRECISION, 0, 0]);
+    assert.deepEqual(decodePen(packed, 2), pen);
+  });
+
+  it('leave out pen input for points without any', () => {
+    assert.equal(encodePen([{}, {}]), null);
+    assert.deepEqual(withPen(points, undefined), points);
+  });
+
+  it('refuse malformed, truncated and out of range input without throwing', () => {
+    MALFORMED.forEach(packed => {
+      assert.doesNotThrow(() => decodePen(packed, 2));
+      assert.equal(decodePen(packed, 2), null, `${JSON.stringify(packed)}`);
+    });
+    [[25, 0], [25, 0, 0, 50], [101, 0, 0], [-1, 0, 0], [50, 91, 0], [50, 0, -91], [50.5, 0, 0], new Array(3)].forEach(packed => {
+      assert.equal(decodePen(packed, 1), null, `${JSON.stringify(packed)}`);
+    });
+    assert.equal(withPen(points, [25, 0, 0]), null);
+  });
+
+  it('add pen input to the points it was sent with', () => {
+    assert.deepEqual(withPen(points.slice(0, 2), encodePen(pen)), [{ ...points[0], ...pen[0] }, { ...points[1], ...pen[1] }]);
+  });
+});
+
+describe('toWireStroke', () => {
+  const stroke: Stroke = {
+    id: 's1',
+    userId: 'alice',
+    points: [{ x: 0, y: 0, timestamp: 1, pressure: 0.5, tiltX: 10, tiltY: -10 }, { x: 1, y: 1, timestamp: 2, pressure: 0.75, tiltX: 0, tiltY: 0 }],
+    color: '#000000',
+    lineWidth: 2,
+    tool: 'brush',
+    layerId: 'default',
+    startTime: 1,
+    endTime: 2
+  };
+
+  it('packs points and pen input and leaves out timestamps', () => {
+    const wireStroke = toWireStroke(stroke);
+    assert.deepEqual(wireStroke, {
+      id: 's1', userId: 'alice', color: '#000000', lineWidth: 2, tool: 'brush', layerId: 'default',
+      packedPoints: [0, 0, 10, 10], packedPen: [50, 10, -10, 75, 0, 0]
+    });
+    assert.deepEqual(withPen(decodePoints(wireStroke.packedPoints, 2)!, wireStroke.packedPen),
+      stroke.points.map(({ timestamp: _timestamp, ...point }) => point));
+  });
+});
+
+describe('chunkStrokes', () => {
+  const strokes = [2, 3, 1, 5].map(count => ({ packedPoints: new Array(count * 2).fill(0) }));
+
+  it('keeps chunks within the stroke and point limits, in order', () => {
+    assert.deepEqual(chunkStrokes(strokes, 2, 100), [strokes.slice(0, 2), strokes.slice(2)]);
+    assert.deepEqual(chunkStrokes(strokes, 10, 5), [strokes.slice(0, 2), strokes.slice(2, 3), strokes.slice(3)]);
+  });
+
+  it('gives a stroke larger than the point limit a chunk of its own', () => {
+    assert.deepEqual(chunkStrokes(strokes, 10, 2), strokes.map(stroke => [stroke]));
+    assert.deepEqual(chunkStrokes([], 10, 2), []);
+  });
+});